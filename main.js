@@ -1,79 +1,37 @@
-// --- Simple Express server for OAuth redirect ---
-const express = require('express');
-const oauthApp = express();
-const OAUTH_PORT = 3000;
-
-oauthApp.get('/', (req, res) => {
-    // Serve a simple HTML page that extracts the access token from the URL fragment and sends it to Electron
-    res.send(`
-        <html>
-        <body>
-            <h2>Twitch OAuth Complete</h2>
-            <p>You may now close this window.</p>
-            <script>
-                // Parse access_token from URL fragment
-                const hash = window.location.hash.substring(1);
-                const params = new URLSearchParams(hash);
-                const token = params.get('access_token');
-                if (token) {
-                    // Send token to Electron main process via fetch to /token endpoint
-                    fetch('/token', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ token })
-                    });
-                }
-            </script>
-        </body>
-        </html>
-    `);
-});
-
-// Endpoint to receive token from browser and send to Electron
-let latestOAuthToken = null;
-oauthApp.post('/token', express.json(), (req, res) => {
-    latestOAuthToken = req.body.token;
-    console.log('[OAuth] Received access token:', latestOAuthToken);
-    
-    // Save token securely for future sessions
-    if (tokenStorage.saveToken(latestOAuthToken)) {
-        console.log('[OAuth] Token saved securely for future sessions');
-    }
-    
-    // Optionally, send to all renderer windows
-    for (const win of Object.values(windows)) {
-        if (win && win.webContents) {
-            win.webContents.send('twitch-oauth-token', latestOAuthToken);
-        }
-    }
-    // Update process.env and connect to Twitch with new token
-    process.env.TWITCH_OAUTH_TOKEN = latestOAuthToken;
-    try {
-        const { connectTwitch } = require('./src/twitch');
-        connectTwitch();
-    } catch (err) {
-        console.error('[OAuth] Failed to connect Twitch after receiving token:', err);
-    }
-    res.sendStatus(200);
-});
+// Keep OAuth secrets out of the logs (tokens are registered as they are loaded or issued)
+const logRedaction = require('./src/log-redaction');
+logRedaction.install();
 
-oauthApp.listen(OAUTH_PORT, () => {
-    console.log(`[OAuth] Listening for Twitch OAuth redirect on http://localhost:${OAUTH_PORT}/`);
-});
 // Load .env and windows-config.json from the directory of the running executable (for packaged .exe)
-const { loadFromExeDir } = require('./src/load-from-exe-dir');
+const { findInExeDir, loadFromExeDir } = require('./src/load-from-exe-dir');
 // Load .env file and set process.env variables
 loadFromExeDir('.env');
+logRedaction.registerSecret(process.env.TWITCH_CLIENT_SECRET);
+logRedaction.registerSecret(process.env.TWITCH_OAUTH_TOKEN);
 console.log('[DEBUG] TWITCH_CLIENT_ID:', process.env.TWITCH_CLIENT_ID);
-console.log('[DEBUG] TWITCH_CLIENT_SECRET:', process.env.TWITCH_CLIENT_SECRET);
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, Tray, Menu, nativeImage, globalShortcut } = require('electron');
 
 const path = require('path');
 const fs = require('fs');
 
 const ApplicationConfigLoader = require('./src/application-config-loader');
 const TokenStorage = require('./src/token-storage');
+const { TwitchAuth } = require('./src/twitch-auth');
+const { OAuthCallbackServer, parsePorts } = require('./src/oauth-callback-server');
+const SpinHistory = require('./src/spin-history');
+const RateLimiter = require('./src/rate-limiter');
+const EventSubClient = require('./src/eventsub');
+const RedemptionRouter = require('./src/twitch-redemptions');
+const { ChatAnnouncer } = require('./src/chat-announcer');
+const DeadLetterStore = require('./src/dead-letter-store');
+const WheelSubmissions = require('./src/wheel-submissions');
+const { applyOptionEdits } = require('./src/wheel-option-edits');
 const { generatePreload } = require('./src/preload-generator');
+const ConfigWatcher = require('./src/config-watcher');
+const { getWindowType, getEnabledWindows, validateWindowsConfig, diffWindowConfigs } = require('./src/windows-config');
+const { getProfile, listProfiles, validateProfiles, applyProfile, isApplicationEnabled } = require('./src/profiles');
+const { DEFAULT_COMMANDS } = require('./src/chat-commands');
+const { parseDuration } = require('./src/views/shared/schedule');
 
 const windows = {}; // Map to store windows by ID
 let applicationConfigs = {};
@@ -82,9 +40,104 @@ let uniqueApplications = new Set(); // Move to global scope
 // Initialize token storage
 const tokenStorage = new TokenStorage();
 
-// Queue managers for different window types
-const queueManagers = new Map(); // Map of windowType -> manager instance
-const windowConfigs = new Map(); // Map of windowType -> {windowId, config}
+// Twitch accounts: the broadcaster (channel points, bits, and chat unless a bot is connected) and an optional chat bot
+const TWITCH_ACCOUNTS = {
+    broadcaster: { label: 'Twitch broadcaster', scopes: process.env.TWITCH_SCOPES },
+    bot: { label: 'Twitch chat bot', scopes: process.env.TWITCH_BOT_SCOPES || 'chat:read chat:edit' }
+};
+const twitchAuths = new Map(); // account -> TwitchAuth
+const twitchReauthReasons = new Map(); // account -> reason, while the user has to connect again
+Object.keys(TWITCH_ACCOUNTS).forEach((account) => {
+    const twitchAuth = new TwitchAuth({
+        clientId: process.env.TWITCH_CLIENT_ID,
+        clientSecret: process.env.TWITCH_CLIENT_SECRET,
+        scopes: TWITCH_ACCOUNTS[account].scopes,
+        authBase: process.env.TWITCH_AUTH_BASE
+    });
+    twitchAuth.on('tokens', (tokens) => {
+        logRedaction.registerSecret(tokens.accessToken);
+        logRedaction.registerSecret(tokens.refreshToken);
+        tokenStorage.save('twitch', account, tokens);
+        applyTwitchEnv();
+    });
+    twitchAuth.on('validated', () => {
+        twitchReauthReasons.delete(account);
+        applyTwitchEnv();
+        broadcastToWindows('connections-updated', getConnections());
+    });
+    twitchAuth.on('reauth-required', ({ reason }) => {
+        console.warn(`[Main] Twitch ${account} login needed again (${reason}); connect through the OAuth Connections window`);
+        twitchReauthReasons.set(account, reason);
+        broadcastToWindows('connections-updated', getConnections());
+    });
+    twitchAuths.set(account, twitchAuth);
+});
+
+// Local server for the login redirect, only running while a login is in progress
+const oauthCallbackServer = new OAuthCallbackServer({
+    ports: parsePorts(process.env.OAUTH_REDIRECT_PORTS),
+    onCallback: handleOAuthCallback,
+    hasPendingLogins: () => Array.from(twitchAuths.values()).some(twitchAuth => twitchAuth.hasPendingLogins())
+});
+
+// Initialize persistent spin history (audit log of every spin)
+const spinHistory = new SpinHistory();
+
+// Spin cooldowns and queue rate limits of each wheel window (its options.rateLimits)
+const rateLimiters = new Map(); // wheel window id -> RateLimiter
+const buttonRateLimiters = new Map(); // button window id -> RateLimiter
+const spinHotkeys = new Map(); // accelerator -> wheel window id
+
+// Channel point rewards / bits mapped to wheel actions (commands.json) and their EventSub session
+const redemptionRouter = new RedemptionRouter();
+let eventSub = null;
+
+// Chat messages announcing spin results and action outcomes (commands.json "announcements")
+const chatAnnouncer = new ChatAnnouncer({}, (message) => require('./src/twitch').sayInChat(message));
+
+// Queue items that failed every attempt land here until replayed
+const deadLetterStore = new DeadLetterStore();
+deadLetterStore.on('changed', (entries) => broadcastToWindows('dead-letters-updated', { count: entries.length }));
+
+// Viewer-submitted wheel entries waiting for (or past) moderator approval
+const wheelSubmissions = new WheelSubmissions();
+wheelSubmissions.on('changed', () => broadcastToWindows('wheel-submissions-updated', {
+    pending: wheelSubmissions.list('pending').length
+}));
+
+// Queue managers, one per window that owns queues
+const queueManagers = new Map(); // Map of window id -> manager instance
+const windowConfigs = new Map(); // Map of window id -> {windowId, config}
+
+// Wheel window that approved viewer submissions are added to (commands.json submissions.wheel)
+let submissionsWheelId = null;
+
+// windows-config.json that was loaded (wheel option edits are written back to it)
+let windowsConfigPath = null;
+
+// windows-config.json as last applied, before wheelApplication options were filled in (see applyWindowsConfig)
+let windowsConfigSnapshot = { windows: [] };
+
+// windows-config.json as last loaded, before the active profile was applied to it
+let windowsConfigSource = { windows: [] };
+
+// profiles.json (named sets of windows, wheel options, applications and chat commands, see src/profiles.js)
+let profilesPath = null;
+let profilesConfig = { profiles: {} };
+let activeProfileName = null; // null uses windows-config.json as it is
+
+// Tray icon with the profile menu
+let tray = null;
+
+// commands.json (chat commands, redemptions, announcements, submissions)
+let commandsConfig = null;
+
+// Applies edits to windows-config.json and application configs while the app runs
+const configWatcher = new ConfigWatcher();
+const watchedApplications = new Map(); // config dir -> name of the application whose files are watched
+
+// Problems found in config files, shown in an overlay notification (see src/views/shared/config-errors.js)
+const configErrors = new Map(); // Map of file path -> {errors, ignored}
 
 // Get auto-spin setting from environment (default: false)
 // Set AUTO_SPIN=true to enable
@@ -106,6 +159,48 @@ function setStoredWindowDimensions(window, width, height) {
     }
 }
 
+/**
+ * Ids of the open wheel windows, in windows-config.json order (the first is the default wheel)
+ * @returns {Array<string>}
+ */
+function getWheelIds() {
+    return Array.from(windowConfigs.values())
+        .filter(entry => getWindowType(entry.config) === 'wheel')
+        .map(entry => entry.config.id);
+}
+
+/**
+ * Id of a wheel window, or the default wheel when none is given
+ * @param {string} [wheelId]
+ * @returns {string|undefined}
+ */
+function resolveWheelId(wheelId) {
+    return wheelId || getWheelIds()[0];
+}
+
+/**
+ * windowConfigs entry of the window that owns a webContents (the sender of an IPC message)
+ * @param {Electron.WebContents} webContents
+ * @returns {{windowId: number, config: object}|undefined}
+ */
+function findWindowConfig(webContents) {
+    const window = BrowserWindow.fromWebContents(webContents);
+    return Array.from(windowConfigs.values()).find(entry => window && entry.windowId === window.id);
+}
+
+/**
+ * Send a message to every open renderer window
+ * @param {string} channel - IPC channel name
+ * @param {*} data - Payload to send
+ */
+function broadcastToWindows(channel, data) {
+    for (const win of BrowserWindow.getAllWindows()) {
+        if (win && !win.isDestroyed()) {
+            win.webContents.send(channel, data);
+        }
+    }
+}
+
 function createWindow(windowConfig = { html: 'src/windows/boilderplate/index.html' }, defaults = {}) {
     const htmlFile = windowConfig.html || 'src/windows/boilderplate/index.html';
     
@@ -164,6 +259,116 @@ function createWindow(windowConfig = { html: 'src/windows/boilderplate/index.htm
     return windowId;
 }
 
+/**
+ * Create the window of an enabled windows-config.json entry
+ * @param {object} windowConfig - Enabled entry of windows-config.json
+ * @param {object} defaults - "defaults" of windows-config.json
+ */
+function openWindow(windowConfig, defaults = {}) {
+    if (windowConfigs.has(windowConfig.id)) {
+        console.warn(`[Main] Skipping window "${windowConfig.name}": id "${windowConfig.id}" is already used by an enabled window`);
+        return;
+    }
+    const windowId = createWindow(windowConfig, defaults);
+    windowConfigs.set(windowConfig.id, { windowId: windowId, config: windowConfig });
+    console.log(`[Main] Created window "${windowConfig.name}" (ID: ${windowId}) from ${windowConfig.html}`);
+
+    const window = windows[windowId];
+
+    // Pass wheel options to wheel windows via IPC (exclude options with enabled: false)
+    if (getWindowType(windowConfig) === 'wheel' && windowConfig?.options?.wheel) {
+        window.webContents.once('did-finish-load', () => {
+            const enabledWheelOptions = getWheelOptions(windowConfig.id);
+            window.webContents.send('load-wheel-options', enabledWheelOptions);
+            console.log(`[Main] Sent ${enabledWheelOptions.length} wheel options to wheel window "${windowConfig.id}" (${windowConfig.options.wheel.length} total in config)`);
+        });
+    }
+
+    attachManagerWindow(windowConfig.id);
+}
+
+/**
+ * Close a window and drop its queue manager and rate limits (disabled in windows-config.json, or reopened)
+ * Items still queued stay in the window's journal and run when a window with this id opens again.
+ * @param {string} id - Window id from windows-config.json
+ */
+function closeWindow(id) {
+    const manager = queueManagers.get(id);
+    if (manager) {
+        manager.dispose();
+        queueManagers.delete(id);
+    }
+    rateLimiters.delete(id);
+    buttonRateLimiters.delete(id);
+    const entry = windowConfigs.get(id);
+    windowConfigs.delete(id);
+    const window = entry && windows[entry.windowId];
+    if (window && !window.isDestroyed()) {
+        window.close();
+    }
+    console.log(`[Main] Closed window "${id}"`);
+}
+
+/**
+ * Create or update the chat spin limits of a wheel from its options.rateLimits (recorded spins are kept)
+ * @param {string} wheelId - Window id of the wheel
+ */
+function configureRateLimiter(wheelId) {
+    const limiter = rateLimiters.get(wheelId) || new RateLimiter();
+    limiter.configure(windowConfigs.get(wheelId).config.options?.rateLimits);
+    rateLimiters.set(wheelId, limiter);
+}
+
+/**
+ * Register the global options.spinHotkey of every wheel (replacing the previous ones)
+ * Pressing it spins that wheel as if from its window, with the hotkey as trigger source.
+ */
+function registerSpinHotkeys() {
+    spinHotkeys.forEach((wheelId, accelerator) => globalShortcut.unregister(accelerator));
+    spinHotkeys.clear();
+
+    getWheelIds().forEach((wheelId) => {
+        const accelerator = windowConfigs.get(wheelId).config.options?.spinHotkey;
+        if (!accelerator) {
+            return;
+        }
+        if (spinHotkeys.has(accelerator)) {
+            console.warn(`[Main] Spin hotkey "${accelerator}" of wheel "${wheelId}" is already used by wheel "${spinHotkeys.get(accelerator)}"`);
+            return;
+        }
+        try {
+            const registered = globalShortcut.register(accelerator, () => {
+                const entry = windowConfigs.get(wheelId);
+                const window = entry && BrowserWindow.fromId(entry.windowId);
+                if (window && !window.isDestroyed()) {
+                    window.webContents.send('spin-wheel-hotkey');
+                }
+            });
+            if (!registered) {
+                console.warn(`[Main] Spin hotkey "${accelerator}" of wheel "${wheelId}" is taken by another application`);
+                return;
+            }
+            spinHotkeys.set(accelerator, wheelId);
+            console.log(`[Main] Registered spin hotkey "${accelerator}" for wheel "${wheelId}"`);
+        } catch (error) {
+            console.warn(`[Main] Invalid spin hotkey "${accelerator}" of wheel "${wheelId}": ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Per-button cooldown and per-queue rate limit of a button window, from its current options.rateLimits
+ * (recorded clicks are kept)
+ * @param {string} windowId - Window id of the button window
+ * @returns {RateLimiter}
+ */
+function getButtonRateLimiter(windowId) {
+    const limiter = buttonRateLimiters.get(windowId) || new RateLimiter();
+    limiter.configure(windowConfigs.get(windowId)?.config.options?.rateLimits);
+    buttonRateLimiters.set(windowId, limiter);
+    return limiter;
+}
+
 /**
  * Dynamically load and initialize queue managers based on window configuration
  * @param {object} windowsConfig - Windows configuration object
@@ -177,39 +382,108 @@ function initializeQueueManagers(ecosystemConfig, appConfigs) {
 
     ecosystemConfig.windows.forEach((windowConfig) => {
         // Only initialize queue managers for enabled windows
-        if (!windowConfig.enabled) {
+        if (windowConfig.enabled) {
+            initializeQueueManager(windowConfig, appConfigs);
+        }
+    });
+    shareQueueManagers();
+}
+
+/**
+ * Load and initialize the queue manager of one window (src/views/<type>/lifecycle-manager.js)
+ * @param {object} windowConfig - Enabled entry of windows-config.json
+ * @param {object} appConfigs - Application configurations
+ */
+function initializeQueueManager(windowConfig, appConfigs) {
+    const windowId = windowConfig.id;
+    const windowType = getWindowType(windowConfig);
+    if (queueManagers.has(windowId)) {
+        return; // Duplicate id, its window was not created either
+    }
+
+    try {
+        // Try to load the queue manager for this window type
+        const queueManagerPath = path.join(__dirname, `src/views/${windowType}/lifecycle-manager`);
+
+        // Check if the queue manager file exists
+        if (!fs.existsSync(queueManagerPath + '.js')) {
+            console.log(`[QueueManager] No queue manager found for window type: "${windowType}"`);
             return;
         }
 
-        const windowType = windowConfig.id;
+        // Dynamically require the queue manager
+        const QueueManagerClass = require(queueManagerPath);
+        console.log(`[QueueManager] Loaded queue manager for window type: "${windowType}" ("${windowId}")`);
 
-        try {
-            // Try to load the queue manager for this window type
-            const queueManagerPath = path.join(__dirname, `src/views/${windowType}/lifecycle-manager`);
+        // Initialize queue manager with window config
+        const manager = new QueueManagerClass(windowConfig);
+        manager.setApplicationConfigs(appConfigs);
+        manager.setDeadLetterStore(deadLetterStore);
 
-            // Check if the queue manager file exists
-            if (!fs.existsSync(queueManagerPath + '.js')) {
-                console.log(`[QueueManager] No queue manager found for window type: "${windowType}"`);
+        // Fulfil or refund channel point redemptions once their action has run
+        manager.on('item-status', (status) => {
+            if (status.redemption && (status.status === 'succeeded' || status.status === 'failed')) {
+                settleRedemption(status.redemption, status.status === 'succeeded');
+            }
+        });
+
+        // Announce how actions started from a spin, chat or a redemption turned out
+        manager.on('item-status', (status) => {
+            if (status.trigger && (status.status === 'succeeded' || status.status === 'failed')) {
+                chatAnnouncer.announce(status.status === 'succeeded' ? 'actionSucceeded' : 'actionFailed', {
+                    user: announcedUser(status.trigger),
+                    option: status.label,
+                    queue: status.queueName,
+                    error: status.error
+                });
+            }
+        });
+
+        // Keep spin history outcomes in sync with controller results from the queue worker
+        manager.on('item-status', (status) => {
+            if (!status.historyId || status.status === 'started' || status.status === 'retrying') {
                 return;
             }
+            const entry = spinHistory.setOutcome(status.historyId, status.status, status.error);
+            if (entry) {
+                broadcastToWindows('spin-history-updated', entry);
+            }
+        });
 
-            // Dynamically require the queue manager
-            const QueueManagerClass = require(queueManagerPath);
-            console.log(`[QueueManager] Loaded queue manager for window type: "${windowType}"`);
+        manager.startQueueWorker();
+        queueManagers.set(windowId, manager);
+        attachManagerWindow(windowId);
+        console.log(`[QueueManager] Initialized queue manager for "${windowId}"`);
+    } catch (error) {
+        console.error(`[QueueManager] Failed to initialize queue manager for "${windowId}": ${error.message}`);
+        console.error(`[QueueManager] Stack trace:`, error.stack);
+    }
+}
 
-            // Initialize queue manager with window config
-            const manager = new QueueManagerClass(windowConfig);
-            manager.setApplicationConfigs(appConfigs);
-            manager.startQueueWorker();
-            queueManagers.set(windowType, manager);
-            console.log(`[QueueManager] Initialized queue manager for "${windowType}"`);
-        } catch (error) {
-            console.error(`[QueueManager] Failed to initialize queue manager for "${windowType}": ${error.message}`);
-            console.error(`[QueueManager] Stack trace:`, error.stack);
+/**
+ * Give the managers that observe other managers' queues (e.g. the queue inspector) the current managers
+ */
+function shareQueueManagers() {
+    queueManagers.forEach((manager) => {
+        if (typeof manager.setQueueManagers === 'function') {
+            manager.setQueueManagers(queueManagers);
         }
     });
 }
 
+/**
+ * Hand a window to its manager, for managers that talk to their own window (e.g. a wheel passing on chat spins)
+ * Works in either order: the window may be created before its manager (startup) or after it (config reload).
+ * @param {string} id - Window id from windows-config.json
+ */
+function attachManagerWindow(id) {
+    const entry = windowConfigs.get(id);
+    const manager = queueManagers.get(id);
+    if (entry && manager && typeof manager.setWindow === 'function') {
+        manager.setWindow(BrowserWindow.fromId(entry.windowId));
+    }
+}
+
 function registerIpcHandlers() {
     // Helper to get window from IPC event
     const getWindowFromEvent = (event) => {
@@ -352,10 +626,140 @@ function registerIpcHandlers() {
     });
 
     // Mod integration handlers removed
+    ipcMain.handle('get-config-errors', () => getConfigErrors());
+
+    ipcMain.handle('get-profiles', () => getProfilesState());
+
+    ipcMain.handle('switch-profile', (event, name) => {
+        try {
+            return { success: true, ...switchProfile(name || null) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
     ipcMain.handle('get-auto-spin-config', () => {
         return AUTO_SPIN;
     });
 
+    // Vote mode of the wheel window asking (options.vote in windows-config.json)
+    ipcMain.handle('get-vote-config', (event) => {
+        return getVoteConfig(findWindowConfig(event.sender)?.config);
+    });
+
+    // Id, name and styling (options.style) of the wheel window asking
+    ipcMain.handle('get-wheel-config', (event) => {
+        const config = findWindowConfig(event.sender)?.config || {};
+        return { id: config.id, name: config.name, style: config.options?.style || {} };
+    });
+
+    // Wheel option editor: the asking wheel's stored options (disabled ones too) and the file they are saved to
+    const getSenderWheel = (event) => {
+        const config = findWindowConfig(event.sender)?.config;
+        if (!config || getWindowType(config) !== 'wheel') {
+            throw new Error('Only wheel windows have wheel options');
+        }
+        return config;
+    };
+    ipcMain.handle('get-editable-wheel-options', (event) => {
+        const config = getSenderWheel(event);
+        return { wheel: config.id, savedTo: getWheelOptionsFile(config), options: config.options?.wheel || [] };
+    });
+
+    // Save the editor's rows (see src/wheel-option-edits.js) and push the options to the running wheel
+    ipcMain.handle('save-wheel-options', (event, rows) => {
+        const config = getSenderWheel(event);
+        const options = applyOptionEdits(config.options?.wheel || [], rows);
+        const savedTo = saveWheelOptions(config, options);
+        applyWheelOptions();
+        return { saved: options.length, savedTo };
+    });
+
+    // Spin history queries (filters: from, to, user, option, outcome, source, limit)
+    ipcMain.handle('get-spin-history', (event, query) => {
+        return spinHistory.query(query || {});
+    });
+
+    ipcMain.handle('get-spin-history-summary', (event, query) => {
+        return spinHistory.summarize(query || {});
+    });
+
+    // Pending item counts and worker health for every queue, grouped by window id
+    ipcMain.handle('get-queue-stats', () => {
+        const stats = {};
+        queueManagers.forEach((manager, windowId) => {
+            stats[windowId] = manager.getQueueStats();
+        });
+        return stats;
+    });
+
+    // Queue control for moderator panels; source is the window id that owns the queue
+    const getQueueManager = (source) => {
+        const manager = queueManagers.get(source);
+        if (!manager) {
+            throw new Error(`No queue manager for "${source}"`);
+        }
+        return manager;
+    };
+    ipcMain.handle('pause-queue', (event, source, queueName) => getQueueManager(source).pauseQueue(queueName));
+    ipcMain.handle('resume-queue', (event, source, queueName) => getQueueManager(source).resumeQueue(queueName));
+    ipcMain.handle('clear-queue', (event, source, queueName) => getQueueManager(source).clearQueue(queueName));
+    ipcMain.handle('remove-queue-item', (event, source, queueName, itemId) => getQueueManager(source).removeQueueItem(queueName, itemId));
+    ipcMain.handle('move-queue-item', (event, source, queueName, itemId, toIndex) => getQueueManager(source).moveQueueItem(queueName, itemId, toIndex));
+    ipcMain.handle('list-queue-items', (event, source, queueName) => getQueueManager(source).listQueueItems(queueName));
+
+    // Dead-lettered queue items (failed every attempt)
+    ipcMain.handle('get-dead-letters', (event, filter) => {
+        return deadLetterStore.list(filter || {});
+    });
+
+    // Re-queue dead-lettered items (e.g. once the game window is back); all items if ids is omitted
+    ipcMain.handle('replay-dead-letters', (event, ids) => {
+        let replayed = 0;
+        queueManagers.forEach((manager) => {
+            replayed += manager.replayDeadLetters(Array.isArray(ids) ? ids : undefined);
+        });
+        const remaining = deadLetterStore.list().length;
+        console.log(`[Main] Replayed ${replayed} dead-lettered item(s), ${remaining} remaining`);
+        return { replayed, remaining };
+    });
+
+    ipcMain.handle('discard-dead-letters', (event, ids) => {
+        const removed = deadLetterStore.remove(Array.isArray(ids) ? ids : []);
+        return { discarded: removed.length };
+    });
+
+    // Viewer-submitted wheel entries, for the moderation panel
+    ipcMain.handle('get-wheel-submissions', () => {
+        return {
+            pending: wheelSubmissions.list('pending'),
+            approved: wheelSubmissions.list('approved'),
+            templates: getSubmissionTemplates()
+        };
+    });
+
+    ipcMain.handle('approve-wheel-submission', (event, id, templateKey) => {
+        const template = getSubmissionTemplates().find(candidate => candidate.key === templateKey);
+        if (!template) {
+            throw new Error(`Unknown submission template "${templateKey}"`);
+        }
+        const submission = wheelSubmissions.approve(id, template);
+        applyWheelOptions();
+        require('./src/twitch').sayInChat(`@${submission.user} "${submission.entry}" is now on the wheel`);
+        return submission;
+    });
+
+    // Rejects a pending entry or takes an approved one off the wheel
+    ipcMain.handle('remove-wheel-submission', (event, id) => {
+        const submission = wheelSubmissions.remove(id);
+        if (submission?.status === 'approved') {
+            applyWheelOptions();
+        } else if (submission) {
+            require('./src/twitch').sayInChat(`@${submission.user} "${submission.entry}" was not added to the wheel`);
+        }
+        return { removed: Boolean(submission) };
+    });
+
     ipcMain.on('minimize-window', (event) => {
         const window = getWindowFromEvent(event);
         if (window) {
@@ -393,37 +797,74 @@ function registerIpcHandlers() {
 app.on('ready', () => {
     registerIpcHandlers();
 
-    // Load saved OAuth token if available
-    const savedToken = tokenStorage.loadToken();
-    if (savedToken) {
-        console.log('[Main] Loaded saved OAuth token from secure storage');
-        process.env.TWITCH_OAUTH_TOKEN = savedToken;
-        
-        // Try to connect to Twitch with saved token if credentials are available
-        if (process.env.TWITCH_BOT_USERNAME && process.env.TWITCH_CHANNEL) {
-            try {
-                const { connectTwitch } = require('./src/twitch');
-                connectTwitch();
-            } catch (err) {
-                console.error('[Main] Failed to connect Twitch with saved token:', err);
-            }
+    // Load saved OAuth tokens if available
+    twitchAuths.forEach((twitchAuth, account) => {
+        const savedTokens = tokenStorage.load('twitch', account);
+        if (!savedTokens) {
+            return;
+        }
+        console.log(`[Main] Loaded saved Twitch ${account} token from secure storage`);
+        logRedaction.registerSecret(savedTokens.accessToken);
+        logRedaction.registerSecret(savedTokens.refreshToken);
+        twitchAuth.setTokens(savedTokens);
+        // Twitch asks for validation on start and hourly; this also refreshes expired tokens
+        twitchAuth.validate().catch((error) => console.warn(`[Main] Could not validate Twitch ${account} token: ${error.message}`));
+        twitchAuth.startValidation();
+    });
+    applyTwitchEnv();
+
+    // Try to connect to Twitch with the saved (or .env) token if credentials are available
+    if (process.env.TWITCH_OAUTH_TOKEN && process.env.TWITCH_BOT_USERNAME && process.env.TWITCH_CHANNEL) {
+        try {
+            const { connectTwitch } = require('./src/twitch');
+            connectTwitch();
+        } catch (err) {
+            console.error('[Main] Failed to connect Twitch with saved token:', err);
         }
     }
 
     // Load ecosystem configuration from exe dir if present, else fall back to __dirname
     let ecosystemConfig = loadFromExeDir('windows-config.json');
+    windowsConfigPath = findInExeDir('windows-config.json');
     if (!ecosystemConfig) {
         const ecosystemConfigPath = path.join(__dirname, 'windows-config.json');
+        windowsConfigPath = ecosystemConfigPath;
         try {
             const configContent = fs.readFileSync(ecosystemConfigPath, 'utf-8');
             ecosystemConfig = JSON.parse(configContent);
             console.log(`[Main] Loaded ecosystem configuration from app directory`);
         } catch (error) {
             console.warn(`[Main] Failed to load windows-config.json from app directory: ${error.message}. Using default.`);
+            if (fs.existsSync(ecosystemConfigPath)) {
+                reportConfigErrors(ecosystemConfigPath, [`Invalid JSON: ${error.message}`]);
+            }
             ecosystemConfig = { windows: [] };
         }
     }
 
+    const windowsConfigErrors = validateWindowsConfig(ecosystemConfig);
+    if (windowsConfigErrors.length > 0) {
+        console.error(`[Main] ${windowsConfigPath} has ${windowsConfigErrors.length} problem(s):\n  ${windowsConfigErrors.join('\n  ')}`);
+        reportConfigErrors(windowsConfigPath, windowsConfigErrors);
+    }
+    // Open what can be used of a config with problems
+    if (!ecosystemConfig || !Array.isArray(ecosystemConfig.windows)) {
+        ecosystemConfig = { windows: [] };
+    }
+    ecosystemConfig.windows = ecosystemConfig.windows.filter(windowConfig => windowConfig && typeof windowConfig === 'object');
+
+    // The active profile picks the windows, wheel options, applications and chat commands
+    windowsConfigSource = structuredClone(ecosystemConfig);
+    loadProfiles();
+    ecosystemConfig = applyProfile(ecosystemConfig, getActiveProfile());
+
+    windowsConfigSnapshot = structuredClone(ecosystemConfig);
+
+    // Wheels can keep their options in an application's wheel-options.json (options.wheelApplication)
+    ecosystemConfig.windows
+        .filter(windowConfig => windowConfig.enabled && getWindowType(windowConfig) === 'wheel')
+        .forEach(loadWheelApplicationOptions);
+
     const windowsToCreate = ecosystemConfig.windows.filter(w => w.enabled);
 
     // Generate preload.js from lifecycle manager APIs before creating windows
@@ -436,68 +877,39 @@ app.on('ready', () => {
     }
 
     // Create windows from config
-    const createdWindows = [];
     const defaults = ecosystemConfig.defaults || {};
-    windowsToCreate.forEach((windowConfig, index) => {
-        const windowId = createWindow(windowConfig, defaults);
-        createdWindows.push({ id: windowId, config: windowConfig });
-        windowConfigs.set(windowConfig.id, { windowId: windowId, config: windowConfig });
-        console.log(`[Main] Created window "${windowConfig.name}" (ID: ${windowId}) from ${windowConfig.html}`);
-
-        // Apply position offset if configured
-        const window = windows[windowId];
-
-        // Pass wheel options to wheel window via IPC (exclude options with enabled: false)
-        if (windowConfig.id === 'wheel' && windowConfig?.options?.wheel) {
-            const enabledWheelOptions = windowConfig.options.wheel.filter(opt => opt.enabled !== false);
-            window.webContents.once('did-finish-load', () => {
-                window.webContents.send('load-wheel-options', enabledWheelOptions);
-                console.log(`[Main] Sent ${enabledWheelOptions.length} wheel options to wheel window (${windowConfig.options.wheel.length} total in config)`);
-                
-                // Send connection status if token is available
-                if (savedToken || process.env.TWITCH_OAUTH_TOKEN) {
-                    window.webContents.send('twitch-status-changed', { isConnected: true });
-                    console.log(`[Main] Sent connected status to wheel window (token available)`);
-                }
-            });
-        } else if (windowConfig.id === 'wheel') {
-            // Even if no wheel options, still send connection status
-            window.webContents.once('did-finish-load', () => {
-                if (savedToken || process.env.TWITCH_OAUTH_TOKEN) {
-                    window.webContents.send('twitch-status-changed', { isConnected: true });
-                    console.log(`[Main] Sent connected status to wheel window (token available)`);
-                }
-            });
-        }
-
-    });
-
-    // Extract wheel options from config (exclude options with enabled: false)
-    const wheelWindowConfig = ecosystemConfig.windows.find(w => w.id === 'wheel');
-    const rawWheelOptions = wheelWindowConfig?.options?.wheel || [];
-    let allWheelOptions = rawWheelOptions.filter(opt => opt.enabled !== false);
+    windowsToCreate.forEach(windowConfig => openWindow(windowConfig, defaults));
+
+    // Every wheel has its own cooldowns and rate limits
+    const wheelIds = getWheelIds();
+    wheelIds.forEach(configureRateLimiter);
+    registerSpinHotkeys();
+
+    // Extract wheel options of all wheels from config (exclude options with enabled: false)
+    let allWheelOptions = wheelIds
+        .flatMap(wheelId => windowConfigs.get(wheelId).config.options?.wheel || [])
+        .filter(opt => opt.enabled !== false);
+
+    // Chat commands (the profile's commands file or commands.json next to windows-config.json; only !spin without one)
+    const twitch = require('./src/twitch');
+    twitch.setWheels(rateLimiters);
+    twitch.twitchEventEmitter.on('twitch-command', ({ user, action }) => runTwitchAction(action, { source: 'twitch', user }));
+    applyCommandsConfig(loadCommandsConfig(getActiveProfile()));
     uniqueApplications.clear(); // Clear any previous applications
 
     // Extract unique applications
     allWheelOptions.forEach(option => {
-        if (option.application) {
+        if (option.application && isApplicationEnabled(getActiveProfile(), option.application)) {
             uniqueApplications.add(option.application.toLowerCase());
         }
     });
+    getProfileApplications().forEach(appName => uniqueApplications.add(appName));
 
     console.log(`[Main] Discovered applications: ${Array.from(uniqueApplications).join(', ')}`);
     console.log(`[Main] Loaded ${allWheelOptions.length} wheel options from windows-config.json`);
 
     // Load configuration for each discovered application
-    uniqueApplications.forEach(appName => {
-        try {
-            const configLoader = new ApplicationConfigLoader(appName);
-            applicationConfigs[appName] = configLoader.loadAll();
-            console.log(`[Main] Loaded configuration for application: ${appName}`);
-        } catch (error) {
-            console.warn(`[Main] Failed to load config for ${appName}: ${error.message}`);
-        }
-    });
+    uniqueApplications.forEach(loadApplicationConfig);
 
     console.log(`[Main] Loaded configuration for ${uniqueApplications.size} application(s): ${Array.from(uniqueApplications).join(', ')}`);
     console.log(`[Main] Total wheel options: ${allWheelOptions.length}`);
@@ -566,6 +978,7 @@ app.on('ready', () => {
 
     // Initialize queue managers based on window configuration
     initializeQueueManagers(ecosystemConfig, applicationConfigs);
+    applyWheelOptions();
 
     // Regenerate preload.js after all lifecycle managers are initialized
     // This ensures we capture any APIs that require full initialization
@@ -583,6 +996,15 @@ app.on('ready', () => {
         console.log(`[Main] ${spinStatus} (configurable via AUTO_SPIN environment variable)`);
     }
 
+    // Channel point redemptions and cheers (needs the token loaded above)
+    startEventSub();
+
+    // Apply later edits to windows-config.json, profiles.json and the applications' config files
+    startConfigWatcher();
+
+    // Profiles can be switched from the tray menu
+    createTray();
+
     // Clear log files and event queue on startup
     clearStartupQueues();
 });
@@ -602,92 +1024,1129 @@ function clearStartupQueues() {
 }
 
 app.on('window-all-closed', () => {
+    if (windowConfigs.size === 0) {
+        // Every window was disabled in windows-config.json or the profile; keep running so they can be enabled again
+        console.log('[Main] No windows enabled in windows-config.json or the active profile, waiting for changes');
+        return;
+    }
     if (process.platform !== 'darwin') {
-        // Stop all queue workers before quitting
-        queueManagers.forEach((manager, windowType) => {
-            if (manager && manager.stopQueueWorkers) {
-                console.log(`[Main] Stopping queue workers for "${windowType}"`);
-                manager.stopQueueWorkers();
-            }
-        });
-        queueManagers.clear();
-        app.quit();
+        quit();
     }
 });
 
+/**
+ * Stop watchers, queue workers and Twitch connections, then quit
+ */
+function quit() {
+    configWatcher.close();
+    globalShortcut.unregisterAll();
+    // Stop all queue workers before quitting
+    queueManagers.forEach((manager, windowId) => {
+        if (manager && manager.stopQueueWorkers) {
+            console.log(`[Main] Stopping queue workers for "${windowId}"`);
+            manager.stopQueueWorkers();
+        }
+    });
+    queueManagers.clear();
+    if (eventSub) {
+        eventSub.disconnect();
+    }
+    twitchAuths.forEach(twitchAuth => twitchAuth.stop());
+    oauthCallbackServer.stop();
+    if (tray) {
+        tray.destroy();
+        tray = null;
+    }
+    app.quit();
+}
+
 app.on('activate', () => {
 
 });
 
-// Expose Twitch credentials to renderer
+// Expose Twitch credentials to renderer (the client secret stays in the main process)
 ipcMain.handle('get-twitch-credentials', () => {
     return {
-        clientId: process.env.TWITCH_CLIENT_ID,
-        clientSecret: process.env.TWITCH_CLIENT_SECRET
+        clientId: process.env.TWITCH_CLIENT_ID
     };
 });
 
-// IPC Handlers
-ipcMain.on('spin-wheel', (event, wheelResult) => {
+/**
+ * Point chat and EventSub at the stored Twitch tokens
+ * Chat (src/twitch.js reads TWITCH_OAUTH_TOKEN / TWITCH_BOT_USERNAME) uses the bot account when it is
+ * connected, else the broadcaster; a token from .env is kept when nothing is stored.
+ * @returns {string|null} The chat token from storage
+ */
+function applyTwitchEnv() {
+    const chatTokens = [twitchAuths.get('bot').tokens, twitchAuths.get('broadcaster').tokens]
+        .find(tokens => tokens && tokens.accessToken);
+    if (!chatTokens) {
+        return null;
+    }
+    process.env.TWITCH_OAUTH_TOKEN = chatTokens.accessToken;
+    if (chatTokens.login) {
+        process.env.TWITCH_BOT_USERNAME = chatTokens.login;
+    }
+    return chatTokens.accessToken;
+}
+
+/**
+ * Token for EventSub: channel points and bits need the broadcaster's own token
+ * @returns {string|undefined}
+ */
+function getEventSubToken() {
+    const broadcasterToken = twitchAuths.get('broadcaster').getAccessToken();
+    if (broadcasterToken) {
+        return broadcasterToken;
+    }
+    // Without stored logins, a token from .env is the broadcaster's
+    return twitchAuths.get('bot').tokens ? undefined : process.env.TWITCH_OAUTH_TOKEN;
+}
+
+/**
+ * Connect chat and EventSub with the current tokens (after a login)
+ */
+function useTwitchTokens() {
+    applyTwitchEnv();
     try {
-        console.log('Wheel spun! Result:', wheelResult);
+        const { connectTwitch } = require('./src/twitch');
+        connectTwitch();
+    } catch (err) {
+        console.error('[OAuth] Failed to connect Twitch after receiving token:', err);
+    }
+    startEventSub();
+    broadcastToWindows('connections-updated', getConnections());
+}
 
-        // Create queue name from application and controller
-        const application = wheelResult.application || 'Notepad';
-        // Normalize controller name to lowercase for consistency
-        const controller = (wheelResult.controller || 'pythonkeys').toLowerCase();
-        const queueName = `${application}-${controller}`;
-        
-        // Normalize controller name in wheelResult for worker
-        wheelResult.controller = controller;
+/**
+ * Connections for the OAuth Connections window: the Twitch accounts (connected or not) plus any other
+ * stored provider accounts. Never includes the tokens.
+ * @returns {Array<{provider: string, account: string, label: string, connected: boolean, login: string|null, scopes: Array<string>, missingScopes: Array<string>, expiresAt: number|null, reauthRequired: string|null, canConnect: boolean}>}
+ */
+function getConnections() {
+    const connections = Array.from(twitchAuths.entries()).map(([account, twitchAuth]) => {
+        const tokens = twitchAuth.tokens;
+        const reauthRequired = twitchReauthReasons.get(account) || null;
+        return {
+            provider: 'twitch',
+            account,
+            label: TWITCH_ACCOUNTS[account].label,
+            connected: Boolean(tokens && tokens.login) && !reauthRequired,
+            login: tokens?.login || null,
+            scopes: tokens?.scopes || [],
+            missingScopes: tokens ? twitchAuth.getMissingScopes() : twitchAuth.scopes,
+            expiresAt: tokens?.expiresAt || null,
+            reauthRequired,
+            canConnect: true
+        };
+    });
+    tokenStorage.list()
+        .filter(stored => stored.provider !== 'twitch')
+        .forEach(stored => connections.push({
+            ...stored,
+            label: `${stored.provider} ${stored.account}`,
+            connected: true,
+            missingScopes: [],
+            reauthRequired: null,
+            canConnect: false
+        }));
+    return connections;
+}
 
-        // Get the wheel queue manager
-        const wheelQueueManager = queueManagers.get('wheel');
-        if (wheelQueueManager) {
-            wheelQueueManager.addToQueue(queueName, wheelResult);
-        } else {
-            console.error('Wheel queue manager not initialized');
-        }
+ipcMain.handle('get-connections', () => getConnections());
 
-        // Broadcast back to renderer immediately
-        const window = BrowserWindow.fromWebContents(event.sender);
-        if (window && window.webContents) {
-            window.webContents.send('spin-result', wheelResult.name || wheelResult);
-        }
+// Chat connection state (changes are broadcast as 'twitch-status-changed' by src/twitch.js)
+ipcMain.handle('get-twitch-status', () => require('./src/twitch').getTwitchStatus());
+
+// Start a login: authorization code flow with PKCE (see src/twitch-auth.js) in the system browser
+ipcMain.handle('start-connection', async (event, provider, account) => {
+    const twitchAuth = provider === 'twitch' ? twitchAuths.get(account) : null;
+    if (!twitchAuth) {
+        return { started: false, message: `Connecting ${provider} ${account} is not supported` };
+    }
+    if (!twitchAuth.clientId) {
+        return { started: false, message: 'TWITCH_CLIENT_ID is not set in .env' };
+    }
+    try {
+        const redirectUri = await oauthCallbackServer.start();
+        const { url } = twitchAuth.createAuthorizationUrl({ redirectUri });
+        await shell.openExternal(url);
+        return { started: true };
     } catch (error) {
-        console.error('Error handling spin-wheel:', error);
+        console.error(`[OAuth] Could not start the ${account} login:`, error.message);
+        return { started: false, message: error.message };
     }
 });
 
-ipcMain.on('button-click', (event, clickData) => {
-    try {
-        console.log('Button clicked! Data:', clickData);
+/**
+ * Handle the redirect from Twitch (?code=...&state=... or ?error=...)
+ * The state picks the account whose login it completes.
+ * @param {object} query - Query parameters of the redirect
+ * @returns {Promise<{status?: number, title: string, message: string}>} Page shown in the browser
+ */
+async function handleOAuthCallback(query) {
+    const account = Array.from(twitchAuths.keys()).find(key => twitchAuths.get(key).hasPendingLogin(query.state));
+    if (!account) {
+        return { status: 400, title: 'Twitch OAuth Failed', message: 'Unknown or expired login; start the connection again.' };
+    }
+    const twitchAuth = twitchAuths.get(account);
+    if (query.error) {
+        twitchAuth.cancelLogin(query.state);
+        console.warn(`[OAuth] Login denied: ${query.error_description || query.error}`);
+        return { status: 400, title: 'Twitch OAuth Failed', message: query.error_description || query.error };
+    }
+    try {
+        const tokens = await twitchAuth.exchangeCode({ code: query.code, state: query.state });
+        console.log(`[OAuth] Connected ${account} account as ${tokens.login} (scopes: ${tokens.scopes.join(', ')})`);
+        twitchAuth.startValidation();
+        useTwitchTokens();
+        return { title: 'Twitch OAuth Complete', message: `Connected as ${tokens.login}. You may now close this window.` };
+    } catch (error) {
+        console.error('[OAuth] Login failed:', error.message);
+        return { status: 400, title: 'Twitch OAuth Failed', message: error.message };
+    }
+}
 
-        // Find which window sent this event by matching webContents ID
-        const sendingWebContents = event.sender;
-        let windowType = null;
-
-        for (const [winType, queueMgr] of queueManagers.entries()) {
-            // queueManagers are keyed by windowType, check if any active window matches
-            const windowConfig = windowConfigs.get(winType);
-            if (windowConfig && windowConfig.windowId) {
-                const win = BrowserWindow.fromId(windowConfig.windowId);
-                if (win && win.webContents === sendingWebContents) {
-                    windowType = winType;
-                    break;
-                }
+ipcMain.handle('get-token-storage-info', () => tokenStorage.getEncryptionInfo());
+
+ipcMain.handle('remove-connection', async (event, provider, account) => {
+    const twitchAuth = provider === 'twitch' ? twitchAuths.get(account) : null;
+    if (twitchAuth) {
+        await twitchAuth.logout();
+        twitchReauthReasons.delete(account);
+    }
+    tokenStorage.remove(provider, account);
+    if (twitchAuth) {
+        console.log(`[Main] Disconnected Twitch ${account} account`);
+        const twitch = require('./src/twitch');
+        twitch.disconnectTwitch();
+        if (applyTwitchEnv()) {
+            twitch.connectTwitch(); // Chat falls back to the other account
+        } else {
+            delete process.env.TWITCH_OAUTH_TOKEN;
+        }
+        if (account === 'broadcaster') {
+            startEventSub();
+        }
+    }
+    broadcastToWindows('connections-updated', getConnections());
+    return getConnections();
+});
+
+/**
+ * Queue a wheel result (a spin, or an option picked by a chat command) through the wheel's
+ * per-option cooldown and per-queue rate limit, recording it in the spin history either way
+ * @param {object} wheelResult - Wheel option plus trigger and spinSeed
+ * @param {string} wheelId - Window id of the wheel whose queue manager runs the action
+ * @returns {{allowed: boolean, reason?: string, message?: string, retryAfterMs?: number}} Rate limiter verdict
+ */
+function queueWheelResult(wheelResult, wheelId) {
+    // Create queue name from application and controller
+    const application = wheelResult.application || 'Notepad';
+    // Normalize controller name to lowercase for consistency
+    const controller = (wheelResult.controller || 'pythonkeys').toLowerCase();
+    const queueName = `${application}-${controller}`;
+
+    // Normalize controller name in wheelResult for worker
+    wheelResult.controller = controller;
+
+    // Get the wheel queue manager
+    const wheelQueueManager = queueManagers.get(wheelId);
+
+    // Per-option cooldown and per-queue rate limit
+    const rateLimiter = rateLimiters.get(wheelId);
+    const verdict = rateLimiter
+        ? rateLimiter.tryQueueItem({ option: wheelResult.name, cooldown: wheelResult.cooldown, queueName })
+        : { allowed: true };
+    let outcome = 'queued';
+    let outcomeError;
+    if (!verdict.allowed) {
+        outcome = 'rejected';
+        outcomeError = verdict.message;
+    } else if (!wheelQueueManager) {
+        outcome = 'failed';
+        outcomeError = `Queue manager of wheel "${wheelId}" not initialized`;
+    }
+
+    // Record the spin in the history before it is queued so the worker item can reference it
+    const historyEntry = spinHistory.recordSpin({
+        wheel: wheelId,
+        trigger: wheelResult.trigger,
+        option: wheelResult.name,
+        command: wheelResult.command,
+        application: application,
+        controller: controller,
+        queueName: queueName,
+        spinSeed: wheelResult.spinSeed,
+        outcome: outcome,
+        error: outcomeError
+    });
+    wheelResult.historyId = historyEntry.id;
+
+    if (!verdict.allowed) {
+        console.log(`[Main] Wheel result "${wheelResult.name}" rejected: ${verdict.message}`);
+    } else if (wheelQueueManager) {
+        wheelQueueManager.addToQueue(queueName, wheelResult);
+    } else {
+        console.error(`[Main] Queue manager of wheel "${wheelId}" not initialized`);
+    }
+    // Nothing will run, so refund a paid spin/option right away
+    if (outcome !== 'queued' && wheelResult.trigger?.redemption) {
+        settleRedemption(wheelResult.trigger.redemption, false);
+    }
+    broadcastToWindows('spin-history-updated', historyEntry);
+    return verdict;
+}
+
+/**
+ * Queue a button click (a sticky button, or a button run by a chat command, reward or cheer) through
+ * the window's per-button cooldown and per-queue rate limit
+ * @param {string} windowId - Window id whose queue manager runs the button
+ * @param {string} buttonId - Button id from the window's options.buttons
+ * @param {{trigger?: object, timestamp: number}} clickData - Passed on to handleButtonClick
+ * @returns {{allowed: boolean, reason?: string, message?: string, retryAfterMs?: number}} Rate limiter verdict
+ */
+function queueButtonClick(windowId, buttonId, clickData) {
+    const manager = queueManagers.get(windowId);
+    const button = (manager.buttonOptions || []).find(option => option.id === buttonId);
+    // Same queue name as the managers' handleButtonClick
+    const queueName = `${buttonId}-${button?.controller || 'pythonkeys'}`;
+    const verdict = getButtonRateLimiter(windowId).tryQueueItem({ option: buttonId, cooldown: button?.cooldown, queueName });
+    if (!verdict.allowed) {
+        console.log(`[Main] Button "${buttonId}" of "${windowId}" rejected: ${verdict.message}`);
+        reportQueueRejection({ name: buttonId, trigger: clickData.trigger }, verdict, windowId);
+        return verdict;
+    }
+    manager.handleButtonClick(buttonId, clickData);
+    return verdict;
+}
+
+/**
+ * Tell the windows (and the viewer, for chat triggers) why a wheel result or button click was not queued
+ * @param {{name: string, trigger?: object}} wheelResult - The rejected wheel result, or the button id as `name`
+ * @param {{reason: string, message: string, retryAfterMs: number}} verdict - Rate limiter verdict
+ * @param {string} wheelId - Window id of the wheel or button window (sent as `wheel`)
+ */
+function reportQueueRejection(wheelResult, verdict, wheelId) {
+    broadcastToWindows('spin-rejected', {
+        wheel: wheelId,
+        reason: verdict.reason,
+        message: verdict.message,
+        retryAfterMs: verdict.retryAfterMs,
+        trigger: wheelResult.trigger,
+        option: wheelResult.name
+    });
+    if (wheelResult.trigger?.user) {
+        require('./src/twitch').sayInChat(`@${wheelResult.trigger.user} ${verdict.message}`);
+    }
+}
+
+/**
+ * Normalize a wheel window's vote mode settings
+ * @param {object} [windowConfig] - Wheel entry of windows-config.json
+ * @returns {{enabled: boolean, choices: number, durationMs: number}}
+ */
+function getVoteConfig(windowConfig) {
+    const vote = windowConfig?.options?.vote || {};
+    const choices = Number.isInteger(vote.choices) ? vote.choices : 3;
+    return {
+        enabled: vote.enabled === true,
+        choices: Math.min(Math.max(choices, 2), 10),
+        durationMs: parseDuration(vote.duration) || 30000
+    };
+}
+
+/**
+ * Who to name in a chat announcement: the viewer, or the channel for spins started in the app
+ * @param {{source?: string, user?: string}} [trigger]
+ * @returns {string}
+ */
+function announcedUser(trigger = {}) {
+    return trigger.user || process.env.TWITCH_CHANNEL || trigger.source || 'streamer';
+}
+
+/**
+ * Run a Twitch action from a chat command, channel point redemption or cheer
+ * Chat spins and replies are handled in src/twitch.js; everything else comes through here.
+ * @param {object} action - { type: 'spin'|'option'|'button'|'reply', ... } with placeholders filled in
+ * @param {{source: string, user: string, redemption?: object}} trigger - Stored with the queued item
+ * @returns {'queued'|'done'|'failed'} 'queued' when the outcome of a queue item will settle the redemption
+ */
+function runTwitchAction(action, trigger) {
+    const { sayInChat, sendSpinToWheel } = require('./src/twitch');
+
+    if (action.type === 'reply') {
+        sayInChat(action.text);
+        return 'done';
+    }
+    if (action.type === 'spin') {
+        const sent = sendSpinToWheel({
+            user: trigger.user,
+            wheel: action.wheel,
+            source: trigger.source,
+            redemption: trigger.redemption,
+            timestamp: new Date()
+        });
+        return sent ? 'queued' : 'failed';
+    }
+    if (action.type === 'option') {
+        const wheelId = resolveWheelId(action.wheel);
+        const wheelQueueManager = queueManagers.get(wheelId);
+        const wanted = String(action.option).toLowerCase();
+        const option = wheelQueueManager?.wheelOptions?.find(opt => (opt.name || '').toLowerCase() === wanted);
+        if (!option) {
+            sayInChat(`@${trigger.user} Unknown option "${action.option}"`);
+            return 'failed';
+        }
+        const wheelResult = { ...option, trigger };
+        const verdict = queueWheelResult(wheelResult, wheelId);
+        if (!verdict.allowed) {
+            reportQueueRejection(wheelResult, verdict, wheelId);
+        }
+        return 'queued';
+    }
+    if (action.type === 'submit') {
+        if (getSubmissionTemplates().length === 0) {
+            sayInChat(`@${trigger.user} Wheel entries are not open`);
+            return 'failed';
+        }
+        const names = (queueManagers.get(submissionsWheelId)?.wheelOptions || []).map(opt => opt.name);
+        const result = wheelSubmissions.submit({ entry: action.entry, user: trigger.user }, names);
+        sayInChat(`@${trigger.user} ${result.message}`);
+        return result.accepted ? 'done' : 'failed';
+    }
+    if (action.type === 'button') {
+        const manager = queueManagers.get(action.window);
+        const known = manager && (!manager.buttonOptions || manager.buttonOptions.some(button => button.id === action.buttonId));
+        if (!manager || typeof manager.handleButtonClick !== 'function' || !known) {
+            console.warn(`[Main] No button "${action.buttonId}" in window "${action.window}"`);
+            sayInChat(`@${trigger.user} Unknown button "${action.buttonId}"`);
+            return 'failed';
+        }
+        // A rejected click runs nothing, so a paid one is refunded by the caller
+        const verdict = queueButtonClick(action.window, action.buttonId, { trigger, timestamp: Date.now() });
+        return verdict.allowed ? 'queued' : 'failed';
+    }
+    console.warn(`[Main] Unsupported Twitch action type "${action.type}"`);
+    return 'failed';
+}
+
+/**
+ * Submission templates from every loaded application's wheel-options.json
+ * @returns {Array<object>} Templates with a `key` of "<application>:<id>"
+ */
+function getSubmissionTemplates() {
+    const templates = [];
+    Object.entries(applicationConfigs).forEach(([appName, config]) => {
+        (config.submissionTemplates || []).forEach((template, index) => {
+            const id = template.id || String(index + 1);
+            templates.push({
+                ...template,
+                key: `${appName}:${id}`,
+                label: template.label || id,
+                application: template.application || appName
+            });
+        });
+    });
+    return templates;
+}
+
+/**
+ * Enabled options of a wheel: its configured options, plus approved submissions on the submissions wheel
+ * @param {string} wheelId - Window id of the wheel
+ * @returns {Array<object>}
+ */
+function getWheelOptions(wheelId) {
+    const configured = windowConfigs.get(wheelId)?.config?.options?.wheel || [];
+    const submitted = wheelId === submissionsWheelId ? wheelSubmissions.getApprovedOptions() : [];
+    // Options of applications the active profile leaves out are not on the wheel
+    return [...configured, ...submitted]
+        .filter(opt => opt.enabled !== false && isApplicationEnabled(getActiveProfile(), opt.application));
+}
+
+/**
+ * Application config loader for a wheel that keeps its options in wheel-options.json
+ * @param {object} windowConfig - Wheel entry of windows-config.json
+ * @returns {ApplicationConfigLoader|null} null for wheels with options in windows-config.json
+ */
+function getWheelApplicationLoader(windowConfig) {
+    const appName = windowConfig.options?.wheelApplication;
+    return appName ? new ApplicationConfigLoader(String(appName).toLowerCase()) : null;
+}
+
+/**
+ * Replace options.wheel of a wheel entry with its application's wheel-options.json, if it names one
+ * @param {object} windowConfig - Wheel entry of windows-config.json
+ */
+function loadWheelApplicationOptions(windowConfig) {
+    const loader = getWheelApplicationLoader(windowConfig);
+    if (loader) {
+        windowConfig.options.wheel = loader.loadWheelOptions();
+        reportApplicationConfigErrors(loader);
+        console.log(`[Main] Wheel "${windowConfig.id}" uses the options of application "${loader.applicationName}"`);
+    }
+}
+
+/**
+ * File a wheel's options are loaded from and saved to
+ * @param {object} windowConfig - Wheel entry of windows-config.json
+ * @returns {string}
+ */
+function getWheelOptionsFile(windowConfig) {
+    const loader = getWheelApplicationLoader(windowConfig);
+    if (loader) {
+        return path.join(loader.configDir, 'wheel-options.json');
+    }
+    return getProfileWheel(windowConfig.id) ? profilesPath : windowsConfigPath;
+}
+
+/**
+ * Save a wheel's options to the file they are loaded from and use them from now on
+ * @param {object} windowConfig - Wheel entry of windows-config.json
+ * @param {Array<object>} options - All options, including disabled ones
+ * @returns {string} Path of the written file
+ */
+function saveWheelOptions(windowConfig, options) {
+    const loader = getWheelApplicationLoader(windowConfig);
+    let filePath;
+    if (loader) {
+        filePath = loader.saveWheelOptions(options);
+        if (applicationConfigs[loader.applicationName]) {
+            applicationConfigs[loader.applicationName].wheelOptions = options;
+        }
+    } else if (getProfileWheel(windowConfig.id)) {
+        // The active profile gives this wheel its options
+        filePath = profilesPath;
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        const profile = getProfile(data, activeProfileName);
+        if (!profile || !profile.wheels || !profile.wheels[windowConfig.id]) {
+            throw new Error(`Profile "${activeProfileName}" has no options for wheel "${windowConfig.id}" in ${filePath}`);
+        }
+        profile.wheels[windowConfig.id].wheel = options;
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 4), 'utf-8');
+        profilesConfig = data;
+        const applied = getEnabledWindows(windowsConfigSnapshot).get(windowConfig.id);
+        if (applied) {
+            applied.options = { ...applied.options, wheel: structuredClone(options) };
+        }
+    } else {
+        filePath = windowsConfigPath;
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        // Entries keep their index when the active profile is applied
+        const index = applyProfile(data, getActiveProfile()).windows
+            .findIndex(candidate => candidate.id === windowConfig.id && candidate.enabled);
+        if (index === -1) {
+            throw new Error(`Wheel "${windowConfig.id}" is not enabled in ${filePath}`);
+        }
+        const entry = data.windows[index];
+        entry.options = { ...entry.options, wheel: options };
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 4), 'utf-8');
+        windowsConfigSource = data;
+        const applied = getEnabledWindows(windowsConfigSnapshot).get(windowConfig.id);
+        if (applied) {
+            applied.options = { ...applied.options, wheel: structuredClone(options) };
+        }
+    }
+    // Already applied below, the config watcher does not need to report this write
+    configWatcher.refresh(filePath);
+    windowConfig.options.wheel = options;
+    console.log(`[Main] Saved ${options.length} option(s) of wheel "${windowConfig.id}" to ${filePath}`);
+    return filePath;
+}
+
+/**
+ * Give every wheel queue manager and wheel window their options (see getWheelOptions)
+ */
+function applyWheelOptions() {
+    getWheelIds().forEach((wheelId) => {
+        const options = getWheelOptions(wheelId);
+        const manager = queueManagers.get(wheelId);
+        if (manager && typeof manager.setWheelOptions === 'function') {
+            manager.setWheelOptions(options);
+        }
+        const window = BrowserWindow.fromId(windowConfigs.get(wheelId).windowId);
+        if (window && !window.isDestroyed()) {
+            window.webContents.send('wheel-options-updated', options);
+        }
+    });
+}
+
+/**
+ * Load an application's wheel-options.json and controller-options.json into applicationConfigs
+ * @param {string} appName - Lower-case application name (folder in src/applications)
+ */
+function loadApplicationConfig(appName) {
+    try {
+        const configLoader = new ApplicationConfigLoader(appName);
+        applicationConfigs[appName] = configLoader.loadAll();
+        reportApplicationConfigErrors(configLoader);
+        console.log(`[Main] Loaded configuration for application: ${appName}`);
+    } catch (error) {
+        console.warn(`[Main] Failed to load config for ${appName}: ${error.message}`);
+    }
+}
+
+/**
+ * Record the problems found in a config file and show them in every window
+ * @param {string} file - Path of the config file
+ * @param {Array<string>} errors - Problems found; none clears the file's notification
+ * @param {boolean} [ignored] - Whether the file was edited while the app runs and the edit was not applied
+ */
+function reportConfigErrors(file, errors, ignored = false) {
+    const key = path.resolve(file);
+    if (errors.length > 0) {
+        configErrors.set(key, { errors, ignored });
+    } else if (!configErrors.delete(key)) {
+        return;
+    }
+    broadcastToWindows('config-errors-changed', getConfigErrors());
+}
+
+/**
+ * Config files with problems, for the overlay notification
+ * @returns {Array<{file: string, errors: Array<string>, ignored: boolean}>}
+ */
+function getConfigErrors() {
+    return Array.from(configErrors, ([file, { errors, ignored }]) => ({ file, errors, ignored }));
+}
+
+/**
+ * Report the problems an application config loader found in the application's files (and clear fixed ones)
+ * @param {ApplicationConfigLoader} loader - Loader that just loaded the files
+ */
+function reportApplicationConfigErrors(loader) {
+    ['wheel-options.json', 'controller-options.json'].forEach((fileName) => {
+        const file = path.join(loader.configDir, fileName);
+        const found = loader.errors.find(entry => entry.file === file);
+        reportConfigErrors(file, found ? found.errors : []);
+    });
+}
+
+/**
+ * Follow edits to windows-config.json and the config files of every application in use
+ */
+function startConfigWatcher() {
+    configWatcher.on('changed', ({ file, data }) => {
+        reportConfigErrors(file, []);
+        if (file === path.resolve(windowsConfigPath)) {
+            windowsConfigSource = data;
+            applyWindowsConfig(applyProfile(data, getActiveProfile()));
+            // Profiles may name windows that were just removed
+            if (listProfiles(profilesConfig).length > 0) {
+                reportConfigErrors(profilesPath, validateProfiles(profilesConfig, data));
             }
+        } else if (file === path.resolve(profilesPath)) {
+            applyProfilesConfig(data);
+        } else if (watchedApplications.has(path.dirname(file))) {
+            applyApplicationConfig(watchedApplications.get(path.dirname(file)));
         }
+    });
+    configWatcher.on('invalid', ({ file, errors }) => {
+        console.error(`[Main] Ignoring the changes to ${file}, keeping the current config:\n  ${errors.join('\n  ')}`);
+        reportConfigErrors(file, errors, true);
+    });
+    configWatcher.watch(windowsConfigPath, validateWindowsConfig);
+    configWatcher.watch(profilesPath, data => validateProfiles(data, windowsConfigSource));
+    watchApplicationConfigs();
+}
 
-        if (windowType) {
-            const queueManager = queueManagers.get(windowType);
+/**
+ * Watch the config files of the loaded applications and of wheels with options.wheelApplication
+ */
+function watchApplicationConfigs() {
+    const appNames = new Set(Object.keys(applicationConfigs));
+    windowConfigs.forEach(({ config }) => {
+        const loader = getWheelApplicationLoader(config);
+        if (loader) {
+            appNames.add(loader.applicationName);
+        }
+    });
+    appNames.forEach((appName) => {
+        const loader = new ApplicationConfigLoader(appName);
+        if (watchedApplications.has(loader.configDir)) {
+            return;
+        }
+        watchedApplications.set(loader.configDir, appName);
+        ['wheel-options.json', 'controller-options.json'].forEach((fileName) => {
+            configWatcher.watch(path.join(loader.configDir, fileName), data => ApplicationConfigLoader.validateConfigFile(fileName, data));
+        });
+    });
+}
+
+/**
+ * Apply an edited windows-config.json: open new windows, close removed ones, reopen changed ones
+ * and update wheels whose options or rate limits changed in place
+ * @param {object} next - Parsed windows-config.json that passed validateWindowsConfig
+ */
+function applyWindowsConfig(next) {
+    const diff = diffWindowConfigs(windowsConfigSnapshot, next);
+    windowsConfigSnapshot = structuredClone(next);
+    const summary = Object.entries(diff)
+        .filter(([, list]) => list.length > 0)
+        .map(([change, list]) => `${change} ${list.map(item => item.id || item).join(', ')}`);
+    if (summary.length === 0) {
+        console.log('[Main] windows-config.json changed, no windows affected');
+        return;
+    }
+    console.log(`[Main] Applying windows-config.json: ${summary.join('; ')}`);
+
+    [...diff.closed, ...diff.reopened.map(windowConfig => windowConfig.id)].forEach(closeWindow);
+
+    // Wheels that only changed their options keep their window and queue manager
+    diff.updated.forEach((windowConfig) => {
+        const entry = windowConfigs.get(windowConfig.id);
+        if (entry) {
+            entry.config.options = structuredClone(windowConfig.options || {});
+            loadWheelApplicationOptions(entry.config);
+        }
+    });
+
+    const windowsToOpen = [...diff.opened, ...diff.reopened].map(windowConfig => structuredClone(windowConfig));
+    windowsToOpen.filter(windowConfig => getWindowType(windowConfig) === 'wheel').forEach(loadWheelApplicationOptions);
+
+    // Applications that only the new wheel options use
+    windowsToOpen
+        .flatMap(windowConfig => getWindowType(windowConfig) === 'wheel' ? windowConfig.options?.wheel || [] : [])
+        .filter(option => isApplicationEnabled(getActiveProfile(), option.application))
+        .map(option => option.application && option.application.toLowerCase())
+        .filter(appName => appName && !applicationConfigs[appName])
+        .forEach((appName) => {
+            uniqueApplications.add(appName);
+            loadApplicationConfig(appName);
+        });
+
+    // Managers before windows, so preload.js has the APIs of new window types when their windows load
+    windowsToOpen.forEach(windowConfig => initializeQueueManager(windowConfig, applicationConfigs));
+    if (diff.opened.length > 0 || diff.closed.length > 0 || diff.reopened.length > 0) {
+        shareQueueManagers();
+        try {
+            generatePreload(queueManagers, path.join(__dirname, 'preload.js'));
+        } catch (error) {
+            console.error('[Main] Failed to regenerate preload.js:', error);
+        }
+    }
+    const defaults = next.defaults || {};
+    windowsToOpen.forEach(windowConfig => openWindow(windowConfig, defaults));
+
+    // Reopened windows keep their windows-config.json order (the first wheel is the default wheel)
+    const order = Array.from(getEnabledWindows(next).keys());
+    const reordered = Array.from(windowConfigs).sort(([a], [b]) => order.indexOf(a) - order.indexOf(b));
+    windowConfigs.clear();
+    reordered.forEach(([id, entry]) => windowConfigs.set(id, entry));
+    const wheelIds = getWheelIds();
+    const limiters = new Map(rateLimiters);
+    rateLimiters.clear();
+    wheelIds.forEach((wheelId) => {
+        if (limiters.has(wheelId)) {
+            rateLimiters.set(wheelId, limiters.get(wheelId));
+        }
+        configureRateLimiter(wheelId);
+    });
+    registerSpinHotkeys();
+
+    submissionsWheelId = resolveWheelId(commandsConfig?.submissions?.wheel);
+    watchApplicationConfigs();
+    applyWheelOptions();
+}
+
+/**
+ * Reload an application's config files after they were edited
+ * Queue workers get the new controller options; wheels with this options.wheelApplication get the new options.
+ * @param {string} appName - Lower-case application name
+ */
+function applyApplicationConfig(appName) {
+    console.log(`[Main] Config of application "${appName}" changed, reloading`);
+    loadApplicationConfig(appName);
+    queueManagers.forEach(manager => manager.setApplicationConfigs(applicationConfigs));
+    windowConfigs.forEach(({ config }) => {
+        const loader = getWheelApplicationLoader(config);
+        if (loader && loader.applicationName === appName) {
+            loadWheelApplicationOptions(config);
+        }
+    });
+    applyWheelOptions();
+}
+
+/**
+ * The profile in use
+ * @returns {object|null} null when windows-config.json is used as it is
+ */
+function getActiveProfile() {
+    return getProfile(profilesConfig, activeProfileName);
+}
+
+/**
+ * Applications the active profile enables (lower case)
+ * @returns {Array<string>}
+ */
+function getProfileApplications() {
+    const profile = getActiveProfile();
+    return profile && Array.isArray(profile.applications) ? profile.applications.map(appName => appName.toLowerCase()) : [];
+}
+
+/**
+ * Options the active profile gives a wheel itself (its `wheels.<id>.wheel`), if any
+ * @param {string} wheelId - Window id of the wheel
+ * @returns {object|null}
+ */
+function getProfileWheel(wheelId) {
+    const wheel = getActiveProfile()?.wheels?.[wheelId];
+    return wheel && Array.isArray(wheel.wheel) && !wheel.wheelApplication ? wheel : null;
+}
+
+/**
+ * Load profiles.json (next to windows-config.json) and take its "active" profile
+ * Without the file, windows-config.json is used as it is.
+ */
+function loadProfiles() {
+    profilesPath = findInExeDir('profiles.json') || path.join(path.dirname(windowsConfigPath), 'profiles.json');
+    if (!fs.existsSync(profilesPath)) {
+        return;
+    }
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(profilesPath, 'utf-8'));
+    } catch (error) {
+        console.error(`[Main] ${profilesPath} is not valid JSON, not using profiles: ${error.message}`);
+        reportConfigErrors(profilesPath, [`Invalid JSON: ${error.message}`]);
+        return;
+    }
+    const errors = validateProfiles(data, windowsConfigSource);
+    if (errors.length > 0) {
+        console.error(`[Main] ${profilesPath} has ${errors.length} problem(s):\n  ${errors.join('\n  ')}`);
+        reportConfigErrors(profilesPath, errors);
+    }
+    if (!data || typeof data.profiles !== 'object' || Array.isArray(data.profiles)) {
+        return;
+    }
+    profilesConfig = data;
+    activeProfileName = getProfile(data, data.active) ? data.active : null;
+    console.log(`[Main] Loaded ${listProfiles(data).length} profile(s), active: ${activeProfileName || 'none'}`);
+}
+
+/**
+ * Apply an edited profiles.json
+ * Its "active" profile is switched to when it, or its content, changed.
+ * @param {object} data - Parsed profiles.json that passed validateProfiles
+ */
+function applyProfilesConfig(data) {
+    const previous = getActiveProfile();
+    profilesConfig = data;
+    const name = getProfile(data, data.active) ? data.active : null;
+    if (name === activeProfileName && JSON.stringify(getActiveProfile()) === JSON.stringify(previous)) {
+        updateTrayMenu();
+        broadcastToWindows('profiles-changed', getProfilesState());
+        return;
+    }
+    switchProfile(name);
+}
+
+/**
+ * Chat commands of a profile: its `commands` file (relative to profiles.json), else commands.json
+ * @param {object|null} profile
+ * @returns {object|null} Parsed commands file, null if there is none
+ */
+function loadCommandsConfig(profile) {
+    if (profile && typeof profile.commands === 'string') {
+        const file = path.resolve(path.dirname(profilesPath), profile.commands);
+        try {
+            const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+            reportConfigErrors(file, []);
+            console.log(`[Main] Loaded chat commands from ${file}`);
+            return data;
+        } catch (error) {
+            console.error(`[Main] Could not load the chat commands of the profile from ${file}: ${error.message}`);
+            reportConfigErrors(file, [`Could not load: ${error.message}`]);
+        }
+    }
+    return loadFromExeDir('commands.json');
+}
+
+/**
+ * Use a commands file for chat commands, channel point / bits mappings, announcements and submissions
+ * @param {object|null} config - Parsed commands file; null leaves only !spin
+ */
+function applyCommandsConfig(config) {
+    commandsConfig = config;
+    require('./src/twitch').setCommands(commandsConfig ? commandsConfig.commands : DEFAULT_COMMANDS);
+    redemptionRouter.configure(commandsConfig || {});
+    chatAnnouncer.configure(commandsConfig?.announcements);
+    wheelSubmissions.configure(commandsConfig?.submissions);
+    submissionsWheelId = resolveWheelId(commandsConfig?.submissions?.wheel);
+}
+
+/**
+ * Profiles and the active one, for the renderer
+ * @returns {{active: string|null, profiles: Array<{name: string, description: string}>}}
+ */
+function getProfilesState() {
+    return { active: activeProfileName, profiles: listProfiles(profilesConfig) };
+}
+
+/**
+ * Switch to another profile, or to none (windows-config.json as it is)
+ * Every window is closed and its queue manager disposed, then the profile's windows, applications
+ * and chat commands are loaded as at startup. The choice is saved as "active" in profiles.json.
+ * @param {string|null} name
+ * @returns {{active: string|null, profiles: Array<{name: string, description: string}>}}
+ */
+function switchProfile(name) {
+    if (name && !getProfile(profilesConfig, name)) {
+        throw new Error(`Unknown profile "${name}"`);
+    }
+    console.log(`[Main] Switching to ${name ? `profile "${name}"` : 'no profile'}`);
+    activeProfileName = name || null;
+    saveActiveProfile();
+
+    Array.from(windowConfigs.keys()).forEach(closeWindow);
+    windowsConfigSnapshot = { windows: [] };
+    watchedApplications.forEach((appName, configDir) => {
+        ['wheel-options.json', 'controller-options.json'].forEach((fileName) => {
+            const file = path.join(configDir, fileName);
+            configWatcher.unwatch(file);
+            reportConfigErrors(file, []);
+        });
+    });
+    watchedApplications.clear();
+    applicationConfigs = {};
+    uniqueApplications.clear();
+
+    applyCommandsConfig(loadCommandsConfig(getActiveProfile()));
+    getProfileApplications().forEach((appName) => {
+        uniqueApplications.add(appName);
+        loadApplicationConfig(appName);
+    });
+    applyWindowsConfig(applyProfile(windowsConfigSource, getActiveProfile()));
+    watchApplicationConfigs();
+    // Reward and bits mappings may differ between commands files
+    startEventSub();
+
+    updateTrayMenu();
+    broadcastToWindows('profiles-changed', getProfilesState());
+    return getProfilesState();
+}
+
+/**
+ * Write the active profile to profiles.json, so the next start uses it
+ */
+function saveActiveProfile() {
+    if (!fs.existsSync(profilesPath)) {
+        return;
+    }
+    try {
+        const data = JSON.parse(fs.readFileSync(profilesPath, 'utf-8'));
+        data.active = activeProfileName;
+        fs.writeFileSync(profilesPath, JSON.stringify(data, null, 4), 'utf-8');
+        profilesConfig.active = activeProfileName;
+        // Already applied, the config watcher does not need to report this write
+        configWatcher.refresh(profilesPath);
+    } catch (error) {
+        console.warn(`[Main] Could not save the active profile to ${profilesPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Tray icon with a menu to switch profiles and quit (also while no window is open)
+ */
+function createTray() {
+    try {
+        const icon = nativeImage.createFromPath(path.join(__dirname, 'src', 'views', 'wheel', 'shield.png')).resize({ width: 16, height: 16 });
+        tray = new Tray(icon);
+        updateTrayMenu();
+    } catch (error) {
+        console.warn(`[Main] Could not create the tray icon: ${error.message}`);
+    }
+}
+
+/**
+ * Rebuild the tray menu after profiles were switched or edited
+ */
+function updateTrayMenu() {
+    if (!tray) {
+        return;
+    }
+    const select = (name) => {
+        try {
+            switchProfile(name);
+        } catch (error) {
+            console.error(`[Main] Could not switch profile: ${error.message}`);
+        }
+    };
+    const profiles = listProfiles(profilesConfig).map(({ name, description }) => ({
+        label: name,
+        sublabel: description,
+        type: 'radio',
+        checked: name === activeProfileName,
+        click: () => select(name)
+    }));
+    tray.setContextMenu(Menu.buildFromTemplate([
+        { label: 'Profile', enabled: false },
+        ...profiles,
+        { label: 'No profile (windows-config.json)', type: 'radio', checked: !activeProfileName, click: () => select(null) },
+        { type: 'separator' },
+        { label: 'Quit', click: quit }
+    ]));
+    tray.setToolTip(`Twitch Wheel${activeProfileName ? ` - ${activeProfileName}` : ''}`);
+}
+
+/**
+ * Mark a channel point redemption fulfilled, or cancel it to refund the viewer
+ * @param {{rewardId: string, redemptionId: string}} redemption
+ * @param {boolean} succeeded - Whether its action ran successfully
+ */
+function settleRedemption(redemption, succeeded) {
+    const status = redemptionRouter.settle(redemption, succeeded);
+    if (!status || !eventSub) {
+        return;
+    }
+    eventSub.updateRedemptionStatus(redemption, status).catch((error) => {
+        console.warn(`[Main] Could not mark redemption ${redemption.redemptionId} ${status}: ${error.message}`);
+    });
+}
+
+/**
+ * Connect to EventSub for channel point redemptions and cheers when commands.json maps any
+ * Uses the broadcaster's Twitch token; TWITCH_EVENTSUB_WS_URL / TWITCH_API_BASE point it at a mock server.
+ */
+function startEventSub() {
+    if (eventSub) {
+        eventSub.disconnect();
+        eventSub = null;
+    }
+    if (!redemptionRouter.hasMappings()) {
+        return;
+    }
+    if (!process.env.TWITCH_CLIENT_ID || !getEventSubToken()) {
+        console.warn('[Main] Channel point/bits actions need TWITCH_CLIENT_ID and a Twitch token; EventSub disabled');
+        return;
+    }
+
+    eventSub = new EventSubClient({
+        clientId: process.env.TWITCH_CLIENT_ID,
+        getToken: getEventSubToken,
+        broadcasterId: process.env.TWITCH_BROADCASTER_ID,
+        wsUrl: process.env.TWITCH_EVENTSUB_WS_URL,
+        apiBase: process.env.TWITCH_API_BASE
+    });
+    eventSub.on('redemption', (event) => {
+        const action = redemptionRouter.resolveRedemption(event);
+        if (!action) {
+            return; // Not a reward this app handles
+        }
+        const redemption = { rewardId: event.reward.id, redemptionId: event.id };
+        console.log(`[Main] ${event.user_name} redeemed "${event.reward.title}" (${action.type})`);
+        const result = runTwitchAction(action, { source: 'channel-points', user: event.user_name, redemption });
+        if (result !== 'queued') {
+            settleRedemption(redemption, result === 'done');
+        }
+    });
+    eventSub.on('cheer', (event) => {
+        const action = redemptionRouter.resolveCheer(event);
+        if (action) {
+            console.log(`[Main] ${event.user_name || 'Anonymous'} cheered ${event.bits} bits (${action.type})`);
+            runTwitchAction(action, { source: 'bits', user: event.is_anonymous ? 'Anonymous' : event.user_name });
+        }
+    });
+    eventSub.on('revoked', (subscription) => {
+        console.warn(`[Main] EventSub subscription ${subscription?.type} revoked (${subscription?.status}); check the token scopes`);
+    });
+    eventSub.on('error', (error) => {
+        console.error('[Main] EventSub error:', error.message || error);
+    });
+    try {
+        eventSub.connect();
+    } catch (error) {
+        console.error(`[Main] Could not start EventSub: ${error.message}`);
+        eventSub = null;
+    }
+}
+
+// IPC Handlers
+ipcMain.on('spin-wheel', (event, wheelResult) => {
+    try {
+        // Each wheel window queues on its own queue manager
+        const entry = findWindowConfig(event.sender);
+        if (!entry || getWindowType(entry.config) !== 'wheel') {
+            console.warn('[Main] spin-wheel from a window that is not a wheel; ignored');
+            return;
+        }
+        const wheelId = entry.config.id;
+        console.log(`Wheel "${wheelId}" spun! Result:`, wheelResult);
+
+        const verdict = queueWheelResult(wheelResult, wheelId);
+
+        // Broadcast back to renderer immediately
+        const window = BrowserWindow.fromWebContents(event.sender);
+        if (window && window.webContents) {
+            window.webContents.send('spin-result', wheelResult.name || wheelResult);
+        }
+
+        // Report rejections after the result so the wheel shows why nothing will run
+        if (!verdict.allowed) {
+            reportQueueRejection(wheelResult, verdict, wheelId);
+        } else if (queueManagers.has(wheelId)) {
+            const queueName = `${wheelResult.application || 'Notepad'}-${wheelResult.controller}`;
+            chatAnnouncer.announce('spinResult', {
+                user: announcedUser(wheelResult.trigger),
+                option: wheelResult.name,
+                queue: queueName,
+                position: queueManagers.get(wheelId).getQueueStats()[queueName]?.pending || 1
+            });
+        }
+    } catch (error) {
+        console.error('Error handling spin-wheel:', error);
+    }
+});
+
+// A spin the wheel could not start (no options): refund its channel point redemption
+ipcMain.on('spin-dropped', (event, trigger) => {
+    const entry = findWindowConfig(event.sender);
+    if (!entry || getWindowType(entry.config) !== 'wheel') {
+        console.warn('[Main] spin-dropped from a window that is not a wheel; ignored');
+        return;
+    }
+    if (trigger && trigger.redemption) {
+        console.log(`[Main] Wheel "${entry.config.id}" has no options; refunding redemption ${trigger.redemption.redemptionId}`);
+        settleRedemption(trigger.redemption, false);
+    }
+});
+
+// Vote mode: the wheel picked the choices, chat votes on them and the winner comes back to spin to
+ipcMain.on('start-vote', (event, vote) => {
+    const sender = event.sender;
+    const send = (channel, data) => {
+        if (!sender.isDestroyed()) {
+            sender.send(channel, data);
+        }
+    };
+    const started = require('./src/twitch').startVote(vote.choices, vote.durationMs, {
+        onUpdate: (tally) => send('vote-updated', tally),
+        onEnd: (result) => send('vote-ended', result)
+    });
+    if (!started) {
+        send('vote-ended', { cancelled: true, message: 'A vote is already running' });
+    }
+});
+
+ipcMain.on('button-click', (event, clickData) => {
+    try {
+        console.log('Button clicked! Data:', clickData);
+
+        // Find which window sent this event; queueManagers are keyed by window id
+        const entry = findWindowConfig(event.sender);
+        const windowId = entry ? entry.config.id : null;
+
+        if (windowId) {
+            const queueManager = queueManagers.get(windowId);
             if (queueManager) {
-                queueManager.handleButtonClick(clickData.buttonId, clickData);
+                const verdict = queueButtonClick(windowId, clickData.buttonId, clickData);
 
-                // Notify fileWatcher window if a sticky button was clicked
-                if (windowType === 'sticky') {
-                    const fileWatcherConfig = windowConfigs.get('fileWatcher');
-                    if (fileWatcherConfig && fileWatcherConfig.windowId) {
+                // Notify fileWatcher windows if a sticky button was clicked
+                if (verdict.allowed && getWindowType(entry.config) === 'sticky') {
+                    windowConfigs.forEach((fileWatcherConfig) => {
+                        if (getWindowType(fileWatcherConfig.config) !== 'fileWatcher' || !fileWatcherConfig.windowId) {
+                            return;
+                        }
                         const fileWatcherWindow = BrowserWindow.fromId(fileWatcherConfig.windowId);
                         if (fileWatcherWindow && !fileWatcherWindow.isDestroyed()) {
                             fileWatcherWindow.webContents.send('file-updated', {
@@ -695,12 +2154,12 @@ ipcMain.on('button-click', (event, clickData) => {
                                 buttonId: clickData.buttonId,
                                 timestamp: clickData.timestamp
                             });
-                            console.log('[Main] Notified fileWatcher of sticky action');
+                            console.log(`[Main] Notified fileWatcher "${fileWatcherConfig.config.id}" of sticky action`);
                         }
-                    }
+                    });
                 }
             } else {
-                console.warn(`Queue manager not initialized for window type: ${windowType}`);
+                console.warn(`Queue manager not initialized for window: ${windowId}`);
             }
         } else {
             console.warn('Could not determine which window sent the button-click event');
@@ -3,34 +3,72 @@ const { contextBridge, ipcRenderer } = require('electron');
 // Auto-generated preload.js from lifecycle manager APIs
 // This file is generated automatically - do not edit manually
 contextBridge.exposeInMainWorld('electron', {
+    approveWheelSubmission: (id, templateKey) => ipcRenderer.invoke("approve-wheel-submission", id, templateKey),
     buttonClick: (clickData) => ipcRenderer.send("button-click", {clickData}),
+    clearQueue: (source, queueName) => ipcRenderer.invoke("clear-queue", source, queueName),
     closeWindow: (data) => ipcRenderer.send("close-window", {data}),
+    discardDeadLetters: (ids) => ipcRenderer.invoke("discard-dead-letters", ids),
     getAutoSpinConfig: () => ipcRenderer.invoke("get-auto-spin-config"),
     getConfig: () => ipcRenderer.invoke("get-config"),
+    getConfigErrors: () => ipcRenderer.invoke("get-config-errors"),
+    getConnections: () => ipcRenderer.invoke("get-connections"),
+    getDeadLetters: (filter) => ipcRenderer.invoke("get-dead-letters", filter),
+    getProfiles: () => ipcRenderer.invoke("get-profiles"),
+    getQueueStats: () => ipcRenderer.invoke("get-queue-stats"),
+    getSpinHistory: (query) => ipcRenderer.invoke("get-spin-history", query),
+    getSpinHistorySummary: (query) => ipcRenderer.invoke("get-spin-history-summary", query),
     getStrudelOpenFiles: () => ipcRenderer.invoke("get-strudel-open-files"),
+    getTokenStorageInfo: () => ipcRenderer.invoke("get-token-storage-info"),
     getTwitchCredentials: () => ipcRenderer.invoke("get-twitch-credentials"),
+    getTwitchStatus: () => ipcRenderer.invoke("get-twitch-status"),
+    getVoteConfig: () => ipcRenderer.invoke("get-vote-config"),
+    getWheelSubmissions: () => ipcRenderer.invoke("get-wheel-submissions"),
     getWindowMaximized: () => ipcRenderer.sendSync("get-window-maximized"),
     getWindowPosition: () => ipcRenderer.sendSync("get-window-position"),
+    listQueueItems: (source, queueName) => ipcRenderer.invoke("list-queue-items", source, queueName),
     maximizeWindow: (data) => ipcRenderer.send("maximize-window", {data}),
     minimizeWindow: (data) => ipcRenderer.send("minimize-window", {data}),
     mouseOverInteractive: (isOver) => ipcRenderer.send("mouse-over-interactive", {isOver}),
+    moveQueueItem: (source, queueName, itemId, toIndex) => ipcRenderer.invoke("move-queue-item", source, queueName, itemId, toIndex),
     moveWindowBy: (deltaX, deltaY) => ipcRenderer.send("move-window", {deltaX: deltaX, deltaY: deltaY}),
     moveWindowTo: (x, y, width, height) => ipcRenderer.send("move-window-to", {x: x, y: y, width: width, height: height}),
+    onConfigErrorsChanged: (callback) => ipcRenderer.on("config-errors-changed", (event, data) => callback(data)),
+    onConnectionsUpdated: (callback) => ipcRenderer.on("connections-updated", (event, data) => callback(data)),
+    onDeadLettersUpdated: (callback) => ipcRenderer.on("dead-letters-updated", (event, data) => callback(data)),
     onLoadWheelOptions: (callback) => ipcRenderer.on("load-wheel-options", (event, data) => callback(data)),
+    onProfilesChanged: (callback) => ipcRenderer.on("profiles-changed", (event, data) => callback(data)),
+    onQueueChanged: (callback) => ipcRenderer.on("queue-changed", (event, data) => callback(data)),
+    onQueueItemStatus: (callback) => ipcRenderer.on("queue-item-status", (event, data) => callback(data)),
+    onQueueWorkerHealth: (callback) => ipcRenderer.on("queue-worker-health", (event, data) => callback(data)),
+    onSpinHistoryUpdated: (callback) => ipcRenderer.on("spin-history-updated", (event, data) => callback(data)),
     onSpinHotkey: (callback) => ipcRenderer.on("spin-wheel-hotkey", () => callback()),
+    onSpinRejected: (callback) => ipcRenderer.on("spin-rejected", (event, data) => callback(data)),
     onSpinResult: (callback) => ipcRenderer.on("spin-result", (event, data) => callback(data)),
-    onTwitchOAuthToken: (callback) => ipcRenderer.on("twitch-oauth-token", (event, data) => callback(data)),
-    onTwitchSpinTriggered: (callback) => ipcRenderer.on("twitch-spin-triggered", () => callback()),
+    onTwitchSpinTriggered: (callback) => ipcRenderer.on("twitch-spin-triggered", (event, data) => callback(data)),
     onTwitchStatusChanged: (callback) => ipcRenderer.on("twitch-status-changed", (event, data) => callback(data)),
+    onVoteEnded: (callback) => ipcRenderer.on("vote-ended", (event, data) => callback(data)),
+    onVoteUpdated: (callback) => ipcRenderer.on("vote-updated", (event, data) => callback(data)),
+    onWheelOptionsUpdated: (callback) => ipcRenderer.on("wheel-options-updated", (event, data) => callback(data)),
+    onWheelSubmissionsUpdated: (callback) => ipcRenderer.on("wheel-submissions-updated", (event, data) => callback(data)),
     onWindowMaximized: (callback) => ipcRenderer.on("window-maximized", (event, data) => callback(data)),
+    pauseQueue: (source, queueName) => ipcRenderer.invoke("pause-queue", source, queueName),
     readFile: (filePath) => ipcRenderer.invoke("read-file", filePath),
     readSamplePack: (packName) => ipcRenderer.invoke("read-sample-pack", packName),
+    removeConnection: (provider, account) => ipcRenderer.invoke("remove-connection", provider, account),
+    removeQueueItem: (source, queueName, itemId) => ipcRenderer.invoke("remove-queue-item", source, queueName, itemId),
+    removeWheelSubmission: (id) => ipcRenderer.invoke("remove-wheel-submission", id),
     renameFile: (filePath, newName) => ipcRenderer.invoke("rename-file", filePath, newName),
+    replayDeadLetters: (ids) => ipcRenderer.invoke("replay-dead-letters", ids),
+    reportDroppedSpin: (trigger) => ipcRenderer.send("spin-dropped", trigger),
     resizeWindow: (width, height) => ipcRenderer.send("resize-window", {width: width, height: height}),
+    resumeQueue: (source, queueName) => ipcRenderer.invoke("resume-queue", source, queueName),
     sendMessage: (channel, data) => ipcRenderer.send(channel, data),
     setStrudelOpenFiles: (state) => ipcRenderer.invoke("set-strudel-open-files", state),
     showOpenDialog: (options) => ipcRenderer.invoke("show-open-dialog", options),
     showSaveDialog: (options) => ipcRenderer.invoke("show-save-dialog", options),
     spinWheel: (result) => ipcRenderer.send("spin-wheel", result),
+    startConnection: (provider, account) => ipcRenderer.invoke("start-connection", provider, account),
+    startVote: (vote) => ipcRenderer.send("start-vote", vote),
+    switchProfile: (name) => ipcRenderer.invoke("switch-profile", name),
     writeFile: (filePath, content) => ipcRenderer.invoke("write-file", filePath, content)
 });
@@ -11,11 +11,12 @@ function resolveUnpackedPath(filePath) {
 
 const fs = require('fs');
 const path = require('path');
+const { validateConfigFile } = require('./config-schema');
 
 class ApplicationConfigLoader {
     constructor(applicationName = 'skyrim') {
         this.applicationName = applicationName;
-        this.applicationDir = path.join(__dirname, '..', 'applications', applicationName);
+        this.applicationDir = path.join(__dirname, 'applications', applicationName);
         this.configDir = path.join(this.applicationDir, 'config');
         this.executorDir = path.join(this.applicationDir, 'executors');
 
@@ -25,33 +26,57 @@ class ApplicationConfigLoader {
         this.executorDir = resolveUnpackedPath(this.executorDir);
 
         this.wheelOptions = [];
+        this.submissionTemplates = []; // How approved viewer-submitted entries run (see src/wheel-submissions.js)
         this.controllers = {};
         this.modConfig = {};
+        this.errors = []; // { file, errors } of config files with problems, see readConfigFile
+    }
+
+    /**
+     * Read and validate one of the application's config files
+     * Problems are logged and kept in this.errors; a file that parses is used even if it has problems.
+     * @param {string} fileName - "wheel-options.json" or "controller-options.json"
+     * @returns {*} Parsed content, or null if the file is missing or is not valid JSON
+     */
+    readConfigFile(fileName) {
+        const filePath = path.join(this.configDir, fileName);
+        if (!fs.existsSync(filePath)) {
+            console.warn(`[Config] ${fileName} not found at ${filePath}`);
+            return null;
+        }
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        } catch (error) {
+            console.error(`[Config] ${filePath} is not valid JSON: ${error.message}`);
+            this.errors.push({ file: filePath, errors: [`Invalid JSON: ${error.message}`] });
+            return null;
+        }
+        const errors = validateConfigFile(fileName, data);
+        if (errors.length > 0) {
+            console.error(`[Config] ${filePath} has ${errors.length} problem(s):\n  ${errors.join('\n  ')}`);
+            this.errors.push({ file: filePath, errors });
+        }
+        return data;
     }
 
     loadWheelOptions() {
+        this.errors = [];
         try {
-            const optionsFile = path.join(this.configDir, 'wheel-options.json');
-            const controllerOptionsFile = path.join(this.configDir, 'controller-options.json');
-
-            if (fs.existsSync(optionsFile)) {
-                const content = fs.readFileSync(optionsFile, 'utf-8');
-                const data = JSON.parse(content);
-                // Handle both flat array and {options: []} format
-                this.wheelOptions = Array.isArray(data) ? data : (data.options || []);
+            const data = this.readConfigFile('wheel-options.json');
+            if (data) {
+                // Handle both flat array and {options: []} format; lists of the wrong type are left out
+                const asList = value => (Array.isArray(value) ? value : []);
+                this.wheelOptions = Array.isArray(data) ? data : asList(data.options);
+                this.submissionTemplates = Array.isArray(data) ? [] : asList(data.submissionTemplates);
                 console.log(`[Config] Loaded ${this.wheelOptions.length} wheel options for ${this.applicationName}`);
-            } else {
-                console.warn(`[Config] wheel-options.json not found at ${optionsFile}`);
             }
 
             // Load controller-specific options if available
-            if (fs.existsSync(controllerOptionsFile)) {
-                const content = fs.readFileSync(controllerOptionsFile, 'utf-8');
-                const data = JSON.parse(content);
-                this.controllers = data.controllers || {};
+            const controllerOptions = this.readConfigFile('controller-options.json');
+            if (controllerOptions) {
+                this.controllers = controllerOptions.controllers && typeof controllerOptions.controllers === 'object' ? controllerOptions.controllers : {};
                 console.log(`[Config] Loaded controller options for ${this.applicationName}`);
-            } else {
-                console.warn(`[Config] controller-options.json not found at ${controllerOptionsFile}`);
             }
 
             return this.wheelOptions;
@@ -60,6 +85,37 @@ class ApplicationConfigLoader {
             return [];
         }
     }
+
+    /**
+     * Write the wheel options back to wheel-options.json (e.g. from the wheel's option editor)
+     * Keeps the file's format: a flat array, or { options: [...] } with its other keys.
+     * @param {Array<object>} options
+     * @returns {string} Path of the written file
+     */
+    saveWheelOptions(options) {
+        const optionsFile = path.join(this.configDir, 'wheel-options.json');
+        let data = { options: [] };
+        if (fs.existsSync(optionsFile)) {
+            data = JSON.parse(fs.readFileSync(optionsFile, 'utf-8'));
+        }
+        const content = Array.isArray(data) ? options : { ...data, options };
+        fs.mkdirSync(this.configDir, { recursive: true });
+        fs.writeFileSync(optionsFile, JSON.stringify(content, null, 4), 'utf-8');
+        this.wheelOptions = options;
+        console.log(`[Config] Saved ${options.length} wheel options for ${this.applicationName}`);
+        return optionsFile;
+    }
+
+    /**
+     * Check a wheel-options.json or controller-options.json before it is used (see src/config-schema.js)
+     * @param {string} fileName - "wheel-options.json" or "controller-options.json"
+     * @param {*} data - Parsed file content
+     * @returns {Array<string>} Problems found, empty when the file can be used
+     */
+    static validateConfigFile(fileName, data) {
+        return validateConfigFile(fileName, data);
+    }
+
     getExecutorScript(scriptName = 'console-executor.py') {
         const scriptPath = path.join(this.executorDir, scriptName);
         if (fs.existsSync(scriptPath)) {
@@ -73,7 +129,7 @@ class ApplicationConfigLoader {
 
     listAvailableApplications() {
         try {
-            const applicationsDir = path.join(__dirname, '..', 'applications');
+            const applicationsDir = path.join(__dirname, 'applications');
             if (!fs.existsSync(applicationsDir)) {
                 return [];
             }
@@ -99,6 +155,7 @@ class ApplicationConfigLoader {
         return {
             application: this.applicationName,
             wheelOptions: this.wheelOptions,
+            submissionTemplates: this.submissionTemplates,
             controllers: this.controllers,
             executorScript: this.getExecutorScript('console-executor.py')
         };
@@ -0,0 +1,93 @@
+const { fillPlaceholders } = require('./chat-commands');
+
+/**
+ * Chat bot announcements for spin results and queued action outcomes
+ * Used by main.js with sayInChat from src/twitch.js.
+ *
+ * Configured with `announcements` in commands.json; each event can be switched off or given its own template:
+ *   "announcements": {
+ *     "spinResult": { "enabled": true, "template": "@{user} spun: {option} — queued #{position}" },
+ *     "actionSucceeded": { "enabled": false },
+ *     "actionFailed": { "template": "{option} failed: {error}" }
+ *   }
+ * Placeholders: {user} (the viewer, or the channel for spins started in the app), {option}, {queue},
+ * {position} (items waiting in the queue, including this one) and {error}.
+ */
+
+const DEFAULT_ANNOUNCEMENTS = {
+    spinResult: { enabled: true, template: '@{user} spun: {option} — queued #{position}' },
+    actionSucceeded: { enabled: false, template: '{option} done for @{user}' },
+    actionFailed: { enabled: true, template: '{option} failed for @{user}: {error}' }
+};
+
+// Twitch drops chat messages over 500 characters
+const MAX_MESSAGE_LENGTH = 500;
+
+class ChatAnnouncer {
+    /**
+     * @param {object} [config] - `announcements` from commands.json
+     * @param {function(string): void} [say] - Posts a message to the channel
+     */
+    constructor(config = {}, say = () => {}) {
+        this.say = say;
+        this.configure(config);
+    }
+
+    /**
+     * Merge per-event settings over the defaults; unknown events are ignored
+     * @param {object} [config]
+     */
+    configure(config = {}) {
+        config = config || {};
+        this.events = {};
+        Object.keys(DEFAULT_ANNOUNCEMENTS).forEach(eventName => {
+            const overrides = config[eventName];
+            const settings = { ...DEFAULT_ANNOUNCEMENTS[eventName] };
+            if (typeof overrides === 'boolean') {
+                settings.enabled = overrides;
+            } else if (overrides && typeof overrides === 'object') {
+                if (typeof overrides.enabled === 'boolean') settings.enabled = overrides.enabled;
+                if (typeof overrides.template === 'string' && overrides.template.trim()) settings.template = overrides.template;
+            }
+            this.events[eventName] = settings;
+        });
+    }
+
+    /**
+     * Build the message for an event
+     * @param {string} eventName - spinResult | actionSucceeded | actionFailed
+     * @param {object} values - Placeholder values
+     * @returns {string|null} The message, or null if the event is switched off
+     */
+    render(eventName, values = {}) {
+        const settings = this.events[eventName];
+        if (!settings || !settings.enabled) {
+            return null;
+        }
+        const context = { args: [] };
+        Object.keys(values).forEach(key => {
+            context[key] = values[key] === undefined || values[key] === null ? '' : String(values[key]);
+        });
+        const message = fillPlaceholders(settings.template, context).replace(/\s+/g, ' ').trim();
+        return message.length > MAX_MESSAGE_LENGTH ? `${message.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : message;
+    }
+
+    /**
+     * Post the message for an event (if switched on)
+     * @param {string} eventName - spinResult | actionSucceeded | actionFailed
+     * @param {object} values - Placeholder values
+     * @returns {string|null} The message posted
+     */
+    announce(eventName, values = {}) {
+        const message = this.render(eventName, values);
+        if (message) {
+            this.say(message);
+        }
+        return message;
+    }
+}
+
+module.exports = {
+    DEFAULT_ANNOUNCEMENTS,
+    ChatAnnouncer
+};
@@ -0,0 +1,242 @@
+const { parseDuration } = require('./views/shared/schedule');
+
+/**
+ * Chat command registry
+ * Maps chat commands (with aliases, arguments, permission levels and cooldowns) to actions.
+ * Used by src/twitch.js.
+ *
+ * Loaded from commands.json ({ "commands": [...] }); without one only `!spin` is registered.
+ * Command fields:
+ *   name: "spin"                    - typed as !spin (case-insensitive)
+ *   aliases: ["wheel"]              - other names for the same command
+ *   permission: "everyone"          - everyone | subscriber | vip | moderator | broadcaster (and above)
+ *   cooldown: "10s"                 - minimum time between two uses by anyone
+ *   userCooldown: "60s"             - minimum time between two uses by the same viewer
+ *   minArgs: 1, usage: "!press <id>" - reply with the usage when too few arguments are given
+ *   action: { type, ... }           - what to do, see ACTION_TYPES
+ * String fields of the action may use {user}, {args} (all arguments) and {1}, {2}, ... placeholders.
+ */
+
+// Action types and their required fields
+const ACTION_TYPES = {
+    spin: [], // Spin a wheel window; optional `wheel` is its window id (default: the first wheel)
+    button: ['window', 'buttonId'], // Trigger a button of a window's queue manager (e.g. sticky)
+    option: ['option'], // Queue a wheel option by name without spinning; optional `wheel` as for spin
+    reply: ['text'], // Reply in chat
+    submit: ['entry'] // Submit a wheel entry for moderator approval (see src/wheel-submissions.js)
+};
+
+// Permission levels, lowest first
+const PERMISSION_LEVELS = ['everyone', 'subscriber', 'vip', 'moderator', 'broadcaster'];
+
+const DEFAULT_COMMANDS = [
+    { name: 'spin', permission: 'everyone', action: { type: 'spin' } }
+];
+
+/**
+ * Work out a chatter's permission level from tmi.js message tags
+ * @param {object} tags - tmi.js userstate
+ * @returns {string} One of PERMISSION_LEVELS
+ */
+function getPermissionLevel(tags = {}) {
+    const badges = tags.badges || {};
+    if (badges.broadcaster) return 'broadcaster';
+    if (tags.mod || badges.moderator) return 'moderator';
+    if (tags.vip || badges.vip) return 'vip';
+    if (tags.subscriber || badges.subscriber || badges.founder) return 'subscriber';
+    return 'everyone';
+}
+
+/**
+ * Check whether a chatter meets a required permission level
+ * @param {string} required - Required level (unknown levels are treated as broadcaster-only)
+ * @param {object} tags - tmi.js userstate
+ * @returns {boolean}
+ */
+function hasPermission(required = 'everyone', tags = {}) {
+    const requiredIndex = PERMISSION_LEVELS.indexOf(String(required).toLowerCase());
+    const userIndex = PERMISSION_LEVELS.indexOf(getPermissionLevel(tags));
+    return userIndex >= (requiredIndex === -1 ? PERMISSION_LEVELS.length - 1 : requiredIndex);
+}
+
+/**
+ * Replace {args}, {1}, {2}, ... and named placeholders such as {user} in the string fields of an object
+ * @param {*} value - Action (or part of it)
+ * @param {{args: Array<string>, [name: string]: string}} context - Unknown names are left as they are
+ * @returns {*} Copy with placeholders filled in
+ */
+function fillPlaceholders(value, context) {
+    if (typeof value === 'string') {
+        return value.replace(/\{(\w+)\}/g, (match, key) => {
+            if (/^\d+$/.test(key)) return context.args[Number(key) - 1] ?? '';
+            if (key === 'args') return context.args.join(' ');
+            return typeof context[key] === 'string' ? context[key] : match;
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map(entry => fillPlaceholders(entry, context));
+    }
+    if (value && typeof value === 'object') {
+        const filled = {};
+        Object.keys(value).forEach(key => { filled[key] = fillPlaceholders(value[key], context); });
+        return filled;
+    }
+    return value;
+}
+
+class ChatCommandRegistry {
+    /**
+     * @param {Array<object>} [commands] - Command definitions (defaults to `!spin` only)
+     * @param {string} [prefix='!'] - Character that starts a command
+     */
+    constructor(commands = DEFAULT_COMMANDS, prefix = '!') {
+        this.prefix = prefix;
+        this.load(commands);
+    }
+
+    /**
+     * Replace the registered commands; invalid definitions are skipped with a warning
+     * @param {Array<object>} commands - Command definitions
+     * @returns {number} Number of commands registered
+     */
+    load(commands) {
+        this.commands = new Map(); // name or alias -> definition
+        this.lastUsed = new Map(); // command name -> last use (epoch ms)
+        this.lastUsedByUser = new Map(); // "command:user" -> last use (epoch ms)
+
+        (Array.isArray(commands) ? commands : []).forEach(definition => {
+            const error = ChatCommandRegistry.validate(definition);
+            if (error) {
+                console.warn(`[ChatCommands] Skipping command ${JSON.stringify(definition && definition.name)}: ${error}`);
+                return;
+            }
+            const command = {
+                ...definition,
+                name: definition.name.toLowerCase(),
+                aliases: (definition.aliases || []).map(alias => alias.toLowerCase()),
+                permission: (definition.permission || 'everyone').toLowerCase(),
+                cooldownMs: parseDuration(definition.cooldown) || 0,
+                userCooldownMs: parseDuration(definition.userCooldown) || 0
+            };
+            [command.name, ...command.aliases].forEach(name => {
+                if (this.commands.has(name)) {
+                    console.warn(`[ChatCommands] "${this.prefix}${name}" is defined twice; keeping the first`);
+                    return;
+                }
+                this.commands.set(name, command);
+            });
+        });
+        return new Set(this.commands.values()).size;
+    }
+
+    /**
+     * Check a command definition
+     * @param {object} definition
+     * @returns {string|null} Error message, or null if valid
+     */
+    static validate(definition) {
+        if (!definition || typeof definition.name !== 'string' || !/^\S+$/.test(definition.name)) {
+            return 'name must be a single word';
+        }
+        if (definition.aliases !== undefined && (!Array.isArray(definition.aliases) || definition.aliases.some(alias => typeof alias !== 'string'))) {
+            return 'aliases must be an array of strings';
+        }
+        if (definition.permission !== undefined && !PERMISSION_LEVELS.includes(String(definition.permission).toLowerCase())) {
+            return `permission must be one of ${PERMISSION_LEVELS.join(', ')}`;
+        }
+        const action = definition.action;
+        if (!action || !ACTION_TYPES[action.type]) {
+            return `action.type must be one of ${Object.keys(ACTION_TYPES).join(', ')}`;
+        }
+        const missing = ACTION_TYPES[action.type].filter(field => action[field] === undefined);
+        if (missing.length > 0) {
+            return `action "${action.type}" needs ${missing.join(', ')}`;
+        }
+        return null;
+    }
+
+    /**
+     * Split a chat message into command name and arguments
+     * @param {string} message - Chat message
+     * @returns {{name: string, args: Array<string>}|null} null if the message is not a command
+     */
+    parse(message) {
+        if (typeof message !== 'string' || !message.startsWith(this.prefix)) {
+            return null;
+        }
+        const [name, ...args] = message.slice(this.prefix.length).trim().split(/\s+/);
+        return name ? { name: name.toLowerCase(), args } : null;
+    }
+
+    /**
+     * Match a chat message against the registry, applying permissions, arguments and cooldowns
+     * A use is only recorded for cooldowns when it is accepted.
+     * @param {string} message - Chat message
+     * @param {object} tags - tmi.js userstate (username, badges, mod, ...)
+     * @param {number} [now=Date.now()]
+     * @returns {null|{command: object, args: Array<string>, action: object}|{command: object, rejected: {reason: string, message: string}}}
+     *   null if the message is not a registered command
+     */
+    match(message, tags = {}, now = Date.now()) {
+        const parsed = this.parse(message);
+        const command = parsed && this.commands.get(parsed.name);
+        if (!command) {
+            return null;
+        }
+        const user = tags['display-name'] || tags.username || '';
+        const userKey = `${command.name}:${(tags.username || user).toLowerCase()}`;
+        const label = `${this.prefix}${command.name}`;
+
+        if (!hasPermission(command.permission, tags)) {
+            return { command, rejected: { reason: 'permission', message: `${label} is for ${command.permission}s only` } };
+        }
+        if (command.minArgs && parsed.args.length < command.minArgs) {
+            return { command, rejected: { reason: 'usage', message: `Usage: ${command.usage || label}` } };
+        }
+
+        const lastUse = this.lastUsed.get(command.name);
+        if (command.cooldownMs && lastUse !== undefined && now - lastUse < command.cooldownMs) {
+            return { command, rejected: this.cooldownRejection(`${label} is on cooldown`, lastUse + command.cooldownMs - now) };
+        }
+        const lastUserUse = this.lastUsedByUser.get(userKey);
+        if (command.userCooldownMs && lastUserUse !== undefined && now - lastUserUse < command.userCooldownMs) {
+            return { command, rejected: this.cooldownRejection(`You can't use ${label} again yet`, lastUserUse + command.userCooldownMs - now) };
+        }
+
+        this.lastUsed.set(command.name, now);
+        this.lastUsedByUser.set(userKey, now);
+        return {
+            command,
+            args: parsed.args,
+            action: fillPlaceholders(command.action, { user, args: parsed.args })
+        };
+    }
+
+    /**
+     * Build a cooldown rejection
+     * @param {string} text - Human-readable reason
+     * @param {number} retryAfterMs - Time until the command can be used again
+     */
+    cooldownRejection(text, retryAfterMs) {
+        const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+        return { reason: 'cooldown', message: `${text} (${seconds}s left)`, retryAfterMs };
+    }
+
+    /**
+     * Registered commands (without duplicates from aliases)
+     * @returns {Array<object>}
+     */
+    list() {
+        return Array.from(new Set(this.commands.values()));
+    }
+}
+
+module.exports = {
+    ACTION_TYPES,
+    PERMISSION_LEVELS,
+    DEFAULT_COMMANDS,
+    ChatCommandRegistry,
+    getPermissionLevel,
+    hasPermission,
+    fillPlaceholders
+};
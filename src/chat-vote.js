@@ -0,0 +1,90 @@
+/**
+ * Timed chat vote between a few wheel options (vote mode of the wheel)
+ * Used by src/twitch.js, which feeds it `!vote <n>` messages.
+ *
+ * Each viewer has one vote; voting again moves it to the new choice. The choice with the most votes
+ * wins; ties (and a vote nobody took part in) are decided at random between the leaders.
+ */
+
+class ChatVote {
+    /**
+     * @param {Array<string>} choices - Option names, voted for as 1, 2, ...
+     * @param {number} durationMs - How long the vote stays open
+     * @param {number} [now=Date.now()]
+     */
+    constructor(choices, durationMs, now = Date.now()) {
+        this.choices = choices.slice();
+        this.durationMs = durationMs;
+        this.startedAt = now;
+        this.endsAt = now + durationMs;
+        this.votes = new Map(); // lowercased user -> choice index
+    }
+
+    /**
+     * Read the choice number from a chat message
+     * @param {string} message - Chat message
+     * @param {string} [prefix='!'] - Command prefix
+     * @returns {number|null} The number after `!vote`, or null if the message is not a vote
+     */
+    static parseVote(message, prefix = '!') {
+        if (typeof message !== 'string' || !message.startsWith(prefix)) {
+            return null;
+        }
+        const match = /^vote\s+#?(\d+)\b/i.exec(message.slice(prefix.length).trim());
+        return match ? Number(match[1]) : null;
+    }
+
+    /**
+     * Record a viewer's vote
+     * @param {string} user - Viewer name
+     * @param {number} choiceNumber - 1-based choice
+     * @param {number} [now=Date.now()]
+     * @returns {boolean} Whether the vote counted (false for unknown choices or a closed vote)
+     */
+    cast(user, choiceNumber, now = Date.now()) {
+        if (!user || now >= this.endsAt || !Number.isInteger(choiceNumber) ||
+            choiceNumber < 1 || choiceNumber > this.choices.length) {
+            return false;
+        }
+        this.votes.set(user.toLowerCase(), choiceNumber - 1);
+        return true;
+    }
+
+    /**
+     * Current standings
+     * @param {number} [now=Date.now()]
+     * @returns {{choices: Array<{option: string, votes: number}>, totalVotes: number, remainingMs: number}}
+     */
+    getTally(now = Date.now()) {
+        const counts = this.choices.map(() => 0);
+        this.votes.forEach(index => { counts[index]++; });
+        return {
+            choices: this.choices.map((option, index) => ({ option, votes: counts[index] })),
+            totalVotes: this.votes.size,
+            remainingMs: Math.max(0, this.endsAt - now)
+        };
+    }
+
+    /**
+     * Final result
+     * @param {() => number} [random=Math.random] - Breaks ties
+     * @returns {{choices: Array<{option: string, votes: number}>, totalVotes: number, winnerIndex: number, winner: string, tie: boolean}}
+     */
+    getResult(random = Math.random) {
+        const tally = this.getTally(this.endsAt);
+        const most = Math.max(...tally.choices.map(choice => choice.votes));
+        const leaders = tally.choices
+            .map((choice, index) => (choice.votes === most ? index : -1))
+            .filter(index => index !== -1);
+        const winnerIndex = leaders[Math.min(leaders.length - 1, Math.floor(random() * leaders.length))];
+        return {
+            choices: tally.choices,
+            totalVotes: tally.totalVotes,
+            winnerIndex,
+            winner: this.choices[winnerIndex],
+            tie: leaders.length > 1
+        };
+    }
+}
+
+module.exports = ChatVote;
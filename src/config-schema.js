@@ -0,0 +1,282 @@
+/**
+ * Config file validation against the JSON Schemas in src/schemas/ and src/controllers/<controller>/config.schema.json
+ * Used by main.js (windows-config.json through src/windows-config.js, profiles.json through src/profiles.js) and ApplicationConfigLoader
+ * (wheel-options.json, controller-options.json) when the files are loaded or edited. Errors name the
+ * place of the problem, e.g. `windows[2].options.wheel[0].controller: unknown controller "AutoHotkey"`.
+ *
+ * Supports the part of JSON Schema (draft-07) the schemas use: type, enum, properties, required,
+ * additionalProperties, items, anyOf, minLength, minimum, maximum, pattern and $ref to definitions
+ * in the same or another schema file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, 'schemas');
+const CONTROLLERS_DIR = path.join(__dirname, 'controllers');
+
+// Config file name -> schema file in SCHEMA_DIR
+const SCHEMA_FILES = {
+    'windows-config.json': 'windows-config.schema.json',
+    'wheel-options.json': 'wheel-options.schema.json',
+    'controller-options.json': 'controller-options.schema.json',
+    'profiles.json': 'profiles.schema.json'
+};
+
+const TYPE_NAMES = {
+    object: 'an object',
+    array: 'a list',
+    string: 'a string',
+    number: 'a number',
+    integer: 'a whole number',
+    boolean: 'true or false',
+    null: 'null'
+};
+
+const schemaCache = new Map();
+
+/**
+ * Read a schema file (cached)
+ * @param {string} filePath - Absolute path of the schema
+ * @returns {object}
+ */
+function loadSchema(filePath) {
+    if (!schemaCache.has(filePath)) {
+        schemaCache.set(filePath, JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+    }
+    return schemaCache.get(filePath);
+}
+
+/**
+ * JSON type of a value, as named by JSON Schema
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Levenshtein distance, to suggest the property a typo was meant to be
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function describePath(at) {
+    return at || '(top level)';
+}
+
+/**
+ * Resolve a $ref ("#/definitions/x" or "other.schema.json#/definitions/x")
+ * @returns {{schema: object, file: string}}
+ */
+function resolveRef(ref, file) {
+    const [target, pointer = ''] = ref.split('#');
+    const refFile = target ? path.join(path.dirname(file), target) : file;
+    let schema = loadSchema(refFile);
+    pointer.split('/').filter(Boolean).forEach((part) => {
+        schema = schema && schema[part];
+    });
+    if (!schema) {
+        throw new Error(`Schema reference "${ref}" not found in ${refFile}`);
+    }
+    return { schema, file: refFile };
+}
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} file - Path of the schema file ($refs are resolved relative to it)
+ * @param {string} [at] - Path of the value, e.g. "windows[2].options"
+ * @returns {Array<string>} Errors as "<path>: <problem>"
+ */
+function validateValue(schema, value, file, at = '') {
+    if (schema.$ref) {
+        const resolved = resolveRef(schema.$ref, file);
+        return validateValue(resolved.schema, value, resolved.file, at);
+    }
+
+    if (schema.anyOf) {
+        const results = schema.anyOf.map(branch => validateValue(branch, value, file, at));
+        if (results.some(errors => errors.length === 0)) {
+            return [];
+        }
+        // Report the problems of the form the value was apparently meant to have
+        const candidates = schema.anyOf
+            .map((branch, index) => ({ branch: branch.$ref ? resolveRef(branch.$ref, file).schema : branch, errors: results[index] }))
+            .filter(({ branch }) => !branch.type || [].concat(branch.type).some(type => matchesType(value, type)));
+        if (candidates.length === 1) {
+            return candidates[0].errors;
+        }
+        const types = schema.anyOf.flatMap(branch => [].concat(branch.type || []));
+        return [`${describePath(at)}: must be ${types.length > 0 ? types.map(type => TYPE_NAMES[type]).join(' or ') : 'one of the allowed forms'}`];
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${describePath(at)}: must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`];
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+        return [`${describePath(at)}: must be one of ${schema.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`];
+    }
+
+    const errors = [];
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${describePath(at)}: must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            const examples = schema.examples ? ` (e.g. ${schema.examples.map(example => JSON.stringify(example)).join(', ')})` : '';
+            errors.push(`${describePath(at)}: ${JSON.stringify(value)} is not in the expected format${examples}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${describePath(at)}: must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${describePath(at)}: must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validateValue(schema.items, item, file, `${at}[${index}]`)));
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach((key) => {
+            if (value[key] === undefined) {
+                errors.push(`${describePath(at)}: missing "${key}"`);
+            }
+        });
+        Object.keys(value).forEach((key) => {
+            const childPath = at ? `${at}.${key}` : key;
+            if (properties[key]) {
+                errors.push(...validateValue(properties[key], value[key], file, childPath));
+            } else if (schema.additionalProperties === false) {
+                const suggestion = Object.keys(properties).find(known => editDistance(known.toLowerCase(), key.toLowerCase()) <= 2);
+                errors.push(`${childPath}: unknown property${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateValue(schema.additionalProperties, value[key], file, childPath));
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Names of the controllers in src/controllers
+ * @returns {Array<string>}
+ */
+function listControllers() {
+    try {
+        return fs.readdirSync(CONTROLLERS_DIR, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name);
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Check that wheel options / buttons name an existing controller and that their `config` fits it
+ * Controller names are matched case-insensitively, like the queue worker does.
+ * @param {Array<object>} items - Options or buttons
+ * @param {string} at - Path of the list, e.g. "options"
+ * @returns {Array<string>}
+ */
+function validateControllerConfigs(items, at) {
+    if (!Array.isArray(items)) {
+        return [];
+    }
+    const controllers = listControllers();
+    const errors = [];
+    items.forEach((item, index) => {
+        if (!item || typeof item.controller !== 'string' || !item.controller) {
+            return;
+        }
+        const controller = controllers.find(name => name.toLowerCase() === item.controller.toLowerCase());
+        if (!controller) {
+            errors.push(`${at}[${index}].controller: unknown controller "${item.controller}" (available: ${controllers.join(', ')})`);
+            return;
+        }
+        const schemaFile = path.join(CONTROLLERS_DIR, controller, 'config.schema.json');
+        if (fs.existsSync(schemaFile)) {
+            errors.push(...validateValue(loadSchema(schemaFile), item.config === undefined ? {} : item.config, schemaFile, `${at}[${index}].config`));
+        }
+    });
+    return errors;
+}
+
+/**
+ * Validate a config file's content
+ * For windows-config.json, the controllers of enabled windows' options and buttons are checked as well
+ * (disabled windows only need the right shape).
+ * @param {string} fileName - "windows-config.json", "wheel-options.json", "controller-options.json" or "profiles.json"
+ * @param {*} data - Parsed file content
+ * @returns {Array<string>} Errors, empty when the file is valid
+ */
+function validateConfigFile(fileName, data) {
+    if (!SCHEMA_FILES[fileName]) {
+        throw new Error(`No schema for ${fileName}`);
+    }
+    const schemaFile = path.join(SCHEMA_DIR, SCHEMA_FILES[fileName]);
+    const errors = validateValue(loadSchema(schemaFile), data, schemaFile);
+
+    if (fileName === 'wheel-options.json' && data) {
+        errors.push(...(Array.isArray(data)
+            ? validateControllerConfigs(data, '')
+            : [...validateControllerConfigs(data.options, 'options'), ...validateControllerConfigs(data.submissionTemplates, 'submissionTemplates')]));
+    } else if (fileName === 'windows-config.json' && data && Array.isArray(data.windows)) {
+        data.windows.forEach((windowConfig, index) => {
+            if (windowConfig && windowConfig.enabled && windowConfig.options) {
+                errors.push(...validateControllerConfigs(windowConfig.options.wheel, `windows[${index}].options.wheel`));
+                errors.push(...validateControllerConfigs(windowConfig.options.buttons, `windows[${index}].options.buttons`));
+            }
+        });
+    } else if (fileName === 'profiles.json' && data && typeOf(data.profiles) === 'object') {
+        Object.entries(data.profiles).forEach(([name, profile]) => {
+            if (profile && typeOf(profile.wheels) === 'object') {
+                Object.entries(profile.wheels).forEach(([wheelId, wheel]) => {
+                    errors.push(...validateControllerConfigs(wheel && wheel.wheel, `profiles.${name}.wheels.${wheelId}.wheel`));
+                });
+            }
+        });
+    } else if (fileName === 'controller-options.json' && data && typeOf(data.controllers) === 'object') {
+        const controllers = listControllers().map(name => name.toLowerCase());
+        Object.keys(data.controllers).forEach((controller) => {
+            if (!controllers.includes(controller.toLowerCase())) {
+                errors.push(`controllers.${controller}: unknown controller (available: ${listControllers().join(', ')})`);
+            }
+        });
+    }
+    return errors;
+}
+
+module.exports = {
+    SCHEMA_FILES,
+    listControllers,
+    validateConfigFile,
+    validateControllerConfigs
+};
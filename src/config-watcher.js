@@ -0,0 +1,151 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Watches config files (windows-config.json, applications' wheel-options.json and
+ * controller-options.json) and reports edits once they parse and validate
+ * main.js applies the changes to the running app. Directories are watched rather than the files,
+ * so editors that save by replacing the file keep being followed. A burst of writes is reported
+ * once, and saves that leave the text unchanged are not reported.
+ *
+ * Emits:
+ *   'changed' ({file, data}) - a watched file has new, valid content
+ *   'invalid' ({file, errors}) - a watched file was saved but cannot be used; the app keeps the old config
+ */
+
+const DEFAULT_DEBOUNCE_MS = 300;
+
+class ConfigWatcher extends EventEmitter {
+    /**
+     * @param {{debounceMs?: number}} [options]
+     */
+    constructor({ debounceMs = DEFAULT_DEBOUNCE_MS } = {}) {
+        super();
+        this.debounceMs = debounceMs;
+        this.files = new Map(); // Map of file path -> { validate, text, timer }
+        this.directories = new Map(); // Map of directory -> fs.FSWatcher
+    }
+
+    /**
+     * Start watching a JSON file (it may not exist yet)
+     * @param {string} filePath
+     * @param {function(object): Array<string>} [validate] - Returns the problems with the parsed content
+     */
+    watch(filePath, validate = () => []) {
+        const file = path.resolve(filePath);
+        if (this.files.has(file)) {
+            return;
+        }
+        this.files.set(file, { validate, text: this.readText(file), timer: null });
+
+        const directory = path.dirname(file);
+        if (this.directories.has(directory)) {
+            return;
+        }
+        try {
+            const watcher = fs.watch(directory, (eventType, fileName) => {
+                // Some platforms do not report the file name
+                const changed = fileName ? [path.join(directory, fileName.toString())] : Array.from(this.files.keys());
+                changed.filter(candidate => this.files.has(candidate) && path.dirname(candidate) === directory)
+                    .forEach(candidate => this.schedule(candidate));
+            });
+            watcher.on('error', (error) => console.warn(`[ConfigWatcher] Stopped watching ${directory}: ${error.message}`));
+            this.directories.set(directory, watcher);
+            console.log(`[ConfigWatcher] Watching ${directory}`);
+        } catch (error) {
+            console.warn(`[ConfigWatcher] Cannot watch ${directory}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stop watching a file (and its directory once no other watched file is in it)
+     * @param {string} filePath
+     */
+    unwatch(filePath) {
+        const file = path.resolve(filePath);
+        const entry = this.files.get(file);
+        if (!entry) {
+            return;
+        }
+        clearTimeout(entry.timer);
+        this.files.delete(file);
+        const directory = path.dirname(file);
+        const stillUsed = Array.from(this.files.keys()).some(candidate => path.dirname(candidate) === directory);
+        if (!stillUsed && this.directories.has(directory)) {
+            this.directories.get(directory).close();
+            this.directories.delete(directory);
+        }
+    }
+
+    /**
+     * Check a file once the writes to it have settled
+     */
+    schedule(file) {
+        const entry = this.files.get(file);
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+            entry.timer = null;
+            this.check(file);
+        }, this.debounceMs);
+    }
+
+    /**
+     * Read a watched file and report it if its text changed
+     * @param {string} filePath
+     * @returns {boolean} Whether 'changed' or 'invalid' was emitted
+     */
+    check(filePath) {
+        const file = path.resolve(filePath);
+        const entry = this.files.get(file);
+        const text = this.readText(file);
+        // Deleted, or replaced and not written yet; keep the current config
+        if (!entry || text === null || text === entry.text) {
+            return false;
+        }
+        entry.text = text;
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            this.emit('invalid', { file, errors: [`Invalid JSON: ${error.message}`] });
+            return true;
+        }
+        const errors = entry.validate(data) || [];
+        if (errors.length > 0) {
+            this.emit('invalid', { file, errors });
+        } else {
+            this.emit('changed', { file, data });
+        }
+        return true;
+    }
+
+    /**
+     * Take the current content of a file as seen, e.g. after the app wrote it itself
+     * @param {string} filePath
+     */
+    refresh(filePath) {
+        const entry = this.files.get(path.resolve(filePath));
+        if (entry) {
+            entry.text = this.readText(path.resolve(filePath));
+        }
+    }
+
+    readText(file) {
+        try {
+            return fs.readFileSync(file, 'utf-8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Stop watching everything
+     */
+    close() {
+        Array.from(this.files.keys()).forEach(file => this.unwatch(file));
+    }
+}
+
+module.exports = ConfigWatcher;
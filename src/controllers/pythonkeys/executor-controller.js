@@ -1,18 +1,20 @@
 const { spawn } = require('child_process');
 const path = require('path');
 
-/**
- * Execute a pythonkeys script with the given wheel result and application config
- * @param {object} wheelResult - The wheel result object with config
- * @param {object} applicationConfigs - Map of all application configurations
- * @returns {Promise<void>}
- */
 function getUnpackedPath(p) {
     if (p.includes('app.asar.unpacked')) return p;
     return p.includes('app.asar') ? p.replace('app.asar', 'app.asar.unpacked') : p;
 }
 
-function executeController(wheelResult, applicationConfigs) {
+/**
+ * Execute a pythonkeys script with the given wheel result and application config
+ * @param {object} wheelResult - The wheel result object with config
+ * @param {object} applicationConfigs - Map of all application configurations
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Kills the Python process when aborted (queue worker timeout)
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>} Rejects with an Error carrying stdout/stderr/exitCode
+ */
+function executeController(wheelResult, applicationConfigs, { signal } = {}) {
     console.log('[PythonKeys] executeController called', { wheelResult, applicationConfigs });
     return new Promise((resolve, reject) => {
         try {
@@ -80,6 +82,16 @@ function executeController(wheelResult, applicationConfigs) {
             let stdout = '';
             let stderr = '';
 
+            // Kill a hung process when the queue worker times the item out
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    if (pyProcess.exitCode === null && !pyProcess.killed) {
+                        console.warn(`[PythonKeys] Aborted (${signal.reason?.message || 'timeout'}), killing process ${pyProcess.pid}`);
+                        pyProcess.kill();
+                    }
+                }, { once: true });
+            }
+
             pyProcess.stdout.on('data', (data) => {
                 const msg = data.toString();
                 stdout += msg;
@@ -95,10 +107,15 @@ function executeController(wheelResult, applicationConfigs) {
             pyProcess.on('close', (code) => {
                 console.log(`[PythonKeys] Process exited with code ${code}`);
                 if (code === 0) {
-                    resolve();
+                    resolve({ stdout, stderr, exitCode: code });
                 } else {
-                    const errorMsg = `Python script exited with code ${code}\nSTDOUT:\n${stdout}\nSTDERR:\n${stderr}`;
-                    reject(new Error(errorMsg));
+                    // Keep the message short (last stderr line); full output is attached for the queue worker
+                    const lastStderrLine = stderr.trim().split(/\r?\n/).pop();
+                    const error = new Error(`Python script exited with code ${code}${lastStderrLine ? `: ${lastStderrLine}` : ''}`);
+                    error.stdout = stdout;
+                    error.stderr = stderr;
+                    error.exitCode = code;
+                    reject(error);
                 }
             });
 
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { app } = require('electron');
+
+/**
+ * Dead-letter storage for queue items that failed every attempt
+ * Entries are kept in a JSON file in userData until they are replayed or discarded.
+ *
+ * Emits:
+ *   'changed' (entries) - after any add/remove
+ */
+class DeadLetterStore extends EventEmitter {
+    constructor() {
+        super();
+        this.storageDir = app.getPath('userData');
+        this.deadLetterFile = path.join(this.storageDir, 'dead-letters.json');
+        this.entries = this.load();
+    }
+
+    /**
+     * Load dead-lettered items from disk
+     * @returns {Array<object>}
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.deadLetterFile)) {
+                const data = JSON.parse(fs.readFileSync(this.deadLetterFile, 'utf8'));
+                const entries = Array.isArray(data) ? data : [];
+                console.log(`[DeadLetterStore] Loaded ${entries.length} dead-lettered item(s)`);
+                return entries;
+            }
+        } catch (error) {
+            console.error('[DeadLetterStore] Failed to load dead letters:', error);
+        }
+        return [];
+    }
+
+    /**
+     * Write all entries to disk
+     */
+    save() {
+        try {
+            if (!fs.existsSync(this.storageDir)) {
+                fs.mkdirSync(this.storageDir, { recursive: true });
+            }
+            fs.writeFileSync(this.deadLetterFile, JSON.stringify(this.entries, null, 2), 'utf8');
+        } catch (error) {
+            console.error('[DeadLetterStore] Failed to save dead letters:', error);
+        }
+        this.emit('changed', this.entries);
+    }
+
+    /**
+     * Dead-letter a permanently failed item
+     * @param {object} failure
+     * @param {string} failure.source - Window id of the queue manager that owns the queue
+     * @param {string} failure.queueName - Queue the item was on
+     * @param {object} failure.item - The original queue item
+     * @param {string} failure.error - Last error message
+     * @param {number} [failure.attempts] - Number of attempts made
+     * @returns {object} Stored entry (includes generated id)
+     */
+    add(failure) {
+        const entry = {
+            id: crypto.randomUUID(),
+            failedAt: new Date().toISOString(),
+            source: failure.source,
+            queueName: failure.queueName,
+            itemId: failure.itemId,
+            item: failure.item,
+            error: failure.error,
+            stdout: failure.stdout,
+            stderr: failure.stderr,
+            attempts: failure.attempts
+        };
+        this.entries.push(entry);
+        this.save();
+        console.warn(`[DeadLetterStore] Dead-lettered item on "${entry.queueName}": ${entry.error}`);
+        return entry;
+    }
+
+    /**
+     * List dead-lettered items
+     * @param {object} [filter]
+     * @param {string} [filter.source] - Window id
+     * @param {string} [filter.queueName] - Queue name
+     * @returns {Array<object>}
+     */
+    list(filter = {}) {
+        return this.entries.filter(entry =>
+            (!filter.source || entry.source === filter.source) &&
+            (!filter.queueName || entry.queueName === filter.queueName));
+    }
+
+    /**
+     * Remove entries by id
+     * @param {Array<string>} ids - Entry ids to remove
+     * @returns {Array<object>} Removed entries
+     */
+    remove(ids) {
+        const wanted = new Set(ids);
+        const removed = this.entries.filter(entry => wanted.has(entry.id));
+        if (removed.length > 0) {
+            this.entries = this.entries.filter(entry => !wanted.has(entry.id));
+            this.save();
+        }
+        return removed;
+    }
+}
+
+module.exports = DeadLetterStore;
@@ -0,0 +1,308 @@
+const EventEmitter = require('events');
+
+/**
+ * Twitch EventSub client (WebSocket transport) for channel point redemptions and cheers
+ * Subscribes with the OAuth token the app already stores (TokenStorage) and the Helix API,
+ * and marks redemptions fulfilled or canceled (refunded).
+ * URLs can point at the mock server in test/mock-eventsub-server.js.
+ *
+ * Emits:
+ *   'connected' (sessionId)   - welcome received and subscriptions created
+ *   'redemption' (event)      - channel.channel_points_custom_reward_redemption.add event
+ *   'cheer' (event)           - channel.cheer event
+ *   'revoked' (subscription)  - Twitch revoked a subscription (e.g. token lost a scope)
+ *   'disconnected' ({code, reason})
+ *   'error' (error)
+ *
+ * Needed token scopes: channel:read:redemptions (channel:manage:redemptions to fulfil/refund), bits:read
+ */
+
+const DEFAULT_WS_URL = 'wss://eventsub.wss.twitch.tv/ws';
+const DEFAULT_API_BASE = 'https://api.twitch.tv/helix';
+
+// Subscriptions created for every new session
+const SUBSCRIPTION_TYPES = {
+    'channel.channel_points_custom_reward_redemption.add': 'redemption',
+    'channel.cheer': 'cheer'
+};
+
+// Reconnect backoff after the socket drops without a session_reconnect
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 60 * 1000;
+// Grace period on top of the keepalive interval Twitch announces in the welcome
+const KEEPALIVE_GRACE_MS = 5000;
+
+class EventSubClient extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.clientId - Twitch application client id
+     * @param {function(): (string|null)} options.getToken - Returns the current user access token
+     * @param {string} [options.broadcasterId] - Channel to subscribe to (defaults to the token's user)
+     * @param {string} [options.wsUrl] - EventSub WebSocket URL
+     * @param {string} [options.apiBase] - Helix API base URL
+     * @param {Function} [options.WebSocket] - WebSocket implementation (defaults to the global one)
+     * @param {Function} [options.fetch] - fetch implementation (defaults to the global one)
+     */
+    constructor(options = {}) {
+        super();
+        this.clientId = options.clientId;
+        this.getToken = options.getToken || (() => null);
+        this.broadcasterId = options.broadcasterId || null;
+        this.wsUrl = options.wsUrl || DEFAULT_WS_URL;
+        this.apiBase = (options.apiBase || DEFAULT_API_BASE).replace(/\/$/, '');
+        this.WebSocket = options.WebSocket || globalThis.WebSocket;
+        this.fetch = options.fetch || globalThis.fetch;
+
+        this.socket = null;
+        this.sessionId = null;
+        this.stopped = true;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.keepaliveTimer = null;
+        this.keepaliveMs = null;
+        this.migratingFrom = null;
+    }
+
+    /**
+     * Open the EventSub session
+     */
+    connect() {
+        if (!this.WebSocket) {
+            throw new Error('No WebSocket implementation available');
+        }
+        this.stopped = false;
+        this.openSocket(this.wsUrl, false);
+    }
+
+    /**
+     * Open a socket
+     * @param {string} url - EventSub URL (or the reconnect_url of a session_reconnect)
+     * @param {boolean} migrating - True when replacing a live session; subscriptions carry over
+     */
+    openSocket(url, migrating) {
+        const previous = this.socket;
+        const socket = new this.WebSocket(url);
+        this.socket = socket;
+        if (previous) {
+            if (migrating) {
+                // Keep the old session open until the new one is welcomed
+                this.migratingFrom = previous;
+            } else {
+                this.closeSocket(previous);
+            }
+        }
+
+        socket.onmessage = (event) => {
+            if (socket !== this.socket) return;
+            this.handleMessage(String(event.data));
+        };
+        socket.onerror = (event) => {
+            if (socket !== this.socket) return;
+            this.emit('error', event.error || new Error('EventSub socket error'));
+        };
+        socket.onclose = (event) => {
+            if (socket !== this.socket) return;
+            this.handleClose(event.code, event.reason);
+        };
+    }
+
+    /**
+     * Close a socket without triggering a reconnect
+     */
+    closeSocket(socket) {
+        socket.onmessage = null;
+        socket.onerror = null;
+        socket.onclose = null;
+        try {
+            socket.close();
+        } catch (error) {
+            // Already closed
+        }
+    }
+
+    /**
+     * Handle a message from Twitch
+     * @param {string} data - Raw JSON message
+     */
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn('[EventSub] Ignoring malformed message');
+            return;
+        }
+        const type = message.metadata?.message_type;
+        const payload = message.payload || {};
+        this.resetKeepalive();
+
+        if (type === 'session_welcome') {
+            this.sessionId = payload.session?.id;
+            this.keepaliveMs = (payload.session?.keepalive_timeout_seconds || 10) * 1000;
+            this.reconnectAttempts = 0;
+            this.resetKeepalive();
+            if (this.migratingFrom) {
+                // Reconnected through session_reconnect: subscriptions moved with the session
+                this.closeSocket(this.migratingFrom);
+                this.migratingFrom = null;
+                console.log(`[EventSub] Session migrated (${this.sessionId})`);
+                this.emit('connected', this.sessionId);
+                return;
+            }
+            this.subscribeAll()
+                .then(() => {
+                    console.log(`[EventSub] Connected, session ${this.sessionId}`);
+                    this.emit('connected', this.sessionId);
+                })
+                .catch((error) => {
+                    console.error(`[EventSub] Failed to subscribe: ${error.message}`);
+                    this.emit('error', error);
+                });
+        } else if (type === 'session_reconnect') {
+            console.log('[EventSub] Twitch asked to reconnect');
+            this.openSocket(payload.session?.reconnect_url || this.wsUrl, true);
+        } else if (type === 'notification') {
+            const eventName = SUBSCRIPTION_TYPES[payload.subscription?.type];
+            if (eventName) {
+                this.emit(eventName, payload.event);
+            }
+        } else if (type === 'revocation') {
+            console.warn(`[EventSub] Subscription ${payload.subscription?.type} revoked: ${payload.subscription?.status}`);
+            this.emit('revoked', payload.subscription);
+        }
+    }
+
+    /**
+     * Restart the keepalive watchdog; a silent socket is treated as dropped
+     */
+    resetKeepalive() {
+        clearTimeout(this.keepaliveTimer);
+        if (!this.keepaliveMs || this.stopped) {
+            return;
+        }
+        this.keepaliveTimer = setTimeout(() => {
+            console.warn('[EventSub] Keepalive timed out');
+            const socket = this.socket;
+            if (socket) {
+                this.closeSocket(socket);
+            }
+            this.handleClose(4005, 'keepalive timeout');
+        }, this.keepaliveMs + KEEPALIVE_GRACE_MS);
+    }
+
+    /**
+     * Socket closed: reconnect with backoff unless disconnect() was called
+     */
+    handleClose(code, reason) {
+        clearTimeout(this.keepaliveTimer);
+        if (this.migratingFrom) {
+            this.closeSocket(this.migratingFrom);
+            this.migratingFrom = null;
+        }
+        this.socket = null;
+        this.sessionId = null;
+        this.emit('disconnected', { code, reason });
+        if (this.stopped) {
+            return;
+        }
+        const delay = Math.min(RECONNECT_BASE_DELAY_MS * Math.pow(2, this.reconnectAttempts), RECONNECT_MAX_DELAY_MS);
+        this.reconnectAttempts++;
+        console.warn(`[EventSub] Socket closed (${code}${reason ? `: ${reason}` : ''}), reconnecting in ${delay}ms`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (!this.stopped) {
+                this.openSocket(this.wsUrl, false);
+            }
+        }, delay);
+    }
+
+    /**
+     * Close the session and stop reconnecting
+     */
+    disconnect() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.keepaliveTimer);
+        [this.socket, this.migratingFrom].forEach(socket => socket && this.closeSocket(socket));
+        this.socket = null;
+        this.migratingFrom = null;
+        this.sessionId = null;
+    }
+
+    /**
+     * Call the Helix API with the current token
+     * @param {string} method - HTTP method
+     * @param {string} apiPath - Path below the API base, including the query string
+     * @param {object} [body] - JSON body
+     * @returns {Promise<object|null>} Parsed response (null for empty responses)
+     */
+    async helix(method, apiPath, body) {
+        const token = (this.getToken() || '').replace(/^oauth:/, '');
+        if (!token) {
+            throw new Error('No Twitch token available');
+        }
+        const response = await this.fetch(`${this.apiBase}${apiPath}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Client-Id': this.clientId,
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        if (!response.ok) {
+            throw new Error(`${method} ${apiPath} failed with ${response.status}: ${text}`);
+        }
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * Broadcaster id to subscribe to (the token's user unless configured)
+     * @returns {Promise<string>}
+     */
+    async getBroadcasterId() {
+        if (!this.broadcasterId) {
+            const result = await this.helix('GET', '/users');
+            this.broadcasterId = result?.data?.[0]?.id;
+            if (!this.broadcasterId) {
+                throw new Error('Could not determine the broadcaster id from the token');
+            }
+        }
+        return this.broadcasterId;
+    }
+
+    /**
+     * Create the subscriptions for the current session
+     */
+    async subscribeAll() {
+        const broadcasterId = await this.getBroadcasterId();
+        for (const type of Object.keys(SUBSCRIPTION_TYPES)) {
+            await this.helix('POST', '/eventsub/subscriptions', {
+                type,
+                version: '1',
+                condition: { broadcaster_user_id: broadcasterId },
+                transport: { method: 'websocket', session_id: this.sessionId }
+            });
+        }
+    }
+
+    /**
+     * Mark a redemption fulfilled or canceled (canceled refunds the viewer's points)
+     * Only works for rewards created with the same client id.
+     * @param {{rewardId: string, redemptionId: string}} redemption
+     * @param {'FULFILLED'|'CANCELED'} status
+     */
+    async updateRedemptionStatus(redemption, status) {
+        const broadcasterId = await this.getBroadcasterId();
+        const query = new URLSearchParams({
+            id: redemption.redemptionId,
+            broadcaster_id: broadcasterId,
+            reward_id: redemption.rewardId
+        });
+        await this.helix('PATCH', `/channel_points/custom_rewards/redemptions?${query}`, { status });
+        console.log(`[EventSub] Redemption ${redemption.redemptionId} marked ${status}`);
+    }
+}
+
+module.exports = EventSubClient;
@@ -1,27 +1,43 @@
 const path = require('path');
 const fs = require('fs');
 
-function loadFromExeDir(filename) {
+/**
+ * Places a file is looked for, in order
+ * @param {string} filename
+ * @returns {Array<string>}
+ */
+function getCandidatePaths(filename) {
     // Prioritize dev and packaged scenarios for .env loading
     const exeDir = path.dirname(process.argv[0]);
     const parentDir = path.dirname(exeDir);
-    let candidatePaths;
     if (filename === '.env' || path.extname(filename).toLowerCase() === '.env') {
         // For .env, always prioritize exeDir and parentDir
-        candidatePaths = [
+        return [
             path.join(exeDir, filename),        // next to the executable
             path.join(parentDir, filename),     // parent of exe dir
             path.resolve(__dirname, filename),  // src/ or dist/ directory
             path.join(process.cwd(), filename)  // project root (where npm run dev is called)
         ];
-    } else {
-        candidatePaths = [
-            path.resolve(__dirname, filename),
-            path.join(process.cwd(), filename),
-            path.join(exeDir, filename),
-            path.join(parentDir, filename)
-        ];
     }
+    return [
+        path.resolve(__dirname, filename),
+        path.join(process.cwd(), filename),
+        path.join(exeDir, filename),
+        path.join(parentDir, filename)
+    ];
+}
+
+/**
+ * Path loadFromExeDir reads a file from (e.g. to write changes back to it)
+ * @param {string} filename
+ * @returns {string|null} null if the file is in none of the places
+ */
+function findInExeDir(filename) {
+    return getCandidatePaths(filename).find(filePath => fs.existsSync(filePath)) || null;
+}
+
+function loadFromExeDir(filename) {
+    const candidatePaths = getCandidatePaths(filename);
     const triedPaths = [];
     for (const filePath of candidatePaths) {
         console.log(`[ENV] trying: ${filePath}`);
@@ -69,5 +85,6 @@ function loadFromExeDir(filename) {
 }
 
 module.exports = {
+    findInExeDir,
     loadFromExeDir
 };
@@ -0,0 +1,75 @@
+const util = require('util');
+
+/**
+ * Keep OAuth secrets out of the logs
+ * main.js installs this on the console first thing, and registers client secrets and tokens as they
+ * are loaded or issued; registered values are replaced wherever they appear. Patterns catch tokens
+ * that were never registered (chat passwords, OAuth query strings, token JSON, Authorization headers).
+ */
+
+const REDACTED = '[redacted]';
+
+const PATTERNS = [
+    [/\b(oauth:)[a-z0-9]+/gi, `$1${REDACTED}`],
+    [/(\b(?:access_token|refresh_token|id_token|client_secret|code_verifier)=)[^&\s"'#]+/gi, `$1${REDACTED}`],
+    [/([?&#]code=)[^&\s"'#]+/gi, `$1${REDACTED}`],
+    [/(["']?(?:accessToken|refreshToken|access_token|refresh_token|client_secret|clientSecret)["']?\s*[:=]\s*["'])[^"']+/g, `$1${REDACTED}`],
+    [/(\b(?:OAuth|Bearer)\s+)[a-z0-9._~+/-]{8,}/gi, `$1${REDACTED}`]
+];
+
+// Shorter values are too likely to match ordinary text
+const MIN_SECRET_LENGTH = 8;
+
+const secrets = new Set();
+
+/**
+ * Redact a value from now on
+ * @param {string} value - Token, client secret, ...
+ */
+function registerSecret(value) {
+    if (typeof value !== 'string') {
+        return;
+    }
+    const secret = value.replace(/^oauth:/, '');
+    if (secret.length >= MIN_SECRET_LENGTH) {
+        secrets.add(secret);
+    }
+}
+
+/**
+ * Replace registered secrets and token-looking values in a string
+ * @param {string} text
+ * @returns {string}
+ */
+function redact(text) {
+    let result = String(text);
+    secrets.forEach((secret) => {
+        result = result.split(secret).join(REDACTED);
+    });
+    PATTERNS.forEach(([pattern, replacement]) => {
+        result = result.replace(pattern, replacement);
+    });
+    return result;
+}
+
+/**
+ * Wrap console.log/info/warn/error/debug so everything they print is redacted
+ * @param {object} [target=console]
+ */
+function install(target = console) {
+    if (target.__redacting) {
+        return;
+    }
+    ['log', 'info', 'warn', 'error', 'debug'].forEach((method) => {
+        const original = target[method].bind(target);
+        target[method] = (...args) => original(redact(util.format(...args)));
+    });
+    target.__redacting = true;
+}
+
+module.exports = {
+    REDACTED,
+    install,
+    redact,
+    registerSecret
+};
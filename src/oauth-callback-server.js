@@ -0,0 +1,209 @@
+const http = require('http');
+
+/**
+ * Local server for OAuth redirects, listening only while a login is in progress
+ * main.js starts it when the user clicks "Connect" and gives the provider a redirect URI on the port
+ * it got; it stops after the last pending login completes or after the timeout.
+ *
+ * Providers only redirect to registered URIs, so the port is the first free one from a list
+ * (OAUTH_REDIRECT_PORTS, default 3000-3003) that is registered with the application. The server
+ * binds to 127.0.0.1 and only answers top-level GET navigations addressed to localhost; the state
+ * nonce checked by the provider module (src/twitch-auth.js) ties each redirect to a login started here.
+ */
+
+const DEFAULT_PORTS = [3000, 3001, 3002, 3003];
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+
+const PAGE_HEADERS = {
+    'Cache-Control': 'no-store',
+    'Content-Security-Policy': "default-src 'none'",
+    'Referrer-Policy': 'no-referrer',
+    'X-Frame-Options': 'DENY'
+};
+
+/**
+ * Parse configured ports ("3000,3001")
+ * @param {string} [value]
+ * @returns {Array<number>} The default ports when nothing valid is configured
+ */
+function parsePorts(value) {
+    const ports = String(value || '').split(/[\s,]+/)
+        .map(Number)
+        .filter(port => Number.isInteger(port) && port > 0 && port < 65536);
+    return ports.length > 0 ? Array.from(new Set(ports)) : DEFAULT_PORTS.slice();
+}
+
+/**
+ * Check a request to the callback server
+ * Rejects other hosts (DNS rebinding), cross-origin requests and anything that is not a browser
+ * navigation (fetch, images, forms posted by other pages).
+ * @param {{method: string, host?: string, origin?: string, fetchMode?: string}} request
+ * @param {number} port - Port the server listens on
+ * @returns {string|null} Why the request is rejected, or null if it is allowed
+ */
+function checkCallbackRequest({ method, host, origin, fetchMode }, port) {
+    const hosts = [`localhost:${port}`, `127.0.0.1:${port}`];
+    if (method !== 'GET') {
+        return `Method ${method} not allowed`;
+    }
+    if (!hosts.includes(String(host || '').toLowerCase())) {
+        return `Unexpected host "${host}"`;
+    }
+    if (origin && origin !== 'null' && !hosts.some(allowed => origin.toLowerCase() === `http://${allowed}`)) {
+        return `Cross-origin request from ${origin}`;
+    }
+    if (fetchMode && fetchMode !== 'navigate') {
+        return `Not a navigation (${fetchMode})`;
+    }
+    return null;
+}
+
+/**
+ * Small page shown in the browser at the end of a login
+ */
+function renderPage(title, message) {
+    const escape = text => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    return `
+        <html>
+        <body>
+            <h2>${escape(title)}</h2>
+            <p>${escape(message)}</p>
+        </body>
+        </html>
+    `;
+}
+
+class OAuthCallbackServer {
+    /**
+     * @param {object} options
+     * @param {function(object): Promise<{status?: number, title: string, message: string}>} options.onCallback
+     *     Handles the redirect's query parameters and returns the page to show
+     * @param {function(): boolean} options.hasPendingLogins - Whether logins are still waiting for a redirect
+     * @param {Array<number>} [options.ports] - Ports to try, in order
+     * @param {number} [options.timeoutMs] - Stop after this long without completing the logins
+     */
+    constructor(options) {
+        this.onCallback = options.onCallback;
+        this.hasPendingLogins = options.hasPendingLogins;
+        this.ports = options.ports || DEFAULT_PORTS.slice();
+        this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+        this.server = null;
+        this.port = null;
+        this.timer = null;
+    }
+
+    /**
+     * Redirect URI for the running server
+     * @returns {string|null}
+     */
+    getRedirectUri() {
+        return this.port ? `http://localhost:${this.port}/` : null;
+    }
+
+    /**
+     * Start listening (or keep the running server) and restart the timeout
+     * @returns {Promise<string>} Redirect URI
+     */
+    async start() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            console.log('[OAuth] Login not completed in time; callback server stopped');
+            this.stop();
+        }, this.timeoutMs);
+
+        if (this.server) {
+            return this.getRedirectUri();
+        }
+        const app = this.createApp();
+        for (const port of this.ports) {
+            try {
+                this.server = await this.listen(app, port);
+                this.port = port;
+                console.log(`[OAuth] Waiting for the login redirect on ${this.getRedirectUri()}`);
+                return this.getRedirectUri();
+            } catch (error) {
+                if (error.code !== 'EADDRINUSE') {
+                    throw error;
+                }
+                console.warn(`[OAuth] Port ${port} is in use, trying the next one`);
+            }
+        }
+        clearTimeout(this.timer);
+        throw new Error(`No free port for the OAuth redirect (tried ${this.ports.join(', ')})`);
+    }
+
+    /**
+     * Listen on 127.0.0.1
+     * @returns {Promise<http.Server>}
+     */
+    listen(app, port) {
+        return new Promise((resolve, reject) => {
+            const server = http.createServer(app);
+            server.once('error', reject);
+            server.listen(port, '127.0.0.1', () => {
+                server.removeListener('error', reject);
+                resolve(server);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.server) {
+            this.server.close();
+            this.server.closeAllConnections?.();
+            this.server = null;
+            this.port = null;
+        }
+    }
+
+    createApp() {
+        const express = require('express');
+        const app = express();
+        app.disable('x-powered-by');
+
+        app.use((req, res, next) => {
+            res.set(PAGE_HEADERS);
+            const rejection = checkCallbackRequest({
+                method: req.method,
+                host: req.headers.host,
+                origin: req.headers.origin,
+                fetchMode: req.headers['sec-fetch-mode']
+            }, this.port);
+            if (rejection) {
+                console.warn(`[OAuth] Rejected request to the callback server: ${rejection}`);
+                res.status(403).send(renderPage('Forbidden', 'This server only accepts login redirects.'));
+                return;
+            }
+            next();
+        });
+
+        app.get('/', async (req, res) => {
+            let page;
+            try {
+                page = await this.onCallback(req.query);
+            } catch (error) {
+                page = { status: 400, title: 'Login Failed', message: error.message };
+            }
+            if (!this.hasPendingLogins()) {
+                // Let the response finish before closing the connection
+                res.on('finish', () => this.stop());
+            }
+            res.status(page.status || 200).send(renderPage(page.title, page.message));
+        });
+
+        return app;
+    }
+}
+
+module.exports = {
+    DEFAULT_PORTS,
+    OAuthCallbackServer,
+    checkCallbackRequest,
+    parsePorts,
+    renderPage
+};
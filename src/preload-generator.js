@@ -9,6 +9,7 @@ const path = require('path');
  * 
  * @param {Map|Array} managersOrConfigs - Either Map of managers or array of window configs
  * @param {string} outputPath - Path where preload.js should be written
+ * @returns {boolean} Whether preload.js was written (false when it already had these APIs)
  */
 function generatePreload(managersOrConfigs, outputPath) {
     const apiDefinitions = {};
@@ -27,10 +28,21 @@ function generatePreload(managersOrConfigs, outputPath) {
     // Generate the preload.js content
     const preloadContent = generatePreloadContent(apiDefinitions);
     
+    // Leave the file alone when the APIs did not change (e.g. a window was reloaded from windows-config.json)
+    try {
+        if (fs.existsSync(outputPath) && fs.readFileSync(outputPath, 'utf8') === preloadContent) {
+            console.log(`[PreloadGenerator] preload.js is up to date (${Object.keys(apiDefinitions).length} API methods)`);
+            return false;
+        }
+    } catch (error) {
+        // Unreadable, write it again
+    }
+
     // Write to file
     try {
         fs.writeFileSync(outputPath, preloadContent, 'utf8');
         console.log(`[PreloadGenerator] Generated preload.js with ${Object.keys(apiDefinitions).length} API methods`);
+        return true;
     } catch (error) {
         console.error(`[PreloadGenerator] Failed to write preload.js:`, error);
         throw error;
@@ -62,7 +74,7 @@ function collectFromConfigs(windowConfigs, apiDefinitions) {
     windowConfigs.forEach(windowConfig => {
         if (!windowConfig.enabled) return;
         
-        const windowType = windowConfig.id;
+        const windowType = windowConfig.type || windowConfig.id;
         const lifecycleManagerPath = path.join(baseDir, `src/views/${windowType}/lifecycle-manager.js`);
         
         if (fs.existsSync(lifecycleManagerPath)) {
@@ -84,6 +96,10 @@ function collectFromConfigs(windowConfigs, apiDefinitions) {
                         if (typeof tempInstance.getPreloadAPI === 'function') {
                             api = tempInstance.getPreloadAPI();
                         }
+                        // Drop the IPC handlers it registered, the real manager registers them again
+                        if (typeof tempInstance.dispose === 'function') {
+                            tempInstance.dispose();
+                        }
                     } catch (err) {
                         // Some managers might need full initialization, skip for now
                         console.log(`[PreloadGenerator] Could not instantiate ${windowType} for preload API, will collect after initialization`);
@@ -104,6 +120,9 @@ function collectFromConfigs(windowConfigs, apiDefinitions) {
 function mergeAPIs(api, windowType, apiDefinitions) {
     if (api && typeof api === 'object') {
         Object.keys(api).forEach(key => {
+            if (apiDefinitions[key] === api[key]) {
+                return; // Same API from another window of the same type (e.g. a second wheel)
+            }
             if (apiDefinitions[key]) {
                 // Conflict - prefix with window type
                 const prefixedKey = `${windowType}_${key}`;
@@ -137,6 +156,17 @@ function addCoreAPIs(apiDefinitions) {
         closeWindow: send('close-window'),
         getAutoSpinConfig: invoke('get-auto-spin-config'),
         getConfig: invoke('get-config'),
+        // Problems found in config files (handled in main.js)
+        getConfigErrors: invoke('get-config-errors'),
+        onConfigErrorsChanged: on('config-errors-changed'),
+        // Profiles (handled in main.js)
+        getProfiles: invoke('get-profiles'),
+        switchProfile: invokeWithArgs('switch-profile', 'name'),
+        onProfilesChanged: on('profiles-changed'),
+        // Spin history APIs (handled in main.js)
+        getSpinHistory: invokeWithArgs('get-spin-history', 'query'),
+        getSpinHistorySummary: invokeWithArgs('get-spin-history-summary', 'query'),
+        onSpinHistoryUpdated: on('spin-history-updated'),
         sendMessage: '(channel, data) => ipcRenderer.send(channel, data)',
         // File dialog APIs
         showSaveDialog: invokeWithArgs('show-save-dialog', 'options'),
@@ -149,15 +179,51 @@ function addCoreAPIs(apiDefinitions) {
         readSamplePack: invokeWithArgs('read-sample-pack', 'packName'),
         // Wheel APIs (handled in main.js)
         spinWheel: send('spin-wheel', 'result', true), // Send result directly, don't wrap
+        reportDroppedSpin: send('spin-dropped', 'trigger', true),
         onSpinResult: on('spin-result'),
+        onSpinRejected: on('spin-rejected'),
+        getVoteConfig: invoke('get-vote-config'),
+        startVote: send('start-vote', 'vote', true),
+        onVoteUpdated: on('vote-updated'),
+        onVoteEnded: on('vote-ended'),
         onLoadWheelOptions: on('load-wheel-options'),
+        onWheelOptionsUpdated: on('wheel-options-updated'),
         onSpinHotkey: '(callback) => ipcRenderer.on("spin-wheel-hotkey", () => callback())',
         // Button click API
         buttonClick: send('button-click', 'clickData'),
+        // Queue item results (relayed from queue workers by SharedQueueManager)
+        onQueueItemStatus: on('queue-item-status'),
+        // Queue worker health (restarts, crash loops) - see SharedQueueManager.getQueueStats
+        getQueueStats: invoke('get-queue-stats'),
+        onQueueWorkerHealth: on('queue-worker-health'),
+        // Queue control (source = window id that owns the queue, e.g. "wheel")
+        pauseQueue: invokeWithArgs('pause-queue', 'source, queueName'),
+        resumeQueue: invokeWithArgs('resume-queue', 'source, queueName'),
+        clearQueue: invokeWithArgs('clear-queue', 'source, queueName'),
+        removeQueueItem: invokeWithArgs('remove-queue-item', 'source, queueName, itemId'),
+        moveQueueItem: invokeWithArgs('move-queue-item', 'source, queueName, itemId, toIndex'),
+        listQueueItems: invokeWithArgs('list-queue-items', 'source, queueName'),
+        onQueueChanged: on('queue-changed'),
+        // Dead-letter APIs (handled in main.js)
+        getDeadLetters: invokeWithArgs('get-dead-letters', 'filter'),
+        replayDeadLetters: invokeWithArgs('replay-dead-letters', 'ids'),
+        discardDeadLetters: invokeWithArgs('discard-dead-letters', 'ids'),
+        onDeadLettersUpdated: on('dead-letters-updated'),
+        // Viewer-submitted wheel entries (handled in main.js)
+        getWheelSubmissions: invoke('get-wheel-submissions'),
+        approveWheelSubmission: invokeWithArgs('approve-wheel-submission', 'id, templateKey'),
+        removeWheelSubmission: invokeWithArgs('remove-wheel-submission', 'id'),
+        onWheelSubmissionsUpdated: on('wheel-submissions-updated'),
+        // OAuth connections (handled in main.js)
+        getConnections: invoke('get-connections'),
+        startConnection: invokeWithArgs('start-connection', 'provider, account'),
+        removeConnection: invokeWithArgs('remove-connection', 'provider, account'),
+        onConnectionsUpdated: on('connections-updated'),
+        getTokenStorageInfo: invoke('get-token-storage-info'),
         // Twitch APIs (if registered in main.js)
         getTwitchCredentials: invoke('get-twitch-credentials'),
-        onTwitchOAuthToken: on('twitch-oauth-token'),
-        onTwitchSpinTriggered: '(callback) => ipcRenderer.on("twitch-spin-triggered", () => callback())',
+        onTwitchSpinTriggered: on('twitch-spin-triggered'),
+        getTwitchStatus: invoke('get-twitch-status'),
         onTwitchStatusChanged: on('twitch-status-changed')
     };
     
@@ -0,0 +1,114 @@
+/**
+ * profiles.json helpers
+ * A profile is a named set of windows, wheel options, applications and chat commands (e.g. one per
+ * game), applied on top of windows-config.json. main.js switches profiles from the tray menu or the
+ * switch-profile IPC.
+ */
+
+const { validateConfigFile } = require('./config-schema');
+const { getWindowType } = require('./windows-config');
+
+/**
+ * A profile by name
+ * @param {object} config - Parsed profiles.json
+ * @param {string|null} name
+ * @returns {object|null} null for no name or an unknown one
+ */
+function getProfile(config, name) {
+    const profiles = (config && config.profiles) || {};
+    return name && Object.prototype.hasOwnProperty.call(profiles, name) ? profiles[name] : null;
+}
+
+/**
+ * Profiles for the tray menu and the renderer, in file order
+ * @param {object} config - Parsed profiles.json
+ * @returns {Array<{name: string, description: string}>}
+ */
+function listProfiles(config) {
+    return Object.entries((config && config.profiles) || {})
+        .map(([name, profile]) => ({ name, description: (profile && profile.description) || '' }));
+}
+
+/**
+ * Check profiles.json against src/schemas/profiles.schema.json and the windows it names
+ * @param {object} config - Parsed profiles.json
+ * @param {object} windowsConfig - Parsed windows-config.json
+ * @returns {Array<string>} Problems found, empty when the file can be used
+ */
+function validateProfiles(config, windowsConfig) {
+    const errors = validateConfigFile('profiles.json', config);
+    if (errors.length > 0) {
+        return errors;
+    }
+    if (config.active && !getProfile(config, config.active)) {
+        errors.push(`active: unknown profile "${config.active}" (available: ${Object.keys(config.profiles).join(', ')})`);
+    }
+    const entries = (windowsConfig && Array.isArray(windowsConfig.windows)) ? windowsConfig.windows : [];
+    const ids = new Set(entries.map(windowConfig => windowConfig && windowConfig.id));
+    const wheelIds = new Set(entries.filter(windowConfig => windowConfig && getWindowType(windowConfig) === 'wheel').map(windowConfig => windowConfig.id));
+    Object.entries(config.profiles).forEach(([name, profile]) => {
+        (profile.windows || []).forEach((id, index) => {
+            if (!ids.has(id)) {
+                errors.push(`profiles.${name}.windows[${index}]: no window "${id}" in windows-config.json`);
+            }
+        });
+        Object.keys(profile.wheels || {}).forEach((id) => {
+            if (!wheelIds.has(id)) {
+                errors.push(`profiles.${name}.wheels.${id}: no wheel "${id}" in windows-config.json`);
+            }
+        });
+    });
+    return errors;
+}
+
+/**
+ * windows-config.json as a profile uses it
+ * Entries keep their order (saving a wheel's options relies on it). With `windows`, exactly the
+ * entries with those ids are enabled; `wheels` replaces options of those wheels.
+ * @param {object} windowsConfig - Parsed windows-config.json
+ * @param {object|null} profile - Profile from profiles.json; null returns a copy of windowsConfig
+ * @returns {object}
+ */
+function applyProfile(windowsConfig, profile) {
+    const config = structuredClone(windowsConfig);
+    if (!profile) {
+        return config;
+    }
+    config.windows = (config.windows || []).map((windowConfig) => {
+        const applied = { ...windowConfig };
+        if (Array.isArray(profile.windows)) {
+            applied.enabled = profile.windows.includes(windowConfig.id);
+        }
+        const wheel = profile.wheels && profile.wheels[windowConfig.id];
+        if (wheel && getWindowType(windowConfig) === 'wheel') {
+            applied.options = { ...applied.options, ...structuredClone(wheel) };
+            // Options given in the profile are used even if windows-config.json names an application
+            if (wheel.wheel && !wheel.wheelApplication) {
+                delete applied.options.wheelApplication;
+            }
+        }
+        return applied;
+    });
+    return config;
+}
+
+/**
+ * Whether a profile uses wheel options of an application
+ * @param {object|null} profile
+ * @param {string} [application] - Option's application; options without one are always used
+ * @returns {boolean}
+ */
+function isApplicationEnabled(profile, application) {
+    if (!profile || !Array.isArray(profile.applications) || !application) {
+        return true;
+    }
+    return profile.applications.some(name => name.toLowerCase() === String(application).toLowerCase());
+}
+
+module.exports = {
+    getProfile,
+    listProfiles,
+    validateProfiles,
+    applyProfile,
+    isApplicationEnabled
+};
@@ -0,0 +1,112 @@
+const { parseDuration } = require('./views/shared/schedule');
+
+/**
+ * Cooldowns and rate limits for spins and the actions they queue
+ * Checked in the main process (src/twitch.js for chat `!spin`, main.js before addToQueue).
+ *
+ * Configured with `options.rateLimits` on the wheel window in windows-config.json:
+ *   globalCooldown: "10s"    - minimum time between two chat spins (any viewer)
+ *   userCooldown: "60s"      - minimum time between two chat spins by the same viewer
+ *   optionCooldown: "30s"    - minimum time before the same wheel option is queued again
+ *   queueMaxPerMinute: 5     - items accepted per queue in any 60 second window
+ * A wheel option can override optionCooldown with its own `cooldown`.
+ * Durations are milliseconds or strings with a ms/s/m/h unit; missing/0 disables a limit.
+ */
+
+// Window used for queueMaxPerMinute
+const QUEUE_WINDOW_MS = 60 * 1000;
+
+class RateLimiter {
+    constructor(config = {}) {
+        this.configure(config);
+        this.lastSpinAt = null;
+        this.userSpins = new Map(); // user -> last accepted spin (epoch ms)
+        this.optionRuns = new Map(); // option name -> last accepted run (epoch ms)
+        this.queueItems = new Map(); // queue name -> accepted item times within QUEUE_WINDOW_MS
+    }
+
+    /**
+     * Apply (or replace) the limits; recorded history is kept
+     * @param {object} [config] - rateLimits object from windows-config.json
+     */
+    configure(config = {}) {
+        config = config || {};
+        this.limits = {
+            globalCooldownMs: parseDuration(config.globalCooldown) || 0,
+            userCooldownMs: parseDuration(config.userCooldown) || 0,
+            optionCooldownMs: parseDuration(config.optionCooldown) || 0,
+            queueMaxPerMinute: Number.isInteger(config.queueMaxPerMinute) && config.queueMaxPerMinute > 0
+                ? config.queueMaxPerMinute
+                : 0
+        };
+    }
+
+    /**
+     * Check and record a chat-triggered spin
+     * @param {string} user - Viewer name
+     * @param {number} [now=Date.now()]
+     * @returns {{allowed: true}|{allowed: false, reason: string, retryAfterMs: number, message: string}}
+     */
+    trySpin(user, now = Date.now()) {
+        const { globalCooldownMs, userCooldownMs } = this.limits;
+
+        if (globalCooldownMs && this.lastSpinAt !== null && now - this.lastSpinAt < globalCooldownMs) {
+            return this.reject('global-cooldown', this.lastSpinAt + globalCooldownMs - now, 'The wheel is on cooldown');
+        }
+        const userKey = (user || '').toLowerCase();
+        const lastUserSpin = this.userSpins.get(userKey);
+        if (userCooldownMs && userKey && lastUserSpin !== undefined && now - lastUserSpin < userCooldownMs) {
+            return this.reject('user-cooldown', lastUserSpin + userCooldownMs - now, `${user} can't spin again yet`);
+        }
+
+        this.lastSpinAt = now;
+        if (userKey) {
+            this.userSpins.set(userKey, now);
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Check and record a queue item before it is handed to addToQueue
+     * @param {object} item
+     * @param {string} item.option - Option name (per-option cooldown key)
+     * @param {number|string} [item.cooldown] - Option-specific cooldown, overrides optionCooldown
+     * @param {string} item.queueName - Target queue
+     * @param {number} [now=Date.now()]
+     * @returns {{allowed: true}|{allowed: false, reason: string, retryAfterMs: number, message: string}}
+     */
+    tryQueueItem({ option, cooldown, queueName }, now = Date.now()) {
+        const optionCooldownMs = cooldown !== undefined ? (parseDuration(cooldown) || 0) : this.limits.optionCooldownMs;
+        const lastRun = option ? this.optionRuns.get(option) : undefined;
+        if (optionCooldownMs && lastRun !== undefined && now - lastRun < optionCooldownMs) {
+            return this.reject('option-cooldown', lastRun + optionCooldownMs - now, `"${option}" is on cooldown`);
+        }
+
+        const { queueMaxPerMinute } = this.limits;
+        const recent = (this.queueItems.get(queueName) || []).filter(time => now - time < QUEUE_WINDOW_MS);
+        if (queueMaxPerMinute && recent.length >= queueMaxPerMinute) {
+            this.queueItems.set(queueName, recent);
+            return this.reject('queue-rate-limit', recent[0] + QUEUE_WINDOW_MS - now, `Queue "${queueName}" is full for this minute`);
+        }
+
+        if (option) {
+            this.optionRuns.set(option, now);
+        }
+        recent.push(now);
+        this.queueItems.set(queueName, recent);
+        return { allowed: true };
+    }
+
+    /**
+     * Build a rejection result
+     * @param {string} reason - global-cooldown | user-cooldown | option-cooldown | queue-rate-limit
+     * @param {number} retryAfterMs - Time until the limit allows it again
+     * @param {string} text - Human-readable reason
+     */
+    reject(reason, retryAfterMs, text) {
+        const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+        return { allowed: false, reason, retryAfterMs, message: `${text} (${seconds}s left)` };
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { app } = require('electron');
+
+/**
+ * Persistent spin history / audit log
+ * Every spin is appended to a JSON-lines file in userData. Outcome changes are appended
+ * as separate records, so the file is an append-only audit trail that is folded on load.
+ * Only the newest `maxEntries` spins are kept: older ones are dropped from memory as new ones
+ * come in, and from the file when it is compacted (on load, or once it holds twice that many records).
+ *
+ * Record shapes:
+ *   { type: 'spin', id, timestamp, trigger: { source, user }, option, command, application, controller, queueName, spinSeed, outcome }
+ *   { type: 'outcome', id, timestamp, outcome, error? }
+ */
+// Spins kept by default
+const MAX_ENTRIES = 5000;
+
+class SpinHistory {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxEntries=5000] - Newest spins to keep
+     */
+    constructor({ maxEntries = MAX_ENTRIES } = {}) {
+        this.storageDir = app.getPath('userData');
+        this.historyFile = path.join(this.storageDir, 'spin-history.jsonl');
+        this.maxEntries = maxEntries;
+        this.entries = [];
+        this.entriesById = new Map();
+        this.recordCount = 0; // Records in the history file
+        this.load();
+    }
+
+    /**
+     * Load and fold the history file into memory
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.historyFile)) {
+                console.log('[SpinHistory] No history file found, starting fresh');
+                return;
+            }
+
+            const lines = fs.readFileSync(this.historyFile, 'utf8').split(/\r?\n/);
+            let skipped = 0;
+            lines.forEach(line => {
+                if (!line.trim()) return;
+                try {
+                    this.applyRecord(JSON.parse(line));
+                    this.recordCount++;
+                } catch (err) {
+                    skipped++;
+                }
+            });
+            if (skipped > 0 || this.recordCount > this.entries.length) {
+                this.compact();
+            }
+
+            console.log(`[SpinHistory] Loaded ${this.entries.length} spin(s) from ${this.historyFile}` +
+                (skipped ? ` (skipped ${skipped} unreadable line(s))` : ''));
+        } catch (error) {
+            console.error('[SpinHistory] Failed to load history:', error);
+        }
+    }
+
+    /**
+     * Apply a single record to the in-memory state
+     * @param {object} record - Record read from the history file
+     */
+    applyRecord(record) {
+        if (record.type === 'spin') {
+            const { type, ...entry } = record;
+            this.entries.push(entry);
+            this.entriesById.set(entry.id, entry);
+            if (this.entries.length > this.maxEntries) {
+                this.entriesById.delete(this.entries.shift().id);
+            }
+        } else if (record.type === 'outcome') {
+            const entry = this.entriesById.get(record.id);
+            if (entry) {
+                entry.outcome = record.outcome;
+                entry.outcomeAt = record.timestamp;
+                if (record.error) entry.error = record.error;
+                else delete entry.error;
+            }
+        }
+    }
+
+    /**
+     * Append a record to the history file
+     * @param {object} record - Record to persist
+     */
+    appendRecord(record) {
+        try {
+            if (!fs.existsSync(this.storageDir)) {
+                fs.mkdirSync(this.storageDir, { recursive: true });
+            }
+            fs.appendFileSync(this.historyFile, JSON.stringify(record) + '\n', 'utf8');
+            this.recordCount++;
+        } catch (error) {
+            console.error('[SpinHistory] Failed to write history record:', error);
+        }
+        if (this.recordCount > this.maxEntries * 2) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Rewrite the history file with one record per kept spin (outcomes folded in)
+     */
+    compact() {
+        try {
+            const lines = this.entries.map(entry => JSON.stringify({ type: 'spin', ...entry }) + '\n');
+            fs.writeFileSync(this.historyFile, lines.join(''), 'utf8');
+            this.recordCount = this.entries.length;
+        } catch (error) {
+            console.error('[SpinHistory] Failed to compact history:', error);
+        }
+    }
+
+    /**
+     * Record a spin
+     * @param {object} spin - Spin details
+     * @param {string} [spin.wheel] - Window id of the wheel
+     * @param {{source: string, user?: string}} spin.trigger - Who/what triggered the spin
+     * @param {string} spin.option - Winning option name
+     * @param {string} [spin.queueName] - Queue the action was sent to
+     * @param {string} [spin.outcome='queued'] - Initial outcome
+     * @returns {object} The stored entry (includes generated id)
+     */
+    recordSpin(spin) {
+        const record = {
+            type: 'spin',
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            wheel: spin.wheel || null,
+            trigger: {
+                source: spin.trigger?.source || 'unknown',
+                user: spin.trigger?.user || null
+            },
+            option: spin.option || null,
+            command: spin.command || null,
+            application: spin.application || null,
+            controller: spin.controller || null,
+            queueName: spin.queueName || null,
+            spinSeed: spin.spinSeed ?? null,
+            outcome: spin.outcome || 'queued'
+        };
+        if (spin.error) record.error = spin.error;
+
+        this.applyRecord(record);
+        this.appendRecord(record);
+        console.log(`[SpinHistory] Recorded spin ${record.id}: "${record.option}" (${record.trigger.source}${record.trigger.user ? ` by ${record.trigger.user}` : ''})`);
+        return this.entriesById.get(record.id);
+    }
+
+    /**
+     * Update the outcome of a recorded spin
+     * @param {string} id - Spin id returned by recordSpin
+     * @param {string} outcome - New outcome (e.g. 'succeeded', 'failed')
+     * @param {string} [error] - Error message when the outcome is a failure
+     * @returns {object|null} The updated entry, or null if the id is unknown
+     */
+    setOutcome(id, outcome, error) {
+        if (!this.entriesById.has(id)) {
+            console.warn(`[SpinHistory] Cannot set outcome for unknown spin: ${id}`);
+            return null;
+        }
+        const record = { type: 'outcome', id, timestamp: new Date().toISOString(), outcome };
+        if (error) record.error = error;
+
+        this.applyRecord(record);
+        this.appendRecord(record);
+        return this.entriesById.get(id);
+    }
+
+    /**
+     * Query the history (newest first)
+     * @param {object} [query]
+     * @param {string|number} [query.from] - Inclusive start time (ISO string or epoch ms)
+     * @param {string|number} [query.to] - Inclusive end time (ISO string or epoch ms)
+     * @param {string} [query.user] - Twitch username (case-insensitive)
+     * @param {string} [query.option] - Option name (case-insensitive)
+     * @param {string} [query.outcome] - Outcome to match
+     * @param {string} [query.source] - Trigger source to match
+     * @param {string} [query.wheel] - Window id of the wheel
+     * @param {number} [query.limit] - Maximum number of entries returned
+     * @returns {Array<object>}
+     */
+    query(query = {}) {
+        const from = query.from != null ? new Date(query.from).getTime() : null;
+        const to = query.to != null ? new Date(query.to).getTime() : null;
+        const user = query.user ? String(query.user).toLowerCase() : null;
+        const option = query.option ? String(query.option).toLowerCase() : null;
+
+        const results = this.entries.filter(entry => {
+            const time = new Date(entry.timestamp).getTime();
+            if (from != null && time < from) return false;
+            if (to != null && time > to) return false;
+            if (user && (entry.trigger.user || '').toLowerCase() !== user) return false;
+            if (option && (entry.option || '').toLowerCase() !== option) return false;
+            if (query.outcome && entry.outcome !== query.outcome) return false;
+            if (query.source && entry.trigger.source !== query.source) return false;
+            if (query.wheel && entry.wheel !== query.wheel) return false;
+            return true;
+        }).reverse();
+
+        const limit = Number(query.limit);
+        return Number.isInteger(limit) && limit > 0 ? results.slice(0, limit) : results;
+    }
+
+    /**
+     * Summarize matching spins for end-of-stream recaps
+     * @param {object} [query] - Same filters as query()
+     * @returns {{ total: number, byOption: object, byUser: object, byOutcome: object, bySource: object }}
+     */
+    summarize(query = {}) {
+        const { limit, ...filters } = query;
+        const entries = this.query(filters);
+        const count = (map, key) => { map[key] = (map[key] || 0) + 1; };
+        const summary = { total: entries.length, byOption: {}, byUser: {}, byOutcome: {}, bySource: {} };
+
+        entries.forEach(entry => {
+            count(summary.byOption, entry.option || '(unknown)');
+            if (entry.trigger.user) count(summary.byUser, entry.trigger.user);
+            count(summary.byOutcome, entry.outcome);
+            count(summary.bySource, entry.trigger.source);
+        });
+
+        return summary;
+    }
+}
+
+module.exports = SpinHistory;
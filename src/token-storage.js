@@ -1,165 +1,346 @@
 const fs = require('fs');
 const path = require('path');
-const { app } = require('electron');
+const { app, safeStorage } = require('electron');
 const crypto = require('crypto');
 
 /**
  * Secure token storage for OAuth tokens
- * Uses encryption to store tokens securely on disk
+ * Uses encryption to store tokens securely on disk. Tokens are kept per provider and account
+ * ("twitch:broadcaster", "twitch:bot", later other services) in one encrypted file.
+ *
+ * Encryption modes:
+ *   safeStorage - Electron safeStorage, keyed by the OS keychain (DPAPI, Keychain, libsecret/kwallet)
+ *   fallback    - no OS keystore: AES-256-GCM with a random key in userData/token.key. Anyone who can
+ *                 read the userData folder can decrypt the tokens; a warning is logged and the OAuth
+ *                 Connections window shows it.
+ * Files of older versions (AES-256-CBC with a key derived from the userData path) are decrypted once
+ * and written again in the current mode; the old key file is deleted afterwards.
  */
+
+const FILE_VERSION = 2;
+
 class TokenStorage {
     constructor() {
         // Use Electron's userData directory for secure storage
         this.storageDir = app.getPath('userData');
-        this.tokenFile = path.join(this.storageDir, 'twitch-token.enc');
-        
-        // Generate or load encryption key (stored in userData)
-        this.keyFile = path.join(this.storageDir, '.token-key');
-        this.encryptionKey = this.getOrCreateKey();
+        this.tokenFile = path.join(this.storageDir, 'connections.enc');
+        // Single Twitch token of older versions, migrated on first read
+        this.legacyTokenFile = path.join(this.storageDir, 'twitch-token.enc');
+        this.connections = null; // Cache of the decrypted file
+
+        // Key for the fallback mode, and the path-derived key of older versions
+        this.keyFile = path.join(this.storageDir, 'token.key');
+        this.legacyKeyFile = path.join(this.storageDir, '.token-key');
+        this.fallbackKey = null;
+        this.warnedFallback = false;
     }
 
     /**
-     * Get or create encryption key for token storage
-     * Uses a machine-specific key derived from userData path
+     * Encryption used for new writes (safeStorage needs the app to be ready)
+     * On Linux without a secret service safeStorage uses a hardcoded password ("basic_text"), which is
+     * no better than the fallback, so it counts as unavailable.
+     * @returns {'safeStorage'|'fallback'}
      */
-    getOrCreateKey() {
+    getEncryptionMode() {
         try {
-            if (fs.existsSync(this.keyFile)) {
-                const keyData = fs.readFileSync(this.keyFile, 'utf8');
-                return Buffer.from(keyData, 'hex');
-            } else {
-                // Generate a new key based on userData path (machine-specific)
-                const userDataPath = this.storageDir;
-                const key = crypto.createHash('sha256')
-                    .update(userDataPath + process.platform)
-                    .digest();
-                
-                // Store the key for future use
-                fs.writeFileSync(this.keyFile, key.toString('hex'), { mode: 0o600 });
-                return key;
+            if (!safeStorage || !app.isReady() || !safeStorage.isEncryptionAvailable()) {
+                return 'fallback';
             }
+            if (process.platform === 'linux' && safeStorage.getSelectedStorageBackend &&
+                safeStorage.getSelectedStorageBackend() === 'basic_text') {
+                return 'fallback';
+            }
+            return 'safeStorage';
         } catch (error) {
-            console.error('[TokenStorage] Error managing encryption key:', error);
-            // Fallback: use a simple hash if key management fails
-            return crypto.createHash('sha256')
-                .update(this.storageDir + 'fallback')
-                .digest();
+            return 'fallback';
+        }
+    }
+
+    /**
+     * Whether tokens are protected by the OS keychain (for the OAuth Connections window)
+     * @returns {{mode: string, secure: boolean}}
+     */
+    getEncryptionInfo() {
+        const mode = this.getEncryptionMode();
+        return { mode, secure: mode === 'safeStorage' };
+    }
+
+    /**
+     * Get or create the random key of the fallback mode
+     */
+    getFallbackKey() {
+        if (this.fallbackKey) {
+            return this.fallbackKey;
+        }
+        if (fs.existsSync(this.keyFile)) {
+            this.fallbackKey = Buffer.from(fs.readFileSync(this.keyFile, 'utf8').trim(), 'hex');
+        } else {
+            if (!fs.existsSync(this.storageDir)) {
+                fs.mkdirSync(this.storageDir, { recursive: true, mode: 0o700 });
+            }
+            this.fallbackKey = crypto.randomBytes(32);
+            fs.writeFileSync(this.keyFile, this.fallbackKey.toString('hex'), { mode: 0o600 });
         }
+        return this.fallbackKey;
     }
 
     /**
-     * Encrypt token before storage
+     * Encrypt a string in the current mode
+     * @returns {string} File contents: JSON with version, encryption and base64 data
      */
     encryptToken(token) {
+        const mode = this.getEncryptionMode();
+        if (mode === 'safeStorage') {
+            return JSON.stringify({
+                version: FILE_VERSION,
+                encryption: mode,
+                data: safeStorage.encryptString(token).toString('base64')
+            });
+        }
+
+        if (!this.warnedFallback) {
+            console.warn('[TokenStorage] No OS keychain available; tokens are encrypted with a key stored in the user data folder');
+            this.warnedFallback = true;
+        }
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getFallbackKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+        return JSON.stringify({
+            version: FILE_VERSION,
+            encryption: mode,
+            data: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+        });
+    }
+
+    /**
+     * Decrypt file contents written by any version
+     * @returns {{plaintext: string, encryption: string}} encryption is 'safeStorage', 'fallback' or 'legacy'
+     */
+    decryptToken(encryptedData) {
+        if (!encryptedData.trim().startsWith('{')) {
+            return { plaintext: this.decryptLegacy(encryptedData), encryption: 'legacy' };
+        }
+
+        const file = JSON.parse(encryptedData);
+        const data = Buffer.from(file.data, 'base64');
+        if (file.encryption === 'safeStorage') {
+            if (this.getEncryptionMode() !== 'safeStorage') {
+                throw new Error('Tokens were encrypted with the OS keychain, which is not available now');
+            }
+            return { plaintext: safeStorage.decryptString(data), encryption: file.encryption };
+        }
+        if (file.encryption === 'fallback') {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this.getFallbackKey(), data.subarray(0, 12));
+            decipher.setAuthTag(data.subarray(12, 28));
+            const plaintext = Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+            return { plaintext, encryption: file.encryption };
+        }
+        throw new Error(`Unknown token encryption "${file.encryption}"`);
+    }
+
+    /**
+     * Decrypt the "iv:ciphertext" AES-256-CBC format of older versions
+     */
+    decryptLegacy(encryptedData) {
+        const parts = encryptedData.split(':');
+        if (parts.length !== 2) {
+            throw new Error('Invalid encrypted data format');
+        }
+        const key = fs.existsSync(this.legacyKeyFile)
+            ? Buffer.from(fs.readFileSync(this.legacyKeyFile, 'utf8'), 'hex')
+            : crypto.createHash('sha256').update(this.storageDir + process.platform).digest();
+        const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(parts[0], 'hex'));
+        let decrypted = decipher.update(parts[1], 'hex', 'utf8');
+        decrypted += decipher.final('utf8');
+        return decrypted;
+    }
+
+    /**
+     * Key of a connection in the store
+     */
+    static connectionKey(provider, account) {
+        return `${provider}:${account}`;
+    }
+
+    /**
+     * Read all connections (cached after the first read)
+     * @returns {Object<string, {provider: string, account: string, tokens: object, updatedAt: string}>}
+     */
+    readAll() {
+        if (this.connections) {
+            return this.connections;
+        }
+        this.connections = {};
         try {
-            const iv = crypto.randomBytes(16);
-            const cipher = crypto.createCipheriv('aes-256-cbc', this.encryptionKey, iv);
-            
-            let encrypted = cipher.update(token, 'utf8', 'hex');
-            encrypted += cipher.final('hex');
-            
-            // Store IV with encrypted data
-            return iv.toString('hex') + ':' + encrypted;
+            if (fs.existsSync(this.tokenFile)) {
+                const { plaintext, encryption } = this.decryptToken(fs.readFileSync(this.tokenFile, 'utf8'));
+                this.connections = JSON.parse(plaintext);
+                console.log(`[TokenStorage] Loaded ${Object.keys(this.connections).length} connection(s) from secure storage`);
+                // Re-encrypt files of older versions, and fallback files once a keychain is available
+                if (encryption !== this.getEncryptionMode() && this.writeAll()) {
+                    console.log(`[TokenStorage] Re-encrypted tokens (${encryption} -> ${this.getEncryptionMode()})`);
+                    if (this.getEncryptionMode() === 'safeStorage' && fs.existsSync(this.keyFile)) {
+                        fs.unlinkSync(this.keyFile); // The fallback key is not needed anymore
+                    }
+                }
+            }
         } catch (error) {
-            console.error('[TokenStorage] Encryption error:', error);
-            throw error;
+            console.error('[TokenStorage] Failed to load connections:', error.message);
+            // Keep the unreadable file (e.g. keychain locked) instead of overwriting it with the next save
+            try {
+                fs.renameSync(this.tokenFile, `${this.tokenFile}.unreadable`);
+                console.log(`[TokenStorage] Moved unreadable token file to ${this.tokenFile}.unreadable; connect again`);
+            } catch (renameError) {
+                // Ignore rename errors
+            }
         }
+        this.migrateLegacyToken();
+        this.removeLegacyKey();
+        return this.connections;
     }
 
     /**
-     * Decrypt token after retrieval
+     * Delete the path-derived key of older versions once nothing encrypted with it is left
      */
-    decryptToken(encryptedData) {
+    removeLegacyKey() {
+        if (!fs.existsSync(this.legacyKeyFile) || fs.existsSync(this.legacyTokenFile)) {
+            return;
+        }
         try {
-            const parts = encryptedData.split(':');
-            if (parts.length !== 2) {
-                throw new Error('Invalid encrypted data format');
+            if (fs.existsSync(this.tokenFile) && !fs.readFileSync(this.tokenFile, 'utf8').trim().startsWith('{')) {
+                return; // Not re-encrypted yet
             }
-            
-            const iv = Buffer.from(parts[0], 'hex');
-            const encrypted = parts[1];
-            
-            const decipher = crypto.createDecipheriv('aes-256-cbc', this.encryptionKey, iv);
-            let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-            
-            return decrypted;
+            fs.unlinkSync(this.legacyKeyFile);
+            console.log('[TokenStorage] Deleted the old token key file');
         } catch (error) {
-            console.error('[TokenStorage] Decryption error:', error);
-            throw error;
+            console.warn('[TokenStorage] Could not delete the old token key file:', error.message);
         }
     }
 
     /**
-     * Save OAuth token securely
+     * Move the single token of older versions (twitch-token.enc) to the Twitch broadcaster connection
+     * It is either a plain access token (implicit grant) or a token set; plain tokens have no refresh
+     * token, so the user is asked to connect again when they expire.
      */
-    saveToken(token) {
+    migrateLegacyToken() {
+        if (!fs.existsSync(this.legacyTokenFile)) {
+            return;
+        }
         try {
-            if (!token) {
-                console.warn('[TokenStorage] Attempted to save empty token');
-                return false;
+            const stored = this.decryptToken(fs.readFileSync(this.legacyTokenFile, 'utf8')).plaintext;
+            let tokens = null;
+            try {
+                tokens = JSON.parse(stored);
+            } catch (error) {
+                // Not JSON: a plain access token
+            }
+            if (!tokens || typeof tokens.accessToken !== 'string') {
+                tokens = { accessToken: stored.replace(/^oauth:/, ''), refreshToken: null, scopes: [], expiresAt: null };
+            }
+            const key = TokenStorage.connectionKey('twitch', 'broadcaster');
+            if (!this.connections[key]) {
+                this.connections[key] = { provider: 'twitch', account: 'broadcaster', tokens, updatedAt: new Date().toISOString() };
+                this.writeAll();
             }
+            console.log('[TokenStorage] Moved saved Twitch token to the broadcaster connection');
+        } catch (error) {
+            console.error('[TokenStorage] Could not migrate saved token:', error);
+        }
+        try {
+            fs.unlinkSync(this.legacyTokenFile);
+        } catch (error) {
+            // Ignore unlink errors
+        }
+    }
 
+    /**
+     * Encrypt and write all connections
+     * @returns {boolean} Whether they were written
+     */
+    writeAll() {
+        try {
             // Ensure storage directory exists
             if (!fs.existsSync(this.storageDir)) {
                 fs.mkdirSync(this.storageDir, { recursive: true, mode: 0o700 });
             }
-
-            // Encrypt and save token
-            const encrypted = this.encryptToken(token);
+            const encrypted = this.encryptToken(JSON.stringify(this.connections));
             fs.writeFileSync(this.tokenFile, encrypted, { mode: 0o600 });
-            
-            console.log('[TokenStorage] Token saved securely');
             return true;
         } catch (error) {
-            console.error('[TokenStorage] Failed to save token:', error);
+            console.error('[TokenStorage] Failed to save connections:', error);
             return false;
         }
     }
 
     /**
-     * Load OAuth token from secure storage
+     * Save the tokens of a connection securely
+     * @param {string} provider - e.g. "twitch"
+     * @param {string} account - e.g. "broadcaster" or "bot"
+     * @param {object} tokens - Token set ({ accessToken, refreshToken, scopes, expiresAt, login, userId })
+     * @returns {boolean} Whether they were saved
      */
-    loadToken() {
-        try {
-            if (!fs.existsSync(this.tokenFile)) {
-                console.log('[TokenStorage] No saved token found');
-                return null;
-            }
-
-            const encrypted = fs.readFileSync(this.tokenFile, 'utf8');
-            const token = this.decryptToken(encrypted);
-            
-            console.log('[TokenStorage] Token loaded from secure storage');
-            return token;
-        } catch (error) {
-            console.error('[TokenStorage] Failed to load token:', error);
-            // If decryption fails, the token file might be corrupted - remove it
-            try {
-                fs.unlinkSync(this.tokenFile);
-                console.log('[TokenStorage] Removed corrupted token file');
-            } catch (unlinkError) {
-                // Ignore unlink errors
-            }
-            return null;
+    save(provider, account, tokens) {
+        if (!tokens || !tokens.accessToken) {
+            console.warn(`[TokenStorage] Attempted to save empty token for ${provider}:${account}`);
+            return false;
+        }
+        const connections = this.readAll();
+        connections[TokenStorage.connectionKey(provider, account)] = {
+            provider,
+            account,
+            tokens,
+            updatedAt: new Date().toISOString()
+        };
+        const saved = this.writeAll();
+        if (saved) {
+            console.log(`[TokenStorage] Token for ${provider}:${account} saved securely`);
         }
+        return saved;
     }
 
     /**
-     * Delete stored token
+     * Load the tokens of a connection
+     * @param {string} provider
+     * @param {string} account
+     * @returns {object|null} Token set
      */
-    deleteToken() {
-        try {
-            if (fs.existsSync(this.tokenFile)) {
-                fs.unlinkSync(this.tokenFile);
-                console.log('[TokenStorage] Token deleted');
-                return true;
-            }
-            return false;
-        } catch (error) {
-            console.error('[TokenStorage] Failed to delete token:', error);
+    load(provider, account) {
+        const connection = this.readAll()[TokenStorage.connectionKey(provider, account)];
+        return connection ? connection.tokens : null;
+    }
+
+    /**
+     * List saved connections without their secrets
+     * @returns {Array<{provider: string, account: string, login: string|null, userId: string|null, scopes: Array<string>, expiresAt: number|null, updatedAt: string}>}
+     */
+    list() {
+        return Object.values(this.readAll()).map(({ provider, account, tokens, updatedAt }) => ({
+            provider,
+            account,
+            login: tokens.login || null,
+            userId: tokens.userId || null,
+            scopes: tokens.scopes || [],
+            expiresAt: tokens.expiresAt || null,
+            updatedAt
+        }));
+    }
+
+    /**
+     * Delete the stored tokens of a connection
+     * @param {string} provider
+     * @param {string} account
+     * @returns {boolean} Whether a connection was removed
+     */
+    remove(provider, account) {
+        const connections = this.readAll();
+        const key = TokenStorage.connectionKey(provider, account);
+        if (!connections[key]) {
             return false;
         }
+        delete connections[key];
+        this.writeAll();
+        console.log(`[TokenStorage] Token for ${key} deleted`);
+        return true;
     }
 }
 
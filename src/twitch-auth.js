@@ -0,0 +1,402 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+/**
+ * Twitch user access tokens: authorization code flow with PKCE, refresh-token rotation and validation
+ * Used by main.js, which receives the redirect on src/oauth-callback-server.js and persists token sets
+ * with TokenStorage.
+ *
+ * Twitch requires apps to validate their tokens on start and every hour. A failed validation or an
+ * expiring token is refreshed with the refresh token (Twitch rotates it on every refresh); when that
+ * is not possible the user has to connect again.
+ *
+ * Token set: { accessToken, refreshToken, scopes, expiresAt, login, userId }
+ *
+ * Emits:
+ *   'tokens' (tokenSet)                - new or refreshed tokens, to be saved
+ *   'validated' (tokenSet)             - validation succeeded (login, userId, scopes, expiresAt updated)
+ *   'reauth-required' ({reason})       - the user has to connect again
+ */
+
+const DEFAULT_AUTH_BASE = 'https://id.twitch.tv/oauth2';
+
+// Chat, channel points and bits (see src/twitch.js and src/eventsub.js)
+const DEFAULT_SCOPES = [
+    'chat:read',
+    'chat:edit',
+    'channel:read:redemptions',
+    'channel:manage:redemptions',
+    'bits:read'
+];
+
+const VALIDATE_INTERVAL_MS = 60 * 60 * 1000;
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// Authorization requests not completed within this time are forgotten
+const PENDING_LOGIN_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Parse configured scopes ("chat:read chat:edit" or "chat:read,chat:edit")
+ * @param {string|Array<string>} [value]
+ * @returns {Array<string>} The default scopes when nothing is configured
+ */
+function parseScopes(value) {
+    const scopes = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    const cleaned = scopes.map(scope => String(scope).trim()).filter(Boolean);
+    return cleaned.length > 0 ? Array.from(new Set(cleaned)) : DEFAULT_SCOPES.slice();
+}
+
+class TwitchAuth extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.clientId - Twitch application client id
+     * @param {string} [options.clientSecret] - Client secret (confidential apps)
+     * @param {string} [options.redirectUri] - Default redirect URI registered for the application
+     * @param {Array<string>} [options.scopes] - Scopes to request
+     * @param {string} [options.authBase] - OAuth base URL (for a mock server)
+     * @param {Function} [options.fetch] - fetch implementation (defaults to the global one)
+     */
+    constructor(options = {}) {
+        super();
+        this.clientId = options.clientId;
+        this.clientSecret = options.clientSecret || null;
+        this.redirectUri = options.redirectUri;
+        this.scopes = parseScopes(options.scopes);
+        this.authBase = (options.authBase || DEFAULT_AUTH_BASE).replace(/\/$/, '');
+        this.fetch = options.fetch || globalThis.fetch;
+
+        this.tokens = null;
+        this.pendingLogins = new Map(); // state -> { verifier, createdAt }
+        this.validateTimer = null;
+        this.refreshTimer = null;
+        this.refreshing = null; // Promise of the refresh in flight
+    }
+
+    /**
+     * Create a PKCE code verifier and its S256 challenge
+     * @returns {{verifier: string, challenge: string}}
+     */
+    static createPkcePair() {
+        const verifier = crypto.randomBytes(32).toString('base64url');
+        const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+        return { verifier, challenge };
+    }
+
+    /**
+     * Build the URL that starts a login; remembers state, verifier and redirect URI for the redirect
+     * @param {{redirectUri?: string}} [options] - Redirect URI of this login (defaults to the configured one)
+     * @param {number} [now=Date.now()]
+     * @returns {{url: string, state: string}}
+     */
+    createAuthorizationUrl({ redirectUri = this.redirectUri } = {}, now = Date.now()) {
+        this.purgePendingLogins(now);
+        const state = crypto.randomBytes(16).toString('hex');
+        const { verifier, challenge } = TwitchAuth.createPkcePair();
+        this.pendingLogins.set(state, { verifier, redirectUri, createdAt: now });
+
+        const query = new URLSearchParams({
+            client_id: this.clientId,
+            redirect_uri: redirectUri,
+            response_type: 'code',
+            scope: this.scopes.join(' '),
+            state,
+            code_challenge: challenge,
+            code_challenge_method: 'S256',
+            force_verify: 'true'
+        });
+        return { url: `${this.authBase}/authorize?${query}`, state };
+    }
+
+    /**
+     * Forget logins that were not completed in time
+     * @param {number} [now=Date.now()]
+     */
+    purgePendingLogins(now = Date.now()) {
+        this.pendingLogins.forEach((pending, state) => {
+            if (now - pending.createdAt > PENDING_LOGIN_TTL_MS) this.pendingLogins.delete(state);
+        });
+    }
+
+    /**
+     * Whether any login is waiting for its redirect
+     * @returns {boolean}
+     */
+    hasPendingLogins() {
+        this.purgePendingLogins();
+        return this.pendingLogins.size > 0;
+    }
+
+    /**
+     * Whether a redirect's state belongs to a login started by this instance
+     * @param {string} state
+     * @returns {boolean}
+     */
+    hasPendingLogin(state) {
+        return this.pendingLogins.has(state);
+    }
+
+    /**
+     * Forget a login whose redirect reported an error, so its state cannot be used again
+     * @param {string} state
+     * @returns {boolean} Whether the login was pending
+     */
+    cancelLogin(state) {
+        return this.pendingLogins.delete(state);
+    }
+
+    /**
+     * Exchange the code from the redirect for tokens
+     * @param {{code: string, state: string}} params - Query parameters of the redirect
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<object>} Validated token set
+     */
+    async exchangeCode({ code, state }, now = Date.now()) {
+        const pending = this.pendingLogins.get(state);
+        this.pendingLogins.delete(state);
+        if (!pending || now - pending.createdAt > PENDING_LOGIN_TTL_MS) {
+            throw new Error('Unknown or expired login; start the connection again');
+        }
+        if (!code) {
+            throw new Error('No authorization code in the redirect');
+        }
+        const body = await this.tokenRequest({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: pending.redirectUri,
+            code_verifier: pending.verifier
+        });
+        this.tokens = this.toTokenSet(body, null, now);
+        if (!await this.validate(now)) {
+            throw new Error('Twitch did not accept the new token');
+        }
+        this.emit('tokens', this.tokens);
+        return this.tokens;
+    }
+
+    /**
+     * Use a token set loaded from storage (call validate() next)
+     * A plain string is treated as a legacy access token without refresh token.
+     * @param {object|string|null} tokens
+     */
+    setTokens(tokens) {
+        this.tokens = typeof tokens === 'string' ? { accessToken: tokens, refreshToken: null, scopes: [] } : tokens;
+    }
+
+    /**
+     * Current access token (without "oauth:" prefix)
+     * @returns {string|null}
+     */
+    getAccessToken() {
+        return this.tokens ? this.tokens.accessToken : null;
+    }
+
+    /**
+     * Scopes wanted but not granted to the current token
+     * @returns {Array<string>}
+     */
+    getMissingScopes() {
+        const granted = new Set(this.tokens?.scopes || []);
+        return this.scopes.filter(scope => !granted.has(scope));
+    }
+
+    /**
+     * Call the token endpoint
+     * @param {object} params - Form parameters (client id/secret are added)
+     * @returns {Promise<object>} Parsed response
+     */
+    async tokenRequest(params) {
+        const form = new URLSearchParams({ client_id: this.clientId, ...params });
+        if (this.clientSecret) {
+            form.set('client_secret', this.clientSecret);
+        }
+        const response = await this.fetch(`${this.authBase}/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: form.toString()
+        });
+        const text = await response.text();
+        if (!response.ok) {
+            const error = new Error(`Token request (${params.grant_type}) failed with ${response.status}: ${text}`);
+            error.status = response.status;
+            throw error;
+        }
+        return JSON.parse(text);
+    }
+
+    /**
+     * Build a token set from a token endpoint response
+     * @param {object} body - { access_token, refresh_token, expires_in, scope }
+     * @param {object|null} previous - Token set being refreshed (keeps login/userId)
+     * @param {number} now
+     */
+    toTokenSet(body, previous, now) {
+        return {
+            accessToken: body.access_token,
+            refreshToken: body.refresh_token || null,
+            scopes: Array.isArray(body.scope) ? body.scope : String(body.scope || '').split(/\s+/).filter(Boolean),
+            expiresAt: body.expires_in ? now + body.expires_in * 1000 : null,
+            login: previous?.login || null,
+            userId: previous?.userId || null
+        };
+    }
+
+    /**
+     * Get new tokens with the refresh token; Twitch rotates the refresh token, so the new set replaces the old
+     * Concurrent calls share one request.
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<object>} Refreshed token set
+     */
+    refresh(now = Date.now()) {
+        if (this.refreshing) {
+            return this.refreshing;
+        }
+        if (!this.tokens || !this.tokens.refreshToken) {
+            return Promise.reject(new Error('No refresh token; connect again'));
+        }
+        this.refreshing = this.tokenRequest({
+            grant_type: 'refresh_token',
+            refresh_token: this.tokens.refreshToken
+        }).then((body) => {
+            this.tokens = this.toTokenSet(body, this.tokens, now);
+            console.log('[TwitchAuth] Access token refreshed');
+            this.scheduleRefresh(now);
+            this.emit('tokens', this.tokens);
+            return this.tokens;
+        }).finally(() => {
+            this.refreshing = null;
+        });
+        return this.refreshing;
+    }
+
+    /**
+     * Validate the access token, refreshing it once if Twitch rejects it
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<object|null>} Token set, or null when the user has to connect again
+     */
+    async validate(now = Date.now()) {
+        if (!this.tokens || !this.tokens.accessToken) {
+            return null;
+        }
+        let info = await this.validateRequest(this.tokens.accessToken);
+        if (!info) {
+            try {
+                await this.refresh(now);
+            } catch (error) {
+                console.warn(`[TwitchAuth] Token invalid and could not be refreshed: ${error.message}`);
+                this.emit('reauth-required', { reason: 'invalid' });
+                return null;
+            }
+            info = await this.validateRequest(this.tokens.accessToken);
+            if (!info) {
+                this.emit('reauth-required', { reason: 'invalid' });
+                return null;
+            }
+        }
+        this.tokens = {
+            ...this.tokens,
+            login: info.login,
+            userId: info.user_id,
+            scopes: info.scopes || [],
+            expiresAt: info.expires_in ? now + info.expires_in * 1000 : this.tokens.expiresAt
+        };
+        const missing = this.getMissingScopes();
+        if (missing.length > 0) {
+            console.warn(`[TwitchAuth] Token is missing scopes: ${missing.join(', ')}; connect again to grant them`);
+        }
+        this.scheduleRefresh(now);
+        this.emit('validated', this.tokens);
+        return this.tokens;
+    }
+
+    /**
+     * Call the validate endpoint
+     * @param {string} accessToken
+     * @returns {Promise<object|null>} { login, user_id, scopes, expires_in }, or null if the token is invalid
+     */
+    async validateRequest(accessToken) {
+        const response = await this.fetch(`${this.authBase}/validate`, {
+            headers: { 'Authorization': `OAuth ${accessToken.replace(/^oauth:/, '')}` }
+        });
+        if (response.status === 401) {
+            return null;
+        }
+        const text = await response.text();
+        if (!response.ok) {
+            throw new Error(`Token validation failed with ${response.status}: ${text}`);
+        }
+        return JSON.parse(text);
+    }
+
+    /**
+     * Refresh shortly before the access token expires; without a refresh token, ask for a new login instead
+     * @param {number} [now=Date.now()]
+     */
+    scheduleRefresh(now = Date.now()) {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        if (!this.tokens || !this.tokens.expiresAt) {
+            return;
+        }
+        const delay = Math.max(0, this.tokens.expiresAt - REFRESH_MARGIN_MS - now);
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            if (!this.tokens.refreshToken) {
+                this.emit('reauth-required', { reason: 'expiring' });
+                return;
+            }
+            this.refresh().catch((error) => {
+                console.warn(`[TwitchAuth] Scheduled refresh failed: ${error.message}`);
+                this.emit('reauth-required', { reason: 'refresh-failed' });
+            });
+        }, delay);
+    }
+
+    /**
+     * Validate every hour (call validate() once for the start)
+     * @param {number} [intervalMs=VALIDATE_INTERVAL_MS]
+     */
+    startValidation(intervalMs = VALIDATE_INTERVAL_MS) {
+        clearInterval(this.validateTimer);
+        this.validateTimer = setInterval(() => {
+            this.validate().catch((error) => console.warn(`[TwitchAuth] Validation failed: ${error.message}`));
+        }, intervalMs);
+    }
+
+    /**
+     * Stop the validation and refresh timers
+     */
+    stop() {
+        clearInterval(this.validateTimer);
+        clearTimeout(this.refreshTimer);
+        this.validateTimer = null;
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Forget the tokens and revoke the access token at Twitch (best effort)
+     * @returns {Promise<void>}
+     */
+    async logout() {
+        const accessToken = this.getAccessToken();
+        this.stop();
+        this.tokens = null;
+        if (!accessToken) {
+            return;
+        }
+        try {
+            await this.fetch(`${this.authBase}/revoke`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({ client_id: this.clientId, token: accessToken }).toString()
+            });
+        } catch (error) {
+            console.warn(`[TwitchAuth] Could not revoke token: ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_SCOPES,
+    TwitchAuth,
+    parseScopes
+};
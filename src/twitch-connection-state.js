@@ -0,0 +1,141 @@
+const EventEmitter = require('events');
+
+/**
+ * State of the Twitch chat connection, as shown by the wheel's chat status and the OAuth Connections window
+ * Used by src/twitch.js, which feeds it the tmi.js client events and broadcasts every change to all
+ * windows.
+ *
+ * States:
+ *   disconnected - no client (not configured, logged out, or the connection was closed)
+ *   connecting   - first connection attempt with the current credentials
+ *   connected    - joined the channel
+ *   auth-failed  - Twitch rejected the login; needs a new token (tmi.js does not retry)
+ *   reconnecting - connection lost, tmi.js is retrying; `attempt` counts the retries
+ *
+ * Emits:
+ *   'changed' (status) - after every transition
+ */
+
+const STATES = ['disconnected', 'connecting', 'connected', 'auth-failed', 'reconnecting'];
+
+// Disconnect reasons from tmi.js that mean the token or username was rejected
+const AUTH_FAILURE_PATTERN = /authentication failed|improperly formatted auth|invalid nick|login unsuccessful/i;
+
+class TwitchConnectionState extends EventEmitter {
+    constructor() {
+        super();
+        this.state = 'disconnected';
+        this.attempt = 0;
+        this.reason = null;
+        this.channel = null;
+        this.username = null;
+        this.since = Date.now();
+    }
+
+    /**
+     * Whether a disconnect reason means the login was rejected
+     * @param {string|Error} reason
+     * @returns {boolean}
+     */
+    static isAuthFailure(reason) {
+        return AUTH_FAILURE_PATTERN.test(String(reason && reason.message ? reason.message : reason || ''));
+    }
+
+    /**
+     * Current status for the renderer
+     * @returns {{state: string, isConnected: boolean, attempt: number, reason: string|null, channel: string|null, username: string|null, since: number}}
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            isConnected: this.state === 'connected',
+            attempt: this.attempt,
+            reason: this.reason,
+            channel: this.channel,
+            username: this.username,
+            since: this.since
+        };
+    }
+
+    /**
+     * Move to a state and emit 'changed' (repeated reconnect attempts emit as well)
+     */
+    transition(state, { reason = null, attempt = 0 } = {}, now = Date.now()) {
+        if (!STATES.includes(state)) {
+            throw new Error(`Unknown Twitch connection state "${state}"`);
+        }
+        if (state === this.state && attempt === this.attempt && reason === this.reason) {
+            return;
+        }
+        if (state !== this.state) {
+            this.since = now;
+        }
+        this.state = state;
+        this.attempt = attempt;
+        this.reason = reason;
+        this.emit('changed', this.getStatus());
+    }
+
+    /**
+     * A new client starts connecting (credentials may have changed)
+     * @param {{channel: string, username: string}} identity
+     */
+    start(identity, now = Date.now()) {
+        this.channel = identity.channel;
+        this.username = identity.username;
+        this.transition('connecting', {}, now);
+    }
+
+    /**
+     * tmi.js opens the socket; its retries stay in reconnecting
+     */
+    connecting(now = Date.now()) {
+        if (this.state === 'reconnecting' || this.state === 'connecting') {
+            return;
+        }
+        this.transition('connecting', {}, now);
+    }
+
+    connected(now = Date.now()) {
+        this.transition('connected', {}, now);
+    }
+
+    /**
+     * tmi.js starts another attempt after losing the connection
+     * @param {string} [reason]
+     */
+    reconnecting(reason, now = Date.now()) {
+        this.transition('reconnecting', { reason: reason || this.reason, attempt: this.attempt + 1 }, now);
+    }
+
+    /**
+     * The connection closed; login rejections become auth-failed
+     * While reconnecting, a failed attempt only updates the reason (tmi.js tries again).
+     * @param {string|Error} [reason]
+     */
+    disconnected(reason, now = Date.now()) {
+        const text = reason ? String(reason.message || reason) : null;
+        if (TwitchConnectionState.isAuthFailure(text)) {
+            this.transition('auth-failed', { reason: text }, now);
+            return;
+        }
+        if (this.state === 'auth-failed') {
+            return; // tmi.js reports the close after the login failure as well
+        }
+        if (this.state === 'reconnecting') {
+            this.transition('reconnecting', { reason: text, attempt: this.attempt }, now);
+            return;
+        }
+        this.transition('disconnected', { reason: text }, now);
+    }
+
+    /**
+     * No more attempts: not configured, logged out, or tmi.js gave up reconnecting
+     * @param {string} [reason]
+     */
+    stopped(reason = null, now = Date.now()) {
+        this.transition('disconnected', { reason }, now);
+    }
+}
+
+module.exports = TwitchConnectionState;
@@ -0,0 +1,109 @@
+const { ACTION_TYPES, fillPlaceholders } = require('./chat-commands');
+
+/**
+ * Maps channel point rewards and bit amounts to wheel actions, and decides how a
+ * redemption is settled once its action has run.
+ * Used by main.js with EventSubClient.
+ *
+ * Configured next to the chat commands in commands.json:
+ *   "rewards": [{ "rewardId": "...", "action": { "type": "spin" } },
+ *               { "title": "Save my file", "action": { "type": "option", "option": "Save File" } }]
+ *   "bits": [{ "minBits": 100, "action": { "type": "spin" } },
+ *            { "minBits": 500, "action": { "type": "option", "option": "{input}" } }]
+ * Actions are the chat command actions (spin, option, button, reply). Action strings can use
+ * {user} and {input} (the viewer's reward text or cheer message). Rewards match by id, or by
+ * title when no id is given. A cheer runs the action with the highest minBits it reaches.
+ */
+
+// Settled redemption ids remembered to ignore repeats (e.g. every run of a repeating option)
+const MAX_SETTLED_REDEMPTIONS = 500;
+
+class RedemptionRouter {
+    /**
+     * @param {{rewards?: Array<object>, bits?: Array<object>}} [config]
+     */
+    constructor(config = {}) {
+        this.settled = new Set();
+        this.configure(config);
+    }
+
+    /**
+     * Replace the reward and bits mappings; invalid entries are skipped with a warning
+     * @param {{rewards?: Array<object>, bits?: Array<object>}} [config]
+     */
+    configure(config = {}) {
+        config = config || {};
+        const validAction = (entry) => entry && entry.action && ACTION_TYPES[entry.action.type] &&
+            ACTION_TYPES[entry.action.type].every(field => entry.action[field] !== undefined);
+
+        this.rewards = (Array.isArray(config.rewards) ? config.rewards : []).filter(entry => {
+            const valid = validAction(entry) && (entry.rewardId || entry.title);
+            if (!valid) console.warn(`[Redemptions] Skipping reward mapping ${JSON.stringify(entry)}`);
+            return valid;
+        });
+        this.bits = (Array.isArray(config.bits) ? config.bits : []).filter(entry => {
+            const valid = validAction(entry) && Number.isInteger(entry.minBits) && entry.minBits > 0;
+            if (!valid) console.warn(`[Redemptions] Skipping bits mapping ${JSON.stringify(entry)}`);
+            return valid;
+        }).sort((a, b) => b.minBits - a.minBits);
+    }
+
+    /**
+     * Whether anything is mapped (no EventSub session is needed otherwise)
+     * @returns {boolean}
+     */
+    hasMappings() {
+        return this.rewards.length > 0 || this.bits.length > 0;
+    }
+
+    /**
+     * Action for a channel point redemption event
+     * @param {object} event - channel.channel_points_custom_reward_redemption.add event
+     * @returns {object|null} Action with placeholders filled in, or null if the reward is not mapped
+     */
+    resolveRedemption(event = {}) {
+        const reward = event.reward || {};
+        const title = (reward.title || '').toLowerCase();
+        const mapping = this.rewards.find(entry => entry.rewardId === reward.id) ||
+            this.rewards.find(entry => !entry.rewardId && entry.title.toLowerCase() === title);
+        return mapping ? this.fill(mapping.action, event.user_name || event.user_login, event.user_input) : null;
+    }
+
+    /**
+     * Action for a cheer event
+     * @param {object} event - channel.cheer event
+     * @returns {object|null} Action with placeholders filled in, or null if below every threshold
+     */
+    resolveCheer(event = {}) {
+        const mapping = this.bits.find(entry => (event.bits || 0) >= entry.minBits);
+        const user = event.is_anonymous ? 'Anonymous' : (event.user_name || event.user_login);
+        return mapping ? this.fill(mapping.action, user, event.message) : null;
+    }
+
+    /**
+     * Fill {user} and {input} in an action
+     */
+    fill(action, user, input) {
+        const text = (input || '').trim();
+        return fillPlaceholders(action, { user: user || '', input: text, args: text ? text.split(/\s+/) : [] });
+    }
+
+    /**
+     * Decide how to settle a redemption; each redemption is settled once
+     * @param {{redemptionId: string}} redemption
+     * @param {boolean} succeeded - Whether its action ran successfully
+     * @returns {'FULFILLED'|'CANCELED'|null} New status, or null if it was already settled
+     */
+    settle(redemption, succeeded) {
+        if (!redemption || !redemption.redemptionId || this.settled.has(redemption.redemptionId)) {
+            return null;
+        }
+        this.settled.add(redemption.redemptionId);
+        if (this.settled.size > MAX_SETTLED_REDEMPTIONS) {
+            this.settled.delete(this.settled.values().next().value);
+        }
+        return succeeded ? 'FULFILLED' : 'CANCELED';
+    }
+}
+
+module.exports = RedemptionRouter;
@@ -3,6 +3,9 @@
 const tmi = require('tmi.js');
 const { BrowserWindow } = require('electron');
 const EventEmitter = require('events');
+const { ChatCommandRegistry } = require('./chat-commands');
+const ChatVote = require('./chat-vote');
+const TwitchConnectionState = require('./twitch-connection-state');
 
 // Create an event emitter for Twitch events that lifecycle managers can listen to
 const twitchEventEmitter = new EventEmitter();
@@ -10,61 +13,251 @@ const twitchEventEmitter = new EventEmitter();
 // Store client reference so we can recreate it with new credentials
 let client = null;
 
+// Chat commands; only !spin until main.js loads commands.json (see setCommands)
+const commandRegistry = new ChatCommandRegistry();
+
+// Wheels chat can spin: window id -> RateLimiter with its chat spin cooldowns (from main.js, see setWheels)
+let wheels = new Map();
+
+// Open wheel vote ({ vote: ChatVote, timer, handlers }); see startVote
+let activeVote = null;
+
+// Chat connection state, broadcast to every window as 'twitch-status-changed'
+const connectionState = new TwitchConnectionState();
+connectionState.on('changed', (status) => {
+    console.log(`[Twitch] Chat ${status.state}${status.attempt ? ` (attempt ${status.attempt})` : ''}${status.reason ? `: ${status.reason}` : ''}`);
+    BrowserWindow.getAllWindows().forEach((win) => {
+        if (win && !win.isDestroyed()) {
+            win.webContents.send('twitch-status-changed', status);
+        }
+    });
+});
+
+/**
+ * Current chat connection status (see src/twitch-connection-state.js)
+ * @returns {object}
+ */
+function getTwitchStatus() {
+    return connectionState.getStatus();
+}
+
+/**
+ * Set the wheels chat can spin and the RateLimiter enforcing each one's global and per-user spin cooldowns
+ * Spins that name no wheel go to the first one.
+ * @param {Map<string, RateLimiter>} wheelLimiters - Wheel window id -> RateLimiter
+ */
+function setWheels(wheelLimiters) {
+    wheels = wheelLimiters;
+}
+
+/**
+ * Id of a wheel window, or the default (first) wheel when none is given
+ * @param {string} [wheel]
+ * @returns {string|undefined}
+ */
+function resolveWheel(wheel) {
+    return wheel || wheels.keys().next().value;
+}
+
+/**
+ * Post a message to the connected channel (no-op when not connected)
+ * @param {string} message - Chat message
+ */
+function sayInChat(message) {
+    const channel = process.env.TWITCH_CHANNEL;
+    if (!client || !channel) {
+        return;
+    }
+    client.say(channel, message).catch((error) => {
+        console.warn(`[Twitch] Failed to send chat message: ${error.message || error}`);
+    });
+}
+
+/**
+ * Tell every window that a spin or action was rejected by a cooldown/rate limit
+ * @param {object} rejection - { reason, message, retryAfterMs, trigger, option? }
+ */
+function broadcastSpinRejected(rejection) {
+    BrowserWindow.getAllWindows().forEach((win) => {
+        if (win && !win.isDestroyed()) {
+            win.webContents.send('spin-rejected', rejection);
+        }
+    });
+}
+
+/**
+ * Replace the chat commands (see src/chat-commands.js)
+ * @param {Array<object>} commands - Command definitions from commands.json
+ * @returns {number} Number of commands registered
+ */
+function setCommands(commands) {
+    const count = commandRegistry.load(commands);
+    console.log(`[Twitch] Registered ${count} chat command(s)`);
+    return count;
+}
+
+/**
+ * Run the action of an accepted chat command
+ * Spins and chat replies are handled here; button and option actions are emitted as
+ * 'twitch-command' on twitchEventEmitter for main.js, which owns the queue managers.
+ * @param {object} action - Action with placeholders filled in
+ * @param {{command: string, args: Array<string>, user: string}} context
+ */
+function runCommandAction(action, context) {
+    console.log(`[Twitch] ${context.user} ran !${context.command} (${action.type})`);
+    if (action.type === 'reply') {
+        sayInChat(action.text);
+    } else if (action.type === 'spin') {
+        triggerSpin(context.user, action.wheel);
+    } else {
+        twitchEventEmitter.emit('twitch-command', { ...context, action });
+    }
+}
+
+/**
+ * Spin a wheel for a viewer, enforcing that wheel's chat spin cooldowns
+ * @param {string} user - Viewer name
+ * @param {string} [wheel] - Window id of the wheel to spin (default: the first wheel)
+ */
+function triggerSpin(user, wheel) {
+    wheel = resolveWheel(wheel);
+    const rateLimiter = wheels.get(wheel);
+    const verdict = rateLimiter ? rateLimiter.trySpin(user) : { allowed: true };
+    if (!verdict.allowed) {
+        console.log(`[Twitch] Spin by ${user} rejected: ${verdict.message}`);
+        sayInChat(`@${user} ${verdict.message}`);
+        broadcastSpinRejected({
+            wheel,
+            reason: verdict.reason,
+            message: verdict.message,
+            retryAfterMs: verdict.retryAfterMs,
+            trigger: { source: 'twitch', user }
+        });
+        return;
+    }
+    sendSpinToWheel({
+        user,
+        wheel,
+        timestamp: new Date()
+    });
+}
+
+/**
+ * Ask a wheel window to spin (no cooldowns applied)
+ * The wheel's lifecycle manager passes the spin on to its window.
+ * @param {{user: string, wheel?: string, timestamp: Date, source?: string, redemption?: object}} spinData
+ *   wheel defaults to the first wheel; source defaults to "twitch" in the wheel; redemption is carried
+ *   through to the queue item
+ * @returns {boolean} False if there is no such wheel
+ */
+function sendSpinToWheel(spinData) {
+    const wheel = resolveWheel(spinData.wheel);
+    if (!wheels.has(wheel)) {
+        console.warn(`[Twitch] No wheel window "${wheel}" to spin`);
+        return false;
+    }
+    twitchEventEmitter.emit('twitch-spin-triggered', { ...spinData, wheel });
+    return true;
+}
+
+/**
+ * Open a timed chat vote between wheel options; viewers vote with `!vote <n>`
+ * Only one vote runs at a time.
+ * @param {Array<string>} choices - Option names
+ * @param {number} durationMs - How long the vote stays open
+ * @param {{onUpdate?: function(object): void, onEnd?: function(object): void}} [handlers]
+ *   onUpdate gets the tally after each vote (see ChatVote.getTally), onEnd the result (ChatVote.getResult)
+ * @returns {boolean} False if a vote is already running
+ */
+function startVote(choices, durationMs, handlers = {}) {
+    if (activeVote) {
+        console.log('[Twitch] A vote is already running');
+        return false;
+    }
+    const vote = new ChatVote(choices, durationMs);
+    const timer = setTimeout(() => {
+        activeVote = null;
+        const result = vote.getResult();
+        console.log(`[Twitch] Vote ended: "${result.winner}" with ${result.choices[result.winnerIndex].votes} of ${result.totalVotes} vote(s)`);
+        sayInChat(result.totalVotes > 0
+            ? `Vote over: ${result.winner} wins with ${result.choices[result.winnerIndex].votes} of ${result.totalVotes} vote(s)${result.tie ? ' (tie broken at random)' : ''}`
+            : `Vote over: no votes, picked ${result.winner} at random`);
+        if (handlers.onEnd) handlers.onEnd(result);
+    }, durationMs);
+    activeVote = { vote, timer, handlers };
+
+    const seconds = Math.round(durationMs / 1000);
+    console.log(`[Twitch] Vote started for ${seconds}s: ${choices.join(', ')}`);
+    sayInChat(`Vote for the next wheel result (${seconds}s): ${choices.map((choice, index) => `!vote ${index + 1} ${choice}`).join(' | ')}`);
+    return true;
+}
+
+/**
+ * Count a `!vote <n>` message towards the open vote
+ * @param {string} message - Chat message
+ * @param {string} user - Viewer name
+ * @returns {boolean} Whether the message was a vote (counted or not)
+ */
+function handleVoteMessage(message, user) {
+    const choiceNumber = activeVote ? ChatVote.parseVote(message, commandRegistry.prefix) : null;
+    if (choiceNumber === null) {
+        return false;
+    }
+    if (activeVote.vote.cast(user, choiceNumber) && activeVote.handlers.onUpdate) {
+        activeVote.handlers.onUpdate(activeVote.vote.getTally());
+    }
+    return true;
+}
+
 /**
  * Setup event handlers for the Twitch client
  */
 function setupClientHandlers(clientInstance) {
+    // Events of a replaced client (after connectTwitch with new credentials) must not change the state
+    const isCurrent = () => clientInstance === client;
+
+    clientInstance.on('connecting', () => {
+        if (isCurrent()) connectionState.connecting();
+    });
+
     clientInstance.on('connected', () => {
         console.log('Connected to Twitch Chat');
-        const mainWindow = BrowserWindow.getAllWindows()[0];
-        if (mainWindow) {
-            mainWindow.webContents.send('twitch-status-changed', { isConnected: true });
-        }
+        if (isCurrent()) connectionState.connected();
     });
 
     clientInstance.on('message', (channel, tags, message, self) => {
         if (self) return;
         // Log every chat message
         console.log(`[Twitch Chat] ${tags.username}: ${message}`);
-        if (message.toLowerCase() === '!spin') {
-            console.log(`${tags.username} triggered spin`);
-            const spinData = {
-                user: tags.username,
-                timestamp: new Date()
-            };
-            
-            // Emit event for lifecycle managers to listen to
-            twitchEventEmitter.emit('twitch-spin-triggered', spinData);
-            
-            // Also send directly to wheel window as fallback
-            const allWindows = BrowserWindow.getAllWindows();
-            let wheelWindow = null;
-            
-            // Find wheel window by checking URL
-            for (const win of allWindows) {
-                if (win && !win.isDestroyed()) {
-                    const url = win.webContents.getURL();
-                    if (url && (url.includes('wheel') || url.includes('wheel/index.html'))) {
-                        wheelWindow = win;
-                        break;
-                    }
-                }
-            }
-            
-            if (wheelWindow && !wheelWindow.isDestroyed()) {
-                console.log(`[Twitch] Sending spin event to wheel window`);
-                wheelWindow.webContents.send('twitch-spin-triggered', spinData);
-            } else {
-                console.warn(`[Twitch] Wheel window not found`);
-            }
+        if (handleVoteMessage(message, tags.username)) {
+            return;
         }
+        const matched = commandRegistry.match(message, tags);
+        if (!matched) {
+            return;
+        }
+        if (matched.rejected) {
+            console.log(`[Twitch] ${tags.username} used !${matched.command.name}: rejected (${matched.rejected.reason})`);
+            sayInChat(`@${tags.username} ${matched.rejected.message}`);
+            return;
+        }
+        runCommandAction(matched.action, {
+            command: matched.command.name,
+            args: matched.args,
+            user: tags.username
+        });
     });
 
-    clientInstance.on('disconnected', () => {
-        const mainWindow = BrowserWindow.getAllWindows()[0];
-        if (mainWindow) {
-            mainWindow.webContents.send('twitch-status-changed', { isConnected: false });
-        }
+    clientInstance.on('disconnected', (reason) => {
+        if (isCurrent()) connectionState.disconnected(reason);
+    });
+
+    clientInstance.on('reconnect', () => {
+        if (isCurrent()) connectionState.reconnecting();
+    });
+
+    clientInstance.on('maxreconnect', () => {
+        if (isCurrent()) connectionState.stopped('Gave up reconnecting');
     });
 
     clientInstance.on('error', (error) => {
@@ -78,14 +271,14 @@ function setupClientHandlers(clientInstance) {
 function createClient() {
     // Get current credentials from environment
     const username = process.env.TWITCH_BOT_USERNAME || 'your_bot_username';
-    let password = process.env.TWITCH_OAUTH_TOKEN || 'oauth:your_token_here';
     const channel = process.env.TWITCH_CHANNEL || 'your_channel';
     
-    // Ensure token has "oauth:" prefix
-    if (password && !password.startsWith('oauth:')) {
-        password = 'oauth:' + password;
-        console.log('[Twitch] Added oauth: prefix to token');
-    }
+    // Read the token on every (re)connect, so refreshed tokens (src/twitch-auth.js) are picked up
+    const password = () => {
+        const token = process.env.TWITCH_OAUTH_TOKEN || 'oauth:your_token_here';
+        // Ensure token has "oauth:" prefix
+        return token.startsWith('oauth:') ? token : 'oauth:' + token;
+    };
     
     console.log(`[Twitch] Creating client with username: ${username}, channel: ${channel}`);
     
@@ -111,6 +304,7 @@ function connectTwitch() {
     
     if (!username || !token || !channel) {
         console.warn('[Twitch] Missing credentials. Need TWITCH_BOT_USERNAME, TWITCH_OAUTH_TOKEN, and TWITCH_CHANNEL');
+        connectionState.stopped('Not configured');
         return;
     }
     
@@ -128,17 +322,29 @@ function connectTwitch() {
     }
     
     // Create new client with current credentials
-    client = createClient();
+    const newClient = createClient();
+    client = newClient;
+    connectionState.start({ channel, username });
     
     // Connect the new client
-    client.connect().catch((error) => {
+    newClient.connect().catch((error) => {
         console.error('Failed to connect to Twitch:', error);
-        const mainWindow = BrowserWindow.getAllWindows()[0];
-        if (mainWindow) {
-            mainWindow.webContents.send('twitch-status-changed', { isConnected: false });
-        }
+        if (newClient === client) connectionState.disconnected(error);
     });
 }
 
+/**
+ * Leave chat (after logging out)
+ */
+function disconnectTwitch() {
+    if (!client) {
+        return;
+    }
+    client.disconnect().catch((err) => {
+        console.log('[Twitch] Error disconnecting client:', err.message);
+    });
+    client = null;
+    connectionState.stopped('Logged out');
+}
 
-module.exports = { connectTwitch, twitchEventEmitter };
+module.exports = { connectTwitch, disconnectTwitch, getTwitchStatus, twitchEventEmitter, setWheels, setCommands, sayInChat, sendSpinToWheel, startVote };
@@ -22,7 +22,7 @@ class FileWatcherQueueManager extends SharedQueueManager {
      * Setup IPC listeners for file operations
      */
     setupIpcListeners() {
-        ipcMain.on('read-file', (event) => {
+        this.onReadFile = (event) => {
             try {
                 const filePath = path.join(process.cwd(), this.windowConfig.dataFile);
                 console.log(`[FileWatcherQueueManager] Reading file: ${filePath}`);
@@ -57,11 +57,20 @@ class FileWatcherQueueManager extends SharedQueueManager {
                     error: error.message
                 });
             }
-        });
+        };
+        ipcMain.on('read-file', this.onReadFile);
 
         console.log('[FileWatcherQueueManager] IPC listeners setup complete');
     }
 
+    /**
+     * Remove the read-file listener (see SharedQueueManager.dispose)
+     */
+    dispose() {
+        ipcMain.removeListener('read-file', this.onReadFile);
+        super.dispose();
+    }
+
     /**
      * Return preload API definitions for file watcher
      */
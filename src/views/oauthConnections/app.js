@@ -10,13 +10,125 @@ class BoilerplateApp {
         console.log('[BoilerplateApp] Initializing...');
         this.setupEventListeners();
 
-        // Listen for OAuth token from main process
-        if (window.electron && window.electron.onTwitchOAuthToken) {
-            window.electron.onTwitchOAuthToken(token => {
-                console.log('[Twitch OAuth] Access token received in renderer:', token);
-                // You can now use the token in your app logic
-            });
+        // Connection state from main process (tokens never reach the renderer)
+        if (window.electron && window.electron.getConnections) {
+            window.electron.getConnections().then(connections => this.renderConnections(connections));
+            window.electron.onConnectionsUpdated(connections => this.renderConnections(connections));
+        }
+        if (window.electron && window.electron.getTwitchStatus) {
+            window.electron.getTwitchStatus().then(status => this.renderChatState(status));
+            window.electron.onTwitchStatusChanged(status => this.renderChatState(status));
+        }
+        if (window.electron && window.electron.getTokenStorageInfo) {
+            window.electron.getTokenStorageInfo().then(info => this.renderStorageNote(info));
+        }
+    }
+
+    /**
+     * Show the chat connection state (see src/twitch-connection-state.js)
+     * @param {{state: string, attempt: number, reason: string|null, channel: string|null, username: string|null}} status
+     */
+    renderChatState(status) {
+        const chatState = document.getElementById('chatState');
+        const texts = {
+            connected: `connected to #${status.channel} as ${status.username}`,
+            connecting: `connecting to #${status.channel}...`,
+            reconnecting: `reconnecting to #${status.channel} (attempt ${status.attempt})...`,
+            'auth-failed': `login rejected${status.reason ? ` (${status.reason})` : ''}; reconnect the account below`,
+            disconnected: `not connected${status.reason ? ` (${status.reason})` : ''}`
+        };
+        chatState.className = status.state === 'auth-failed' ? 'connection-warning' : '';
+        chatState.textContent = `Chat: ${texts[status.state] || texts.disconnected}`;
+    }
+
+    /**
+     * Tell whether tokens are protected by the OS keychain
+     * @param {{mode: string, secure: boolean}} info
+     */
+    renderStorageNote(info) {
+        const note = document.getElementById('storageNote');
+        note.hidden = false;
+        note.className = info.secure ? '' : 'connection-warning';
+        note.textContent = info.secure
+            ? 'Tokens are encrypted with your system keychain.'
+            : 'No system keychain available: tokens are encrypted with a key in the app data folder, so anyone who can read that folder can use them.';
+    }
+
+    /**
+     * Status line of a connection: who is connected, re-auth prompts
+     */
+    describeConnection(connection) {
+        if (connection.reauthRequired) {
+            return connection.reauthRequired === 'expiring'
+                ? 'This login is about to expire. Connect again to keep it working.'
+                : 'This login is no longer valid. Connect again.';
+        }
+        if (connection.connected) {
+            const expires = connection.expiresAt ? ` (token renews ${new Date(connection.expiresAt).toLocaleTimeString()})` : '';
+            return `Connected as ${connection.login}${expires}`;
         }
+        return connection.login ? `Checking login for ${connection.login}...` : 'Not connected';
+    }
+
+    /**
+     * One card per connection with connect/disconnect buttons and missing scopes
+     * @param {Array<object>} connections - From get-connections
+     */
+    renderConnections(connections) {
+        const list = document.getElementById('connectionsList');
+        list.innerHTML = '';
+
+        connections.forEach(connection => {
+            const card = document.createElement('div');
+            card.className = 'connection-card';
+
+            const title = document.createElement('h2');
+            title.textContent = connection.label;
+            card.appendChild(title);
+
+            const status = document.createElement('p');
+            status.textContent = this.describeConnection(connection);
+            card.appendChild(status);
+
+            if (connection.connected && connection.missingScopes.length > 0) {
+                const scopes = document.createElement('p');
+                scopes.className = 'connection-warning';
+                scopes.textContent = `Missing permissions: ${connection.missingScopes.join(', ')}. Reconnect to grant them.`;
+                card.appendChild(scopes);
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'connection-actions';
+            if (connection.canConnect) {
+                const connect = document.createElement('button');
+                connect.className = 'action-btn';
+                connect.textContent = connection.login ? 'Reconnect' : 'Connect';
+                connect.addEventListener('click', () => this.startConnection(connection, status));
+                actions.appendChild(connect);
+            }
+            if (connection.login || connection.connected) {
+                const disconnect = document.createElement('button');
+                disconnect.className = 'action-btn';
+                disconnect.textContent = 'Disconnect';
+                disconnect.addEventListener('click', () => {
+                    window.electron.removeConnection(connection.provider, connection.account)
+                        .then(updated => this.renderConnections(updated));
+                });
+                actions.appendChild(disconnect);
+            }
+            card.appendChild(actions);
+            list.appendChild(card);
+        });
+    }
+
+    /**
+     * Open the login in the system browser; main process completes it on the redirect
+     */
+    async startConnection(connection, status) {
+        const result = await window.electron.startConnection(connection.provider, connection.account);
+        status.textContent = result.started
+            ? 'Finish the login in your browser...'
+            : `Could not connect: ${result.message}`;
     }
 
     setupEventListeners() {
@@ -43,23 +155,6 @@ class BoilerplateApp {
         }
 
         console.log('[BoilerplateApp] Event listeners setup complete');
-
-        // Set Twitch OAuth link using credentials from main process
-        const twitchConnectLink = document.getElementById('twitchConnectLink');
-        if (twitchConnectLink && window.electron && window.electron.getTwitchCredentials) {
-            window.electron.getTwitchCredentials().then(creds => {
-                const clientId = creds.clientId || 'YOUR_CLIENT_ID';
-                const redirectUri = 'http://localhost:3000/';
-                const responseType = 'token';
-                // Request chat-related scopes
-                const scope = [
-                    'chat:read'
-                ].join(' ');
-                const oauthUrl = `https://id.twitch.tv/oauth2/authorize?client_id=${clientId}&redirect_uri=${encodeURIComponent(redirectUri)}&response_type=${responseType}&scope=${encodeURIComponent(scope)}`;
-                console.log('[Twitch OAuth] Generated URL:', oauthUrl);
-                twitchConnectLink.href = oauthUrl;
-            });
-        }
     }
 
     onActionButtonClick() {
@@ -0,0 +1,178 @@
+/**
+ * Queue Inspector Window App
+ *
+ * Shows every queue across all windows: worker PID and state, the running item,
+ * waiting items with their option name and origin, and recent completions/failures.
+ * Refreshes live when the main process reports queue activity.
+ */
+
+class QueueInspectorApp {
+    constructor() {
+        console.log('[QueueInspectorApp] Initializing...');
+        this.queueList = document.getElementById('queueList');
+        this.queueEmpty = document.getElementById('queueEmpty');
+        this.recentBody = document.getElementById('recentTableBody');
+        this.recentEmpty = document.getElementById('recentEmpty');
+        this.refreshTimer = null;
+
+        this.setupEventListeners();
+        this.loadSnapshot();
+
+        if (window.electron && window.electron.onQueueInspectorUpdated) {
+            window.electron.onQueueInspectorUpdated(() => this.scheduleRefresh());
+        }
+        // Restart countdowns and "running for" times change without queue events
+        setInterval(() => this.loadSnapshot(), 5000);
+    }
+
+    setupEventListeners() {
+        // Setup interactive element mouse events
+        const interactiveElements = document.querySelectorAll('.interactive-overlay-element');
+        interactiveElements.forEach(element => {
+            element.addEventListener('mouseenter', () => {
+                if (window.electron) {
+                    window.electron.mouseOverInteractive(true);
+                }
+            });
+
+            element.addEventListener('mouseleave', () => {
+                if (window.electron) {
+                    window.electron.mouseOverInteractive(false);
+                }
+            });
+        });
+
+        console.log('[QueueInspectorApp] Event listeners setup complete');
+    }
+
+    /**
+     * Debounce refreshes from bursts of queue updates
+     */
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.loadSnapshot(), 100);
+    }
+
+    async loadSnapshot() {
+        if (!window.electron || !window.electron.getQueueInspectorSnapshot) {
+            console.warn('[QueueInspectorApp] Queue inspector API not available');
+            return;
+        }
+
+        try {
+            const snapshot = await window.electron.getQueueInspectorSnapshot();
+            this.renderQueues(snapshot.queues);
+            this.renderRecent(snapshot.recent);
+        } catch (error) {
+            console.error('[QueueInspectorApp] Failed to load queue snapshot:', error);
+        }
+    }
+
+    /**
+     * Create an element with a class name and text
+     */
+    createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    describeWorker(worker) {
+        const parts = [worker.state];
+        if (worker.pid) parts.push(`PID ${worker.pid}`);
+        if (worker.restarts) parts.push(`${worker.restarts} restart(s)`);
+        if (worker.state === 'restarting' && worker.nextRestartAt) {
+            const seconds = Math.max(0, Math.round((new Date(worker.nextRestartAt).getTime() - Date.now()) / 1000));
+            parts.push(`next in ${seconds}s`);
+        }
+        if (worker.crashLoop) parts.push('crash loop');
+        return parts.join(' · ');
+    }
+
+    describeItem(entry) {
+        let text = entry.origin ? `${entry.label} (${entry.origin})` : entry.label;
+        if (entry.occurrence) {
+            text += ` · run ${entry.occurrence.index}/${entry.occurrence.count}`;
+        }
+        if (entry.runAt > Date.now()) {
+            text += ` · at ${new Date(entry.runAt).toLocaleTimeString()}`;
+        }
+        return text;
+    }
+
+    renderQueues(queues) {
+        this.queueList.innerHTML = '';
+        this.queueEmpty.hidden = queues.length > 0;
+
+        queues.forEach(queue => {
+            const card = this.createElement('div', 'queue-card');
+
+            const header = this.createElement('div', 'queue-header');
+            header.appendChild(this.createElement('span', 'queue-name', `${queue.source} / ${queue.queueName}`));
+            if (queue.paused) {
+                header.appendChild(this.createElement('span', 'queue-badge queue-badge-paused', 'paused'));
+            }
+            const workerInfo = this.createElement('span', `worker-state worker-state-${queue.worker.state}`, this.describeWorker(queue.worker));
+            if (queue.worker.lastExit) {
+                workerInfo.title = `Last exit: code ${queue.worker.lastExit.code}` +
+                    (queue.worker.lastExit.signal ? `, signal ${queue.worker.lastExit.signal}` : '') +
+                    (queue.worker.lastExit.error ? `, ${queue.worker.lastExit.error}` : '') +
+                    ` at ${new Date(queue.worker.lastExit.at).toLocaleTimeString()}`;
+            }
+            header.appendChild(workerInfo);
+            card.appendChild(header);
+
+            if (queue.running) {
+                card.appendChild(this.createElement('div', 'queue-running', `▶ ${this.describeItem(queue.running)}`));
+            }
+
+            if (queue.items.length > 0) {
+                const list = this.createElement('ol', 'queue-items');
+                queue.items.forEach(entry => {
+                    const li = this.createElement('li', null, this.describeItem(entry));
+                    li.title = `Queued ${new Date(entry.enqueuedAt).toLocaleTimeString()}`;
+                    list.appendChild(li);
+                });
+                card.appendChild(list);
+            } else if (!queue.running) {
+                card.appendChild(this.createElement('div', 'queue-idle', queue.error ? `Unavailable: ${queue.error}` : 'Nothing waiting'));
+            }
+
+            this.queueList.appendChild(card);
+        });
+    }
+
+    renderRecent(recent) {
+        this.recentBody.innerHTML = '';
+        this.recentEmpty.hidden = recent.length > 0;
+
+        recent.forEach(result => {
+            const tr = document.createElement('tr');
+            let outcome = result.status;
+            if (result.status === 'retrying') {
+                outcome = `retrying (${result.attempt}/${result.maxAttempts})`;
+            } else if (result.durationMs !== undefined) {
+                outcome = `${result.status} (${result.durationMs}ms)`;
+            }
+            const cells = [
+                new Date(result.timestamp).toLocaleTimeString(),
+                `${result.source} / ${result.queueName}`,
+                result.label,
+                result.origin || '—',
+                outcome
+            ];
+            cells.forEach(text => tr.appendChild(this.createElement('td', null, text)));
+            tr.lastChild.className = `outcome outcome-${result.status}`;
+            if (result.error) {
+                tr.lastChild.title = result.error;
+            }
+            this.recentBody.appendChild(tr);
+        });
+    }
+}
+
+// Initialize app when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.app = new QueueInspectorApp();
+});
@@ -0,0 +1,183 @@
+/**
+ * Queue Inspector Lifecycle Manager
+ * Collects the state of every queue owned by the other queue managers (pending items,
+ * worker PID/state, recent results) for the queue inspector window.
+ * Extends SharedQueueManager for consistency; owns no queues or workers itself.
+ */
+
+const { ipcMain } = require('electron');
+const SharedQueueManager = require('../shared/lifecycle-manager');
+const { invoke, on } = require('../../preload-helpers');
+
+// Completions/failures kept for the "recent" list
+const MAX_RECENT_RESULTS = 50;
+// Coalesce bursts of queue events into one window update
+const UPDATE_DEBOUNCE_MS = 200;
+
+class QueueInspectorLifecycleManager extends SharedQueueManager {
+    constructor(windowConfig = {}) {
+        super(windowConfig);
+        this.windowConfig = windowConfig;
+        this.queueManagers = new Map();
+        this.watchedManagers = new Set();
+        this.recentResults = [];
+        this.updateTimer = null;
+        console.log('[QueueInspectorLifecycleManager] Constructor called');
+        this.setupIpcListeners();
+    }
+
+    /**
+     * No queues of its own (inspector-only view)
+     */
+    initializeQueues() {
+        console.log('[QueueInspectorLifecycleManager] No queues (inspector-only view)');
+    }
+
+    /**
+     * Register inspector IPC handlers
+     */
+    setupIpcListeners() {
+        ipcMain.handle('get-queue-inspector-snapshot', () => this.getSnapshot());
+        console.log('[QueueInspectorLifecycleManager] IPC listeners setup complete');
+    }
+
+    /**
+     * Remove the inspector IPC handler (see SharedQueueManager.dispose)
+     */
+    dispose() {
+        ipcMain.removeHandler('get-queue-inspector-snapshot');
+        clearTimeout(this.updateTimer);
+        super.dispose();
+    }
+
+    /**
+     * Receive every queue manager created by main.js and follow their queue events
+     * @param {Map<string, SharedQueueManager>} queueManagers - Map of window id -> manager
+     */
+    setQueueManagers(queueManagers) {
+        this.queueManagers = queueManagers;
+        // Forget managers of windows that were closed
+        const current = new Set(queueManagers.values());
+        this.watchedManagers.forEach((manager) => {
+            if (!current.has(manager)) {
+                this.watchedManagers.delete(manager);
+            }
+        });
+        queueManagers.forEach((manager, source) => {
+            if (manager === this || this.watchedManagers.has(manager)) {
+                return;
+            }
+            this.watchedManagers.add(manager);
+            manager.on('item-status', (status) => this.recordItemStatus(status));
+            manager.on('worker-health', () => this.scheduleUpdate());
+            manager.on('queue-changed', () => this.scheduleUpdate());
+            console.log(`[QueueInspectorLifecycleManager] Watching queues of "${source}"`);
+        });
+    }
+
+    /**
+     * Keep finished/retrying items in the recent results list
+     * @param {object} status - item-status payload from SharedQueueManager
+     */
+    recordItemStatus(status) {
+        if (status.status !== 'started') {
+            this.recentResults.unshift({
+                timestamp: status.timestamp,
+                source: status.source,
+                queueName: status.queueName,
+                itemId: status.itemId,
+                status: status.status,
+                label: status.label,
+                origin: status.origin,
+                durationMs: status.durationMs,
+                attempt: status.attempt,
+                maxAttempts: status.maxAttempts,
+                error: status.error
+            });
+            this.recentResults.length = Math.min(this.recentResults.length, MAX_RECENT_RESULTS);
+        }
+        this.scheduleUpdate();
+    }
+
+    /**
+     * Tell inspector windows to refresh (debounced)
+     */
+    scheduleUpdate() {
+        clearTimeout(this.updateTimer);
+        this.updateTimer = setTimeout(() => this.broadcastToWindows('queue-inspector-updated', { timestamp: Date.now() }), UPDATE_DEBOUNCE_MS);
+    }
+
+    /**
+     * Describe a listed queue entry for the inspector window
+     * @param {{id: string, item: object, enqueuedAt: string, runAt?: number, occurrence?: object}} entry
+     * @returns {{id: string, label: string, origin: string|null, enqueuedAt: string, runAt?: number, occurrence?: object}}
+     */
+    toInspectorItem(entry) {
+        const { label, origin } = SharedQueueManager.describeItem(entry.item);
+        return { id: entry.id, label, origin, enqueuedAt: entry.enqueuedAt, runAt: entry.runAt, occurrence: entry.occurrence };
+    }
+
+    /**
+     * Build the state of every queue across all managers
+     * @returns {Promise<{generatedAt: number, queues: Array<object>, recent: Array<object>}>}
+     */
+    async getSnapshot() {
+        const lookups = [];
+        this.queueManagers.forEach((manager, source) => {
+            if (manager === this || typeof manager.getQueueStats !== 'function') {
+                return;
+            }
+            const stats = manager.getQueueStats();
+            Object.keys(stats).forEach(queueName => {
+                lookups.push(this.getQueueSnapshot(manager, source, queueName, stats[queueName]));
+            });
+        });
+
+        return {
+            generatedAt: Date.now(),
+            queues: await Promise.all(lookups),
+            recent: this.recentResults
+        };
+    }
+
+    /**
+     * State of a single queue
+     * @param {SharedQueueManager} manager - Owning manager
+     * @param {string} source - Window id of the owning manager
+     * @param {string} queueName - Name of the queue
+     * @param {{pending: number, paused: boolean, worker: object}} stats - Entry from getQueueStats()
+     * @returns {Promise<object>}
+     */
+    async getQueueSnapshot(manager, source, queueName, stats) {
+        const snapshot = {
+            source,
+            queueName,
+            paused: stats.paused,
+            pending: stats.pending,
+            worker: stats.worker,
+            running: null,
+            items: []
+        };
+        try {
+            const listing = await manager.listQueueItems(queueName);
+            snapshot.running = listing.running ? this.toInspectorItem(listing.running) : null;
+            snapshot.items = listing.items.map(entry => this.toInspectorItem(entry));
+        } catch (error) {
+            console.warn(`[QueueInspectorLifecycleManager] Could not list "${queueName}" (${source}): ${error.message}`);
+            snapshot.error = error.message;
+        }
+        return snapshot;
+    }
+
+    /**
+     * Return preload API definitions for the queue inspector
+     */
+    getPreloadAPI() {
+        return {
+            getQueueInspectorSnapshot: invoke('get-queue-inspector-snapshot'),
+            onQueueInspectorUpdated: on('queue-inspector-updated')
+        };
+    }
+}
+
+module.exports = QueueInspectorLifecycleManager;
@@ -0,0 +1,83 @@
+/**
+ * Config Errors Notification Component
+ *
+ * Shows the problems main.js found in windows-config.json and applications' wheel-options.json /
+ * controller-options.json (see src/config-schema.js) as a dismissible notification. Included next to
+ * window-bar.js by every view; it adds its own element, so views need no markup for it.
+ */
+
+class ConfigErrorsNotice {
+    constructor() {
+        this.element = null;
+        this.dismissed = ''; // Errors the user closed, shown again once they change
+    }
+
+    init() {
+        if (!window.electron || !window.electron.getConfigErrors) {
+            return;
+        }
+        this.element = document.createElement('div');
+        this.element.className = 'config-errors';
+        this.element.setAttribute('role', 'alert');
+        this.element.hidden = true;
+        document.body.appendChild(this.element);
+
+        // Overlay windows ignore the mouse outside their interactive elements
+        this.element.addEventListener('mouseenter', () => window.electron.mouseOverInteractive && window.electron.mouseOverInteractive(true));
+        this.element.addEventListener('mouseleave', () => window.electron.mouseOverInteractive && window.electron.mouseOverInteractive(false));
+
+        window.electron.onConfigErrorsChanged((configErrors) => this.render(configErrors));
+        window.electron.getConfigErrors()
+            .then((configErrors) => this.render(configErrors))
+            .catch((error) => console.warn('[ConfigErrorsNotice] Could not load config errors:', error));
+    }
+
+    /**
+     * @param {Array<{file: string, errors: Array<string>, ignored: boolean}>} configErrors
+     */
+    render(configErrors) {
+        const key = JSON.stringify(configErrors);
+        this.element.replaceChildren();
+        this.element.hidden = configErrors.length === 0 || key === this.dismissed;
+        if (this.element.hidden) {
+            return;
+        }
+
+        const header = document.createElement('div');
+        header.className = 'config-errors-header';
+        const title = document.createElement('span');
+        title.textContent = 'Config problems';
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'config-errors-close';
+        closeBtn.setAttribute('tabindex', '-1');
+        closeBtn.title = 'Dismiss';
+        closeBtn.textContent = '×';
+        closeBtn.addEventListener('click', () => {
+            this.dismissed = key;
+            this.element.hidden = true;
+        });
+        header.append(title, closeBtn);
+        this.element.appendChild(header);
+
+        configErrors.forEach(({ file, errors, ignored }) => {
+            const fileName = document.createElement('div');
+            fileName.className = 'config-errors-file';
+            fileName.textContent = file;
+            fileName.title = file;
+            const note = document.createElement('div');
+            note.className = 'config-errors-note';
+            note.textContent = ignored ? 'Changes not applied, still using the previous version' : 'Loaded with these problems';
+            const list = document.createElement('ul');
+            errors.forEach((error) => {
+                const item = document.createElement('li');
+                item.textContent = error;
+                list.appendChild(item);
+            });
+            this.element.append(fileName, note, list);
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new ConfigErrorsNotice().init();
+});
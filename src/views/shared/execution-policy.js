@@ -0,0 +1,86 @@
+/**
+ * Execution policy resolution for queue items (timeout, retries, backoff).
+ * Used by queue-worker.js.
+ *
+ * Policies are merged in this order (later wins):
+ *   1. DEFAULT_EXECUTION_POLICY
+ *   2. controller-options.json: controllers.<controller>.executionPolicy (per application)
+ *   3. the option / button itself: executionPolicy
+ */
+
+const DEFAULT_EXECUTION_POLICY = {
+    timeoutMs: 30000,            // 0 disables the timeout
+    retries: 0,                  // Extra attempts after the first failure
+    retryBackoffMs: 1000,        // Delay before the first retry
+    retryBackoffMultiplier: 2,   // Delay growth per retry
+    maxRetryBackoffMs: 30000     // Upper bound for a single delay
+};
+
+/**
+ * Find a controller's options in an application's controller-options.json (case-insensitive key)
+ * @param {object} controllers - The `controllers` map from controller-options.json
+ * @param {string} controller - Controller name
+ * @returns {object|undefined}
+ */
+function findControllerOptions(controllers, controller) {
+    if (!controllers || !controller) return undefined;
+    const wanted = String(controller).toLowerCase();
+    const key = Object.keys(controllers).find(k => k.toLowerCase() === wanted);
+    return key ? controllers[key] : undefined;
+}
+
+/**
+ * Keep only known, valid (non-negative number) policy fields
+ * @param {object} policy
+ * @returns {object}
+ */
+function sanitizePolicy(policy) {
+    const result = {};
+    if (!policy || typeof policy !== 'object') return result;
+    Object.keys(DEFAULT_EXECUTION_POLICY).forEach(key => {
+        const value = Number(policy[key]);
+        if (policy[key] !== undefined && policy[key] !== null && Number.isFinite(value) && value >= 0) {
+            result[key] = value;
+        }
+    });
+    if (result.retries !== undefined) {
+        result.retries = Math.floor(result.retries);
+    }
+    return result;
+}
+
+/**
+ * Resolve the execution policy for a queue item
+ * @param {object} item - Queue item (wheel option or button click result)
+ * @param {object} applicationConfigs - Map of application name -> loaded config
+ * @returns {{ timeoutMs: number, retries: number, retryBackoffMs: number, retryBackoffMultiplier: number, maxRetryBackoffMs: number }}
+ */
+function resolveExecutionPolicy(item = {}, applicationConfigs = {}) {
+    const application = item.application ? String(item.application).toLowerCase() : null;
+    const appConfig = application ? applicationConfigs[application] : undefined;
+    const controllerOptions = findControllerOptions(appConfig?.controllers, item.controller);
+
+    return {
+        ...DEFAULT_EXECUTION_POLICY,
+        ...sanitizePolicy(controllerOptions?.executionPolicy),
+        ...sanitizePolicy(item.executionPolicy)
+    };
+}
+
+/**
+ * Delay before a retry
+ * @param {object} policy - Resolved execution policy
+ * @param {number} retryNumber - 1 for the first retry, 2 for the second, ...
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(policy, retryNumber) {
+    const delay = policy.retryBackoffMs * Math.pow(policy.retryBackoffMultiplier, Math.max(0, retryNumber - 1));
+    return Math.min(delay, policy.maxRetryBackoffMs);
+}
+
+module.exports = {
+    DEFAULT_EXECUTION_POLICY,
+    findControllerOptions,
+    resolveExecutionPolicy,
+    getRetryDelay
+};
@@ -15,18 +15,74 @@ function fileLog(message) {
 }
 const { spawn } = require('child_process');
 const path = require('path');
-const { BrowserWindow } = require('electron');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { app, BrowserWindow } = require('electron');
+const QueueJournal = require('./queue-journal');
+const WorkerSupervisor = require('./worker-supervisor');
+const { resolveRunTimes, withoutSchedule } = require('./schedule');
+const { resolveExecutionPolicy } = require('./execution-policy');
+
+// How long to wait for a worker to answer a queue control command
+const CONTROL_TIMEOUT_MS = 5000;
+// setTimeout overflows above this; longer waits are re-armed when the timer fires
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+// Worker message type -> status reported to renderer windows
+const ITEM_STATUS_BY_MESSAGE = {
+    'item-started': 'started',
+    'item-succeeded': 'succeeded',
+    'item-failed': 'failed'
+};
 
 /**
  * Base class for all window queue managers
  * Provides common queue management and worker spawning functionality
+ *
+ * Queues are durable: every item is journaled to userData/queues/<window id>/<queue>.jsonl
+ * and acknowledged when the worker reports success or final failure. Unacknowledged items
+ * are re-delivered when a worker is respawned after a crash or on the next app start; an item
+ * that crashes the worker as many times as its execution policy allows attempts is dead-lettered.
+ * Workers are supervised: crashed workers are restarted with exponential backoff (see WorkerSupervisor).
+ * Scheduled items (config.delayMs / runAt / repeat, see schedule.js) are journaled like any other
+ * item but held here until they are due, so they can be listed, removed and survive restarts.
+ *
+ * Emits:
+ *   'item-status' (status) - a queue item started, is retrying, succeeded or failed (same payload
+ *                            as the 'queue-item-status' message broadcast to renderer windows)
+ *   'worker-health' (health) - a queue worker started, became ready, exited or is being restarted
+ *                              (same payload as the 'queue-worker-health' message)
+ *   'queue-changed' (change) - a queue was paused, resumed, cleared or had items removed/reordered
+ *                              (same payload as the 'queue-changed' message)
  */
-class SharedQueueManager {
+class SharedQueueManager extends EventEmitter {
     constructor(windowConfig = {}) {
-        this.ipcQueues = new Map();
+        super();
+        this.ipcQueues = new Map(); // Map of queueName -> QueueJournal
         this.workers = new Map(); // Map of queueName -> child process
+        this.deliveredItems = new Map(); // Map of queueName -> Set of item ids sent to the current worker
+        this.runningItems = new Map(); // Map of queueName -> id of the item the worker is executing
+        this.pausedQueues = new Set();
+        this.controlRequests = new Map(); // Map of requestId -> { resolve, timer }
+        this.scheduleTimers = new Map(); // Map of queueName -> timeout for the next scheduled item
+        this.stopping = false;
+        this.supervisor = new WorkerSupervisor({
+            onRestart: (queueName) => {
+                if (!this.stopping && !this.workers.has(queueName)) {
+                    console.log(`[${this.constructor.name}] Restarting worker for "${queueName}"`);
+                    this.spawnWorker(queueName);
+                }
+            }
+        });
+        this.supervisor.on('health-changed', (queueName, health) => {
+            const status = { source: this.windowConfig.id, queueName, ...health };
+            this.emit('worker-health', status);
+            this.broadcastToWindows('queue-worker-health', status);
+        });
+        this.journalDir = path.join(app.getPath('userData'), 'queues', windowConfig.id || this.constructor.name);
         this.applicationConfigs = {};
         this.windowConfig = windowConfig;
+        this.deadLetterStore = null; // Set by main.js via setDeadLetterStore()
         // Note: initializeQueues() should be called by subclasses after they set up their properties
     }
 
@@ -44,11 +100,36 @@ class SharedQueueManager {
      */
     createQueue(queueName) {
         if (!this.ipcQueues.has(queueName)) {
-            this.ipcQueues.set(queueName, []);
+            this.ipcQueues.set(queueName, new QueueJournal(queueName, this.journalDir));
             console.log(`[${this.constructor.name}] Created queue: "${queueName}"`);
         }
     }
 
+    /**
+     * Open journals left over from a previous run and start workers for queues with pending items
+     */
+    recoverQueues() {
+        try {
+            if (fs.existsSync(this.journalDir)) {
+                fs.readdirSync(this.journalDir).forEach(fileName => {
+                    const queueName = QueueJournal.fromFileName(fileName);
+                    if (queueName) {
+                        this.createQueue(queueName);
+                    }
+                });
+            }
+        } catch (error) {
+            console.error(`[${this.constructor.name}] Failed to scan queue journals: ${error.message}`);
+        }
+
+        this.ipcQueues.forEach((journal, queueName) => {
+            if (journal.size > 0) {
+                console.log(`[${this.constructor.name}] Recovered ${journal.size} pending item(s) on "${queueName}"`);
+                this.deliverPending(queueName);
+            }
+        });
+    }
+
     /**
      * Spawn a worker process for a queue
      * @param {string} queueName - Name of the queue
@@ -83,15 +164,29 @@ class SharedQueueManager {
         const worker = spawn(nodeExec, [workerPath, queueName], {
             stdio: ['ignore', 'inherit', 'inherit', 'ipc']
         });
+        this.deliveredItems.set(queueName, new Set());
+        this.workers.set(queueName, worker);
+        this.supervisor.workerStarted(queueName, worker.pid);
+
+        // A new worker must stay paused if its queue was paused (sent before any add-item)
+        if (this.pausedQueues.has(queueName)) {
+            worker.send({ type: 'pause' });
+        }
 
         worker.on('message', (message) => {
             if (message.type === 'worker-ready') {
                 console.log(`[${this.constructor.name}] Worker ready for queue: "${queueName}"`);
+                this.supervisor.workerReady(queueName);
                 // Send application configs to worker
                 worker.send({
                     type: 'set-config',
                     config: this.applicationConfigs
                 });
+                this.deliverPending(queueName);
+            } else if (message.type === 'control-result') {
+                this.handleControlResult(message);
+            } else if (ITEM_STATUS_BY_MESSAGE[message.type]) {
+                this.handleItemStatus(queueName, message);
             } else if (message.type === 'queue-empty') {
                 console.log(`[${this.constructor.name}] Queue empty: "${queueName}"`);
             } else if (message.type === 'file-writer-event') {
@@ -119,53 +214,591 @@ class SharedQueueManager {
 
         worker.on('error', (error) => {
             console.error(`[${this.constructor.name}] Worker error for "${queueName}": ${error.message}`);
+            // A process that failed to spawn (e.g. node not found) never emits 'exit'
+            if (worker.pid === undefined) {
+                this.handleWorkerExit(queueName, worker, { code: null, signal: null, error: error.message });
+            }
         });
 
-        worker.on('exit', (code) => {
-            console.log(`[${this.constructor.name}] Worker exited for "${queueName}" with code ${code}`);
-            this.workers.delete(queueName);
+        worker.on('exit', (code, signal) => {
+            console.log(`[${this.constructor.name}] Worker exited for "${queueName}" with code ${code}` +
+                (signal ? ` (signal ${signal})` : ''));
+            this.handleWorkerExit(queueName, worker, { code, signal });
         });
 
-        this.workers.set(queueName, worker);
         console.log(`[${this.constructor.name}] Spawned worker for queue: "${queueName}"`);
     }
 
+    /**
+     * Forget an exited worker and let the supervisor decide whether to restart it
+     * (pending items are re-delivered to the new worker on worker-ready)
+     * @param {string} queueName - Name of the queue
+     * @param {ChildProcess} worker - The worker that exited
+     * @param {{code: number|null, signal: string|null, error?: string}} exit - Exit details
+     */
+    handleWorkerExit(queueName, worker, exit) {
+        if (this.workers.get(queueName) !== worker) {
+            return; // Already replaced or stopped
+        }
+        const runningItemId = this.runningItems.get(queueName);
+        this.workers.delete(queueName);
+        this.deliveredItems.delete(queueName);
+        this.runningItems.delete(queueName);
+
+        const crashed = !this.stopping && (exit.code !== 0 || exit.signal !== null || Boolean(exit.error));
+        if (crashed && runningItemId) {
+            this.recordItemCrash(queueName, runningItemId);
+        }
+
+        // Items scheduled for later don't need a worker until they are due
+        const journal = this.ipcQueues.get(queueName);
+        const now = Date.now();
+        const hasPending = Boolean(journal && journal.getPending().some(entry => !(entry.runAt > now)));
+        const delay = this.supervisor.workerExited(queueName, { ...exit, expected: this.stopping, hasPending });
+        if (delay !== null) {
+            const health = this.supervisor.getHealth(queueName);
+            console.warn(`[${this.constructor.name}] Worker for "${queueName}" ${health.lastExit.crashed ? 'crashed' : 'exited'}` +
+                ` with ${journal ? journal.size : 0} pending item(s), restarting in ${delay}ms` +
+                (health.crashLoop ? ` (crash loop: ${health.consecutiveCrashes} crashes in a row)` : ''));
+        }
+    }
+
+    /**
+     * Count a worker crash against the item it was running, and dead-letter the item once it has
+     * crashed the worker as many times as its execution policy allows attempts
+     * (otherwise it would be re-delivered to every restarted worker and block the queue)
+     * @param {string} queueName - Name of the queue
+     * @param {string} itemId - Id of the item the worker was running
+     */
+    recordItemCrash(queueName, itemId) {
+        const journal = this.ipcQueues.get(queueName);
+        const entry = journal && journal.getPending().find(pending => pending.id === itemId);
+        if (!entry) {
+            return;
+        }
+        const crashes = journal.recordCrash(itemId);
+        const maxAttempts = resolveExecutionPolicy(entry.item.result || entry.item, this.applicationConfigs).retries + 1;
+        if (crashes < maxAttempts) {
+            console.warn(`[${this.constructor.name}] Item ${itemId} was running when the worker for "${queueName}" crashed (${crashes}/${maxAttempts}); it is delivered again`);
+            return;
+        }
+        this.handleItemStatus(queueName, {
+            type: 'item-failed',
+            itemId: itemId,
+            item: entry.item,
+            attempt: crashes,
+            maxAttempts: maxAttempts,
+            error: `Worker crashed while running the item (${crashes} time${crashes === 1 ? '' : 's'})`
+        });
+    }
+
+    /**
+     * Send a message to all renderer windows
+     * @param {string} channel - IPC channel
+     * @param {object} data - Payload
+     */
+    broadcastToWindows(channel, data) {
+        try {
+            BrowserWindow.getAllWindows().forEach(win => {
+                if (win && !win.isDestroyed()) {
+                    win.webContents.send(channel, data);
+                }
+            });
+        } catch (err) {
+            console.error(`[${this.constructor.name}] Error broadcasting ${channel}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Send a journaled item to the queue's worker
+     * @param {string} queueName - Name of the queue
+     * @param {string} itemId - Id of the item
+     * @param {object} item - Item to send
+     * @returns {boolean} True if the worker accepted the message
+     */
+    deliverItem(queueName, itemId, item) {
+        const worker = this.workers.get(queueName);
+        if (!worker || !worker.connected) {
+            return false;
+        }
+        worker.send({
+            type: 'add-item',
+            itemId: itemId,
+            item: item
+        });
+        this.deliveredItems.get(queueName)?.add(itemId);
+        return true;
+    }
+
+    /**
+     * Send every due pending item the current worker has not received yet, starting a worker
+     * if needed, and arm the timer for the next scheduled item
+     * @param {string} queueName - Name of the queue
+     */
+    deliverPending(queueName) {
+        const journal = this.ipcQueues.get(queueName);
+        if (!journal || this.stopping) {
+            return;
+        }
+
+        const now = Date.now();
+        const delivered = this.deliveredItems.get(queueName) || new Set();
+        const due = journal.getPending().filter(entry => !delivered.has(entry.id) && !(entry.runAt > now));
+        if (due.length > 0 && !this.workers.has(queueName)) {
+            // A worker in crash backoff picks these up when the supervisor restarts it
+            if (this.supervisor.getHealth(queueName).state !== 'restarting') {
+                this.spawnWorker(queueName);
+            }
+        }
+
+        const sent = due.filter(entry => this.deliverItem(queueName, entry.id, entry.item));
+        if (sent.length > 0) {
+            console.log(`[${this.constructor.name}] Delivered ${sent.length} pending item(s) to worker for "${queueName}"`);
+        }
+        this.armScheduleTimer(queueName);
+    }
+
+    /**
+     * Wake up when the earliest scheduled (not yet due) item on a queue becomes due
+     * @param {string} queueName - Name of the queue
+     */
+    armScheduleTimer(queueName) {
+        clearTimeout(this.scheduleTimers.get(queueName));
+        this.scheduleTimers.delete(queueName);
+
+        const journal = this.ipcQueues.get(queueName);
+        const now = Date.now();
+        const nextRunAt = journal.getPending()
+            .filter(entry => entry.runAt > now)
+            .reduce((earliest, entry) => Math.min(earliest, entry.runAt), Infinity);
+        if (nextRunAt === Infinity) {
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            this.scheduleTimers.delete(queueName);
+            this.deliverPending(queueName);
+        }, Math.min(nextRunAt - now, MAX_TIMER_DELAY_MS));
+        this.scheduleTimers.set(queueName, timer);
+    }
+
+    /**
+     * Describe a queue item for status messages and inspectors
+     * @param {object} item - Queue item (wheel result or button click)
+     * @param {string} [fallbackLabel] - Label used when the item has no name
+     * @returns {{label: string, origin: string|null}} Option/button name and who or what queued it
+     */
+    static describeItem(item = {}, fallbackLabel = '') {
+        const trigger = item.trigger || {};
+        let origin = null;
+        if (trigger.source) {
+            origin = trigger.user ? `${trigger.source}: ${trigger.user}` : trigger.source;
+        } else if (item.buttonId) {
+            origin = 'button';
+        }
+        return {
+            label: item.name || item.buttonId || item.command || fallbackLabel,
+            origin
+        };
+    }
+
+    /**
+     * Relay a worker's item-started / item-succeeded / item-failed message
+     * to listeners in the main process and to all renderer windows
+     * @param {string} queueName - Name of the queue
+     * @param {object} message - Message received from the worker
+     */
+    handleItemStatus(queueName, message) {
+        const item = message.item || {};
+        const { label, origin } = SharedQueueManager.describeItem(item, queueName);
+        const status = {
+            status: message.willRetry ? 'retrying' : ITEM_STATUS_BY_MESSAGE[message.type],
+            queueName: queueName,
+            itemId: message.itemId,
+            source: this.windowConfig.id,
+            label: label,
+            origin: origin,
+            historyId: item.historyId,
+            buttonId: item.buttonId,
+            redemption: item.trigger?.redemption, // Channel point redemption to fulfil/refund (main.js)
+            trigger: item.trigger, // Who/what started the item, for chat announcements (main.js)
+            durationMs: message.durationMs,
+            attempt: message.attempt,
+            maxAttempts: message.maxAttempts,
+            retryDelayMs: message.retryDelayMs,
+            timedOut: message.timedOut,
+            error: message.error,
+            stdout: message.stdout,
+            stderr: message.stderr,
+            timestamp: Date.now()
+        };
+
+        if (status.status === 'failed') {
+            console.error(`[${this.constructor.name}] Item ${status.itemId} failed on "${queueName}"` +
+                (status.durationMs !== undefined ? ` after ${status.durationMs}ms` : '') + `: ${status.error}`);
+
+            // Permanently failed - keep it in the dead-letter file so it can be replayed later
+            if (this.deadLetterStore) {
+                const deadLetter = this.deadLetterStore.add({
+                    source: this.windowConfig.id,
+                    queueName: queueName,
+                    itemId: message.itemId,
+                    item: item,
+                    error: message.error,
+                    stdout: message.stdout,
+                    stderr: message.stderr,
+                    attempts: message.attempt
+                });
+                status.deadLetterId = deadLetter.id;
+            }
+        } else if (status.status === 'retrying') {
+            console.warn(`[${this.constructor.name}] Item ${status.itemId} failed attempt ${status.attempt}/${status.maxAttempts} on "${queueName}", retrying in ${status.retryDelayMs}ms: ${status.error}`);
+        } else {
+            console.log(`[${this.constructor.name}] Item ${status.itemId} ${status.status} on "${queueName}"` +
+                (status.durationMs !== undefined ? ` (${status.durationMs}ms)` : ''));
+        }
+
+        // Final result - remove the item from the durable queue
+        if (status.status === 'succeeded' || status.status === 'failed') {
+            this.ipcQueues.get(queueName)?.ack(message.itemId);
+            this.deliveredItems.get(queueName)?.delete(message.itemId);
+            if (this.runningItems.get(queueName) === message.itemId) {
+                this.runningItems.delete(queueName);
+            }
+        } else if (status.status === 'started') {
+            this.runningItems.set(queueName, message.itemId);
+        }
+
+        this.emit('item-status', status);
+        this.broadcastToWindows('queue-item-status', status);
+    }
+
     /**
      * Add an item to a specific queue
      * @param {string} queueName - Name of the queue
      * @param {object} item - Item to add
+     * @returns {string} Id assigned to the queued item
      */
     addToQueue(queueName, item) {
+        const itemId = crypto.randomUUID();
+
         if (!this.ipcQueues.has(queueName)) {
             this.createQueue(queueName);
-            this.spawnWorker(queueName);
+        }
+        const journal = this.ipcQueues.get(queueName);
+
+        // Delayed / timed / repeating items: journal every run and deliver each one when due
+        const runTimes = resolveRunTimes(item);
+        if (runTimes) {
+            runTimes.forEach((runAt, index) => {
+                journal.enqueue(index === 0 ? itemId : crypto.randomUUID(), item, {
+                    runAt,
+                    occurrence: runTimes.length > 1 ? { index: index + 1, count: runTimes.length, seriesId: itemId } : undefined
+                });
+            });
+            console.log(`[${this.constructor.name}] Scheduled ${runTimes.length} run(s) on "${queueName}", first at ${new Date(runTimes[0]).toISOString()}`);
+            this.deliverPending(queueName);
+            this.notifyQueueChanged(queueName, 'schedule');
+            return itemId;
         }
 
+        // Journal first so the item survives a worker crash or app restart
+        journal.enqueue(itemId, item);
+
         // Ensure worker exists for this queue
         if (!this.workers.has(queueName)) {
+            // A worker in crash backoff picks the item up when the supervisor restarts it
+            if (this.supervisor.getHealth(queueName).state === 'restarting') {
+                console.log(`[${this.constructor.name}] Worker for "${queueName}" is restarting; item ${itemId} waits in the journal`);
+                return itemId;
+            }
             this.spawnWorker(queueName);
         }
 
         // Send item to worker process
-        const worker = this.workers.get(queueName);
-        if (worker && worker.connected) {
-            worker.send({
-                type: 'add-item',
-                item: item
-            });
-            console.log(`[${this.constructor.name}] Sent item to worker for "${queueName}"`);
+        if (this.deliverItem(queueName, itemId, item)) {
+            console.log(`[${this.constructor.name}] Sent item ${itemId} to worker for "${queueName}"`);
         } else {
             console.error(`[${this.constructor.name}] Worker not available for "${queueName}"`);
+            this.handleItemStatus(queueName, {
+                type: 'item-failed',
+                itemId: itemId,
+                item: item,
+                error: 'Worker not available'
+            });
+        }
+        return itemId;
+    }
+
+    /**
+     * Send a control command to a queue's worker and wait for its control-result reply
+     * @param {string} queueName - Name of the queue
+     * @param {object} command - { type, ...args }
+     * @returns {Promise<object|null>} The worker's reply, or null if no worker is running
+     */
+    sendControl(queueName, command) {
+        const worker = this.workers.get(queueName);
+        if (!worker || !worker.connected) {
+            return Promise.resolve(null);
+        }
+
+        const requestId = crypto.randomUUID();
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.controlRequests.delete(requestId);
+                reject(new Error(`Worker for "${queueName}" did not answer "${command.type}"`));
+            }, CONTROL_TIMEOUT_MS);
+            this.controlRequests.set(requestId, { resolve, timer });
+            worker.send({ ...command, requestId });
+        });
+    }
+
+    /**
+     * Resolve the pending sendControl() call for a worker's control-result
+     * @param {object} message - control-result message from the worker
+     */
+    handleControlResult(message) {
+        const request = this.controlRequests.get(message.requestId);
+        if (!request) {
+            return; // Unsolicited (e.g. the pause sent to a newly spawned worker)
+        }
+        clearTimeout(request.timer);
+        this.controlRequests.delete(message.requestId);
+        request.resolve(message);
+    }
+
+    /**
+     * Get a queue's journal, rejecting unknown queue names
+     * @param {string} queueName - Name of the queue
+     * @returns {QueueJournal}
+     */
+    getJournal(queueName) {
+        const journal = this.ipcQueues.get(queueName);
+        if (!journal) {
+            throw new Error(`Unknown queue "${queueName}"`);
+        }
+        return journal;
+    }
+
+    /**
+     * Tell listeners and renderer windows that a queue's contents or state changed
+     * @param {string} queueName - Name of the queue
+     * @param {string} action - Control action that caused the change
+     */
+    notifyQueueChanged(queueName, action) {
+        const change = {
+            source: this.windowConfig.id,
+            queueName,
+            action,
+            paused: this.pausedQueues.has(queueName),
+            pending: this.ipcQueues.get(queueName)?.size || 0,
+            timestamp: Date.now()
+        };
+        this.emit('queue-changed', change);
+        this.broadcastToWindows('queue-changed', change);
+    }
+
+    /**
+     * Stop starting new items on a queue (the running item finishes; new items still queue up)
+     * @param {string} queueName - Name of the queue
+     * @returns {Promise<{paused: boolean}>}
+     */
+    async pauseQueue(queueName) {
+        this.getJournal(queueName);
+        this.pausedQueues.add(queueName);
+        await this.sendControl(queueName, { type: 'pause' });
+        console.log(`[${this.constructor.name}] Paused queue "${queueName}"`);
+        this.notifyQueueChanged(queueName, 'pause');
+        return { paused: true };
+    }
+
+    /**
+     * Resume a paused queue
+     * @param {string} queueName - Name of the queue
+     * @returns {Promise<{paused: boolean}>}
+     */
+    async resumeQueue(queueName) {
+        const journal = this.getJournal(queueName);
+        this.pausedQueues.delete(queueName);
+        const reply = await this.sendControl(queueName, { type: 'resume' });
+        if (!reply && journal.size > 0) {
+            this.deliverPending(queueName);
+        }
+        console.log(`[${this.constructor.name}] Resumed queue "${queueName}"`);
+        this.notifyQueueChanged(queueName, 'resume');
+        return { paused: false };
+    }
+
+    /**
+     * Drop every waiting item from a queue (the running item is not interrupted)
+     * @param {string} queueName - Name of the queue
+     * @returns {Promise<{removed: number}>}
+     */
+    async clearQueue(queueName) {
+        const journal = this.getJournal(queueName);
+        await this.sendControl(queueName, { type: 'clear' });
+
+        // Also drop journaled items the worker has not received yet
+        const runningId = this.runningItems.get(queueName);
+        const removed = journal.getPending().filter(entry => entry.id !== runningId);
+        removed.forEach(entry => {
+            journal.ack(entry.id);
+            this.deliveredItems.get(queueName)?.delete(entry.id);
+        });
+
+        this.armScheduleTimer(queueName);
+
+        console.log(`[${this.constructor.name}] Cleared ${removed.length} item(s) from "${queueName}"`);
+        this.notifyQueueChanged(queueName, 'clear');
+        return { removed: removed.length };
+    }
+
+    /**
+     * Remove a single waiting item from a queue
+     * @param {string} queueName - Name of the queue
+     * @param {string} itemId - Id of the item
+     * @returns {Promise<{removed: boolean, error?: string}>}
+     */
+    async removeQueueItem(queueName, itemId) {
+        const journal = this.getJournal(queueName);
+        if (this.runningItems.get(queueName) === itemId) {
+            return { removed: false, error: 'Item is running' };
         }
+        if (!journal.has(itemId)) {
+            return { removed: false, error: 'Item not found' };
+        }
+
+        if (this.deliveredItems.get(queueName)?.has(itemId)) {
+            const reply = await this.sendControl(queueName, { type: 'remove-item', itemId });
+            if (reply && !reply.ok) {
+                return { removed: false, error: reply.error };
+            }
+            this.deliveredItems.get(queueName)?.delete(itemId);
+        }
+        journal.ack(itemId);
+        this.armScheduleTimer(queueName);
+
+        console.log(`[${this.constructor.name}] Removed item ${itemId} from "${queueName}"`);
+        this.notifyQueueChanged(queueName, 'remove-item');
+        return { removed: true };
+    }
+
+    /**
+     * Move a waiting item to a new position among the waiting items
+     * @param {string} queueName - Name of the queue
+     * @param {string} itemId - Id of the item
+     * @param {number} toIndex - New position (0 = next to run)
+     * @returns {Promise<{moved: boolean, error?: string}>}
+     */
+    async moveQueueItem(queueName, itemId, toIndex) {
+        const journal = this.getJournal(queueName);
+        const runningId = this.runningItems.get(queueName);
+        if (itemId === runningId) {
+            return { moved: false, error: 'Item is running' };
+        }
+
+        const waitingIds = journal.getPending().map(entry => entry.id).filter(id => id !== runningId);
+        const index = waitingIds.indexOf(itemId);
+        if (index === -1) {
+            return { moved: false, error: 'Item not found' };
+        }
+        waitingIds.splice(index, 1);
+        const target = Math.max(0, Math.min(Number(toIndex) || 0, waitingIds.length));
+        waitingIds.splice(target, 0, itemId);
+
+        if (this.deliveredItems.get(queueName)?.has(itemId)) {
+            // The worker only holds delivered items, so translate the position into its queue
+            const delivered = this.deliveredItems.get(queueName);
+            const workerIndex = waitingIds.filter(id => delivered.has(id)).indexOf(itemId);
+            const reply = await this.sendControl(queueName, { type: 'move-item', itemId, toIndex: workerIndex });
+            if (reply && !reply.ok) {
+                return { moved: false, error: reply.error };
+            }
+        }
+        journal.reorder(runningId ? [runningId, ...waitingIds] : waitingIds);
+
+        console.log(`[${this.constructor.name}] Moved item ${itemId} to position ${target} in "${queueName}"`);
+        this.notifyQueueChanged(queueName, 'move-item');
+        return { moved: true };
+    }
+
+    /**
+     * List a queue's running and waiting items
+     * @param {string} queueName - Name of the queue
+     * @returns {Promise<{queueName: string, paused: boolean, running: object|null, items: Array<{id: string, item: object, enqueuedAt: string, runAt?: number, occurrence?: object}>}>}
+     */
+    async listQueueItems(queueName) {
+        const journal = this.getJournal(queueName);
+        const reply = await this.sendControl(queueName, { type: 'list-items' });
+        const runningId = reply ? reply.currentItemId : this.runningItems.get(queueName);
+
+        // Worker order first (it decides what runs next), then anything not yet delivered
+        const pending = journal.getPending();
+        const byId = new Map(pending.map(entry => [entry.id, entry]));
+        const orderedIds = reply ? reply.itemIds.filter(id => byId.has(id)) : [];
+        pending.forEach(entry => {
+            if (entry.id !== runningId && !orderedIds.includes(entry.id)) orderedIds.push(entry.id);
+        });
+
+        const toListItem = (entry) => ({
+            id: entry.id,
+            item: entry.item,
+            enqueuedAt: entry.timestamp,
+            runAt: entry.runAt,
+            occurrence: entry.occurrence
+        });
+        return {
+            queueName,
+            paused: this.pausedQueues.has(queueName),
+            running: runningId && byId.has(runningId) ? toListItem(byId.get(runningId)) : null,
+            items: orderedIds.map(id => toListItem(byId.get(id)))
+        };
+    }
+
+    /**
+     * Set the shared dead-letter store for permanently failed items
+     * @param {DeadLetterStore} deadLetterStore - Store created by main.js
+     */
+    setDeadLetterStore(deadLetterStore) {
+        this.deadLetterStore = deadLetterStore;
+    }
+
+    /**
+     * Re-queue dead-lettered items that belong to this manager
+     * Each entry is one failed run, so it is queued to run once, right away, even if it came from a
+     * delayed or repeating action.
+     * @param {Array<string>} [ids] - Dead-letter entry ids (all of this manager's entries if omitted)
+     * @returns {number} Number of items re-queued
+     */
+    replayDeadLetters(ids) {
+        if (!this.deadLetterStore) {
+            return 0;
+        }
+
+        const wanted = ids ? new Set(ids) : null;
+        const entries = this.deadLetterStore.list({ source: this.windowConfig.id })
+            .filter(entry => !wanted || wanted.has(entry.id));
+        const replayed = this.deadLetterStore.remove(entries.map(entry => entry.id));
+
+        replayed.forEach(entry => {
+            console.log(`[${this.constructor.name}] Replaying dead-lettered item on "${entry.queueName}"`);
+            this.addToQueue(entry.queueName, withoutSchedule(entry.item));
+        });
+        return replayed.length;
     }
 
     /**
      * Get queue statistics
+     * @returns {Object<string, {pending: number, paused: boolean, worker: object}>} Map of queueName -> pending item count, paused flag and worker health
      */
     getQueueStats() {
         const stats = {};
-        this.ipcQueues.forEach((items, queueName) => {
-            stats[queueName] = items.length;
+        this.ipcQueues.forEach((journal, queueName) => {
+            stats[queueName] = {
+                pending: journal.size,
+                paused: this.pausedQueues.has(queueName),
+                worker: this.supervisor.getHealth(queueName)
+            };
         });
         return stats;
     }
@@ -190,16 +823,24 @@ class SharedQueueManager {
 
     /**
      * Start all queue workers
-     * Note: Workers are now spawned on-demand when items are added
+     * Note: Workers are spawned on-demand when items are added, or right away for
+     * queues with items left pending by a previous run
      */
     startQueueWorker() {
+        this.stopping = false;
         console.log(`[${this.constructor.name}] Queue workers will be spawned on-demand`);
+        this.recoverQueues();
     }
 
     /**
      * Stop all queue workers
      */
     stopQueueWorkers() {
+        // Pending items stay in the journal and are re-delivered on the next start
+        this.stopping = true;
+        this.supervisor.stopAll();
+        this.scheduleTimers.forEach(timer => clearTimeout(timer));
+        this.scheduleTimers.clear();
         this.workers.forEach((worker, queueName) => {
             if (worker && worker.connected) {
                 console.log(`[${this.constructor.name}] Sending shutdown signal to worker: "${queueName}"`);
@@ -207,9 +848,19 @@ class SharedQueueManager {
             }
         });
         this.workers.clear();
+        this.deliveredItems.clear();
         console.log(`[${this.constructor.name}] All workers stopped`);
     }
 
+    /**
+     * Tear down before the manager is dropped (its window was closed or removed from windows-config.json)
+     * Subclasses that register IPC handlers or event listeners remove them here and call super.dispose().
+     */
+    dispose() {
+        this.stopQueueWorkers();
+        this.removeAllListeners();
+    }
+
     /**
      * Lifecycle hook: Return preload API definitions for this lifecycle manager
      * Override this in subclasses to expose IPC handlers to the renderer
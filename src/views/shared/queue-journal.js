@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append-only on-disk journal for a single queue
+ * Every queued item is written as an 'enqueue' record and acknowledged with an 'ack'
+ * record once the worker reports a final result. Items without an ack are pending and
+ * are re-delivered after a worker crash or app restart (at-least-once delivery).
+ * A 'crash' record counts a worker crash while the item was running, so an item that keeps
+ * taking the worker down can be given up on.
+ *
+ * Record shapes (one JSON object per line):
+ *   { op: 'enqueue', id, item, timestamp, runAt?, occurrence?, crashes? }
+ *   { op: 'ack', id, timestamp }
+ *   { op: 'crash', id, timestamp }
+ *
+ * The file is compacted on load, after a reorder, and truncated whenever the queue drains.
+ */
+class QueueJournal {
+    /**
+     * @param {string} queueName - Name of the queue
+     * @param {string} journalDir - Directory that holds the journal files
+     */
+    constructor(queueName, journalDir) {
+        this.queueName = queueName;
+        this.journalDir = journalDir;
+        this.journalFile = path.join(journalDir, `${QueueJournal.toFileName(queueName)}.jsonl`);
+        this.pending = new Map(); // itemId -> { id, item, timestamp, runAt?, occurrence?, crashes? }, in delivery order
+        this.load();
+    }
+
+    /**
+     * Map a queue name to a safe file name
+     * @param {string} queueName
+     * @returns {string}
+     */
+    static toFileName(queueName) {
+        return encodeURIComponent(queueName);
+    }
+
+    /**
+     * Map a journal file name back to its queue name
+     * @param {string} fileName - e.g. "SimplePlanes-pythonkeys.jsonl"
+     * @returns {string|null} Queue name, or null if the file is not a journal
+     */
+    static fromFileName(fileName) {
+        if (!fileName.endsWith('.jsonl')) return null;
+        try {
+            return decodeURIComponent(fileName.slice(0, -'.jsonl'.length));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Read and fold the journal, then compact it to the pending items only
+     */
+    load() {
+        if (!fs.existsSync(this.journalFile)) {
+            return;
+        }
+
+        let records = 0;
+        let skipped = 0;
+        try {
+            const lines = fs.readFileSync(this.journalFile, 'utf8').split(/\r?\n/);
+            lines.forEach(line => {
+                if (!line.trim()) return;
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (err) {
+                    // A crash mid-write can leave a partial last line
+                    console.warn(`[QueueJournal:${this.queueName}] Skipping unreadable journal line`);
+                    skipped++;
+                    return;
+                }
+                records++;
+                if (record.op === 'enqueue') {
+                    const { op, ...entry } = record;
+                    this.pending.set(record.id, entry);
+                } else if (record.op === 'ack') {
+                    this.pending.delete(record.id);
+                } else if (record.op === 'crash' && this.pending.has(record.id)) {
+                    const entry = this.pending.get(record.id);
+                    entry.crashes = (entry.crashes || 0) + 1;
+                }
+            });
+        } catch (error) {
+            console.error(`[QueueJournal:${this.queueName}] Failed to read journal: ${error.message}`);
+            return;
+        }
+
+        // Drop acked items and any partial line so new records start on a clean line
+        if (skipped > 0 || records !== this.pending.size) {
+            this.compact();
+        }
+        if (this.pending.size > 0) {
+            console.log(`[QueueJournal:${this.queueName}] Recovered ${this.pending.size} pending item(s)`);
+        }
+    }
+
+    /**
+     * Append a record to the journal file
+     * @param {object} record
+     */
+    append(record) {
+        try {
+            if (!fs.existsSync(this.journalDir)) {
+                fs.mkdirSync(this.journalDir, { recursive: true });
+            }
+            fs.appendFileSync(this.journalFile, JSON.stringify(record) + '\n', 'utf8');
+        } catch (error) {
+            console.error(`[QueueJournal:${this.queueName}] Failed to write journal: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rewrite the journal with only the pending items
+     */
+    compact() {
+        try {
+            const lines = Array.from(this.pending.values())
+                .map(entry => JSON.stringify({ op: 'enqueue', ...entry }) + '\n');
+            fs.writeFileSync(this.journalFile, lines.join(''), 'utf8');
+        } catch (error) {
+            console.error(`[QueueJournal:${this.queueName}] Failed to compact journal: ${error.message}`);
+        }
+    }
+
+    /**
+     * Persist a newly queued item
+     * @param {string} id - Item id
+     * @param {object} item - Queue item
+     * @param {object} [schedule] - For scheduled items
+     * @param {number} [schedule.runAt] - Epoch ms before which the item must not be delivered
+     * @param {{index: number, count: number, seriesId: string}} [schedule.occurrence] - Position in a repeat series
+     */
+    enqueue(id, item, schedule = {}) {
+        const entry = { id, item, timestamp: new Date().toISOString() };
+        if (schedule.runAt !== undefined) entry.runAt = schedule.runAt;
+        if (schedule.occurrence) entry.occurrence = schedule.occurrence;
+        this.append({ op: 'enqueue', ...entry });
+        this.pending.set(id, entry);
+    }
+
+    /**
+     * Acknowledge a finished item (succeeded, permanently failed or removed from the queue)
+     * @param {string} id - Item id
+     * @returns {boolean} True if the item was pending
+     */
+    ack(id) {
+        if (!this.pending.has(id)) {
+            return false;
+        }
+        this.pending.delete(id);
+        if (this.pending.size === 0) {
+            // Queue drained - start a fresh file instead of growing it forever
+            this.compact();
+        } else {
+            this.append({ op: 'ack', id, timestamp: new Date().toISOString() });
+        }
+        return true;
+    }
+
+    /**
+     * Count a worker crash while an item was running
+     * @param {string} id - Item id
+     * @returns {number} Crashes of the item so far, 0 if it is not pending
+     */
+    recordCrash(id) {
+        const entry = this.pending.get(id);
+        if (!entry) {
+            return 0;
+        }
+        entry.crashes = (entry.crashes || 0) + 1;
+        this.append({ op: 'crash', id, timestamp: new Date().toISOString() });
+        return entry.crashes;
+    }
+
+    /**
+     * Change the delivery order of pending items (used when a moderator reorders a queue)
+     * @param {Array<string>} orderedIds - Pending item ids in their new order; pending ids not listed keep their place at the end
+     */
+    reorder(orderedIds) {
+        const reordered = new Map();
+        orderedIds.forEach(id => {
+            if (this.pending.has(id)) reordered.set(id, this.pending.get(id));
+        });
+        this.pending.forEach((entry, id) => {
+            if (!reordered.has(id)) reordered.set(id, entry);
+        });
+        this.pending = reordered;
+        this.compact();
+    }
+
+    /**
+     * Pending (unacknowledged) items in delivery order
+     * @returns {Array<{id: string, item: object, timestamp: string, runAt?: number, occurrence?: object, crashes?: number}>}
+     */
+    getPending() {
+        return Array.from(this.pending.values());
+    }
+
+    /**
+     * Whether an item is pending
+     * @param {string} id - Item id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.pending.has(id);
+    }
+
+    /**
+     * Number of pending items
+     * @returns {number}
+     */
+    get size() {
+        return this.pending.size;
+    }
+}
+
+module.exports = QueueJournal;
@@ -7,6 +7,13 @@
 console.log('[QueueWorker] queue-worker.js loaded and running');
 
 const path = require('path');
+const { resolveExecutionPolicy, getRetryDelay } = require('./execution-policy');
+
+// Cap captured controller output so large stdout/stderr doesn't flood IPC
+const MAX_OUTPUT_LENGTH = 4000;
+
+// Parent -> worker queue control messages (each is answered with a 'control-result')
+const QUEUE_CONTROL_COMMANDS = ['pause', 'resume', 'clear', 'remove-item', 'move-item', 'list-items'];
 
 class QueueWorker {
     constructor(queueName) {
@@ -14,7 +21,10 @@ class QueueWorker {
         this.queue = [];
         this.applicationConfigs = {};
         this.isProcessing = false;
+        this.paused = false;
+        this.currentItemId = null; // Id of the item being executed (cannot be removed or moved)
         this.controllerModuleCache = {}; // Cache loaded controller modules
+        this.itemCounter = 0;
 
         console.log(`[QueueWorker:${this.queueName}] Worker process started`);
         this.setupMessageHandlers();
@@ -51,10 +61,12 @@ class QueueWorker {
     setupMessageHandlers() {
         process.on('message', (message) => {
             if (message.type === 'add-item') {
-                this.addToQueue(message.item);
+                this.addToQueue(message.item, message.itemId);
             } else if (message.type === 'set-config') {
                 this.applicationConfigs = message.config;
                 console.log(`[QueueWorker:${this.queueName}] Application configs loaded`);
+            } else if (QUEUE_CONTROL_COMMANDS.includes(message.type)) {
+                this.handleControl(message);
             } else if (message.type === 'shutdown') {
                 console.log(`[QueueWorker:${this.queueName}] Shutting down`);
                 process.exit(0);
@@ -68,16 +80,91 @@ class QueueWorker {
         });
     }
 
+    /**
+     * Handle a queue control command from the parent and reply with a control-result message
+     * carrying the same requestId.
+     * @param {object} message - { type, requestId, itemId?, toIndex? }
+     */
+    handleControl(message) {
+        const result = { ok: true };
+
+        if (message.type === 'pause') {
+            this.paused = true;
+            console.log(`[QueueWorker:${this.queueName}] Paused (${this.queue.length} item(s) waiting)`);
+        } else if (message.type === 'resume') {
+            this.paused = false;
+            console.log(`[QueueWorker:${this.queueName}] Resumed (${this.queue.length} item(s) waiting)`);
+            this.processQueue();
+        } else if (message.type === 'clear') {
+            result.removedIds = this.queue.map(entry => entry.id);
+            this.queue = [];
+            console.log(`[QueueWorker:${this.queueName}] Cleared ${result.removedIds.length} waiting item(s)`);
+        } else if (message.type === 'remove-item') {
+            const index = this.queue.findIndex(entry => entry.id === message.itemId);
+            if (index !== -1) {
+                this.queue.splice(index, 1);
+                result.removedIds = [message.itemId];
+            } else {
+                result.ok = false;
+                result.removedIds = [];
+                result.error = message.itemId === this.currentItemId ? 'Item is running' : 'Item not found';
+            }
+        } else if (message.type === 'move-item') {
+            const index = this.queue.findIndex(entry => entry.id === message.itemId);
+            if (index !== -1) {
+                const [entry] = this.queue.splice(index, 1);
+                const toIndex = Math.max(0, Math.min(Number(message.toIndex) || 0, this.queue.length));
+                this.queue.splice(toIndex, 0, entry);
+            } else {
+                result.ok = false;
+                result.error = message.itemId === this.currentItemId ? 'Item is running' : 'Item not found';
+            }
+        }
+
+        // Every reply includes the resulting queue state
+        result.paused = this.paused;
+        result.currentItemId = this.currentItemId;
+        result.itemIds = this.queue.map(entry => entry.id);
+
+        this.sendToParent({ type: 'control-result', requestId: message.requestId, command: message.type, ...result });
+    }
+
+    /**
+     * Send a message to the parent process if connected
+     * @param {object} message - Message to send
+     */
+    sendToParent(message) {
+        if (process.send && process.connected) {
+            process.send({ queueName: this.queueName, ...message });
+        }
+    }
+
+    /**
+     * Truncate captured controller output
+     * @param {string} output - stdout/stderr text
+     * @returns {string|undefined}
+     */
+    truncateOutput(output) {
+        if (typeof output !== 'string' || output.length === 0) {
+            return undefined;
+        }
+        return output.length > MAX_OUTPUT_LENGTH
+            ? output.slice(0, MAX_OUTPUT_LENGTH) + `\n... (${output.length - MAX_OUTPUT_LENGTH} more characters)`
+            : output;
+    }
+
     /**
      * Add an item to the queue
      * @param {object} item - Item to add to queue
+     * @param {string} [itemId] - Id assigned by the queue manager (generated if missing)
      */
-    addToQueue(item) {
-        this.queue.push(item);
+    addToQueue(item, itemId) {
+        const id = itemId || `${this.queueName}-${Date.now()}-${++this.itemCounter}`;
+        this.queue.push({ id, item });
         console.log(`[QueueWorker:${this.queueName}] Added item to queue. Queue size: ${this.queue.length}`);
 
         // Start processing if not already
-        if (!this.isProcessing) {
+        if (!this.isProcessing && !this.paused) {
             this.processQueue();
         }
     }
@@ -86,64 +173,155 @@ class QueueWorker {
      * Process queue items
      */
     processQueue() {
-        if (this.isProcessing) {
+        if (this.isProcessing || this.paused) {
             return;
         }
 
         this.isProcessing = true;
         const processAsync = async () => {
-            while (this.queue.length > 0) {
-                const eventData = this.queue.shift();
-                console.log(`[QueueWorker:${this.queueName}] Processing item (${this.queue.length} remaining)`);
-                console.log(`[QueueWorker:${this.queueName}] Event data:`, JSON.stringify(eventData, null, 2));
-
-                try {
-                    // Handle wrapped result structure (from wheel) or direct structure (from buttons)
-                    let actualData = eventData;
-                    if (eventData.result && eventData.result.config) {
-                        // Data is wrapped in a 'result' property - unwrap it
-                        actualData = eventData.result;
-                        // Preserve controller from outer object if present
-                        if (eventData.controller && !actualData.controller) {
-                            actualData.controller = eventData.controller;
-                        }
-                        console.log(`[QueueWorker:${this.queueName}] Unwrapped result structure`);
-                    }
-                    
-                    if (actualData.config) {
-                        const controller = actualData.controller || 'file-writer';
-                        console.log(`[QueueWorker:${this.queueName}] Using controller: ${controller}`);
-
-                        // Dynamically load and execute the controller
-                        const controllerModule = this.getControllerModule(controller);
-                        if (controllerModule.executeController) {
-                            console.log(`[QueueWorker:${this.queueName}] Calling executeController for controller: ${controller}`);
-                            await controllerModule.executeController(actualData, this.applicationConfigs);
-                        } else {
-                            console.error(`[QueueWorker:${this.queueName}] Controller module does not export executeController`);
-                        }
-                    } else {
-                        console.warn(`[QueueWorker:${this.queueName}] Item missing 'config' property, skipping. Event data keys:`, Object.keys(actualData || {}));
-                    }
-                } catch (error) {
-                    console.error(`[QueueWorker:${this.queueName}] Error processing item: ${error.message}`);
-                    console.error(`[QueueWorker:${this.queueName}] Error stack:`, error.stack);
-                }
+            // A pause takes effect after the running item finishes
+            while (this.queue.length > 0 && !this.paused) {
+                const entry = this.queue.shift();
+                console.log(`[QueueWorker:${this.queueName}] Processing item ${entry.id} (${this.queue.length} remaining)`);
+                console.log(`[QueueWorker:${this.queueName}] Event data:`, JSON.stringify(entry.item, null, 2));
+                this.currentItemId = entry.id;
+                await this.processItem(entry);
+                this.currentItemId = null;
             }
 
             this.isProcessing = false;
 
             // Notify parent that queue is empty
-            if (process.send) {
-                process.send({
-                    type: 'queue-empty',
-                    queueName: this.queueName
-                });
+            if (this.queue.length === 0) {
+                this.sendToParent({ type: 'queue-empty' });
             }
         };
 
         processAsync();
     }
+
+    /**
+     * Run an item through its execution policy: timeout per attempt, retries with backoff.
+     * Reports item-started / item-succeeded / item-failed to the parent process.
+     * The last failed attempt is sent with willRetry: false so the parent can dead-letter it.
+     * @param {{id: string, item: object}} entry - Queue entry
+     */
+    async processItem(entry) {
+        const { id: itemId, item: eventData } = entry;
+        const policy = resolveExecutionPolicy(eventData.result || eventData, this.applicationConfigs);
+        const maxAttempts = policy.retries + 1;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const startedAt = Date.now();
+            this.sendToParent({ type: 'item-started', itemId, item: eventData, startedAt, attempt, maxAttempts });
+
+            try {
+                const result = await this.executeWithTimeout(eventData, policy.timeoutMs);
+                const durationMs = Date.now() - startedAt;
+                console.log(`[QueueWorker:${this.queueName}] Item ${itemId} succeeded in ${durationMs}ms (attempt ${attempt}/${maxAttempts})`);
+                this.sendToParent({
+                    type: 'item-succeeded',
+                    itemId,
+                    item: eventData,
+                    durationMs,
+                    attempt,
+                    maxAttempts,
+                    stdout: this.truncateOutput(result?.stdout),
+                    stderr: this.truncateOutput(result?.stderr)
+                });
+                return;
+            } catch (error) {
+                const durationMs = Date.now() - startedAt;
+                const willRetry = attempt < maxAttempts;
+                const retryDelayMs = willRetry ? getRetryDelay(policy, attempt) : undefined;
+                console.error(`[QueueWorker:${this.queueName}] Error processing item (attempt ${attempt}/${maxAttempts}): ${error.message}`);
+                console.error(`[QueueWorker:${this.queueName}] Error stack:`, error.stack);
+                this.sendToParent({
+                    type: 'item-failed',
+                    itemId,
+                    item: eventData,
+                    durationMs,
+                    attempt,
+                    maxAttempts,
+                    willRetry,
+                    retryDelayMs,
+                    timedOut: error.code === 'ETIMEDOUT',
+                    error: error.message,
+                    stdout: this.truncateOutput(error.stdout),
+                    stderr: this.truncateOutput(error.stderr)
+                });
+
+                if (willRetry) {
+                    console.log(`[QueueWorker:${this.queueName}] Retrying item ${itemId} in ${retryDelayMs}ms`);
+                    await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+                }
+            }
+        }
+    }
+
+    /**
+     * Execute an item, aborting the controller if it exceeds the timeout
+     * @param {object} eventData - Queued item
+     * @param {number} timeoutMs - Timeout in milliseconds (0 disables)
+     * @returns {Promise<object|undefined>} Controller result
+     */
+    executeWithTimeout(eventData, timeoutMs) {
+        const abortController = new AbortController();
+        const execution = this.executeItem(eventData, abortController.signal);
+        if (!timeoutMs) {
+            return execution;
+        }
+
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Controller timed out after ${timeoutMs}ms`);
+                error.code = 'ETIMEDOUT';
+                // Let the controller clean up (e.g. kill a hung pythonkeys process)
+                abortController.abort(error);
+                reject(error);
+            }, timeoutMs);
+        });
+
+        return Promise.race([execution, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Execute a single queue item with its controller
+     * @param {object} eventData - Queued item (wheel result or button click)
+     * @param {AbortSignal} [signal] - Aborted when the item times out
+     * @returns {Promise<object|undefined>} Controller result (may include stdout/stderr)
+     */
+    async executeItem(eventData, signal) {
+        // Handle wrapped result structure (from wheel) or direct structure (from buttons)
+        let actualData = eventData;
+        if (eventData.result && eventData.result.config) {
+            // Data is wrapped in a 'result' property - unwrap it
+            actualData = eventData.result;
+            // Preserve controller from outer object if present
+            if (eventData.controller && !actualData.controller) {
+                actualData.controller = eventData.controller;
+            }
+            console.log(`[QueueWorker:${this.queueName}] Unwrapped result structure`);
+        }
+
+        if (!actualData.config) {
+            console.warn(`[QueueWorker:${this.queueName}] Item missing 'config' property, skipping. Event data keys:`, Object.keys(actualData || {}));
+            throw new Error(`Item missing 'config' property`);
+        }
+
+        const controller = actualData.controller || 'file-writer';
+        console.log(`[QueueWorker:${this.queueName}] Using controller: ${controller}`);
+
+        // Dynamically load and execute the controller
+        const controllerModule = this.getControllerModule(controller);
+        if (!controllerModule.executeController) {
+            throw new Error(`Controller "${controller}" does not export executeController`);
+        }
+
+        console.log(`[QueueWorker:${this.queueName}] Calling executeController for controller: ${controller}`);
+        return controllerModule.executeController(actualData, this.applicationConfigs, { signal });
+    }
 }
 
 // Start the worker
@@ -0,0 +1,124 @@
+/**
+ * Scheduling for queue items (delayed, timed and repeating actions).
+ * Used by SharedQueueManager.
+ *
+ * Read from the option / button `config`:
+ *   delayMs: 5000 | "5s"                     - run once, this long after it was queued
+ *   runAt: "2026-01-01T20:00:00Z" | epoch ms - run once at this time
+ *   repeat: { every: "10s", for: "60s" }     - run every 10s for 60s (6 runs), starting at delayMs/runAt
+ *   repeat: { every: "10s", count: 3 }       - run 3 times, 10s apart
+ *   repeat: "every 10s for 60s"              - same as the object form
+ * Durations are milliseconds or strings with a ms/s/m/h unit.
+ */
+
+// Upper bound for one repeat series, so a typo can't flood the queue
+const MAX_OCCURRENCES = 100;
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/**
+ * Parse a duration
+ * @param {number|string} value - Milliseconds, or a string like "500ms", "10s", "2m", "1h"
+ * @returns {number|null} Milliseconds, or null if invalid
+ */
+function parseDuration(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/i);
+    if (!match) {
+        return null;
+    }
+    return Math.round(Number(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()]);
+}
+
+/**
+ * Normalize a repeat setting
+ * @param {object|string} repeat - { every, for?, count? } (everyMs/forMs also accepted) or "every 10s for 60s"
+ * @returns {{everyMs: number, count: number}|null}
+ */
+function parseRepeat(repeat) {
+    let spec = repeat;
+    if (typeof repeat === 'string') {
+        const match = repeat.trim().match(/^every\s+(\S+)(?:\s+for\s+(\S+))?(?:\s+(\d+)\s+times)?$/i);
+        if (!match) return null;
+        spec = { every: match[1], for: match[2], count: match[3] && Number(match[3]) };
+    }
+    if (!spec || typeof spec !== 'object') {
+        return null;
+    }
+
+    const everyMs = parseDuration(spec.everyMs ?? spec.every);
+    if (!everyMs) {
+        return null;
+    }
+    const forMs = parseDuration(spec.forMs ?? spec.for);
+    let count = Number.isInteger(spec.count) && spec.count > 0 ? spec.count : null;
+    if (count === null && forMs) {
+        count = Math.ceil(forMs / everyMs);
+    }
+    if (!count) {
+        return null; // An endless repeat is never intended from a single spin
+    }
+    return { everyMs, count: Math.min(count, MAX_OCCURRENCES) };
+}
+
+/**
+ * Work out when a queue item should run
+ * @param {object} item - Queue item (wheel option or button click result)
+ * @param {number} [now=Date.now()] - Current time in epoch ms
+ * @returns {Array<number>|null} Run times in epoch ms, or null to run immediately
+ */
+function resolveRunTimes(item = {}, now = Date.now()) {
+    const config = (item.result || item).config || {};
+    let firstRunAt = null;
+
+    if (config.runAt !== undefined && config.runAt !== null) {
+        const time = new Date(config.runAt).getTime();
+        if (Number.isFinite(time)) firstRunAt = time;
+    } else if (config.delayMs !== undefined && config.delayMs !== null) {
+        const delayMs = parseDuration(config.delayMs);
+        if (delayMs !== null) firstRunAt = now + delayMs;
+    }
+
+    const repeat = config.repeat ? parseRepeat(config.repeat) : null;
+    if (firstRunAt === null && !repeat) {
+        return null;
+    }
+
+    const start = firstRunAt ?? now;
+    const count = repeat ? repeat.count : 1;
+    const runTimes = [];
+    for (let i = 0; i < count; i++) {
+        runTimes.push(start + i * (repeat ? repeat.everyMs : 0));
+    }
+    return runTimes;
+}
+
+/**
+ * Copy of a queue item without its delayMs / runAt / repeat, so it runs once, right away
+ * (e.g. a replayed dead-lettered run of a repeating action)
+ * @param {object} item - Queue item (wheel option or button click result)
+ * @returns {object}
+ */
+function withoutSchedule(item = {}) {
+    const strip = (target) => {
+        if (!target || !target.config) {
+            return target;
+        }
+        const { delayMs, runAt, repeat, ...config } = target.config;
+        return { ...target, config };
+    };
+    return item.result ? { ...item, result: strip(item.result) } : strip(item);
+}
+
+module.exports = {
+    MAX_OCCURRENCES,
+    parseDuration,
+    parseRepeat,
+    resolveRunTimes,
+    withoutSchedule
+};
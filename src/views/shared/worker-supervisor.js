@@ -0,0 +1,213 @@
+const EventEmitter = require('events');
+
+const DEFAULT_SUPERVISOR_OPTIONS = {
+    baseDelayMs: 1000,      // Delay before the first restart after a crash
+    multiplier: 2,          // Delay growth per consecutive crash
+    maxDelayMs: 60000,      // Upper bound for a single delay
+    stableAfterMs: 30000,   // Uptime after which a worker counts as healthy again
+    crashLoopThreshold: 3   // Consecutive crashes reported as a crash loop
+};
+
+/**
+ * Supervises queue worker processes for a SharedQueueManager
+ * Tracks per-queue worker health and restarts crashed workers with exponential backoff.
+ * The supervisor does not spawn processes itself; it calls onRestart(queueName) when a restart is due.
+ *
+ * Worker states:
+ *   'idle'       - no worker (never started, or exited cleanly with nothing pending)
+ *   'starting'   - spawned, waiting for worker-ready
+ *   'running'    - worker-ready received
+ *   'restarting' - crashed, restart scheduled (see nextRestartAt)
+ *   'stopped'    - stopped by the manager
+ *
+ * Emits:
+ *   'health-changed' (queueName, health)
+ */
+class WorkerSupervisor extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {function(string): void} options.onRestart - Called when a queue's worker should be respawned
+     * @param {number} [options.baseDelayMs]
+     * @param {number} [options.multiplier]
+     * @param {number} [options.maxDelayMs]
+     * @param {number} [options.stableAfterMs]
+     * @param {number} [options.crashLoopThreshold]
+     */
+    constructor(options = {}) {
+        super();
+        const { onRestart, ...rest } = options;
+        this.options = { ...DEFAULT_SUPERVISOR_OPTIONS, ...rest };
+        this.onRestart = onRestart || (() => {});
+        this.health = new Map(); // queueName -> health record
+        this.restartTimers = new Map(); // queueName -> timeout
+    }
+
+    /**
+     * Get (creating if needed) the health record for a queue
+     * @param {string} queueName
+     * @returns {object}
+     */
+    getRecord(queueName) {
+        if (!this.health.has(queueName)) {
+            this.health.set(queueName, {
+                state: 'idle',
+                pid: null,
+                startedAt: null,
+                restarts: 0,
+                crashes: 0,
+                consecutiveCrashes: 0,
+                lastExit: null,
+                nextRestartAt: null
+            });
+        }
+        return this.health.get(queueName);
+    }
+
+    /**
+     * Update a queue's health record and notify listeners
+     * @param {string} queueName
+     * @param {object} changes
+     */
+    update(queueName, changes) {
+        const record = Object.assign(this.getRecord(queueName), changes);
+        this.emit('health-changed', queueName, this.getHealth(queueName));
+        return record;
+    }
+
+    /**
+     * Delay before the next restart
+     * @param {number} consecutiveCrashes - Crashes in a row, including the one just seen (>= 1)
+     * @returns {number} Milliseconds
+     */
+    getRestartDelay(consecutiveCrashes) {
+        const { baseDelayMs, multiplier, maxDelayMs } = this.options;
+        const delay = baseDelayMs * Math.pow(multiplier, Math.max(0, consecutiveCrashes - 1));
+        return Math.min(delay, maxDelayMs);
+    }
+
+    /**
+     * A worker process was spawned for a queue
+     * @param {string} queueName
+     * @param {number} pid
+     */
+    workerStarted(queueName, pid) {
+        this.cancelRestart(queueName);
+        this.update(queueName, { state: 'starting', pid: pid ?? null, startedAt: Date.now(), nextRestartAt: null });
+    }
+
+    /**
+     * A worker reported worker-ready
+     * @param {string} queueName
+     */
+    workerReady(queueName) {
+        this.update(queueName, { state: 'running' });
+    }
+
+    /**
+     * A worker process exited
+     * @param {string} queueName
+     * @param {object} exit
+     * @param {number|null} exit.code - Exit code
+     * @param {string|null} exit.signal - Signal that ended the process
+     * @param {string} [exit.error] - Spawn/process error message, if the process failed to start
+     * @param {boolean} [exit.expected] - The manager asked the worker to stop
+     * @param {boolean} [exit.hasPending] - The queue still has undelivered/unacknowledged items
+     * @returns {number|null} Restart delay in ms, or null if no restart was scheduled
+     */
+    workerExited(queueName, { code, signal = null, error, expected = false, hasPending = false }) {
+        const record = this.getRecord(queueName);
+        const now = Date.now();
+        const crashed = !expected && (code !== 0 || signal !== null || Boolean(error));
+        const uptimeMs = record.startedAt ? now - record.startedAt : 0;
+
+        // A worker that stayed up long enough resets the backoff
+        let consecutiveCrashes = uptimeMs >= this.options.stableAfterMs ? 0 : record.consecutiveCrashes;
+        if (crashed) {
+            consecutiveCrashes++;
+        }
+
+        const lastExit = { code, signal, at: new Date(now).toISOString(), uptimeMs, crashed };
+        if (error) lastExit.error = error;
+
+        if (expected) {
+            this.cancelRestart(queueName);
+            this.update(queueName, { state: 'stopped', pid: null, lastExit, consecutiveCrashes, nextRestartAt: null });
+            return null;
+        }
+
+        if (!crashed && !hasPending) {
+            this.update(queueName, { state: 'idle', pid: null, lastExit, consecutiveCrashes, nextRestartAt: null });
+            return null;
+        }
+
+        const delay = crashed ? this.getRestartDelay(consecutiveCrashes) : this.options.baseDelayMs;
+        this.update(queueName, {
+            state: 'restarting',
+            pid: null,
+            lastExit,
+            crashes: record.crashes + (crashed ? 1 : 0),
+            consecutiveCrashes,
+            nextRestartAt: new Date(now + delay).toISOString()
+        });
+        this.scheduleRestart(queueName, delay);
+        return delay;
+    }
+
+    /**
+     * Schedule onRestart for a queue
+     * @param {string} queueName
+     * @param {number} delay - Milliseconds
+     */
+    scheduleRestart(queueName, delay) {
+        this.cancelRestart(queueName);
+        const timer = setTimeout(() => {
+            this.restartTimers.delete(queueName);
+            this.getRecord(queueName).restarts++;
+            this.onRestart(queueName);
+        }, delay);
+        this.restartTimers.set(queueName, timer);
+    }
+
+    /**
+     * Cancel a scheduled restart
+     * @param {string} queueName
+     */
+    cancelRestart(queueName) {
+        const timer = this.restartTimers.get(queueName);
+        if (timer) {
+            clearTimeout(timer);
+            this.restartTimers.delete(queueName);
+        }
+    }
+
+    /**
+     * Cancel every scheduled restart and mark all workers stopped
+     */
+    stopAll() {
+        this.restartTimers.forEach(timer => clearTimeout(timer));
+        this.restartTimers.clear();
+        this.health.forEach((record, queueName) => {
+            if (record.state !== 'idle') {
+                this.update(queueName, { state: 'stopped', pid: null, nextRestartAt: null });
+            }
+        });
+    }
+
+    /**
+     * Health snapshot for a queue's worker
+     * @param {string} queueName
+     * @returns {{state: string, pid: number|null, restarts: number, crashes: number, consecutiveCrashes: number, crashLoop: boolean, lastExit: object|null, nextRestartAt: string|null}}
+     */
+    getHealth(queueName) {
+        const { startedAt, ...record } = this.getRecord(queueName);
+        return {
+            ...record,
+            startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+            crashLoop: record.consecutiveCrashes >= this.options.crashLoopThreshold
+        };
+    }
+}
+
+WorkerSupervisor.DEFAULT_SUPERVISOR_OPTIONS = DEFAULT_SUPERVISOR_OPTIONS;
+
+module.exports = WorkerSupervisor;
@@ -0,0 +1,144 @@
+/**
+ * Spin History Window App
+ *
+ * Lists recorded spins (who triggered them, which option won, which queue it went to
+ * and the controller outcome) with filters and a recap for end-of-stream summaries.
+ * Refreshes live when the main process reports a new or updated spin.
+ */
+
+class SpinHistoryApp {
+    constructor() {
+        console.log('[SpinHistoryApp] Initializing...');
+        this.tableBody = document.getElementById('historyTableBody');
+        this.emptyMessage = document.getElementById('historyEmpty');
+        this.recap = document.getElementById('historyRecap');
+        this.filterInputs = ['rangeFilter', 'userFilter', 'optionFilter', 'outcomeFilter']
+            .map(id => document.getElementById(id))
+            .filter(Boolean);
+        this.refreshTimer = null;
+
+        this.setupEventListeners();
+        this.loadHistory();
+
+        // Refresh when a spin is recorded or its outcome changes
+        if (window.electron && window.electron.onSpinHistoryUpdated) {
+            window.electron.onSpinHistoryUpdated(() => {
+                console.log('[SpinHistoryApp] History updated');
+                this.scheduleRefresh();
+            });
+        }
+    }
+
+    setupEventListeners() {
+        // Setup interactive element mouse events
+        const interactiveElements = document.querySelectorAll('.interactive-overlay-element');
+        interactiveElements.forEach(element => {
+            element.addEventListener('mouseenter', () => {
+                if (window.electron) {
+                    window.electron.mouseOverInteractive(true);
+                }
+            });
+
+            element.addEventListener('mouseleave', () => {
+                if (window.electron) {
+                    window.electron.mouseOverInteractive(false);
+                }
+            });
+        });
+
+        this.filterInputs.forEach(input => {
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => this.scheduleRefresh());
+        });
+
+        console.log('[SpinHistoryApp] Event listeners setup complete');
+    }
+
+    /**
+     * Build the query object from the filter controls
+     */
+    getQuery() {
+        const query = { limit: 200 };
+        const hours = Number(document.getElementById('rangeFilter')?.value);
+        if (hours > 0) {
+            query.from = Date.now() - hours * 60 * 60 * 1000;
+        }
+        const user = document.getElementById('userFilter')?.value.trim();
+        if (user) query.user = user;
+        const option = document.getElementById('optionFilter')?.value.trim();
+        if (option) query.option = option;
+        const outcome = document.getElementById('outcomeFilter')?.value;
+        if (outcome) query.outcome = outcome;
+        return query;
+    }
+
+    /**
+     * Debounce refreshes from typing and bursts of history updates
+     */
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.loadHistory(), 150);
+    }
+
+    async loadHistory() {
+        if (!window.electron || !window.electron.getSpinHistory) {
+            console.warn('[SpinHistoryApp] Spin history API not available');
+            return;
+        }
+
+        try {
+            const query = this.getQuery();
+            const [entries, summary] = await Promise.all([
+                window.electron.getSpinHistory(query),
+                window.electron.getSpinHistorySummary(query)
+            ]);
+            this.renderEntries(entries);
+            this.renderRecap(summary);
+        } catch (error) {
+            console.error('[SpinHistoryApp] Failed to load history:', error);
+        }
+    }
+
+    renderEntries(entries) {
+        this.tableBody.innerHTML = '';
+        this.emptyMessage.hidden = entries.length > 0;
+
+        entries.forEach(entry => {
+            const tr = document.createElement('tr');
+            const trigger = entry.trigger.user
+                ? `${entry.trigger.source}: ${entry.trigger.user}`
+                : entry.trigger.source;
+            const cells = [
+                new Date(entry.timestamp).toLocaleTimeString(),
+                trigger,
+                entry.option || '—',
+                entry.queueName || '—',
+                entry.outcome
+            ];
+            cells.forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            tr.lastChild.className = `outcome outcome-${entry.outcome}`;
+            if (entry.error) {
+                tr.lastChild.title = entry.error;
+            }
+            this.tableBody.appendChild(tr);
+        });
+    }
+
+    renderRecap(summary) {
+        const top = (counts, n = 3) => Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, n)
+            .map(([name, count]) => `${name} (${count})`)
+            .join(', ') || '—';
+
+        this.recap.textContent = `${summary.total} spin(s) · Top options: ${top(summary.byOption)} · Top spinners: ${top(summary.byUser)} · Failed: ${summary.byOutcome.failed || 0}`;
+    }
+}
+
+// Initialize app when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.app = new SpinHistoryApp();
+});
@@ -8,7 +8,13 @@
 class BoilerplateApp {
     constructor() {
         console.log('[BoilerplateApp] Initializing...');
+        this.actionStatus = document.getElementById('actionStatus');
         this.setupEventListeners();
+
+        // Listen for controller results of actions queued by this window
+        if (window.electron && window.electron.onQueueItemStatus) {
+            window.electron.onQueueItemStatus((status) => this.onQueueItemStatus(status));
+        }
     }
 
     setupEventListeners() {
@@ -37,6 +43,32 @@ class BoilerplateApp {
         console.log('[BoilerplateApp] Event listeners setup complete');
     }
 
+    /**
+     * Show the latest controller result for this window's buttons
+     * @param {object} status - { status, source, buttonId, durationMs, error, ... }
+     */
+    onQueueItemStatus(status) {
+        if (!status || status.source !== 'sticky' || !this.actionStatus) {
+            return;
+        }
+
+        this.actionStatus.hidden = false;
+        this.actionStatus.className = `action-status action-status-${status.status}`;
+        this.actionStatus.removeAttribute('title');
+        if (status.status === 'started') {
+            this.actionStatus.textContent = 'Running…';
+        } else if (status.status === 'succeeded') {
+            this.actionStatus.textContent = `Done (${status.durationMs}ms)`;
+        } else if (status.status === 'retrying') {
+            this.actionStatus.textContent = `Retrying (attempt ${status.attempt + 1}/${status.maxAttempts})…`;
+            this.actionStatus.title = status.error || '';
+        } else {
+            console.warn(`[BoilerplateApp] Action ${status.buttonId} failed: ${status.error}`);
+            this.actionStatus.textContent = `Action failed: ${status.error}`;
+            this.actionStatus.title = status.stderr || status.error || '';
+        }
+    }
+
     onActionButtonClick() {
         console.log('[BoilerplateApp] Action button clicked');
         if (window.electron) {
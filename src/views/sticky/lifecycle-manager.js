@@ -66,6 +66,8 @@ class StickyQueueManager extends SharedQueueManager {
             buttonId: buttonId,
             controller: controller,
             config: button.config || {},
+            executionPolicy: button.executionPolicy,
+            trigger: buttonResult.trigger, // Set for chat commands (see runTwitchAction in main.js)
             timestamp: Date.now()
         };
 
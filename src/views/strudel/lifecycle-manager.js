@@ -78,6 +78,14 @@ class StrudelLifecycleManager extends SharedQueueManager {
         console.log('[StrudelLifecycleManager] IPC listeners setup complete');
     }
 
+    /**
+     * Remove the strudel IPC handlers (see SharedQueueManager.dispose)
+     */
+    dispose() {
+        ['read-sample-pack', 'get-strudel-open-files', 'set-strudel-open-files'].forEach(channel => ipcMain.removeHandler(channel));
+        super.dispose();
+    }
+
     /**
      * Preload API for strudel is provided by core (showSaveDialog, readFile, getStrudelOpenFiles, etc.).
      */
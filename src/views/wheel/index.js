@@ -4,10 +4,16 @@ class SpinWheel {
         this.ctx = this.canvas.getContext('2d');
         this.options = options; // Array of option names (for display)
         this.optionObjects = optionObjects; // Full option objects (for execution)
+        this.slices = WheelMath.computeSlices(this.getWeightedOptions());
         this.rotation = 0;
         this.isSpinning = false;
-        this.spinVelocity = 0;
-        this.friction = 0.985;
+        this.spinAnimation = null; // { from, to, startTime, duration, winningIndex, seed }
+        this.pendingSpins = []; // Paid spins (channel points/bits) that arrived mid-spin
+        this.voteConfig = { enabled: false }; // Vote mode (options.vote), see loadVoteConfig
+        this.vote = null; // { indices, tally, timer } while chat votes on the next result
+        this.pendingOptions = null; // Option update that arrived mid-spin (applied when it stops)
+        this.wheelId = 'wheel'; // Window id of this wheel in windows-config.json, see loadWheelConfig
+        this.style = { textColor: 'white', lineColor: 'white', pointerColor: '#ffffff' }; // options.style
 
         this.centerX = this.canvas.width / 2;
         this.centerY = this.canvas.height / 2;
@@ -18,49 +24,97 @@ class SpinWheel {
             '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E2'
         ];
 
-        // Load background image
+        // Load background image (options.style.background can replace or remove it)
         this.backgroundImage = new window.Image();
-        //todo make dynamic path
-        this.backgroundImage.src = 'shield.png';
         this.backgroundImageLoaded = false;
         this.backgroundImage.onload = () => {
             this.backgroundImageLoaded = true;
             this.draw();
         };
+        this.backgroundImage.src = 'shield.png';
 
         // Auto-spin configuration (in milliseconds: 30000 = 30 seconds)
         this.autoSpinInterval = 30000;
         this.autoSpinTimer = null;
 
         this.setupEventListeners();
+        this.loadWheelConfig();
         this.draw();
 
         // Listen for Twitch connection status and update chatStatus
         if (window.electron && window.electron.onTwitchStatusChanged) {
-            window.electron.onTwitchStatusChanged((status) => {
-                const chatStatus = document.getElementById('chatStatus');
-                if (chatStatus) {
-                    let icon = '';
-                    let message = '';
-                    if (status.isConnected) {
-                        icon = '✅';
-                        message = 'Connected to Twitch';
-                        chatStatus.className = 'connected';
-                    } else {
-                        icon = '❌';
-                        message = 'Twitch connection failed';
-                        chatStatus.className = 'error';
-                    }
-                    chatStatus.textContent = `Twitch: ${icon} ${message}`;
-                }
-            });
+            window.electron.onTwitchStatusChanged((status) => this.renderChatStatus(status));
+        }
+        if (window.electron && window.electron.getTwitchStatus) {
+            window.electron.getTwitchStatus().then((status) => this.renderChatStatus(status));
+        }
+    }
+
+    /**
+     * Ask the main process which wheel this window is and apply its styling
+     */
+    loadWheelConfig() {
+        if (!window.electron || !window.electron.getWheelConfig) {
+            return;
         }
+        window.electron.getWheelConfig().then(config => {
+            if (config && config.id) {
+                this.wheelId = config.id;
+            }
+            this.applyStyle(config?.style || {});
+        }).catch(() => {
+            console.warn('[Wheel] Could not load wheel config, using the default style');
+        });
+    }
+
+    /**
+     * Apply options.style of the wheel's windows-config.json entry
+     * @param {{colors?: Array<string>, textColor?: string, lineColor?: string, pointerColor?: string, font?: string, background?: string|null}} style
+     */
+    applyStyle(style) {
+        if (Array.isArray(style.colors) && style.colors.length > 0) {
+            this.colors = style.colors;
+        }
+        ['textColor', 'lineColor', 'pointerColor', 'font'].forEach(key => {
+            if (typeof style[key] === 'string') {
+                this.style[key] = style[key];
+            }
+        });
+        if (style.background === null || style.background === false) {
+            this.backgroundImageLoaded = false;
+            this.backgroundImage.onload = null;
+        } else if (typeof style.background === 'string') {
+            this.backgroundImageLoaded = false;
+            this.backgroundImage.src = style.background;
+        }
+        this.draw();
+    }
+
+    /**
+     * Show the chat connection state (see src/twitch-connection-state.js)
+     * @param {{state: string, attempt: number, reason: string|null, channel: string|null}} status
+     */
+    renderChatStatus(status) {
+        const chatStatus = document.getElementById('chatStatus');
+        if (!chatStatus) {
+            return;
+        }
+        const views = {
+            connected: ['✅', `Connected to #${status.channel}`, 'connected'],
+            connecting: ['⏳', 'Connecting...', 'pending'],
+            reconnecting: ['🔄', `Reconnecting (attempt ${status.attempt})...`, 'pending'],
+            'auth-failed': ['❌', 'Login rejected, reconnect in OAuth Connections', 'error'],
+            disconnected: ['❌', status.reason ? `Disconnected (${status.reason})` : 'Disconnected', 'error']
+        };
+        const [icon, message, className] = views[status.state] || views.disconnected;
+        chatStatus.className = className;
+        chatStatus.textContent = `Twitch: ${icon} ${message}`;
     }
 
     setupEventListeners() {
         const spinButton = document.getElementById('spinButton');
         if (spinButton) {
-            spinButton.addEventListener('click', () => this.spin());
+            spinButton.addEventListener('click', () => this.spin({ source: 'button' }));
         }
 
         // Enable mouse events when hovering over interactive elements
@@ -84,6 +138,14 @@ class SpinWheel {
             window.electron.onSpinResult((result) => {
                 this.updateResult(result);
             });
+            // Show spins/actions refused by a cooldown or rate limit
+            if (window.electron.onSpinRejected) {
+                window.electron.onSpinRejected((rejection) => this.onSpinRejected(rejection));
+            }
+            // Show controller failures for actions queued by this wheel
+            if (window.electron.onQueueItemStatus) {
+                window.electron.onQueueItemStatus((status) => this.onQueueItemStatus(status));
+            }
             // Listen for Twitch chat !spin trigger from main process
             if (window.electron && window.electron.onTwitchSpinTriggered === undefined) {
                 // Add a handler if not already present in preload.js
@@ -95,20 +157,38 @@ class SpinWheel {
                 };
             }
             if (window.electron.onTwitchSpinTriggered) {
-                window.electron.onTwitchSpinTriggered(() => {
-                    this.spin();
+                window.electron.onTwitchSpinTriggered((spinData) => {
+                    this.spin(this.getTwitchTrigger(spinData));
                 });
             }
             // Fallback: listen for the IPC event directly if exposed
             if (window.electron && window.electron.onTwitchSpin) {
-                window.electron.onTwitchSpin(() => {
-                    this.spin();
+                window.electron.onTwitchSpin((spinData) => {
+                    this.spin(this.getTwitchTrigger(spinData));
                 });
             }
             // Or listen for the event on the window
             if (window && window.addEventListener) {
-                window.addEventListener('twitch-spin-triggered', () => {
-                    this.spin();
+                window.addEventListener('twitch-spin-triggered', (event) => {
+                    this.spin({ source: 'twitch', user: event?.detail?.user });
+                });
+            }
+            // Options changed in the main process (e.g. an approved viewer submission)
+            if (window.electron.onWheelOptionsUpdated) {
+                window.electron.onWheelOptionsUpdated((wheelOptions) => this.updateOptions(wheelOptions));
+            }
+            // Vote mode: live tally and result from the chat vote
+            if (window.electron.onVoteUpdated) {
+                window.electron.onVoteUpdated((tally) => this.onVoteUpdated(tally));
+            }
+            if (window.electron.onVoteEnded) {
+                window.electron.onVoteEnded((result) => this.onVoteEnded(result));
+            }
+            this.loadVoteConfig();
+            // Global hotkey from main process
+            if (window.electron.onSpinHotkey) {
+                window.electron.onSpinHotkey(() => {
+                    this.spin({ source: 'hotkey' });
                 });
             }
         }
@@ -129,6 +209,25 @@ class SpinWheel {
         }
     }
 
+    /**
+     * Ask the main process whether this wheel runs in vote mode
+     */
+    loadVoteConfig() {
+        if (!window.electron || !window.electron.getVoteConfig) {
+            return;
+        }
+        window.electron.getVoteConfig().then(config => {
+            this.voteConfig = config || { enabled: false };
+            const spinButton = document.getElementById('spinButton');
+            if (spinButton && this.voteConfig.enabled) {
+                spinButton.textContent = 'VOTE';
+            }
+            console.log(`[Wheel] Vote mode ${this.voteConfig.enabled ? `enabled: ${this.voteConfig.choices} choices, ${this.voteConfig.durationMs / 1000}s` : 'disabled'}`);
+        }).catch(() => {
+            console.warn('[Wheel] Could not load vote config, spinning normally');
+        });
+    }
+
     initializeAutoSpin(enabled) {
         if (!enabled) {
             console.log('[Wheel] Auto-spin is DISABLED');
@@ -139,13 +238,21 @@ class SpinWheel {
         this.autoSpinTimer = setInterval(() => {
             if (!this.isSpinning) {
                 console.log('[Auto-spin] Triggering wheel spin at', new Date().toLocaleTimeString());
-                this.spin();
+                this.spin({ source: 'auto' });
             }
         }, this.autoSpinInterval);
 
         console.log(`[Wheel] Auto-spin enabled: every ${this.autoSpinInterval / 1000} seconds`);
     }
 
+    /**
+     * Options used for slice sizing and the weighted draw.
+     * Falls back to plain names (weight 1) when no option objects were provided.
+     */
+    getWeightedOptions() {
+        return this.options.map((name, index) => this.optionObjects[index] || name);
+    }
+
     getSliceColor(index) {
         // Use color from optionObjects if available, otherwise fall back to colors array
         return this.optionObjects[index]?.color || this.colors[index % this.colors.length];
@@ -171,41 +278,41 @@ class SpinWheel {
             );
         }
 
-        const sliceAngle = 360 / this.options.length;
+        for (let i = 0; i < this.slices.length; i++) {
+            const { startAngle, endAngle, sweep } = this.slices[i];
 
-        for (let i = 0; i < this.options.length; i++) {
             // Draw slice
             this.ctx.beginPath();
             this.ctx.moveTo(0, 0);
             this.ctx.arc(0, 0, this.radius,
-                (i * sliceAngle * Math.PI) / 180,
-                ((i + 1) * sliceAngle * Math.PI) / 180);
+                (startAngle * Math.PI) / 180,
+                (endAngle * Math.PI) / 180);
             this.ctx.closePath();
             this.ctx.fillStyle = this.getSliceColor(i);
             this.ctx.fill();
 
             // Draw only the line between slices (not the outer edge)
             this.ctx.save();
-            this.ctx.strokeStyle = 'white';
+            this.ctx.strokeStyle = this.style.lineColor;
             this.ctx.lineWidth = 3;
             // Draw the line from center to arc edge at start angle
             this.ctx.beginPath();
             this.ctx.moveTo(0, 0);
             this.ctx.lineTo(
-                this.radius * Math.cos((i * sliceAngle) * Math.PI / 180),
-                this.radius * Math.sin((i * sliceAngle) * Math.PI / 180)
+                this.radius * Math.cos(startAngle * Math.PI / 180),
+                this.radius * Math.sin(startAngle * Math.PI / 180)
             );
             this.ctx.stroke();
             this.ctx.restore();
 
             // Draw text
             this.ctx.save();
-            this.ctx.rotate(((i * sliceAngle + sliceAngle / 2) * Math.PI) / 180);
+            this.ctx.rotate(((startAngle + sweep / 2) * Math.PI) / 180);
             // todo: make this dynamic based off a helper function or static option
             this.ctx.rotate(Math.PI); // Flip text 180 degrees
             this.ctx.textAlign = 'left';
-            this.ctx.fillStyle = 'white';
-            this.ctx.font = 'bold 40px Arial';
+            this.ctx.fillStyle = this.style.textColor;
+            this.ctx.font = this.style.font || 'bold 40px Arial';
             this.ctx.fillText(this.options[i], -this.radius + 20, 10);
             this.ctx.restore();
         }
@@ -222,7 +329,7 @@ class SpinWheel {
         // this.ctx.stroke();
 
         // Draw pointer
-        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillStyle = this.style.pointerColor;
         this.ctx.beginPath();
         this.ctx.moveTo(this.centerX - 15, this.centerY - this.radius + 20);
         this.ctx.lineTo(this.centerX + 15, this.centerY - this.radius + 20);
@@ -230,27 +337,73 @@ class SpinWheel {
         this.ctx.closePath();
         this.ctx.fill();
 
-        if (this.isSpinning) {
-            this.rotation -= this.spinVelocity;
-            this.spinVelocity *= this.friction;
+        if (this.vote) {
+            this.drawVoteTally();
+        }
 
-            if (this.spinVelocity < 0.5) {
+        if (this.isSpinning && this.spinAnimation) {
+            const { from, to, startTime, duration } = this.spinAnimation;
+            const progress = (performance.now() - startTime) / duration;
+            this.rotation = from + (to - from) * WheelMath.easeOutCubic(progress);
+
+            if (progress >= 1) {
+                this.rotation = to;
                 this.isSpinning = false;
                 this.onSpinComplete();
+            } else {
+                requestAnimationFrame(() => this.draw());
             }
-
-            requestAnimationFrame(() => this.draw());
         }
     }
 
-    spin() {
+    /**
+     * Spin the wheel. The winner is drawn up front from the option weights using a
+     * seeded PRNG, then the animation is steered to land inside the winning slice.
+     * @param {object} [trigger] - Who/what started the spin (recorded in spin history)
+     * @param {string} [trigger.source] - 'button', 'auto', 'hotkey', 'twitch' or 'vote'
+     * @param {string} [trigger.user] - Twitch username for chat-triggered spins
+     * @param {object} [trigger.redemption] - Channel point redemption to settle with the result
+     * @param {number} [trigger.seed] - Optional 32-bit seed (a fresh one is generated if omitted)
+     * @param {number} [trigger.winningIndex] - Land on this option instead of drawing one (vote results)
+     */
+    spin(trigger = {}) {
+        const { seed, winningIndex: chosenIndex, ...spinTrigger } = trigger;
+        const voted = Number.isInteger(chosenIndex);
         console.log('spin() called, isSpinning:', this.isSpinning);
         if (this.isSpinning) {
+            // Viewers paid for redemptions (or voted), so those wait for their turn instead of being dropped
+            if (voted || (spinTrigger.redemption && !this.hasRedemption(spinTrigger.redemption.redemptionId))) {
+                console.log(`Already spinning, queued ${voted ? 'vote result' : `redemption ${spinTrigger.redemption.redemptionId}`}`);
+                this.pendingSpins.push(trigger);
+                return;
+            }
             console.log('Already spinning, ignoring spin request');
             return;
         }
+        if (this.slices.length === 0) {
+            console.warn('No wheel options, ignoring spin request');
+            // Nothing will run, so main.js refunds a paid spin
+            if (spinTrigger.redemption && window.electron && window.electron.reportDroppedSpin) {
+                window.electron.reportDroppedSpin(spinTrigger);
+            }
+            return;
+        }
+        // In vote mode chat picks the result; paid spins still spin
+        if (this.voteConfig.enabled && !voted && !spinTrigger.redemption && this.startVote()) {
+            return;
+        }
+
+        const spinSeed = Number.isInteger(seed) ? seed >>> 0 : WheelMath.generateSeed();
+        const random = WheelMath.createSeededRandom(spinSeed);
+        const winningIndex = voted ? chosenIndex : WheelMath.pickWeightedIndex(this.getWeightedOptions(), random);
+        const targetRotation = WheelMath.computeTargetRotation({
+            currentRotation: this.rotation,
+            slice: this.slices[winningIndex],
+            random,
+            minTurns: 4 + Math.floor(random() * 3)
+        });
 
-        console.log('Starting spin with velocity:', Math.random() * 20 + 15);
+        console.log(`Starting spin with seed ${spinSeed}, pre-drawn winner: "${this.options[winningIndex]}"`);
         this.isSpinning = true;
         const spinButton = document.getElementById('spinButton');
         if (spinButton) {
@@ -260,8 +413,18 @@ class SpinWheel {
             console.warn('Spin button not found');
         }
 
-        // Random spin velocity (high number = more spins)
-        this.spinVelocity = Math.random() * 20 + 15;
+        this.spinAnimation = {
+            from: this.rotation,
+            to: targetRotation,
+            startTime: performance.now(),
+            duration: 5000 + random() * 2000,
+            winningIndex,
+            seed: spinSeed,
+            trigger: { source: spinTrigger.source || 'unknown', user: spinTrigger.user || null }
+        };
+        if (spinTrigger.redemption) {
+            this.spinAnimation.trigger.redemption = spinTrigger.redemption;
+        }
 
         this.draw();
     }
@@ -273,28 +436,248 @@ class SpinWheel {
             spinButton.classList.remove('spinning');
         }
 
-        // Calculate which option won
-        const normalizedRotation = ((360 - (this.rotation % 360)) - 90 + 360) % 360;
-        const sliceAngle = 360 / this.options.length;
-        const winningIndex = Math.floor(normalizedRotation / sliceAngle) % this.options.length;
+        const { winningIndex, seed, trigger } = this.spinAnimation;
+        this.spinAnimation = null;
+
+        // Sanity check: the slice under the pointer should be the pre-drawn winner
+        const landedIndex = WheelMath.getSliceIndexAtAngle(this.slices, 270 - this.rotation);
+        if (landedIndex !== winningIndex) {
+            console.warn(`[Wheel] Landed on slice ${landedIndex} but winner was ${winningIndex}; using pre-drawn winner`);
+        }
+
         const winner = this.options[winningIndex];
         const winnerObject = this.optionObjects[winningIndex];
 
         // Update UI
         this.updateResult(winner);
 
-        // Send full option object to main process (includes config)
+        // Send full option object to main process (includes config) along with the spin seed and trigger
         if (window.electron) {
-            window.electron.spinWheel(winnerObject || { name: winner });
+            window.electron.spinWheel({ ...(winnerObject || { name: winner }), spinSeed: seed, trigger });
+        }
+
+        if (this.pendingOptions) {
+            const optionObjects = this.pendingOptions;
+            this.pendingOptions = null;
+            this.updateOptions(optionObjects);
+        }
+
+        // Leave the result up for a moment before the next paid spin
+        if (this.pendingSpins.length > 0) {
+            setTimeout(() => this.spin(this.pendingSpins.shift()), 1500);
         }
     }
 
+    /**
+     * Put a few random options to a chat vote instead of spinning
+     * @returns {boolean} Whether a vote is running (false when it cannot be held, so the wheel spins)
+     */
+    startVote() {
+        if (this.vote) {
+            console.log('[Wheel] Vote already running, ignoring spin request');
+            return true;
+        }
+        const count = Math.min(this.voteConfig.choices, this.options.length);
+        if (count < 2 || !window.electron || !window.electron.startVote) {
+            return false;
+        }
+        const random = WheelMath.createSeededRandom(WheelMath.generateSeed());
+        const indices = WheelMath.pickWeightedIndices(this.getWeightedOptions(), count, random);
+        const choices = indices.map(index => this.options[index]);
+        const { durationMs } = this.voteConfig;
+
+        this.vote = {
+            indices,
+            tally: { choices: choices.map(option => ({ option, votes: 0 })), totalVotes: 0, remainingMs: durationMs },
+            endsAt: Date.now() + durationMs,
+            // Redraw every second for the countdown
+            timer: setInterval(() => this.draw(), 1000)
+        };
+        window.electron.startVote({ choices, durationMs });
+
+        const lastResult = document.getElementById('lastResult');
+        if (lastResult) {
+            lastResult.textContent = `Vote in chat: !vote 1–${count}`;
+            lastResult.classList.remove('action-failed', 'action-rejected');
+        }
+        console.log(`[Wheel] Vote started: ${choices.join(', ')}`);
+        this.draw();
+        return true;
+    }
+
+    /**
+     * Live tally from the main process
+     * @param {{choices: Array<{option: string, votes: number}>, totalVotes: number, remainingMs: number}} tally
+     */
+    onVoteUpdated(tally) {
+        if (!this.vote || !tally) {
+            return;
+        }
+        this.vote.tally = tally;
+        this.vote.endsAt = Date.now() + tally.remainingMs;
+        this.draw();
+    }
+
+    /**
+     * Vote closed: spin to the winning option, which then goes through spinWheel like any spin
+     * @param {object} result - { winnerIndex, winner, choices, totalVotes } or { cancelled, message }
+     */
+    onVoteEnded(result) {
+        if (!this.vote || !result) {
+            return;
+        }
+        const { indices, timer } = this.vote;
+        clearInterval(timer);
+        this.vote = null;
+        if (result.cancelled) {
+            console.warn(`[Wheel] Vote cancelled: ${result.message}`);
+            this.updateResult(result.message);
+            this.draw();
+            return;
+        }
+        // Options may have been replaced while the vote ran; fall back to the name
+        let winningIndex = indices[result.winnerIndex];
+        if (this.options[winningIndex] !== result.winner) {
+            winningIndex = this.options.indexOf(result.winner);
+        }
+        console.log(`[Wheel] Vote won by "${result.winner}" (${result.totalVotes} vote(s))`);
+        if (winningIndex === -1) {
+            this.updateResult(`${result.winner} is no longer on the wheel`);
+            this.draw();
+            return;
+        }
+        this.spin({ source: 'vote', winningIndex });
+    }
+
+    /**
+     * Draw the vote choices and live tally over the wheel
+     */
+    drawVoteTally() {
+        const { choices, totalVotes } = this.vote.tally;
+        const seconds = Math.max(0, Math.ceil((this.vote.endsAt - Date.now()) / 1000));
+        const rowHeight = 56;
+        const width = this.canvas.width * 0.8;
+        const height = 70 + choices.length * rowHeight;
+        const left = this.centerX - width / 2;
+        const top = this.centerY - height / 2;
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(left, top, width, height);
+
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 30px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(`Vote! ${seconds}s left`, this.centerX, top + 42);
+
+        choices.forEach((choice, index) => {
+            const rowTop = top + 60 + index * rowHeight;
+            const share = totalVotes > 0 ? choice.votes / totalVotes : 0;
+            ctx.fillStyle = this.getSliceColor(this.vote.indices[index]);
+            ctx.fillRect(left + 16, rowTop, (width - 32) * share, rowHeight - 12);
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(left + 16, rowTop, width - 32, rowHeight - 12);
+
+            ctx.fillStyle = 'white';
+            ctx.font = 'bold 24px Arial';
+            ctx.textAlign = 'left';
+            ctx.fillText(`${index + 1}. ${choice.option}`, left + 28, rowTop + 30, width - 140);
+            ctx.textAlign = 'right';
+            ctx.fillText(String(choice.votes), left + width - 28, rowTop + 30);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Whether a redemption is already spinning or waiting (the same spin request can arrive twice)
+     * @param {string} redemptionId
+     */
+    hasRedemption(redemptionId) {
+        return this.spinAnimation?.trigger?.redemption?.redemptionId === redemptionId ||
+            this.pendingSpins.some(pending => pending.redemption?.redemptionId === redemptionId);
+    }
+
+    /**
+     * Build the spin trigger for a spin requested from Twitch (chat, channel points or bits)
+     * @param {object} spinData - { user, source?, redemption? } from the main process
+     */
+    getTwitchTrigger(spinData = {}) {
+        const trigger = { source: spinData.source || 'twitch', user: spinData.user };
+        if (spinData.redemption) {
+            trigger.redemption = spinData.redemption;
+        }
+        return trigger;
+    }
+
     updateResult(result) {
-        document.getElementById('lastResult').textContent = `${result}`;
+        const lastResult = document.getElementById('lastResult');
+        lastResult.textContent = `${result}`;
+        lastResult.classList.remove('action-failed', 'action-rejected');
+        lastResult.removeAttribute('title');
+    }
+
+    /**
+     * Handle a spin or action rejected by a cooldown / rate limit in the main process
+     * @param {object} rejection - { wheel, reason, message, retryAfterMs, trigger, option? }
+     */
+    onSpinRejected(rejection) {
+        if (!rejection || (rejection.wheel && rejection.wheel !== this.wheelId)) {
+            return;
+        }
+        console.warn(`[Wheel] Rejected (${rejection.reason}): ${rejection.message}`);
+        const lastResult = document.getElementById('lastResult');
+        if (lastResult) {
+            lastResult.textContent = rejection.option
+                ? `${rejection.option} — ${rejection.message}`
+                : rejection.message;
+            lastResult.classList.remove('action-failed');
+            lastResult.classList.add('action-rejected');
+            lastResult.title = rejection.trigger?.user ? `Triggered by ${rejection.trigger.user}` : '';
+        }
+    }
+
+    /**
+     * Handle a queue item status relayed from the queue worker
+     * @param {object} status - { status, source, label, error, ... }
+     */
+    onQueueItemStatus(status) {
+        if (!status || status.source !== this.wheelId || (status.status !== 'failed' && status.status !== 'retrying')) {
+            return;
+        }
+        const retrying = status.status === 'retrying';
+        console.warn(`[Wheel] Action "${status.label}" ${retrying ? 'will be retried' : 'failed'}: ${status.error}`);
+        const lastResult = document.getElementById('lastResult');
+        if (lastResult) {
+            lastResult.textContent = retrying
+                ? `${status.label} — retrying (attempt ${status.attempt + 1}/${status.maxAttempts})`
+                : `${status.label} — action failed`;
+            lastResult.classList.remove('action-rejected');
+            lastResult.classList.add('action-failed');
+            lastResult.title = status.error || '';
+        }
+    }
+
+    /**
+     * Replace the options with a new list from the main process; waits for a running spin to finish
+     * so the slice under the pointer stays the pre-drawn winner
+     * @param {Array<object>} wheelOptions - Option objects (options with enabled: false are dropped)
+     */
+    updateOptions(wheelOptions) {
+        const optionObjects = (wheelOptions || []).filter(opt => opt.enabled !== false);
+        if (this.isSpinning) {
+            this.pendingOptions = optionObjects;
+            return;
+        }
+        console.log(`[Wheel] Options updated: ${optionObjects.length} option(s)`);
+        this.setOptions(optionObjects.map(opt => opt.name), optionObjects);
     }
 
-    setOptions(options) {
+    setOptions(options, optionObjects = this.optionObjects) {
         this.options = options;
+        this.optionObjects = optionObjects;
+        this.slices = WheelMath.computeSlices(this.getWeightedOptions());
         this.draw();
     }
 }
@@ -306,27 +689,30 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Listen for wheel options from main process
     if (window.electron) {
         window.electron.onLoadWheelOptions((wheelOptions) => {
-            if (!wheelInitialized) {
-                console.log('[Wheel] Received wheel options from main process:', wheelOptions);
-
-                // Filter enabled options and create two arrays: names and full objects
-                const enabledOptions = wheelOptions.filter(opt => {
-                    const isEnabled = opt.enabled !== false;
-                    console.log(`Option "${opt.name}" - enabled: ${opt.enabled}, will render: ${isEnabled}`);
-                    return isEnabled;
-                });
+            // Later lists (or one arriving after the fallback options) update the running wheel
+            if (window.wheel) {
+                window.wheel.updateOptions(wheelOptions);
+                return;
+            }
+            console.log('[Wheel] Received wheel options from main process:', wheelOptions);
 
-                const options = enabledOptions.map(opt => opt.name);
-                const optionObjects = enabledOptions;
+            // Filter enabled options and create two arrays: names and full objects
+            const enabledOptions = wheelOptions.filter(opt => {
+                const isEnabled = opt.enabled !== false;
+                console.log(`Option "${opt.name}" - enabled: ${opt.enabled}, will render: ${isEnabled}`);
+                return isEnabled;
+            });
 
-                console.log('Final wheel options (enabled only):', options);
-                console.log('Final wheel option objects:', optionObjects);
+            const options = enabledOptions.map(opt => opt.name);
+            const optionObjects = enabledOptions;
 
-                // Create wheel with both names and full objects
-                window.wheel = new SpinWheel('wheelCanvas', options, optionObjects);
-                wheelInitialized = true;
-                console.log('[Wheel] ✓ SpinWheel instance created successfully from windows-config.json');
-            }
+            console.log('Final wheel options (enabled only):', options);
+            console.log('Final wheel option objects:', optionObjects);
+
+            // Create wheel with both names and full objects
+            window.wheel = new SpinWheel('wheelCanvas', options, optionObjects);
+            wheelInitialized = true;
+            console.log('[Wheel] ✓ SpinWheel instance created successfully from windows-config.json');
         });
     }
 
@@ -1,17 +1,20 @@
-const { BrowserWindow, ipcMain } = require('electron');
+const { ipcMain } = require('electron');
 const SharedQueueManager = require('../shared/lifecycle-manager');
 const { twitchEventEmitter } = require('../../twitch');
-const { send, on, onNoArgs, invoke } = require('../../preload-helpers');
+const { send, on, onNoArgs, invoke, invokeWithArgs } = require('../../preload-helpers');
 
 /**
  * Wheel-specific queue manager
  * Initializes queues based on wheel options from the window configuration
+ * There is one per wheel window (entries with "type": "wheel"); chat spins are passed on to the
+ * window of the wheel they name (`data.wheel`, a window id).
  */
 class WheelQueueManager extends SharedQueueManager {
     constructor(windowConfig = {}) {
         super(windowConfig);
         this.windowConfig = windowConfig;
-        this.wheelWindow = null; // Will store reference to wheel window
+        this.wheelId = windowConfig.id || 'wheel';
+        this.wheelWindow = null; // This manager's wheel window, see setWindow
         // Extract wheel options from window config (exclude options with enabled: false)
         const raw = windowConfig.options?.wheel || windowConfig.wheelOptions || [];
         this.wheelOptions = raw.filter(opt => opt.enabled !== false);
@@ -20,8 +23,6 @@ class WheelQueueManager extends SharedQueueManager {
         this.initializeQueues();
         // Setup IPC listeners for Twitch events
         this.setupIpcListeners();
-        // Try to find and store wheel window reference
-        this.findWheelWindow();
     }
 
     /**
@@ -47,39 +48,42 @@ class WheelQueueManager extends SharedQueueManager {
     }
 
     /**
-     * Find and store reference to the wheel window
+     * Replace the wheel options (e.g. when viewer-submitted entries are approved)
+     * Queues for new application-controller combinations are created; existing ones are kept.
+     * @param {Array<object>} options - Wheel options (options with enabled: false are dropped)
      */
-    findWheelWindow() {
-        const allWindows = BrowserWindow.getAllWindows();
-        for (const win of allWindows) {
-            if (win && !win.isDestroyed()) {
-                const url = win.webContents.getURL();
-                if (url && (url.includes('wheel') || url.includes('wheel/index.html'))) {
-                    this.wheelWindow = win;
-                    console.log(`[WheelQueueManager] Found and stored wheel window reference`);
-                    // Re-find window if it closes
-                    win.on('closed', () => {
-                        this.wheelWindow = null;
-                        console.log(`[WheelQueueManager] Wheel window closed, clearing reference`);
-                    });
-                    break;
-                }
-            }
+    setWheelOptions(options) {
+        this.wheelOptions = options.filter(opt => opt.enabled !== false);
+        this.initializeQueues();
+    }
+
+    /**
+     * Store the wheel window this manager belongs to (called by main.js)
+     * @param {BrowserWindow|null} window
+     */
+    setWindow(window) {
+        this.wheelWindow = window;
+        if (window) {
+            window.on('closed', () => {
+                this.wheelWindow = null;
+                console.log(`[WheelQueueManager] Wheel window "${this.wheelId}" closed, clearing reference`);
+            });
         }
     }
 
     /**
-     * Get the wheel window, finding it if not already stored
+     * Get the wheel window, if it is still open
      */
     getWheelWindow() {
-        // If we have a stored reference and it's still valid, use it
-        if (this.wheelWindow && !this.wheelWindow.isDestroyed()) {
-            return this.wheelWindow;
-        }
-        
-        // Otherwise, try to find it
-        this.findWheelWindow();
-        return this.wheelWindow;
+        return this.wheelWindow && !this.wheelWindow.isDestroyed() ? this.wheelWindow : null;
+    }
+
+    /**
+     * Whether a spin is meant for this wheel (spins that name no wheel were resolved by src/twitch.js)
+     * @param {{wheel?: string}} data
+     */
+    isForThisWheel(data) {
+        return !data || !data.wheel || data.wheel === this.wheelId;
     }
 
     /**
@@ -87,8 +91,12 @@ class WheelQueueManager extends SharedQueueManager {
      */
     setupIpcListeners() {
         // Listen for Twitch spin trigger events from twitch.js EventEmitter
-        twitchEventEmitter.on('twitch-spin-triggered', (data) => {
+        this.onTwitchSpin = (data) => {
             console.log(`[WheelQueueManager] Received twitch-spin-triggered event from EventEmitter:`, data);
+            // Chat commands can target another wheel window
+            if (!this.isForThisWheel(data)) {
+                return;
+            }
             
             const wheelWindow = this.getWheelWindow();
             
@@ -98,30 +106,55 @@ class WheelQueueManager extends SharedQueueManager {
             } else {
                 console.warn(`[WheelQueueManager] Wheel window not found, cannot send twitch-spin-triggered event`);
             }
-        });
+        };
+        twitchEventEmitter.on('twitch-spin-triggered', this.onTwitchSpin);
 
         // Also listen for IPC messages (if sent via ipcRenderer.send from renderer)
-        ipcMain.on('twitch-spin-triggered-ipc', (event, data) => {
+        this.onTwitchSpinIpc = (event, data) => {
             console.log(`[WheelQueueManager] Received twitch-spin-triggered-ipc via IPC:`, data);
-            
+            if (!this.isForThisWheel(data)) {
+                return;
+            }
+
             const wheelWindow = this.getWheelWindow();
             
             if (wheelWindow && !wheelWindow.isDestroyed()) {
                 wheelWindow.webContents.send('twitch-spin-triggered', data);
             }
-        });
+        };
+        ipcMain.on('twitch-spin-triggered-ipc', this.onTwitchSpinIpc);
 
         console.log('[WheelQueueManager] IPC listeners setup complete');
     }
 
+    /**
+     * Stop passing on chat spins (see SharedQueueManager.dispose)
+     */
+    dispose() {
+        twitchEventEmitter.removeListener('twitch-spin-triggered', this.onTwitchSpin);
+        ipcMain.removeListener('twitch-spin-triggered-ipc', this.onTwitchSpinIpc);
+        this.wheelWindow = null;
+        super.dispose();
+    }
+
     /**
      * Return preload API definitions for wheel
      */
     getPreloadAPI() {
         return {
             spinWheel: send('spin-wheel', 'result', true), // Send result directly, don't wrap
+            reportDroppedSpin: send('spin-dropped', 'trigger', true),
             onSpinResult: on('spin-result'),
+            onSpinRejected: on('spin-rejected'),
+            getVoteConfig: invoke('get-vote-config'),
+            getWheelConfig: invoke('get-wheel-config'),
+            startVote: send('start-vote', 'vote', true),
+            onVoteUpdated: on('vote-updated'),
+            onVoteEnded: on('vote-ended'),
             onLoadWheelOptions: on('load-wheel-options'),
+            onWheelOptionsUpdated: on('wheel-options-updated'),
+            getEditableWheelOptions: invoke('get-editable-wheel-options'),
+            saveWheelOptions: invokeWithArgs('save-wheel-options', 'rows'),
             onSpinHotkey: onNoArgs('spin-wheel-hotkey')
         };
     }
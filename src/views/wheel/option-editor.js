@@ -0,0 +1,158 @@
+/**
+ * Wheel option editor
+ *
+ * Panel over the wheel to add, remove, rename, recolor, enable/disable and reorder the wheel's
+ * options. Saving sends one row per option to the main process (see src/wheel-option-edits.js),
+ * which writes them to windows-config.json or the application's wheel-options.json and pushes the
+ * new list to this wheel (`onWheelOptionsUpdated`) and its queue manager.
+ */
+
+class WheelOptionEditor {
+    constructor() {
+        this.panel = document.getElementById('optionEditor');
+        this.list = document.getElementById('optionEditorList');
+        this.status = document.getElementById('optionEditorStatus');
+        this.rows = []; // { index, name, color, enabled } in wheel order; index is null for new options
+
+        const editButton = document.getElementById('editButton');
+        if (!this.panel || !editButton || !window.electron || !window.electron.getEditableWheelOptions) {
+            if (editButton) editButton.hidden = true;
+            return;
+        }
+        editButton.addEventListener('click', () => this.open());
+        document.getElementById('optionEditorAdd').addEventListener('click', () => this.addRow());
+        document.getElementById('optionEditorSave').addEventListener('click', () => this.save());
+        document.getElementById('optionEditorCancel').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Load the stored options (including disabled ones) and show the panel
+     */
+    async open() {
+        try {
+            const { options, savedTo } = await window.electron.getEditableWheelOptions();
+            this.rows = options.map((option, index) => ({
+                index,
+                name: option.name || '',
+                color: option.color || '',
+                enabled: option.enabled !== false
+            }));
+            this.render();
+            this.setStatus(`Saved to ${savedTo}`);
+            this.panel.hidden = false;
+        } catch (error) {
+            console.error('[WheelOptionEditor] Could not load wheel options:', error);
+        }
+    }
+
+    close() {
+        this.panel.hidden = true;
+        this.rows = [];
+    }
+
+    addRow() {
+        this.rows.push({ index: null, name: '', color: '', enabled: true });
+        this.render();
+        const inputs = this.list.querySelectorAll('.option-name');
+        inputs[inputs.length - 1].focus();
+    }
+
+    /**
+     * Move a row up (-1) or down (+1)
+     */
+    moveRow(position, offset) {
+        const target = position + offset;
+        if (target < 0 || target >= this.rows.length) {
+            return;
+        }
+        const [row] = this.rows.splice(position, 1);
+        this.rows.splice(target, 0, row);
+        this.render();
+    }
+
+    removeRow(position) {
+        this.rows.splice(position, 1);
+        this.render();
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        this.rows.forEach((row, position) => {
+            const item = document.createElement('li');
+            item.className = row.enabled ? 'option-row' : 'option-row disabled';
+
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = row.enabled;
+            enabled.title = 'On the wheel';
+            enabled.addEventListener('change', () => {
+                row.enabled = enabled.checked;
+                item.classList.toggle('disabled', !row.enabled);
+            });
+
+            const swatch = document.createElement('input');
+            swatch.type = 'color';
+            swatch.title = 'Pick a color';
+            swatch.value = /^#[0-9a-f]{6}$/i.test(row.color) ? row.color : '#888888';
+
+            const color = document.createElement('input');
+            color.type = 'text';
+            color.className = 'option-color';
+            color.placeholder = 'palette';
+            color.value = row.color;
+            color.setAttribute('aria-label', 'Color');
+            color.addEventListener('input', () => { row.color = color.value; });
+            swatch.addEventListener('input', () => {
+                row.color = swatch.value;
+                color.value = swatch.value;
+            });
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.className = 'option-name';
+            name.value = row.name;
+            name.placeholder = 'Option name';
+            name.setAttribute('aria-label', 'Name');
+            name.addEventListener('input', () => { row.name = name.value; });
+
+            item.append(
+                enabled,
+                swatch,
+                name,
+                color,
+                this.createButton('▲', 'Move up', () => this.moveRow(position, -1)),
+                this.createButton('▼', 'Move down', () => this.moveRow(position, 1)),
+                this.createButton('×', 'Remove', () => this.removeRow(position))
+            );
+            this.list.appendChild(item);
+        });
+    }
+
+    async save() {
+        try {
+            const result = await window.electron.saveWheelOptions(this.rows);
+            console.log(`[WheelOptionEditor] Saved ${result.saved} option(s) to ${result.savedTo}`);
+            this.close();
+        } catch (error) {
+            // Drop Electron's "Error invoking remote method ..." prefix
+            this.setStatus(String(error.message || error).replace(/^Error invoking remote method '[^']+': (Error: )?/, ''), true);
+        }
+    }
+
+    setStatus(text, isError = false) {
+        this.status.textContent = text;
+        this.status.classList.toggle('error', isError);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.optionEditor = new WheelOptionEditor();
+});
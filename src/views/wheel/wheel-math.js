@@ -0,0 +1,163 @@
+/**
+ * Pure slice-layout and weighted-draw logic for the spinning wheel.
+ * Loaded as a plain script by index.html (exposes window.WheelMath).
+ */
+
+const DEFAULT_WEIGHT = 1;
+
+/**
+ * Normalize an option's weight. Missing, non-numeric or non-positive weights fall back to 1.
+ * @param {object|string} option - Wheel option object (or plain name)
+ * @returns {number}
+ */
+function getOptionWeight(option) {
+    const weight = Number(option && typeof option === 'object' ? option.weight : undefined);
+    return Number.isFinite(weight) && weight > 0 ? weight : DEFAULT_WEIGHT;
+}
+
+/**
+ * Build slice boundaries (in degrees) proportional to each option's weight.
+ * @param {Array<object|string>} options
+ * @returns {Array<{ index: number, weight: number, startAngle: number, endAngle: number, sweep: number }>}
+ */
+function computeSlices(options) {
+    const weights = options.map(getOptionWeight);
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const slices = [];
+    let angle = 0;
+    weights.forEach((weight, index) => {
+        const sweep = total > 0 ? (weight / total) * 360 : 0;
+        slices.push({ index, weight, startAngle: angle, endAngle: angle + sweep, sweep });
+        angle += sweep;
+    });
+    // Close any floating-point gap so the last slice always ends at 360
+    if (slices.length > 0) {
+        slices[slices.length - 1].endAngle = 360;
+    }
+    return slices;
+}
+
+/**
+ * Find which slice contains an angle measured in wheel coordinates.
+ * @param {Array<{ startAngle: number, endAngle: number }>} slices
+ * @param {number} angle - Degrees (any range, normalized to [0, 360))
+ * @returns {number} Slice index, or -1 if there are no slices
+ */
+function getSliceIndexAtAngle(slices, angle) {
+    if (slices.length === 0) return -1;
+    const a = ((angle % 360) + 360) % 360;
+    for (let i = 0; i < slices.length; i++) {
+        if (a >= slices[i].startAngle && a < slices[i].endAngle) {
+            return i;
+        }
+    }
+    return slices.length - 1;
+}
+
+/**
+ * Create a seeded PRNG (mulberry32). Same seed always yields the same sequence.
+ * @param {number} seed - 32-bit integer seed
+ * @returns {() => number} Function returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate a fresh 32-bit spin seed.
+ * @returns {number}
+ */
+function generateSeed() {
+    return ((Date.now() & 0xffffffff) ^ Math.floor(Math.random() * 0x100000000)) >>> 0;
+}
+
+/**
+ * Pick an option index using the options' weights.
+ * @param {Array<object|string>} options
+ * @param {() => number} random - Source of floats in [0, 1)
+ * @returns {number} Winning index, or -1 if there are no options
+ */
+function pickWeightedIndex(options, random) {
+    if (options.length === 0) return -1;
+    const weights = options.map(getOptionWeight);
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let roll = random() * total;
+    for (let i = 0; i < weights.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) return i;
+    }
+    return weights.length - 1;
+}
+
+/**
+ * Pick several different option indices using the options' weights (draw without replacement).
+ * @param {Array<object|string>} options
+ * @param {number} count - How many to pick (capped at the number of options)
+ * @param {() => number} random - Source of floats in [0, 1)
+ * @returns {Array<number>} Indices in the order they were drawn
+ */
+function pickWeightedIndices(options, count, random) {
+    const remaining = options.map((option, index) => ({ option, index }));
+    const picked = [];
+    while (picked.length < count && remaining.length > 0) {
+        const drawn = pickWeightedIndex(remaining.map(entry => entry.option), random);
+        picked.push(remaining.splice(drawn, 1)[0].index);
+    }
+    return picked;
+}
+
+/**
+ * Compute the final rotation that lands the pointer inside the winning slice.
+ * The wheel spins with decreasing rotation and the pointer sits at 270° (top of canvas),
+ * so the wheel-space angle under the pointer is (270 - rotation) mod 360.
+ *
+ * @param {object} params
+ * @param {number} params.currentRotation - Rotation (degrees) at the start of the spin
+ * @param {{ startAngle: number, sweep: number }} params.slice - Winning slice
+ * @param {() => number} params.random - Source of floats in [0, 1)
+ * @param {number} [params.minTurns=5] - Full turns before landing
+ * @param {number} [params.edgeMargin=0.15] - Fraction of the slice kept clear on each side
+ * @returns {number} Target rotation in degrees (always below currentRotation)
+ */
+function computeTargetRotation({ currentRotation, slice, random, minTurns = 5, edgeMargin = 0.15 }) {
+    const usable = slice.sweep * (1 - edgeMargin * 2);
+    const landingAngle = slice.startAngle + slice.sweep * edgeMargin + random() * usable;
+    const offset = (((currentRotation - (270 - landingAngle)) % 360) + 360) % 360;
+    return currentRotation - (minTurns * 360 + offset);
+}
+
+/**
+ * Ease-out cubic used to decelerate the spin animation.
+ * @param {number} t - Progress in [0, 1]
+ * @returns {number}
+ */
+function easeOutCubic(t) {
+    const clamped = Math.min(Math.max(t, 0), 1);
+    return 1 - Math.pow(1 - clamped, 3);
+}
+
+const WheelMath = {
+    DEFAULT_WEIGHT,
+    getOptionWeight,
+    computeSlices,
+    getSliceIndexAtAngle,
+    createSeededRandom,
+    generateSeed,
+    pickWeightedIndex,
+    pickWeightedIndices,
+    computeTargetRotation,
+    easeOutCubic
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WheelMath;
+} else if (typeof window !== 'undefined') {
+    window.WheelMath = WheelMath;
+}
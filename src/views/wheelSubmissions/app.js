@@ -0,0 +1,156 @@
+/**
+ * Wheel Submissions Window App
+ *
+ * Moderation panel for viewer-submitted wheel entries (`!addwheel ...`). Pending entries are
+ * approved with a submission template (which controller/config runs them) or rejected;
+ * approved entries can be taken off the wheel again. Refreshes live on new submissions.
+ */
+
+class WheelSubmissionsApp {
+    constructor() {
+        console.log('[WheelSubmissionsApp] Initializing...');
+        this.pendingBody = document.getElementById('pendingTableBody');
+        this.approvedBody = document.getElementById('approvedTableBody');
+        this.templates = [];
+
+        this.setupEventListeners();
+        this.loadSubmissions();
+
+        if (window.electron && window.electron.onWheelSubmissionsUpdated) {
+            window.electron.onWheelSubmissionsUpdated(() => this.loadSubmissions());
+        }
+    }
+
+    setupEventListeners() {
+        // Setup interactive element mouse events
+        const interactiveElements = document.querySelectorAll('.interactive-overlay-element');
+        interactiveElements.forEach(element => {
+            element.addEventListener('mouseenter', () => {
+                if (window.electron) {
+                    window.electron.mouseOverInteractive(true);
+                }
+            });
+
+            element.addEventListener('mouseleave', () => {
+                if (window.electron) {
+                    window.electron.mouseOverInteractive(false);
+                }
+            });
+        });
+
+        console.log('[WheelSubmissionsApp] Event listeners setup complete');
+    }
+
+    async loadSubmissions() {
+        if (!window.electron || !window.electron.getWheelSubmissions) {
+            console.warn('[WheelSubmissionsApp] Wheel submissions API not available');
+            return;
+        }
+
+        try {
+            const { pending, approved, templates } = await window.electron.getWheelSubmissions();
+            this.templates = templates;
+            document.getElementById('templatesMissing').hidden = templates.length > 0;
+            this.renderPending(pending);
+            this.renderApproved(approved);
+        } catch (error) {
+            console.error('[WheelSubmissionsApp] Failed to load submissions:', error);
+        }
+    }
+
+    /**
+     * Build a row of text cells
+     * @returns {HTMLTableRowElement}
+     */
+    createRow(texts) {
+        const tr = document.createElement('tr');
+        texts.forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        return tr;
+    }
+
+    createButton(text, className, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.className = className;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    renderPending(pending) {
+        this.pendingBody.innerHTML = '';
+        document.getElementById('pendingEmpty').hidden = pending.length > 0;
+
+        pending.forEach(submission => {
+            const tr = this.createRow([
+                new Date(submission.submittedAt).toLocaleTimeString(),
+                submission.user,
+                submission.entry
+            ]);
+
+            const templateCell = document.createElement('td');
+            const select = document.createElement('select');
+            select.setAttribute('aria-label', `Template for ${submission.entry}`);
+            this.templates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.key;
+                option.textContent = `${template.label} (${template.application})`;
+                select.appendChild(option);
+            });
+            templateCell.appendChild(select);
+            tr.appendChild(templateCell);
+
+            const actions = document.createElement('td');
+            actions.className = 'submission-actions';
+            const approve = this.createButton('Approve', 'approve-btn', () =>
+                this.runAction(() => window.electron.approveWheelSubmission(submission.id, select.value)));
+            approve.disabled = this.templates.length === 0;
+            actions.appendChild(approve);
+            actions.appendChild(this.createButton('Reject', 'reject-btn', () =>
+                this.runAction(() => window.electron.removeWheelSubmission(submission.id))));
+            tr.appendChild(actions);
+
+            this.pendingBody.appendChild(tr);
+        });
+    }
+
+    renderApproved(approved) {
+        this.approvedBody.innerHTML = '';
+        document.getElementById('approvedEmpty').hidden = approved.length > 0;
+
+        approved.forEach(submission => {
+            const template = this.templates.find(candidate => candidate.key === submission.template);
+            const tr = this.createRow([
+                submission.user,
+                submission.entry,
+                template ? template.label : submission.template
+            ]);
+            const actions = document.createElement('td');
+            actions.className = 'submission-actions';
+            actions.appendChild(this.createButton('Remove', 'reject-btn', () =>
+                this.runAction(() => window.electron.removeWheelSubmission(submission.id))));
+            tr.appendChild(actions);
+            this.approvedBody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Run an approve/remove call and refresh (the 'changed' broadcast also refreshes)
+     */
+    async runAction(action) {
+        try {
+            await action();
+        } catch (error) {
+            console.error('[WheelSubmissionsApp] Action failed:', error);
+        }
+        this.loadSubmissions();
+    }
+}
+
+// Initialize app when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.app = new WheelSubmissionsApp();
+});
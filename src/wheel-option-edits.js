@@ -0,0 +1,97 @@
+/**
+ * Apply the wheel's option editor to a stored option list
+ * The editor (src/views/wheel/option-editor.js) sends one row per option in the new order; rows
+ * of existing options carry the option's index in the stored list, so fields the editor does not
+ * show (command, application, controller, config, weight, ...) are kept. main.js persists the
+ * result and pushes it to the running wheel.
+ *
+ * Row fields:
+ *   index: 2 | null        - position in the stored list, null for a new option
+ *   name: "Fus Ro Dah"     - required, unique (case-insensitive)
+ *   color: "#ff0000"       - any CSS color; empty to use the wheel's palette
+ *   enabled: true          - false keeps the option but leaves it off the wheel
+ */
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Command id for a new option ("Fus Ro Dah" -> "fus_ro_dah")
+ * @param {string} name
+ * @param {Set<string>} taken - Commands already in use
+ * @returns {string}
+ */
+function commandFromName(name, taken) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'option';
+    let command = base;
+    for (let suffix = 2; taken.has(command); suffix++) {
+        command = `${base}_${suffix}`;
+    }
+    return command;
+}
+
+/**
+ * Build the new option list from editor rows
+ * New options copy `application` and `controller` from the first stored option; their action
+ * (`config`) is added in the config file.
+ * @param {Array<object>} stored - Options as stored (including disabled ones)
+ * @param {Array<{index: number|null, name: string, color?: string, enabled?: boolean}>} rows
+ * @returns {Array<object>}
+ * @throws {Error} If a row is invalid
+ */
+function applyOptionEdits(stored, rows) {
+    if (!Array.isArray(rows)) {
+        throw new Error('Expected a list of options');
+    }
+    const names = new Set();
+    const usedIndexes = new Set();
+    rows.forEach((row, position) => {
+        const name = typeof row?.name === 'string' ? row.name.trim() : '';
+        if (!name) {
+            throw new Error(`Option ${position + 1} needs a name`);
+        }
+        if (name.length > MAX_NAME_LENGTH) {
+            throw new Error(`"${name.slice(0, 20)}..." is longer than ${MAX_NAME_LENGTH} characters`);
+        }
+        if (names.has(name.toLowerCase())) {
+            throw new Error(`Two options are named "${name}"`);
+        }
+        names.add(name.toLowerCase());
+        if (row.index !== null && row.index !== undefined) {
+            if (!Number.isInteger(row.index) || !stored[row.index] || usedIndexes.has(row.index)) {
+                throw new Error(`Option "${name}" does not match a stored option; reopen the editor`);
+            }
+            usedIndexes.add(row.index);
+        }
+        if (row.color !== undefined && typeof row.color !== 'string') {
+            throw new Error(`Color of "${name}" must be a string`);
+        }
+    });
+
+    const template = stored[0] || {};
+    const commands = new Set(stored.map(option => option.command).filter(Boolean));
+    return rows.map((row) => {
+        const isNew = row.index === null || row.index === undefined;
+        const option = isNew ? {} : { ...stored[row.index] };
+        option.name = row.name.trim();
+        if (isNew) {
+            option.command = commandFromName(option.name, commands);
+            commands.add(option.command);
+            if (template.application) option.application = template.application;
+            if (template.controller) option.controller = template.controller;
+        }
+        option.enabled = row.enabled !== false;
+        const color = (row.color || '').trim();
+        if (color) {
+            option.color = color;
+        } else {
+            delete option.color;
+        }
+        return option;
+    });
+}
+
+module.exports = {
+    MAX_NAME_LENGTH,
+    applyOptionEdits,
+    commandFromName
+};
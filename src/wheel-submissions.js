@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { app } = require('electron');
+const { fillPlaceholders } = require('./chat-commands');
+
+/**
+ * Viewer-submitted wheel entries (`!addwheel Fus Ro Dah`) and their moderation state
+ * Submissions wait as "pending" until a moderator approves them with a submission template from an
+ * application's wheel-options.json (which decides the controller and config that run the entry) or
+ * rejects them. Approved entries become wheel options and are kept in userData across restarts.
+ *
+ * Emits:
+ *   'changed' (entries) - after any submit/approve/reject/remove
+ */
+
+// Entries are typed into games/apps by controllers, so keep out key syntax such as {Enter} or ^s
+const ENTRY_PATTERN = /^[\p{L}\p{N} '.,?-]+$/u;
+
+const DEFAULT_LIMITS = {
+    maxLength: 40,
+    maxPendingPerUser: 1,
+    maxPending: 50
+};
+
+class WheelSubmissions extends EventEmitter {
+    constructor() {
+        super();
+        this.storageDir = app.getPath('userData');
+        this.submissionsFile = path.join(this.storageDir, 'wheel-submissions.json');
+        this.limits = { ...DEFAULT_LIMITS };
+        this.entries = this.load();
+    }
+
+    /**
+     * Set submission limits (`submissions` in commands.json)
+     * @param {{maxLength?: number, maxPendingPerUser?: number, maxPending?: number}} [config]
+     */
+    configure(config = {}) {
+        config = config || {};
+        this.limits = { ...DEFAULT_LIMITS };
+        Object.keys(DEFAULT_LIMITS).forEach(key => {
+            if (Number.isInteger(config[key]) && config[key] > 0) {
+                this.limits[key] = config[key];
+            }
+        });
+    }
+
+    /**
+     * Load submissions from disk
+     * @returns {Array<object>}
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.submissionsFile)) {
+                const data = JSON.parse(fs.readFileSync(this.submissionsFile, 'utf8'));
+                const entries = Array.isArray(data) ? data : [];
+                console.log(`[WheelSubmissions] Loaded ${entries.length} submission(s)`);
+                return entries;
+            }
+        } catch (error) {
+            console.error('[WheelSubmissions] Failed to load submissions:', error);
+        }
+        return [];
+    }
+
+    /**
+     * Write all submissions to disk
+     */
+    save() {
+        try {
+            if (!fs.existsSync(this.storageDir)) {
+                fs.mkdirSync(this.storageDir, { recursive: true });
+            }
+            fs.writeFileSync(this.submissionsFile, JSON.stringify(this.entries, null, 2), 'utf8');
+        } catch (error) {
+            console.error('[WheelSubmissions] Failed to save submissions:', error);
+        }
+        this.emit('changed', this.entries);
+    }
+
+    /**
+     * Add a viewer's entry to the pending list
+     * @param {{entry: string, user: string}} submission
+     * @param {Array<string>} [existingNames] - Wheel option names the entry must not duplicate
+     * @returns {{accepted: boolean, message: string, submission?: object}} message is the chat reply
+     */
+    submit({ entry, user }, existingNames = []) {
+        const text = String(entry || '').replace(/\s+/g, ' ').trim();
+        const userKey = String(user || '').toLowerCase();
+        const taken = new Set([...existingNames, ...this.entries.map(existing => existing.entry)]
+            .map(name => String(name).toLowerCase()));
+        const pending = this.list('pending');
+
+        if (!text) {
+            return { accepted: false, message: 'Tell me what to add, e.g. !addwheel Fus Ro Dah' };
+        }
+        if (text.length > this.limits.maxLength) {
+            return { accepted: false, message: `Entries can be at most ${this.limits.maxLength} characters` };
+        }
+        if (!ENTRY_PATTERN.test(text)) {
+            return { accepted: false, message: 'Entries can only use letters, numbers, spaces and \' . , ? -' };
+        }
+        if (taken.has(text.toLowerCase())) {
+            return { accepted: false, message: `"${text}" is already on the wheel or waiting for approval` };
+        }
+        if (pending.filter(existing => existing.user.toLowerCase() === userKey).length >= this.limits.maxPendingPerUser) {
+            return { accepted: false, message: 'Your last entry is still waiting for a moderator' };
+        }
+        if (pending.length >= this.limits.maxPending) {
+            return { accepted: false, message: 'Too many entries are waiting for a moderator, try again later' };
+        }
+
+        const submission = {
+            id: crypto.randomUUID(),
+            entry: text,
+            user: user,
+            submittedAt: new Date().toISOString(),
+            status: 'pending'
+        };
+        this.entries.push(submission);
+        this.save();
+        console.log(`[WheelSubmissions] ${user} submitted "${text}"`);
+        return { accepted: true, message: `"${text}" is waiting for a moderator`, submission };
+    }
+
+    /**
+     * List submissions
+     * @param {'pending'|'approved'} [status] - Only this status
+     * @returns {Array<object>}
+     */
+    list(status) {
+        return this.entries.filter(entry => !status || entry.status === status);
+    }
+
+    /**
+     * Approve a pending entry, turning it into a wheel option with a submission template
+     * @param {string} id - Submission id
+     * @param {object} template - { key, application, controller, config, color?, weight? }
+     * @returns {object} The approved submission (its `option` is the new wheel option)
+     */
+    approve(id, template) {
+        const submission = this.entries.find(entry => entry.id === id && entry.status === 'pending');
+        if (!submission) {
+            throw new Error(`No pending submission "${id}"`);
+        }
+        if (!template || !template.application || !template.controller) {
+            throw new Error('A submission template with an application and controller is needed');
+        }
+        submission.status = 'approved';
+        submission.approvedAt = new Date().toISOString();
+        submission.template = template.key;
+        submission.option = WheelSubmissions.buildOption(submission, template);
+        this.save();
+        console.log(`[WheelSubmissions] Approved "${submission.entry}" with template "${template.key}"`);
+        return submission;
+    }
+
+    /**
+     * Drop a submission (rejecting a pending one, or taking an approved one off the wheel)
+     * @param {string} id - Submission id
+     * @returns {object|null} The removed submission
+     */
+    remove(id) {
+        const submission = this.entries.find(entry => entry.id === id);
+        if (!submission) {
+            return null;
+        }
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.save();
+        console.log(`[WheelSubmissions] Removed ${submission.status} submission "${submission.entry}"`);
+        return submission;
+    }
+
+    /**
+     * Wheel options of all approved entries
+     * @returns {Array<object>}
+     */
+    getApprovedOptions() {
+        return this.list('approved').map(submission => submission.option);
+    }
+
+    /**
+     * Build the wheel option for an entry; template strings can use {entry} and {user}
+     * @param {{id: string, entry: string, user: string}} submission
+     * @param {object} template - Submission template
+     * @returns {object} Wheel option
+     */
+    static buildOption(submission, template) {
+        const context = { args: [], entry: submission.entry, user: submission.user };
+        const option = {
+            name: submission.entry,
+            command: `submission_${submission.id.slice(0, 8)}`,
+            description: `Submitted by ${submission.user}`,
+            enabled: true,
+            application: template.application,
+            controller: template.controller,
+            config: fillPlaceholders(template.config || {}, context),
+            submittedBy: submission.user
+        };
+        if (template.color) option.color = template.color;
+        if (template.weight !== undefined) option.weight = template.weight;
+        return option;
+    }
+}
+
+module.exports = WheelSubmissions;
@@ -0,0 +1,99 @@
+/**
+ * windows-config.json helpers
+ * Used by main.js to check the file and to work out which windows to open, close or update when it
+ * is edited while the app runs (see src/config-watcher.js).
+ */
+
+const { validateConfigFile } = require('./config-schema');
+
+// Options of a wheel entry main.js applies to the open wheel; any other change reopens the window
+const LIVE_WHEEL_OPTIONS = ['wheel', 'wheelApplication', 'rateLimits'];
+
+/**
+ * View a windows-config.json entry uses (src/views/<type>/); defaults to its id
+ * Several entries can share a view, e.g. two wheels with "type": "wheel".
+ * @param {object} windowConfig - Entry of windows-config.json
+ * @returns {string}
+ */
+function getWindowType(windowConfig) {
+    return windowConfig.type || windowConfig.id;
+}
+
+/**
+ * Enabled entries by id; the first entry wins when an id is used twice (the others are not opened)
+ * @param {object} config - Parsed windows-config.json
+ * @returns {Map<string, object>}
+ */
+function getEnabledWindows(config) {
+    const enabled = new Map();
+    ((config && config.windows) || []).forEach((windowConfig) => {
+        if (windowConfig && windowConfig.enabled && !enabled.has(windowConfig.id)) {
+            enabled.set(windowConfig.id, windowConfig);
+        }
+    });
+    return enabled;
+}
+
+/**
+ * Check windows-config.json against src/schemas/windows-config.schema.json and the controllers of enabled windows
+ * @param {object} config - Parsed windows-config.json
+ * @returns {Array<string>} Problems found, empty when the config can be used
+ */
+function validateWindowsConfig(config) {
+    return validateConfigFile('windows-config.json', config);
+}
+
+/**
+ * Entry without the options main.js can apply to an open wheel
+ */
+function withoutLiveOptions(windowConfig) {
+    const options = { ...windowConfig.options };
+    LIVE_WHEEL_OPTIONS.forEach(key => delete options[key]);
+    return { ...windowConfig, options };
+}
+
+/**
+ * Work out what changed between two versions of windows-config.json
+ * Only enabled entries count. A wheel whose only changes are its options, wheelApplication or
+ * rateLimits is updated in place; any other change to an entry (or to "defaults") reopens it.
+ * @param {object} previous - windows-config.json as it was applied
+ * @param {object} next - windows-config.json as it is now
+ * @returns {{opened: Array<object>, closed: Array<string>, reopened: Array<object>, updated: Array<object>}}
+ *          Entries of `next` to open, reopen and update, and ids of windows to close
+ */
+function diffWindowConfigs(previous, next) {
+    const before = getEnabledWindows(previous);
+    const after = getEnabledWindows(next);
+    const defaultsChanged = JSON.stringify(previous?.defaults || {}) !== JSON.stringify(next?.defaults || {});
+    const diff = { opened: [], closed: [], reopened: [], updated: [] };
+
+    before.forEach((windowConfig, id) => {
+        if (!after.has(id)) {
+            diff.closed.push(id);
+        }
+    });
+    after.forEach((windowConfig, id) => {
+        const old = before.get(id);
+        if (!old) {
+            diff.opened.push(windowConfig);
+        } else if (defaultsChanged) {
+            diff.reopened.push(windowConfig);
+        } else if (JSON.stringify(old) === JSON.stringify(windowConfig)) {
+            return;
+        } else if (getWindowType(old) === 'wheel' && getWindowType(windowConfig) === 'wheel'
+            && JSON.stringify(withoutLiveOptions(old)) === JSON.stringify(withoutLiveOptions(windowConfig))) {
+            diff.updated.push(windowConfig);
+        } else {
+            diff.reopened.push(windowConfig);
+        }
+    });
+    return diff;
+}
+
+module.exports = {
+    LIVE_WHEEL_OPTIONS,
+    getWindowType,
+    getEnabledWindows,
+    validateWindowsConfig,
+    diffWindowConfigs
+};
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the chat bot's spin and action announcements.
+ * Run: node test/chat-announcer.test.js
+ * No Electron required.
+ */
+
+const { ChatAnnouncer } = require('../src/chat-announcer.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+console.log('\nChat announcer tests\n');
+
+function recorder() {
+  const sent = [];
+  return { sent, say: (message) => sent.push(message) };
+}
+
+test('announces spin results with the default template', () => {
+  const chat = recorder();
+  const announcer = new ChatAnnouncer({}, chat.say);
+  announcer.announce('spinResult', { user: 'viewer', option: 'Spawn Dragons', position: 3 });
+  assertEqual(chat.sent, ['@viewer spun: Spawn Dragons — queued #3']);
+});
+
+test('action successes are off and failures on by default', () => {
+  const chat = recorder();
+  const announcer = new ChatAnnouncer(undefined, chat.say);
+  assertEqual(announcer.announce('actionSucceeded', { user: 'viewer', option: 'Save File' }), null);
+  announcer.announce('actionFailed', { user: 'viewer', option: 'Save File', error: 'Timed out' });
+  assertEqual(chat.sent, ['Save File failed for @viewer: Timed out']);
+});
+
+test('config switches events and replaces templates', () => {
+  const chat = recorder();
+  const announcer = new ChatAnnouncer({
+    spinResult: false,
+    actionSucceeded: { enabled: true, template: '{option} ran on {queue}' },
+    actionFailed: { enabled: false }
+  }, chat.say);
+  assertEqual(announcer.announce('spinResult', { user: 'viewer', option: 'X', position: 1 }), null);
+  assertEqual(announcer.announce('actionFailed', { option: 'X', error: 'boom' }), null);
+  announcer.announce('actionSucceeded', { option: 'X', queue: 'Notepad-pythonkeys' });
+  assertEqual(chat.sent, ['X ran on Notepad-pythonkeys']);
+});
+
+test('blank templates and unknown events fall back or are ignored', () => {
+  const announcer = new ChatAnnouncer({ spinResult: { template: '  ' }, other: true });
+  assertEqual(announcer.render('spinResult', { user: 'a', option: 'B', position: 2 }), '@a spun: B — queued #2');
+  assertEqual(announcer.render('other', {}), null);
+});
+
+test('missing values are left empty and unknown placeholders kept', () => {
+  const announcer = new ChatAnnouncer({ actionFailed: { template: '{option} failed: {error} {unknown}' } });
+  assertEqual(announcer.render('actionFailed', { option: 'X', error: undefined }), 'X failed: {unknown}');
+});
+
+test('long messages are cut to the Twitch limit', () => {
+  const announcer = new ChatAnnouncer();
+  const message = announcer.render('actionFailed', { user: 'a', option: 'X', error: 'e'.repeat(600) });
+  assertEqual(message.length, 500);
+  assertEqual(message.endsWith('…'), true);
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for the Twitch chat command registry.
+ * Run: node test/chat-commands.test.js
+ * No Electron required.
+ */
+
+const {
+  ChatCommandRegistry,
+  getPermissionLevel,
+  hasPermission,
+  fillPlaceholders,
+} = require('../src/chat-commands.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+// Keep the "skipping command" warnings out of the test output
+console.warn = () => {};
+
+console.log('\nChat command tests\n');
+
+const NOW = 1700000000000;
+const VIEWER = { username: 'viewer' };
+const MOD = { username: 'mod', mod: true, badges: { moderator: '1' } };
+
+test('default registry only knows !spin', () => {
+  const registry = new ChatCommandRegistry();
+  assertEqual(registry.match('!spin', VIEWER, NOW).action, { type: 'spin' });
+  assertEqual(registry.match('!SPIN', VIEWER, NOW).action, { type: 'spin' });
+  assertEqual(registry.match('!other', VIEWER, NOW), null);
+  assertEqual(registry.match('hello !spin', VIEWER, NOW), null);
+});
+
+test('parse splits name and arguments', () => {
+  const registry = new ChatCommandRegistry([]);
+  assertEqual(registry.parse('!Press  red   now'), { name: 'press', args: ['red', 'now'] });
+  assertEqual(registry.parse('!'), null);
+  assertEqual(registry.parse('press'), null);
+});
+
+test('aliases resolve to the same command', () => {
+  const registry = new ChatCommandRegistry([
+    { name: 'spin', aliases: ['Wheel', 'go'], action: { type: 'spin', wheel: 'wheel' } }
+  ]);
+  assertEqual(registry.match('!wheel', VIEWER, NOW).command.name, 'spin');
+  assertEqual(registry.match('!go', VIEWER, NOW).command.name, 'spin');
+  assertEqual(registry.list().length, 1);
+});
+
+test('invalid definitions are skipped', () => {
+  const registry = new ChatCommandRegistry([
+    { name: 'two words', action: { type: 'reply', text: 'x' } },
+    { name: 'nope', action: { type: 'explode' } },
+    { name: 'press', action: { type: 'button', window: 'sticky' } },
+    { name: 'role', permission: 'admin', action: { type: 'spin' } },
+    { name: 'ok', action: { type: 'reply', text: 'hi' } }
+  ]);
+  assertEqual(registry.list().map(command => command.name), ['ok']);
+  assertEqual(ChatCommandRegistry.validate({ name: 'press', action: { type: 'button', window: 'sticky' } }), 'action "button" needs buttonId');
+});
+
+test('permission levels come from tags and badges', () => {
+  assertEqual(getPermissionLevel({}), 'everyone');
+  assertEqual(getPermissionLevel({ subscriber: true }), 'subscriber');
+  assertEqual(getPermissionLevel({ badges: { founder: '0' } }), 'subscriber');
+  assertEqual(getPermissionLevel({ badges: { vip: '1' } }), 'vip');
+  assertEqual(getPermissionLevel(MOD), 'moderator');
+  assertEqual(getPermissionLevel({ badges: { broadcaster: '1' } }), 'broadcaster');
+  assertEqual(hasPermission('vip', MOD), true);
+  assertEqual(hasPermission('moderator', { badges: { vip: '1' } }), false);
+});
+
+test('commands above the chatter\'s level are rejected', () => {
+  const registry = new ChatCommandRegistry([
+    { name: 'save', permission: 'moderator', action: { type: 'option', option: 'Save File' } }
+  ]);
+  const rejected = registry.match('!save', VIEWER, NOW);
+  assertEqual(rejected.rejected, { reason: 'permission', message: '!save is for moderators only' });
+  assertEqual(registry.match('!save', MOD, NOW).action, { type: 'option', option: 'Save File' });
+});
+
+test('arguments fill placeholders and minArgs replies with usage', () => {
+  const registry = new ChatCommandRegistry([
+    { name: 'press', minArgs: 1, usage: '!press <button>', action: { type: 'button', window: 'sticky', buttonId: '{1}' } },
+    { name: 'hi', action: { type: 'reply', text: 'Hello {user}: {args}' } }
+  ]);
+  assertEqual(registry.match('!press', VIEWER, NOW).rejected.message, 'Usage: !press <button>');
+  assertEqual(registry.match('!press red', VIEWER, NOW).action, { type: 'button', window: 'sticky', buttonId: 'red' });
+  assertEqual(registry.match('!hi a b', { username: 'viewer', 'display-name': 'Viewer' }, NOW).action.text, 'Hello Viewer: a b');
+  assertEqual(fillPlaceholders({ list: ['{2}', 3] }, { user: 'u', args: ['a'] }), { list: ['', 3] });
+});
+
+test('command and per-user cooldowns', () => {
+  const registry = new ChatCommandRegistry([
+    { name: 'spin', cooldown: '10s', userCooldown: '60s', action: { type: 'spin' } }
+  ]);
+  assertEqual(registry.match('!spin', { username: 'a' }, NOW).action.type, 'spin');
+  const global = registry.match('!spin', { username: 'b' }, NOW + 4000).rejected;
+  assertEqual(global.reason, 'cooldown');
+  assertEqual(global.message, '!spin is on cooldown (6s left)');
+  assertEqual(registry.match('!spin', { username: 'b' }, NOW + 10000).action.type, 'spin');
+  const perUser = registry.match('!spin', { username: 'A' }, NOW + 30000).rejected;
+  assertEqual(perUser.message, 'You can\'t use !spin again yet (30s left)');
+  assertEqual(registry.match('!spin', { username: 'a' }, NOW + 60000).action.type, 'spin');
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);
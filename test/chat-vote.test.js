@@ -0,0 +1,87 @@
+/**
+ * Unit tests for the wheel's chat vote.
+ * Run: node test/chat-vote.test.js
+ * No Electron required.
+ */
+
+const ChatVote = require('../src/chat-vote.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+console.log('\nChat vote tests\n');
+
+const NOW = 1700000000000;
+
+test('parseVote reads the choice number', () => {
+  assertEqual(ChatVote.parseVote('!vote 2'), 2);
+  assertEqual(ChatVote.parseVote('!VOTE  #3 please'), 3);
+  assertEqual(ChatVote.parseVote('!vote'), null);
+  assertEqual(ChatVote.parseVote('!vote two'), null);
+  assertEqual(ChatVote.parseVote('vote 1'), null);
+  assertEqual(ChatVote.parseVote('!voter 1'), null);
+});
+
+test('counts one vote per viewer and lets them change it', () => {
+  const vote = new ChatVote(['Dragons', 'Fire'], 30000, NOW);
+  assertEqual(vote.cast('alice', 1, NOW + 1000), true);
+  assertEqual(vote.cast('Bob', 2, NOW + 2000), true);
+  assertEqual(vote.cast('ALICE', 2, NOW + 3000), true);
+  assertEqual(vote.getTally(NOW + 5000), {
+    choices: [{ option: 'Dragons', votes: 0 }, { option: 'Fire', votes: 2 }],
+    totalVotes: 2,
+    remainingMs: 25000
+  });
+});
+
+test('ignores unknown choices and votes after the end', () => {
+  const vote = new ChatVote(['A', 'B'], 10000, NOW);
+  assertEqual(vote.cast('a', 0, NOW), false);
+  assertEqual(vote.cast('a', 3, NOW), false);
+  assertEqual(vote.cast('a', 1.5, NOW), false);
+  assertEqual(vote.cast('a', 1, NOW + 10000), false);
+  assertEqual(vote.getTally(NOW).totalVotes, 0);
+});
+
+test('most votes wins', () => {
+  const vote = new ChatVote(['A', 'B', 'C'], 10000, NOW);
+  vote.cast('a', 3, NOW);
+  vote.cast('b', 3, NOW);
+  vote.cast('c', 1, NOW);
+  const result = vote.getResult(() => 0);
+  assertEqual([result.winnerIndex, result.winner, result.tie, result.totalVotes], [2, 'C', false, 3]);
+});
+
+test('ties and empty votes are decided between the leaders', () => {
+  const vote = new ChatVote(['A', 'B', 'C'], 10000, NOW);
+  vote.cast('a', 1, NOW);
+  vote.cast('b', 3, NOW);
+  assertEqual(vote.getResult(() => 0).winner, 'A');
+  assertEqual(vote.getResult(() => 0.99).winner, 'C');
+  assertEqual(vote.getResult(() => 0.99).tie, true);
+  const empty = new ChatVote(['A', 'B'], 10000, NOW);
+  assertEqual(empty.getResult(() => 0.6).winner, 'B');
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);
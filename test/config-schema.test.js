@@ -0,0 +1,104 @@
+/**
+ * Unit tests for config file validation against the JSON Schemas.
+ * Run: node test/config-schema.test.js
+ * No Electron required.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listControllers, validateConfigFile, validateControllerConfigs } = require('../src/config-schema.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+const root = path.join(__dirname, '..');
+const readJson = file => JSON.parse(fs.readFileSync(path.join(root, file), 'utf-8'));
+
+console.log('\nConfig schema tests\n');
+
+test('wrong types name the path of the value', () => {
+  assertEqual(validateConfigFile('wheel-options.json', [{ name: 'A', weight: 'heavy' }, { name: 2 }]), [
+    '[0].weight: must be a number',
+    '[1].name: must be a string'
+  ]);
+  assertEqual(validateConfigFile('wheel-options.json', [{ description: 'no name' }]), ['[0]: missing "name"']);
+});
+
+test('unknown properties suggest the one that was meant', () => {
+  assertEqual(validateConfigFile('windows-config.json', { windows: [{ id: 'a', html: 'a.html', enabeld: true, colour: 1 }] }), [
+    'windows[0].enabeld: unknown property (did you mean "enabled"?)',
+    'windows[0].colour: unknown property'
+  ]);
+});
+
+test('durations accept milliseconds or a unit string', () => {
+  assertEqual(validateConfigFile('wheel-options.json', [{ name: 'A', cooldown: '30s' }, { name: 'B', cooldown: 500 }]), []);
+  const errors = validateConfigFile('wheel-options.json', [{ name: 'A', cooldown: 'soon' }]);
+  assertEqual(errors.length, 1);
+  assertEqual(errors[0].startsWith('[0].cooldown: "soon" is not in the expected format'), true, errors[0]);
+});
+
+test('wheel-options.json may be a list or an object, and is checked as the form it has', () => {
+  assertEqual(validateConfigFile('wheel-options.json', { options: [{ name: 'A' }], submissionTemplates: [] }), []);
+  assertEqual(validateConfigFile('wheel-options.json', { options: {} }), ['options: must be a list']);
+  assertEqual(validateConfigFile('wheel-options.json', 'A'), ['(top level): must be a list or an object']);
+});
+
+test('options must name an existing controller', () => {
+  const controllers = listControllers();
+  assertEqual(controllers.includes('pythonkeys'), true);
+  assertEqual(validateControllerConfigs([{ name: 'A', controller: 'PythonKeys', config: { value: 'F1' } }], 'options'), []);
+  assertEqual(validateControllerConfigs([{ name: 'A', controller: 'AutoHotkey' }], 'options'), [
+    `options[0].controller: unknown controller "AutoHotkey" (available: ${controllers.join(', ')})`
+  ]);
+});
+
+test('option config is checked against the controller schema', () => {
+  assertEqual(validateConfigFile('wheel-options.json', [{ name: 'A', controller: 'pythonkeys', config: { value: '' } }]), [
+    '[0].config.value: must not be empty'
+  ]);
+  assertEqual(validateConfigFile('wheel-options.json', [{ name: 'A', controller: 'pythonkeys' }]), ['[0].config: missing "value"']);
+});
+
+test('controllers of disabled windows are not checked', () => {
+  const windowConfig = { id: 'w', html: 'w.html', options: { wheel: [{ name: 'A', controller: 'nope' }] } };
+  assertEqual(validateConfigFile('windows-config.json', { windows: [windowConfig] }), []);
+  assertEqual(validateConfigFile('windows-config.json', { windows: [{ ...windowConfig, enabled: true }] }).length, 1);
+});
+
+test('the config files in the repo are valid', () => {
+  assertEqual(validateConfigFile('windows-config.json', readJson('windows-config.json')), []);
+  fs.readdirSync(path.join(root, 'src', 'applications'), { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach((entry) => {
+      ['wheel-options.json', 'controller-options.json'].forEach((fileName) => {
+        const file = path.join('src', 'applications', entry.name, 'config', fileName);
+        if (fs.existsSync(path.join(root, file))) {
+          assertEqual(validateConfigFile(fileName, readJson(file)), [], `${file} has problems`);
+        }
+      });
+    });
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);
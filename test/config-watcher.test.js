@@ -0,0 +1,113 @@
+/**
+ * Unit tests for the config file watcher.
+ * Run: node test/config-watcher.test.js
+ * No Electron required (uses a temporary directory).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigWatcher = require('../src/config-watcher.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-watcher-test-'));
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+console.log = ((log) => (...args) => { if (!String(args[0]).startsWith('[ConfigWatcher]')) log(...args); })(console.log);
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Watcher on a fresh file that records what it reports
+ */
+function createWatched(name, content, validate) {
+  const file = path.join(tempDir, name);
+  fs.writeFileSync(file, content);
+  const watcher = new ConfigWatcher({ debounceMs: 20 });
+  const events = [];
+  watcher.on('changed', ({ data }) => events.push({ changed: data }));
+  watcher.on('invalid', ({ errors }) => events.push({ invalid: errors }));
+  watcher.watch(file, validate);
+  return { file, watcher, events };
+}
+
+async function run() {
+  console.log('\nConfig watcher tests\n');
+
+  await test('reports new content once it changes', async () => {
+    const { file, watcher, events } = createWatched('a.json', '{"windows":[]}');
+    assertEqual(watcher.check(file), false);
+    fs.writeFileSync(file, '{"windows":[1]}');
+    assertEqual(watcher.check(file), true);
+    assertEqual(watcher.check(file), false);
+    assertEqual(events, [{ changed: { windows: [1] } }]);
+    watcher.close();
+  });
+
+  await test('broken JSON and failed validation are reported as invalid', async () => {
+    const validate = data => (Array.isArray(data.windows) ? [] : ['"windows" must be a list']);
+    const { file, watcher, events } = createWatched('b.json', '{"windows":[]}', validate);
+    fs.writeFileSync(file, '{"windows":');
+    watcher.check(file);
+    fs.writeFileSync(file, '{"windows":{}}');
+    watcher.check(file);
+    fs.writeFileSync(file, '{"windows":[]}');
+    watcher.check(file);
+    assertEqual(events.map(event => Object.keys(event)[0]), ['invalid', 'invalid', 'changed']);
+    assertEqual(events[1].invalid, ['"windows" must be a list']);
+    watcher.close();
+  });
+
+  await test('a deleted file keeps the current config', async () => {
+    const { file, watcher, events } = createWatched('c.json', '{}');
+    fs.unlinkSync(file);
+    assertEqual(watcher.check(file), false);
+    assertEqual(events, []);
+    watcher.close();
+  });
+
+  await test('writes the app made itself are not reported after refresh', async () => {
+    const { file, watcher, events } = createWatched('d.json', '{}');
+    fs.writeFileSync(file, '{"saved":true}');
+    watcher.refresh(file);
+    assertEqual(watcher.check(file), false);
+    assertEqual(events, []);
+    watcher.close();
+  });
+
+  await test('a burst of writes on disk is reported once', async () => {
+    const { file, watcher, events } = createWatched('e.json', '{"n":0}');
+    for (let n = 1; n <= 3; n++) {
+      fs.writeFileSync(file, `{"n":${n}}`);
+    }
+    await wait(500);
+    assertEqual(events, [{ changed: { n: 3 } }]);
+    watcher.close();
+  });
+}
+
+run().then(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+  process.exit(failed > 0 ? 1 : 0);
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for channel point / bits actions: the reward mapping and the EventSub client
+ * against the local mock server (test/mock-eventsub-server.js).
+ * Run: node --experimental-websocket test/eventsub.test.js
+ * (Node 22+ has WebSocket built in; the flag is only needed on Node 20/21.)
+ * No Electron required.
+ */
+
+const RedemptionRouter = require('../src/twitch-redemptions.js');
+const EventSubClient = require('../src/eventsub.js');
+const MockEventSubServer = require('./mock-eventsub-server.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+/**
+ * Resolve with the first emitted event, or reject after a timeout
+ */
+function nextEvent(emitter, eventName, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for "${eventName}"`)), timeoutMs);
+    emitter.once(eventName, (value) => {
+      clearTimeout(timer);
+      resolve(value);
+    });
+  });
+}
+
+/**
+ * Poll until a condition holds
+ */
+async function waitFor(condition, timeoutMs = 3000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Keep client logging out of the test output
+console.log = ((log) => (...args) => { if (!String(args[0]).startsWith('[EventSub]')) log(...args); })(console.log);
+console.warn = () => {};
+
+const ROUTER_CONFIG = {
+  rewards: [
+    { rewardId: 'reward-spin', action: { type: 'spin' } },
+    { title: 'Run Option', action: { type: 'option', option: '{input}' } },
+    { rewardId: 'broken', action: { type: 'option' } }
+  ],
+  bits: [
+    { minBits: 100, action: { type: 'spin' } },
+    { minBits: 1000, action: { type: 'reply', text: 'Thanks {user}!' } }
+  ]
+};
+
+async function run() {
+  console.log('\nEventSub tests\n');
+
+  await test('rewards match by id, then by title; invalid mappings are skipped', () => {
+    const router = new RedemptionRouter(ROUTER_CONFIG);
+    assertEqual(router.rewards.length, 2);
+    assertEqual(router.resolveRedemption({ reward: { id: 'reward-spin', title: 'x' }, user_name: 'V' }), { type: 'spin' });
+    assertEqual(
+      router.resolveRedemption({ reward: { id: 'other', title: 'run option' }, user_name: 'V', user_input: ' Save File ' }),
+      { type: 'option', option: 'Save File' }
+    );
+    assertEqual(router.resolveRedemption({ reward: { id: 'unknown', title: 'Hydrate' } }), null);
+  });
+
+  await test('cheers use the highest threshold reached', () => {
+    const router = new RedemptionRouter(ROUTER_CONFIG);
+    assertEqual(router.resolveCheer({ bits: 50 }), null);
+    assertEqual(router.resolveCheer({ bits: 150, user_name: 'V' }), { type: 'spin' });
+    assertEqual(router.resolveCheer({ bits: 5000, user_name: 'V' }), { type: 'reply', text: 'Thanks V!' });
+    assertEqual(router.resolveCheer({ bits: 1000, is_anonymous: true }), { type: 'reply', text: 'Thanks Anonymous!' });
+  });
+
+  await test('a redemption is settled once', () => {
+    const router = new RedemptionRouter();
+    assertEqual(router.hasMappings(), false);
+    assertEqual(router.settle({ redemptionId: 'r1' }, true), 'FULFILLED');
+    assertEqual(router.settle({ redemptionId: 'r1' }, false), null);
+    assertEqual(router.settle({ redemptionId: 'r2' }, false), 'CANCELED');
+  });
+
+  if (typeof WebSocket === 'undefined') {
+    failed++;
+    console.error('  ✗ EventSub client tests need WebSocket (run with --experimental-websocket on Node 20/21)');
+    return;
+  }
+
+  const server = new MockEventSubServer({ broadcasterId: '42' });
+  const { wsUrl, apiBase } = await server.start();
+  const client = new EventSubClient({ clientId: 'client-id', getToken: () => 'oauth:token', wsUrl, apiBase });
+  client.on('error', () => {});
+
+  try {
+    await test('connects and subscribes to redemptions and cheers for the token user', async () => {
+      const connected = nextEvent(client, 'connected');
+      client.connect();
+      const sessionId = await connected;
+      assertEqual(client.broadcasterId, '42');
+      assertEqual(server.subscriptions.map(sub => [sub.type, sub.condition.broadcaster_user_id, sub.transport.session_id]), [
+        ['channel.channel_points_custom_reward_redemption.add', '42', sessionId],
+        ['channel.cheer', '42', sessionId]
+      ]);
+      assertEqual(server.requests[0].headers.authorization, 'Bearer token');
+    });
+
+    await test('notifications are emitted as redemption and cheer events', async () => {
+      const redemption = nextEvent(client, 'redemption');
+      const id = server.redeem({ rewardId: 'reward-spin', user: 'Viewer', input: 'hi' });
+      const event = await redemption;
+      assertEqual([event.id, event.reward.id, event.user_name, event.user_input], [id, 'reward-spin', 'Viewer', 'hi']);
+
+      const cheer = nextEvent(client, 'cheer');
+      server.cheer({ bits: 250, user: 'Viewer' });
+      assertEqual((await cheer).bits, 250);
+    });
+
+    await test('redemptions are marked fulfilled or canceled', async () => {
+      await client.updateRedemptionStatus({ rewardId: 'reward-spin', redemptionId: 'abc' }, 'FULFILLED');
+      await client.updateRedemptionStatus({ rewardId: 'reward-spin', redemptionId: 'def' }, 'CANCELED');
+      assertEqual(server.redemptionUpdates, [
+        { id: 'abc', broadcasterId: '42', rewardId: 'reward-spin', status: 'FULFILLED' },
+        { id: 'def', broadcasterId: '42', rewardId: 'reward-spin', status: 'CANCELED' }
+      ]);
+    });
+
+    await test('session_reconnect moves to the new socket without resubscribing', async () => {
+      const oldSession = client.sessionId;
+      const connected = nextEvent(client, 'connected');
+      server.requestReconnect();
+      const newSession = await connected;
+      assertEqual(newSession !== oldSession, true);
+      assertEqual(server.subscriptions.length, 2);
+      await waitFor(() => server.sessions.size === 1);
+
+      const redemption = nextEvent(client, 'redemption');
+      server.redeem({ rewardId: 'reward-spin' });
+      assertEqual((await redemption).reward.id, 'reward-spin');
+    });
+
+    await test('a dropped socket reconnects and subscribes again', async () => {
+      const disconnected = nextEvent(client, 'disconnected');
+      const connected = nextEvent(client, 'connected');
+      server.sessions.forEach(session => session.socket.destroy());
+      await disconnected;
+      await connected;
+      assertEqual(server.subscriptions.length, 4);
+    });
+
+    await test('disconnect() closes the session for good', async () => {
+      client.disconnect();
+      await waitFor(() => server.sessions.size === 0);
+      assertEqual(client.socket, null);
+    });
+  } finally {
+    client.disconnect();
+    await server.stop();
+  }
+}
+
+run().then(() => {
+  console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+  process.exit(failed > 0 ? 1 : 0);
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for queue item execution policies (timeout, retries, backoff).
+ * Run: node test/execution-policy.test.js
+ * No Electron required.
+ */
+
+const {
+  DEFAULT_EXECUTION_POLICY,
+  resolveExecutionPolicy,
+  getRetryDelay,
+} = require('../src/views/shared/execution-policy.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+console.log('\nExecution policy tests\n');
+
+const applicationConfigs = {
+  simpleplanes: {
+    controllers: {
+      PythonKeys: { executionPolicy: { timeoutMs: 5000, retries: 2 } }
+    }
+  }
+};
+
+// --- resolveExecutionPolicy ---
+test('resolveExecutionPolicy: unknown application uses defaults', () => {
+  assertEqual(resolveExecutionPolicy({ application: 'other', controller: 'pythonkeys' }, applicationConfigs), DEFAULT_EXECUTION_POLICY);
+  assertEqual(resolveExecutionPolicy(), DEFAULT_EXECUTION_POLICY);
+});
+
+test('resolveExecutionPolicy: controller options override defaults (case-insensitive)', () => {
+  const policy = resolveExecutionPolicy({ application: 'SimplePlanes', controller: 'pythonkeys' }, applicationConfigs);
+  assertEqual(policy.timeoutMs, 5000);
+  assertEqual(policy.retries, 2);
+  assertEqual(policy.retryBackoffMs, DEFAULT_EXECUTION_POLICY.retryBackoffMs);
+});
+
+test('resolveExecutionPolicy: item policy overrides controller options', () => {
+  const policy = resolveExecutionPolicy({
+    application: 'simpleplanes',
+    controller: 'pythonkeys',
+    executionPolicy: { retries: 0, timeoutMs: 0 }
+  }, applicationConfigs);
+  assertEqual(policy.retries, 0);
+  assertEqual(policy.timeoutMs, 0);
+});
+
+test('resolveExecutionPolicy: invalid values are ignored, retries are floored', () => {
+  const policy = resolveExecutionPolicy({
+    executionPolicy: { timeoutMs: -1, retries: 2.7, retryBackoffMs: 'soon', unknown: 5 }
+  });
+  assertEqual(policy.timeoutMs, DEFAULT_EXECUTION_POLICY.timeoutMs);
+  assertEqual(policy.retries, 2);
+  assertEqual(policy.retryBackoffMs, DEFAULT_EXECUTION_POLICY.retryBackoffMs);
+  assertEqual(policy.unknown, undefined);
+});
+
+// --- getRetryDelay ---
+test('getRetryDelay: grows by the multiplier and is capped', () => {
+  const policy = { ...DEFAULT_EXECUTION_POLICY, retryBackoffMs: 1000, retryBackoffMultiplier: 3, maxRetryBackoffMs: 5000 };
+  assertEqual([1, 2, 3].map(n => getRetryDelay(policy, n)), [1000, 3000, 5000]);
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,338 @@
+/**
+ * Local mock of Twitch EventSub (WebSocket transport) and the Helix endpoints EventSubClient uses.
+ * Used by test/eventsub.test.js, and runnable on its own to try rewards/bits against the app:
+ *
+ *   node test/mock-eventsub-server.js [port]
+ *   then start the app with TWITCH_EVENTSUB_WS_URL and TWITCH_API_BASE as printed, and type:
+ *     redeem <reward id or title> <user> [input...]
+ *     cheer <bits> <user> [message...]
+ *     reconnect
+ *     updates
+ *
+ * Only what the client needs is implemented: text frames, close and ping from the client,
+ * GET /users, POST /eventsub/subscriptions and PATCH /channel_points/custom_rewards/redemptions.
+ * No dependencies.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Encode a server-to-client frame (never masked)
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode complete client frames from a buffer
+ * @returns {{frames: Array<{opcode: number, payload: Buffer}>, rest: Buffer}}
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let position = offset + 2;
+        if (length === 126) {
+            if (buffer.length < position + 2) break;
+            length = buffer.readUInt16BE(position);
+            position += 2;
+        } else if (length === 127) {
+            if (buffer.length < position + 8) break;
+            length = Number(buffer.readBigUInt64BE(position));
+            position += 8;
+        }
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < position + maskLength + length) break;
+        const mask = masked ? buffer.subarray(position, position + 4) : null;
+        position += maskLength;
+        const payload = Buffer.from(buffer.subarray(position, position + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+        frames.push({ opcode, payload });
+        offset = position + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+class MockEventSubServer {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.broadcasterId='1234'] - Returned by GET /users
+     * @param {number} [options.keepaliveSeconds=10] - Announced in the welcome (keepalives are sent at this interval)
+     */
+    constructor(options = {}) {
+        this.broadcasterId = options.broadcasterId || '1234';
+        this.keepaliveSeconds = options.keepaliveSeconds || 10;
+        this.server = null;
+        this.sessions = new Map(); // session id -> { socket, keepaliveTimer }
+        this.subscriptions = []; // POST /eventsub/subscriptions bodies
+        this.redemptionUpdates = []; // { id, broadcasterId, rewardId, status }
+        this.requests = []; // { method, path, headers }
+    }
+
+    /**
+     * Start listening
+     * @param {number} [port=0] - 0 picks a free port
+     * @returns {Promise<{wsUrl: string, apiBase: string}>}
+     */
+    start(port = 0) {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+        return new Promise((resolve) => {
+            this.server.listen(port, '127.0.0.1', () => {
+                const address = this.server.address();
+                this.wsUrl = `ws://127.0.0.1:${address.port}/ws`;
+                this.apiBase = `http://127.0.0.1:${address.port}/helix`;
+                resolve({ wsUrl: this.wsUrl, apiBase: this.apiBase });
+            });
+        });
+    }
+
+    /**
+     * Close every session and stop listening
+     */
+    stop() {
+        this.sessions.forEach((session) => {
+            clearInterval(session.keepaliveTimer);
+            session.socket.destroy();
+        });
+        this.sessions.clear();
+        return new Promise((resolve) => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            this.requests.push({ method: req.method, path: url.pathname + url.search, headers: req.headers });
+            const reply = (status, data) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(data === undefined ? '' : JSON.stringify(data));
+            };
+
+            if (!/^Bearer \S+$/.test(req.headers.authorization || '') || !req.headers['client-id']) {
+                return reply(401, { error: 'Unauthorized', status: 401, message: 'Missing token or client id' });
+            }
+
+            if (req.method === 'GET' && url.pathname === '/helix/users') {
+                return reply(200, { data: [{ id: this.broadcasterId, login: 'mockstreamer', display_name: 'MockStreamer' }] });
+            }
+            if (req.method === 'POST' && url.pathname === '/helix/eventsub/subscriptions') {
+                const subscription = JSON.parse(body || '{}');
+                if (!this.sessions.has(subscription.transport?.session_id)) {
+                    return reply(400, { error: 'Bad Request', status: 400, message: 'unknown session' });
+                }
+                this.subscriptions.push(subscription);
+                return reply(202, { data: [{ id: crypto.randomUUID(), status: 'enabled', ...subscription }] });
+            }
+            if (req.method === 'PATCH' && url.pathname === '/helix/channel_points/custom_rewards/redemptions') {
+                const update = {
+                    id: url.searchParams.get('id'),
+                    broadcasterId: url.searchParams.get('broadcaster_id'),
+                    rewardId: url.searchParams.get('reward_id'),
+                    status: JSON.parse(body || '{}').status
+                };
+                this.redemptionUpdates.push(update);
+                return reply(200, { data: [{ id: update.id, status: update.status }] });
+            }
+            reply(404, { error: 'Not Found', status: 404 });
+        });
+    }
+
+    handleUpgrade(req, socket) {
+        const key = req.headers['sec-websocket-key'];
+        if (!key) {
+            socket.destroy();
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+        const sessionId = crypto.randomUUID();
+        const session = { socket, keepaliveTimer: null };
+        this.sessions.set(sessionId, session);
+
+        // Reconnect URLs carry the old session id so its subscriptions move over, as on Twitch
+        const fromSessionId = new URL(req.url, 'http://localhost').searchParams.get('reconnect');
+        if (fromSessionId) {
+            this.migrateSubscriptions(fromSessionId, sessionId);
+        }
+
+        let pending = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+            pending = rest;
+            frames.forEach(({ opcode, payload }) => {
+                if (opcode === 0x8) {
+                    socket.end(encodeFrame(0x8, payload.subarray(0, 2)));
+                } else if (opcode === 0x9) {
+                    socket.write(encodeFrame(0xA, payload));
+                }
+            });
+        });
+        const cleanUp = () => {
+            clearInterval(session.keepaliveTimer);
+            this.sessions.delete(sessionId);
+        };
+        socket.on('close', cleanUp);
+        socket.on('error', cleanUp);
+
+        this.send(sessionId, 'session_welcome', {
+            session: {
+                id: sessionId,
+                status: 'connected',
+                keepalive_timeout_seconds: this.keepaliveSeconds,
+                reconnect_url: null,
+                connected_at: new Date().toISOString()
+            }
+        });
+        session.keepaliveTimer = setInterval(() => this.send(sessionId, 'session_keepalive', {}), this.keepaliveSeconds * 1000);
+    }
+
+    /**
+     * Send an EventSub message to one session
+     */
+    send(sessionId, messageType, payload, subscriptionType) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return;
+        const metadata = {
+            message_id: crypto.randomUUID(),
+            message_type: messageType,
+            message_timestamp: new Date().toISOString()
+        };
+        if (subscriptionType) {
+            metadata.subscription_type = subscriptionType;
+            metadata.subscription_version = '1';
+        }
+        session.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify({ metadata, payload }))));
+    }
+
+    /**
+     * Deliver a notification to every session subscribed to a type
+     * @returns {number} Number of sessions notified
+     */
+    notify(type, event) {
+        let delivered = 0;
+        this.sessions.forEach((session, sessionId) => {
+            const subscription = this.subscriptions.find(sub => sub.type === type && sub.transport.session_id === sessionId);
+            if (subscription) {
+                this.send(sessionId, 'notification', {
+                    subscription: { id: crypto.randomUUID(), type, version: '1', status: 'enabled', condition: subscription.condition },
+                    event
+                }, type);
+                delivered++;
+            }
+        });
+        return delivered;
+    }
+
+    /**
+     * Simulate a channel point redemption
+     * @param {{rewardId?: string, title?: string, user?: string, input?: string, cost?: number}} options
+     * @returns {string} Redemption id
+     */
+    redeem({ rewardId = 'reward-1', title = 'Spin the wheel', user = 'viewer', input = '', cost = 100 } = {}) {
+        const id = crypto.randomUUID();
+        this.notify('channel.channel_points_custom_reward_redemption.add', {
+            id,
+            broadcaster_user_id: this.broadcasterId,
+            broadcaster_user_login: 'mockstreamer',
+            broadcaster_user_name: 'MockStreamer',
+            user_id: '5678',
+            user_login: user.toLowerCase(),
+            user_name: user,
+            user_input: input,
+            status: 'unfulfilled',
+            reward: { id: rewardId, title, cost, prompt: '' },
+            redeemed_at: new Date().toISOString()
+        });
+        return id;
+    }
+
+    /**
+     * Simulate a cheer
+     * @param {{bits?: number, user?: string, message?: string, anonymous?: boolean}} options
+     */
+    cheer({ bits = 100, user = 'viewer', message = '', anonymous = false } = {}) {
+        this.notify('channel.cheer', {
+            is_anonymous: anonymous,
+            user_id: anonymous ? null : '5678',
+            user_login: anonymous ? null : user.toLowerCase(),
+            user_name: anonymous ? null : user,
+            broadcaster_user_id: this.broadcasterId,
+            broadcaster_user_login: 'mockstreamer',
+            broadcaster_user_name: 'MockStreamer',
+            message: message || `Cheer${bits}`,
+            bits
+        });
+    }
+
+    /**
+     * Ask every session to move to a new connection (session_reconnect)
+     */
+    requestReconnect() {
+        this.sessions.forEach((session, sessionId) => {
+            this.send(sessionId, 'session_reconnect', {
+                session: { id: sessionId, status: 'reconnecting', reconnect_url: `${this.wsUrl}?reconnect=${sessionId}` }
+            });
+        });
+    }
+
+    /**
+     * Move the subscriptions of a session to a new one (what Twitch does on reconnect)
+     */
+    migrateSubscriptions(fromSessionId, toSessionId) {
+        this.subscriptions.forEach(sub => {
+            if (sub.transport.session_id === fromSessionId) sub.transport.session_id = toSessionId;
+        });
+    }
+}
+
+module.exports = MockEventSubServer;
+
+if (require.main === module) {
+    const server = new MockEventSubServer();
+    server.start(Number(process.argv[2]) || 8080).then(({ wsUrl, apiBase }) => {
+        console.log('Mock EventSub server running. Start the app with:');
+        console.log(`  TWITCH_EVENTSUB_WS_URL=${wsUrl}`);
+        console.log(`  TWITCH_API_BASE=${apiBase}`);
+        console.log('Commands: redeem <reward id or title> <user> [input...] | cheer <bits> <user> [message...] | reconnect | updates');
+        require('readline').createInterface({ input: process.stdin }).on('line', (line) => {
+            const [command, first, user, ...rest] = line.trim().split(/\s+/);
+            if (command === 'redeem' && first) {
+                console.log('Redemption', server.redeem({ rewardId: first, title: first, user: user || 'viewer', input: rest.join(' ') }));
+            } else if (command === 'cheer' && first) {
+                server.cheer({ bits: Number(first), user: user || 'viewer', message: rest.join(' ') });
+            } else if (command === 'reconnect') {
+                server.requestReconnect();
+            } else if (command === 'updates') {
+                console.log(server.redemptionUpdates);
+            } else if (command) {
+                console.log('Unknown command');
+            }
+        });
+    });
+}
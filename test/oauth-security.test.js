@@ -0,0 +1,97 @@
+/**
+ * Unit tests for the OAuth callback server's request checks and port list, and log redaction.
+ * Run: node test/oauth-security.test.js
+ * No Electron or express required.
+ */
+
+const { checkCallbackRequest, parsePorts, renderPage, DEFAULT_PORTS } = require('../src/oauth-callback-server.js');
+const { redact, registerSecret, install, REDACTED } = require('../src/log-redaction.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+console.log('\nOAuth security tests\n');
+
+test('redirect navigations to localhost are allowed', () => {
+  assertEqual(checkCallbackRequest({ method: 'GET', host: 'localhost:3001', fetchMode: 'navigate' }, 3001), null);
+  assertEqual(checkCallbackRequest({ method: 'GET', host: '127.0.0.1:3001' }, 3001), null);
+});
+
+test('other methods, hosts and origins are rejected', () => {
+  assert(checkCallbackRequest({ method: 'POST', host: 'localhost:3000' }, 3000), 'POST');
+  assert(checkCallbackRequest({ method: 'GET', host: 'evil.example:3000' }, 3000), 'DNS rebinding host');
+  assert(checkCallbackRequest({ method: 'GET', host: 'localhost:3001' }, 3000), 'other port');
+  assert(checkCallbackRequest({ method: 'GET', host: 'localhost:3000', origin: 'https://evil.example' }, 3000), 'cross origin');
+  assertEqual(checkCallbackRequest({ method: 'GET', host: 'localhost:3000', origin: 'http://localhost:3000' }, 3000), null);
+});
+
+test('requests that are not navigations are rejected', () => {
+  assert(checkCallbackRequest({ method: 'GET', host: 'localhost:3000', fetchMode: 'no-cors' }, 3000), 'image/script tags');
+  assert(checkCallbackRequest({ method: 'GET', host: 'localhost:3000', fetchMode: 'cors' }, 3000), 'fetch');
+});
+
+test('ports come from config, else the registered defaults', () => {
+  assertEqual(parsePorts('3005, 3006 3005'), [3005, 3006]);
+  assertEqual(parsePorts('nope 70000'), DEFAULT_PORTS);
+  assertEqual(parsePorts(undefined), DEFAULT_PORTS);
+});
+
+test('pages escape provider messages', () => {
+  const page = renderPage('Failed', '<script>alert(1)</script>');
+  assert(!page.includes('<script>'), 'script tag escaped');
+});
+
+test('registered secrets are redacted anywhere in a message', () => {
+  registerSecret('oauth:abcdef123456');
+  registerSecret('short');
+  assertEqual(redact('token abcdef123456 in use'), `token ${REDACTED} in use`);
+  assertEqual(redact('a short word'), 'a short word');
+});
+
+test('token-looking values are redacted without registration', () => {
+  assertEqual(redact('password oauth:zzz999yyy'), `password oauth:${REDACTED}`);
+  assertEqual(redact('GET /?code=xyz987&state=s1'), `GET /?code=${REDACTED}&state=s1`);
+  assertEqual(redact('{"accessToken":"t0k3n","login":"me"}'), `{"accessToken":"${REDACTED}","login":"me"}`);
+  assertEqual(redact('Authorization: Bearer 0123456789abcdef'), `Authorization: Bearer ${REDACTED}`);
+  assertEqual(redact('exited with code=1'), 'exited with code=1');
+});
+
+test('installed console methods print redacted text', () => {
+  const printed = [];
+  const fakeConsole = { log: (text) => printed.push(text), info() {}, warn() {}, error: (text) => printed.push(text), debug() {} };
+  install(fakeConsole);
+  fakeConsole.log('[OAuth] token:', 'abcdef123456');
+  fakeConsole.error(new Error('refresh_token=secretvalue failed'));
+  assertEqual(printed[0], `[OAuth] token: ${REDACTED}`);
+  assert(printed[1].includes(`refresh_token=${REDACTED} failed`), 'error messages are redacted');
+  assert(!printed[1].includes('secretvalue'), 'secret not printed');
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for profiles (profiles.json applied on top of windows-config.json).
+ * Run: node test/profiles.test.js
+ * No Electron required.
+ */
+
+const { getProfile, listProfiles, validateProfiles, applyProfile, isApplicationEnabled } = require('../src/profiles.js');
+const { getEnabledWindows } = require('../src/windows-config.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+const windowsConfig = {
+  windows: [
+    { id: 'wheel', type: 'wheel', html: 'src/views/wheel/index.html', enabled: true, options: { wheel: [{ name: 'A' }], wheelApplication: 'notepad' } },
+    { id: 'sticky', html: 'src/views/sticky/index.html', enabled: false, options: { buttons: [] } },
+    { id: 'spinHistory', html: 'src/views/spinHistory/index.html', enabled: true }
+  ]
+};
+
+const profilesConfig = {
+  active: 'skyrim',
+  profiles: {
+    skyrim: { description: 'Skyrim night', windows: ['wheel'], wheels: { wheel: { wheelApplication: 'skyrim' } }, applications: ['Skyrim'] },
+    demo: { windows: ['wheel', 'sticky'], wheels: { wheel: { wheel: [{ name: 'B' }] } } },
+    all: {}
+  }
+};
+
+console.log('\nProfiles tests\n');
+
+test('profiles are listed in file order and found by name', () => {
+  assertEqual(listProfiles(profilesConfig), [
+    { name: 'skyrim', description: 'Skyrim night' },
+    { name: 'demo', description: '' },
+    { name: 'all', description: '' }
+  ]);
+  assertEqual(getProfile(profilesConfig, 'demo'), profilesConfig.profiles.demo);
+  assertEqual(getProfile(profilesConfig, 'missing'), null);
+  assertEqual(getProfile(profilesConfig, 'toString'), null);
+  assertEqual(getProfile(profilesConfig, null), null);
+});
+
+test('a profile enables exactly the windows it names', () => {
+  const enabled = config => Array.from(getEnabledWindows(config).keys());
+  assertEqual(enabled(applyProfile(windowsConfig, profilesConfig.profiles.skyrim)), ['wheel']);
+  assertEqual(enabled(applyProfile(windowsConfig, profilesConfig.profiles.demo)), ['wheel', 'sticky']);
+  assertEqual(enabled(applyProfile(windowsConfig, profilesConfig.profiles.all)), ['wheel', 'spinHistory']);
+  assertEqual(applyProfile(windowsConfig, null), windowsConfig);
+});
+
+test('wheel options of a profile replace those in windows-config.json', () => {
+  const skyrim = applyProfile(windowsConfig, profilesConfig.profiles.skyrim).windows[0];
+  assertEqual(skyrim.options.wheelApplication, 'skyrim');
+  const demo = applyProfile(windowsConfig, profilesConfig.profiles.demo).windows[0];
+  assertEqual(demo.options, { wheel: [{ name: 'B' }] });
+  assertEqual(windowsConfig.windows[0].options.wheelApplication, 'notepad', 'windows-config.json is not changed');
+});
+
+test('entries keep their index', () => {
+  const applied = applyProfile(windowsConfig, profilesConfig.profiles.skyrim);
+  assertEqual(applied.windows.map(windowConfig => windowConfig.id), windowsConfig.windows.map(windowConfig => windowConfig.id));
+});
+
+test('applications are matched case-insensitively; options without one are kept', () => {
+  const profile = profilesConfig.profiles.skyrim;
+  assertEqual(isApplicationEnabled(profile, 'skyrim'), true);
+  assertEqual(isApplicationEnabled(profile, 'Notepad'), false);
+  assertEqual(isApplicationEnabled(profile, undefined), true);
+  assertEqual(isApplicationEnabled(profilesConfig.profiles.all, 'Notepad'), true);
+  assertEqual(isApplicationEnabled(null, 'Notepad'), true);
+});
+
+test('problems name the profile and the window', () => {
+  assertEqual(validateProfiles(profilesConfig, windowsConfig), []);
+  assertEqual(validateProfiles({ active: 'nope', profiles: { a: { windows: ['wheel', 'gone'], wheels: { sticky: {} } } } }, windowsConfig), [
+    'active: unknown profile "nope" (available: a)',
+    'profiles.a.windows[1]: no window "gone" in windows-config.json',
+    'profiles.a.wheels.sticky: no wheel "sticky" in windows-config.json'
+  ]);
+  assertEqual(validateProfiles({ profiles: { a: { windos: [] } } }, windowsConfig), [
+    'profiles.a.windos: unknown property (did you mean "windows"?)'
+  ]);
+  assertEqual(validateProfiles({ profiles: { a: { wheels: { wheel: { wheel: [{ name: 'X', controller: 'nope' }] } } } } }, windowsConfig).length, 1);
+});
+
+test('the profiles.json in the repo is valid', () => {
+  assertEqual(validateProfiles(require('../profiles.json'), require('../windows-config.json')), []);
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);
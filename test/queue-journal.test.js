@@ -0,0 +1,113 @@
+/**
+ * Unit tests for the durable queue journal.
+ * Run: node test/queue-journal.test.js
+ * No Electron required (uses a temporary directory).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QueueJournal = require('../src/views/shared/queue-journal.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-journal-test-'));
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+console.log('\nQueue journal tests\n');
+
+test('pending items survive a reload in enqueue order', () => {
+  const journal = new QueueJournal('Game-pythonkeys', tempDir);
+  journal.enqueue('a', { name: 'first' });
+  journal.enqueue('b', { name: 'second' });
+  journal.enqueue('c', { name: 'third' });
+  journal.ack('b');
+
+  const reloaded = new QueueJournal('Game-pythonkeys', tempDir);
+  assertEqual(reloaded.getPending().map(entry => entry.id), ['a', 'c']);
+  assertEqual(reloaded.getPending()[1].item, { name: 'third' });
+});
+
+test('load compacts acknowledged items out of the file', () => {
+  const journal = new QueueJournal('Game-pythonkeys', tempDir);
+  const lines = fs.readFileSync(journal.journalFile, 'utf8').trim().split('\n');
+  assertEqual(lines.length, 2);
+});
+
+test('draining the queue empties the file', () => {
+  const journal = new QueueJournal('Game-pythonkeys', tempDir);
+  journal.ack('a');
+  journal.ack('c');
+  assertEqual(journal.size, 0);
+  assertEqual(fs.readFileSync(journal.journalFile, 'utf8'), '');
+});
+
+test('ack of an unknown id is ignored', () => {
+  const journal = new QueueJournal('other', tempDir);
+  assertEqual(journal.ack('missing'), false);
+});
+
+test('a partial last line from a crash is skipped', () => {
+  const journal = new QueueJournal('crashy', tempDir);
+  journal.enqueue('x', { name: 'kept' });
+  fs.appendFileSync(journal.journalFile, '{"op":"enq');
+  const reloaded = new QueueJournal('crashy', tempDir);
+  assertEqual(reloaded.getPending().map(entry => entry.id), ['x']);
+  reloaded.enqueue('y', { name: 'after crash' });
+  assertEqual(new QueueJournal('crashy', tempDir).getPending().map(entry => entry.id), ['x', 'y']);
+});
+
+test('reorder changes delivery order and survives a reload', () => {
+  const journal = new QueueJournal('ordered', tempDir);
+  journal.enqueue('1', {});
+  journal.enqueue('2', {});
+  journal.enqueue('3', {});
+  journal.reorder(['3', '1']);
+  assertEqual(journal.getPending().map(entry => entry.id), ['3', '1', '2']);
+  assertEqual(new QueueJournal('ordered', tempDir).getPending().map(entry => entry.id), ['3', '1', '2']);
+});
+
+test('queue names round-trip through file names', () => {
+  const name = 'btn/1: pythonkeys';
+  const fileName = `${QueueJournal.toFileName(name)}.jsonl`;
+  assertEqual(fileName.includes('/'), false);
+  assertEqual(QueueJournal.fromFileName(fileName), name);
+  assertEqual(QueueJournal.fromFileName('notes.txt'), null);
+});
+
+test('worker crashes are counted per item and survive a reload', () => {
+  const journal = new QueueJournal('poison', tempDir);
+  journal.enqueue('p', { name: 'poison' });
+  journal.enqueue('q', { name: 'fine' });
+  assertEqual(journal.recordCrash('p'), 1);
+  assertEqual(journal.recordCrash('p'), 2);
+  assertEqual(journal.recordCrash('missing'), 0);
+  const reloaded = new QueueJournal('poison', tempDir);
+  assertEqual(reloaded.getPending().map(entry => entry.crashes), [2, undefined]);
+  reloaded.ack('q');
+  assertEqual(new QueueJournal('poison', tempDir).getPending()[0].crashes, 2, 'the count is kept when compacting');
+});
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,151 @@
+/**
+ * Unit tests for the shared queue manager's journaling and delivery decisions.
+ * Run: node test/queue-manager.test.js
+ * No Electron required (its `app` is replaced by a temporary userData directory; no worker is spawned).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-manager-test-'));
+const electron = {
+  app: { getPath: () => userData, isPackaged: false },
+  BrowserWindow: { getAllWindows: () => [] }
+};
+const load = Module._load;
+Module._load = function (request, ...args) {
+  return request === 'electron' ? electron : load.call(this, request, ...args);
+};
+const SharedQueueManager = require('../src/views/shared/lifecycle-manager.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+console.log = ((log) => (...args) => { if (!String(args[0]).startsWith('[SharedQueueManager]')) log(...args); })(console.log);
+
+let managerCount = 0;
+
+/**
+ * Manager whose queue "q" has a crashed worker waiting for its restart
+ */
+function createBackingOffManager() {
+  const manager = new SharedQueueManager({ id: `test-${++managerCount}` });
+  manager.createQueue('q');
+  manager.supervisor.workerExited('q', { code: 1, signal: null });
+  manager.spawnWorker = () => { throw new Error('spawnWorker called during backoff'); };
+  return manager;
+}
+
+/**
+ * Manager whose queue "q" holds the journaled item "poison"
+ * @param {object} item - The running item
+ */
+function createCrashingManager(item) {
+  const manager = new SharedQueueManager({ id: `test-${++managerCount}` });
+  manager.createQueue('q');
+  manager.spawnWorker = () => {};
+  manager.ipcQueues.get('q').enqueue('poison', item);
+  return manager;
+}
+
+/**
+ * Let the worker of queue "q" exit while it runs the item "poison"
+ */
+function crashWhileRunning(manager, exit = { code: 1, signal: null }) {
+  const worker = {};
+  manager.workers.set('q', worker);
+  manager.runningItems.set('q', 'poison');
+  manager.handleWorkerExit('q', worker, exit);
+}
+
+console.log('\nQueue manager tests\n');
+
+test('an item queued during crash backoff waits for the restarted worker', () => {
+  const manager = createBackingOffManager();
+  const statuses = [];
+  manager.on('item-status', status => statuses.push(status.status));
+  const itemId = manager.addToQueue('q', { name: 'A', config: {} });
+  assertEqual(manager.ipcQueues.get('q').getPending().map(entry => entry.id), [itemId]);
+  assertEqual(manager.workers.size, 0);
+  assertEqual(statuses, [], 'the item is not reported failed');
+  manager.dispose();
+});
+
+test('a replayed repeating item is queued as one immediate run', () => {
+  const manager = createBackingOffManager();
+  const entry = { id: 'dl-1', source: 'test', queueName: 'q', item: { name: 'A', config: { delayMs: 5000, repeat: { every: '10s', count: 6 } } } };
+  manager.setDeadLetterStore({ list: () => [entry], remove: () => [entry] });
+  assertEqual(manager.replayDeadLetters(), 1);
+  const pending = manager.ipcQueues.get('q').getPending();
+  assertEqual(pending.length, 1, 'exactly one run is queued');
+  assertEqual(pending[0].runAt, undefined, 'the run is not delayed');
+  manager.dispose();
+});
+
+test('an item that keeps crashing the worker is dead-lettered after its attempts', () => {
+  const manager = createCrashingManager({ name: 'A', config: {}, executionPolicy: { retries: 1 } });
+  const deadLetters = [];
+  manager.setDeadLetterStore({ add: entry => { deadLetters.push(entry); return { id: 'dl-1', ...entry }; } });
+  const statuses = [];
+  manager.on('item-status', status => statuses.push(status));
+  const error = console.error;
+  const warn = console.warn;
+  console.error = console.warn = () => {};
+  try {
+    crashWhileRunning(manager);
+    assertEqual(manager.ipcQueues.get('q').getPending().map(entry => entry.crashes), [1], 'the first crash is redelivered');
+    assertEqual(statuses, []);
+    crashWhileRunning(manager);
+  } finally {
+    console.error = error;
+    console.warn = warn;
+  }
+  assertEqual(manager.ipcQueues.get('q').size, 0, 'the item is acknowledged');
+  assertEqual(statuses.map(status => [status.status, status.attempt, status.maxAttempts, status.deadLetterId]), [['failed', 2, 2, 'dl-1']]);
+  assertEqual(deadLetters.map(entry => [entry.itemId, entry.attempts]), [['poison', 2]]);
+  manager.dispose();
+});
+
+test('stopping the worker or an exit with no running item does not count as a crash', () => {
+  const manager = createCrashingManager({ name: 'A', config: {} });
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    manager.stopping = true;
+    crashWhileRunning(manager, { code: null, signal: 'SIGTERM' });
+    manager.stopping = false;
+    const worker = {};
+    manager.workers.set('q', worker);
+    manager.handleWorkerExit('q', worker, { code: 1, signal: null });
+  } finally {
+    console.warn = warn;
+  }
+  assertEqual(manager.ipcQueues.get('q').getPending().map(entry => entry.crashes), [undefined]);
+  manager.dispose();
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+fs.rmSync(userData, { recursive: true, force: true });
+process.exit(failed > 0 ? 1 : 0);
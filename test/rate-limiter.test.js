@@ -0,0 +1,113 @@
+/**
+ * Unit tests for spin cooldowns and queue rate limits.
+ * Run: node test/rate-limiter.test.js
+ * No Electron required.
+ */
+
+const RateLimiter = require('../src/rate-limiter.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+console.log('\nRate limiter tests\n');
+
+const NOW = 1700000000000;
+
+test('no config allows everything', () => {
+  const limiter = new RateLimiter();
+  assertEqual(limiter.trySpin('a', NOW).allowed, true);
+  assertEqual(limiter.trySpin('a', NOW).allowed, true);
+  assertEqual(limiter.tryQueueItem({ option: 'x', queueName: 'q' }, NOW).allowed, true);
+  assertEqual(limiter.tryQueueItem({ option: 'x', queueName: 'q' }, NOW).allowed, true);
+});
+
+test('global cooldown applies across viewers', () => {
+  const limiter = new RateLimiter({ globalCooldown: '10s' });
+  assertEqual(limiter.trySpin('a', NOW).allowed, true);
+  const rejected = limiter.trySpin('b', NOW + 4000);
+  assertEqual(rejected.allowed, false);
+  assertEqual(rejected.reason, 'global-cooldown');
+  assertEqual(rejected.retryAfterMs, 6000);
+  assertEqual(rejected.message, 'The wheel is on cooldown (6s left)');
+  assertEqual(limiter.trySpin('b', NOW + 10000).allowed, true);
+});
+
+test('user cooldown is per viewer and case-insensitive', () => {
+  const limiter = new RateLimiter({ userCooldown: 60000 });
+  assertEqual(limiter.trySpin('Viewer', NOW).allowed, true);
+  assertEqual(limiter.trySpin('other', NOW + 1000).allowed, true);
+  const rejected = limiter.trySpin('viewer', NOW + 30000);
+  assertEqual(rejected.reason, 'user-cooldown');
+  assertEqual(rejected.retryAfterMs, 30000);
+  assertEqual(limiter.trySpin('viewer', NOW + 60000).allowed, true);
+});
+
+test('rejected spins do not restart the cooldown', () => {
+  const limiter = new RateLimiter({ globalCooldown: '10s', userCooldown: '20s' });
+  assertEqual(limiter.trySpin('a', NOW).allowed, true);
+  assertEqual(limiter.trySpin('a', NOW + 5000).allowed, false);
+  assertEqual(limiter.trySpin('b', NOW + 10000).allowed, true);
+  assertEqual(limiter.trySpin('a', NOW + 20000).allowed, true);
+});
+
+test('option cooldown with per-option override', () => {
+  const limiter = new RateLimiter({ optionCooldown: '30s' });
+  assertEqual(limiter.tryQueueItem({ option: 'Save', queueName: 'q' }, NOW).allowed, true);
+  assertEqual(limiter.tryQueueItem({ option: 'Save', queueName: 'q' }, NOW + 1000).reason, 'option-cooldown');
+  assertEqual(limiter.tryQueueItem({ option: 'Other', queueName: 'q' }, NOW + 1000).allowed, true);
+  assertEqual(limiter.tryQueueItem({ option: 'Save', queueName: 'q' }, NOW + 30000).allowed, true);
+
+  assertEqual(limiter.tryQueueItem({ option: 'Fast', cooldown: 0, queueName: 'q' }, NOW).allowed, true);
+  assertEqual(limiter.tryQueueItem({ option: 'Fast', cooldown: 0, queueName: 'q' }, NOW).allowed, true);
+  assertEqual(limiter.tryQueueItem({ option: 'Slow', cooldown: '2m', queueName: 'q' }, NOW).allowed, true);
+  assertEqual(limiter.tryQueueItem({ option: 'Slow', cooldown: '2m', queueName: 'q' }, NOW + 60000).allowed, false);
+});
+
+test('queue limit counts a sliding minute per queue', () => {
+  const limiter = new RateLimiter({ queueMaxPerMinute: 2 });
+  assertEqual(limiter.tryQueueItem({ option: 'a', queueName: 'q1' }, NOW).allowed, true);
+  assertEqual(limiter.tryQueueItem({ option: 'b', queueName: 'q1' }, NOW + 20000).allowed, true);
+  const rejected = limiter.tryQueueItem({ option: 'c', queueName: 'q1' }, NOW + 30000);
+  assertEqual(rejected.reason, 'queue-rate-limit');
+  assertEqual(rejected.retryAfterMs, 30000);
+  assertEqual(limiter.tryQueueItem({ option: 'c', queueName: 'q2' }, NOW + 30000).allowed, true);
+  assertEqual(limiter.tryQueueItem({ option: 'c', queueName: 'q1' }, NOW + 60000).allowed, true);
+});
+
+test('an item rejected by the queue limit does not start its option cooldown', () => {
+  const limiter = new RateLimiter({ optionCooldown: '10s', queueMaxPerMinute: 1 });
+  assertEqual(limiter.tryQueueItem({ option: 'a', queueName: 'q' }, NOW).allowed, true);
+  assertEqual(limiter.tryQueueItem({ option: 'b', queueName: 'q' }, NOW + 1000).reason, 'queue-rate-limit');
+  assertEqual(limiter.tryQueueItem({ option: 'b', queueName: 'q' }, NOW + 60000).allowed, true);
+});
+
+test('configure replaces the limits', () => {
+  const limiter = new RateLimiter({ globalCooldown: '1h' });
+  assertEqual(limiter.trySpin('a', NOW).allowed, true);
+  assertEqual(limiter.trySpin('b', NOW + 1000).allowed, false);
+  limiter.configure(null);
+  assertEqual(limiter.trySpin('b', NOW + 1000).allowed, true);
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);
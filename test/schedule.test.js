@@ -0,0 +1,106 @@
+/**
+ * Unit tests for delayed, timed and repeating queue items.
+ * Run: node test/schedule.test.js
+ * No Electron required.
+ */
+
+const {
+  MAX_OCCURRENCES,
+  parseDuration,
+  parseRepeat,
+  resolveRunTimes,
+  withoutSchedule,
+} = require('../src/views/shared/schedule.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+console.log('\nSchedule tests\n');
+
+const NOW = 1700000000000;
+
+// --- parseDuration ---
+test('parseDuration: numbers and unit strings', () => {
+  assertEqual(parseDuration(250), 250);
+  assertEqual(parseDuration('500ms'), 500);
+  assertEqual(parseDuration('10s'), 10000);
+  assertEqual(parseDuration('1.5m'), 90000);
+  assertEqual(parseDuration('2h'), 7200000);
+  assertEqual(parseDuration('750'), 750);
+});
+
+test('parseDuration: invalid values are null', () => {
+  assertEqual(parseDuration(-5), null);
+  assertEqual(parseDuration('soon'), null);
+  assertEqual(parseDuration(undefined), null);
+});
+
+// --- parseRepeat ---
+test('parseRepeat: "every 10s for 60s" runs six times', () => {
+  assertEqual(parseRepeat('every 10s for 60s'), { everyMs: 10000, count: 6 });
+  assertEqual(parseRepeat({ every: '10s', for: '60s' }), { everyMs: 10000, count: 6 });
+});
+
+test('parseRepeat: count form and cap', () => {
+  assertEqual(parseRepeat({ everyMs: 1000, count: 3 }), { everyMs: 1000, count: 3 });
+  assertEqual(parseRepeat({ every: '1s', count: 100000 }).count, MAX_OCCURRENCES);
+});
+
+test('parseRepeat: endless or invalid repeats are rejected', () => {
+  assertEqual(parseRepeat({ every: '10s' }), null);
+  assertEqual(parseRepeat({ every: 0, count: 3 }), null);
+  assertEqual(parseRepeat('sometimes'), null);
+});
+
+// --- resolveRunTimes ---
+test('resolveRunTimes: plain items run immediately', () => {
+  assertEqual(resolveRunTimes({ name: 'a', config: { value: 'x' } }, NOW), null);
+  assertEqual(resolveRunTimes({}, NOW), null);
+});
+
+test('resolveRunTimes: delayMs and runAt', () => {
+  assertEqual(resolveRunTimes({ config: { delayMs: '5s' } }, NOW), [NOW + 5000]);
+  assertEqual(resolveRunTimes({ config: { runAt: new Date(NOW + 60000).toISOString() } }, NOW), [NOW + 60000]);
+});
+
+test('resolveRunTimes: repeat starts after the delay', () => {
+  assertEqual(
+    resolveRunTimes({ config: { delayMs: 1000, repeat: { every: '10s', count: 3 } } }, NOW),
+    [NOW + 1000, NOW + 11000, NOW + 21000]
+  );
+});
+
+test('resolveRunTimes: wrapped wheel results use result.config', () => {
+  assertEqual(resolveRunTimes({ result: { config: { delayMs: 10 } } }, NOW), [NOW + 10]);
+});
+
+test('withoutSchedule: a replayed repeating item runs once, right away', () => {
+  const item = { name: 'a', config: { value: 'x', delayMs: 1000, repeat: { every: '10s', count: 6 } } };
+  assertEqual(withoutSchedule(item), { name: 'a', config: { value: 'x' } });
+  assertEqual(resolveRunTimes(withoutSchedule(item), NOW), null);
+  assertEqual(resolveRunTimes(withoutSchedule({ result: { config: { runAt: NOW + 10 } } }), NOW), null);
+  assertEqual(item.config.repeat.count, 6, 'the original item is not changed');
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);
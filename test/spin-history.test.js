@@ -0,0 +1,160 @@
+/**
+ * Unit tests for the persistent spin history.
+ * Run: node test/spin-history.test.js
+ * No Electron required (its `app` is replaced by a temporary userData directory).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'spin-history-test-'));
+const electron = { app: { getPath: () => userData } };
+const load = Module._load;
+Module._load = function (request, ...args) {
+  return request === 'electron' ? electron : load.call(this, request, ...args);
+};
+const SpinHistory = require('../src/spin-history.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+console.log = ((log) => (...args) => { if (!String(args[0]).startsWith('[SpinHistory]')) log(...args); })(console.log);
+console.warn = ((warn) => (...args) => { if (!String(args[0]).startsWith('[SpinHistory]')) warn(...args); })(console.warn);
+
+const historyFile = path.join(userData, 'spin-history.jsonl');
+
+/**
+ * History with nothing recorded yet
+ * @param {object} [options] - SpinHistory options
+ */
+function createHistory(options) {
+  fs.rmSync(historyFile, { force: true });
+  return new SpinHistory(options);
+}
+
+/**
+ * Lines in the history file
+ */
+function fileRecords() {
+  return fs.readFileSync(historyFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+console.log('\nSpin history tests\n');
+
+test('a recorded spin is stored with defaults for missing fields', () => {
+  const history = createHistory();
+  const entry = history.recordSpin({ wheel: 'wheel', trigger: { source: 'twitch', user: 'Viewer' }, option: 'Fus Ro Dah', queueName: 'Skyrim-pythonkeys', spinSeed: 0 });
+  assertEqual(entry.outcome, 'queued');
+  assertEqual(entry.trigger, { source: 'twitch', user: 'Viewer' });
+  assertEqual(entry.spinSeed, 0);
+  assertEqual(entry.command, null);
+  assertEqual(history.recordSpin({ option: 'A' }).trigger, { source: 'unknown', user: null });
+  assertEqual(new SpinHistory().query().map(spin => spin.option), ['A', 'Fus Ro Dah'], 'spins are reloaded, newest first');
+});
+
+test('setOutcome updates the entry, clears an old error and survives a reload', () => {
+  const history = createHistory();
+  const { id } = history.recordSpin({ option: 'A', trigger: { source: 'button' } });
+  const failedEntry = history.setOutcome(id, 'failed', 'Controller exited with code 1');
+  assertEqual([failedEntry.outcome, failedEntry.error], ['failed', 'Controller exited with code 1']);
+  const succeeded = history.setOutcome(id, 'succeeded');
+  assertEqual([succeeded.outcome, succeeded.error], ['succeeded', undefined]);
+  assertEqual(history.setOutcome('missing', 'failed'), null);
+  const reloaded = new SpinHistory().query()[0];
+  assertEqual([reloaded.id, reloaded.outcome, reloaded.error, reloaded.outcomeAt], [id, 'succeeded', undefined, succeeded.outcomeAt]);
+});
+
+test('queries filter by time, user, option, outcome, source and wheel', () => {
+  const history = createHistory();
+  const spins = [
+    { wheel: 'wheel', trigger: { source: 'twitch', user: 'Alice' }, option: 'Fus Ro Dah' },
+    { wheel: 'wheel', trigger: { source: 'auto' }, option: 'Save File' },
+    { wheel: 'second', trigger: { source: 'twitch', user: 'bob' }, option: 'fus ro dah', outcome: 'rejected' },
+    { wheel: 'wheel', trigger: { source: 'hotkey' }, option: 'Save File' }
+  ].map(spin => history.recordSpin(spin));
+  spins.forEach((spin, index) => { spin.timestamp = new Date(Date.UTC(2026, 0, 1, 12, index)).toISOString(); });
+  history.setOutcome(spins[1].id, 'failed', 'boom');
+
+  const options = query => history.query(query).map(spin => `${spin.option}@${spin.wheel}`);
+  assertEqual(options({}), ['Save File@wheel', 'fus ro dah@second', 'Save File@wheel', 'Fus Ro Dah@wheel']);
+  assertEqual(options({ user: 'ALICE' }), ['Fus Ro Dah@wheel']);
+  assertEqual(options({ option: 'FUS RO DAH' }), ['fus ro dah@second', 'Fus Ro Dah@wheel']);
+  assertEqual(options({ outcome: 'failed' }), ['Save File@wheel']);
+  assertEqual(options({ source: 'hotkey' }), ['Save File@wheel']);
+  assertEqual(options({ wheel: 'second' }), ['fus ro dah@second']);
+  assertEqual(options({ from: '2026-01-01T12:01:00Z', to: Date.UTC(2026, 0, 1, 12, 2) }), ['fus ro dah@second', 'Save File@wheel']);
+  assertEqual(options({ limit: 2 }), ['Save File@wheel', 'fus ro dah@second']);
+  assertEqual(options({ limit: 'all' }).length, 4);
+});
+
+test('the summary counts matching spins by option, user, outcome and source', () => {
+  const history = createHistory();
+  history.recordSpin({ trigger: { source: 'twitch', user: 'alice' }, option: 'A' });
+  history.recordSpin({ trigger: { source: 'twitch', user: 'alice' }, option: 'B', outcome: 'rejected' });
+  history.recordSpin({ trigger: { source: 'button' }, option: 'A' });
+  history.recordSpin({ trigger: { source: 'twitch', user: 'bob' } });
+  assertEqual(history.summarize({ limit: 1 }), {
+    total: 4,
+    byOption: { '(unknown)': 1, A: 2, B: 1 },
+    byUser: { bob: 1, alice: 2 },
+    byOutcome: { queued: 3, rejected: 1 },
+    bySource: { twitch: 3, button: 1 }
+  }, 'limit does not apply to the summary');
+  assertEqual(history.summarize({ user: 'alice' }).total, 2);
+});
+
+test('only the newest spins are kept in memory', () => {
+  const history = createHistory({ maxEntries: 3 });
+  const ids = ['A', 'B', 'C', 'D', 'E'].map(option => history.recordSpin({ option }).id);
+  assertEqual(history.query().map(spin => spin.option), ['E', 'D', 'C']);
+  assertEqual(history.setOutcome(ids[0], 'succeeded'), null, 'a dropped spin cannot be updated');
+});
+
+test('the file is compacted to the kept spins on load and when it doubles', () => {
+  const history = createHistory({ maxEntries: 3 });
+  const { id } = history.recordSpin({ option: 'A' });
+  history.setOutcome(id, 'failed', 'boom');
+  history.recordSpin({ option: 'B' });
+  assertEqual(fileRecords().length, 3);
+  const reloaded = new SpinHistory({ maxEntries: 3 });
+  assertEqual(fileRecords().map(record => [record.type, record.option, record.outcome, record.error]), [['spin', 'A', 'failed', 'boom'], ['spin', 'B', 'queued', undefined]]);
+  ['C', 'D', 'E', 'F'].forEach(option => reloaded.recordSpin({ option }));
+  assertEqual(fileRecords().length, 6, 'up to twice maxEntries records');
+  reloaded.recordSpin({ option: 'G' });
+  assertEqual(fileRecords().map(record => record.option), ['E', 'F', 'G']);
+  assertEqual(new SpinHistory({ maxEntries: 3 }).query().map(spin => spin.option), ['G', 'F', 'E']);
+});
+
+test('unreadable lines are skipped and dropped from the file', () => {
+  const history = createHistory();
+  history.recordSpin({ option: 'A' });
+  fs.appendFileSync(historyFile, '{"type":"sp');
+  assertEqual(new SpinHistory().query().map(spin => spin.option), ['A']);
+  assertEqual(fileRecords().length, 1);
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+fs.rmSync(userData, { recursive: true, force: true });
+process.exit(failed > 0 ? 1 : 0);
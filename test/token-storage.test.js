@@ -0,0 +1,296 @@
+/**
+ * Unit tests for encrypted token storage per provider and account, its encryption modes and migrations.
+ * Run: node test/token-storage.test.js
+ * No Electron required (its `app` and `safeStorage` are replaced; each test uses a fresh temporary userData directory).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Module = require('module');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'token-storage-test-'));
+let userData = root;
+const electron = {
+  app: { getPath: () => userData, isReady: () => true },
+  // Stands in for the OS keychain; `available` switches between safeStorage and fallback mode
+  safeStorage: {
+    available: false,
+    backend: 'gnome_libsecret',
+    isEncryptionAvailable: () => electron.safeStorage.available,
+    getSelectedStorageBackend: () => electron.safeStorage.backend,
+    encryptString: text => Buffer.from(`keychain:${text}`).reverse(),
+    decryptString: (data) => {
+      const text = Buffer.from(data).reverse().toString('utf8');
+      if (!text.startsWith('keychain:')) {
+        throw new Error('Error while decrypting the ciphertext provided to safeStorage.decryptString.');
+      }
+      return text.slice('keychain:'.length);
+    }
+  }
+};
+const load = Module._load;
+Module._load = function (request, ...args) {
+  return request === 'electron' ? electron : load.call(this, request, ...args);
+};
+const TokenStorage = require('../src/token-storage.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+console.log = ((log) => (...args) => { if (!String(args[0]).startsWith('[TokenStorage]')) log(...args); })(console.log);
+console.warn = ((warn) => (...args) => { if (!String(args[0]).startsWith('[TokenStorage]')) warn(...args); })(console.warn);
+
+let storageCount = 0;
+
+/**
+ * Point the fake `app` at a new empty userData directory
+ * @param {boolean} [keychain=false] - Whether safeStorage can encrypt
+ */
+function useFreshUserData(keychain = false) {
+  electron.safeStorage.available = keychain;
+  electron.safeStorage.backend = 'gnome_libsecret';
+  userData = path.join(root, `user-data-${++storageCount}`);
+  fs.mkdirSync(userData);
+  return userData;
+}
+
+/**
+ * Encrypt like versions before safeStorage did ("iv:ciphertext", AES-256-CBC)
+ * @param {string} plaintext
+ * @param {Buffer} key
+ */
+function encryptLegacy(plaintext, key) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+  return `${iv.toString('hex')}:${cipher.update(plaintext, 'utf8', 'hex')}${cipher.final('hex')}`;
+}
+
+const broadcasterTokens = { accessToken: 'broadcaster-access', refreshToken: 'broadcaster-refresh', scopes: ['bits:read'], expiresAt: 1000, login: 'streamer', userId: '1' };
+const botTokens = { accessToken: 'bot-access', refreshToken: 'bot-refresh', scopes: ['chat:read', 'chat:edit'], expiresAt: 2000, login: 'helperbot', userId: '2' };
+
+console.log('\nToken storage tests\n');
+
+test('two accounts of one provider are stored side by side', () => {
+  useFreshUserData();
+  const storage = new TokenStorage();
+  assertEqual(storage.save('twitch', 'broadcaster', broadcasterTokens), true);
+  assertEqual(storage.save('twitch', 'bot', botTokens), true);
+  const reloaded = new TokenStorage();
+  assertEqual(reloaded.load('twitch', 'broadcaster'), broadcasterTokens);
+  assertEqual(reloaded.load('twitch', 'bot'), botTokens);
+  assertEqual(reloaded.load('twitch', 'other'), null);
+  assertEqual(reloaded.load('youtube', 'bot'), null);
+});
+
+test('listed connections leave out the tokens', () => {
+  useFreshUserData();
+  const storage = new TokenStorage();
+  storage.save('twitch', 'bot', botTokens);
+  storage.save('streamlabs', 'main', { accessToken: 'sl-access' });
+  const listed = storage.list();
+  assertEqual(listed.map(({ updatedAt, ...connection }) => connection), [
+    { provider: 'twitch', account: 'bot', login: 'helperbot', userId: '2', scopes: ['chat:read', 'chat:edit'], expiresAt: 2000 },
+    { provider: 'streamlabs', account: 'main', login: null, userId: null, scopes: [], expiresAt: null }
+  ]);
+  assert(!JSON.stringify(listed).includes('access'), 'no token in the list');
+});
+
+test('connecting another login to an account replaces only that account', () => {
+  useFreshUserData();
+  const storage = new TokenStorage();
+  storage.save('twitch', 'broadcaster', broadcasterTokens);
+  storage.save('twitch', 'bot', botTokens);
+  const otherBot = { ...botTokens, accessToken: 'other-bot-access', login: 'otherbot', userId: '3' };
+  storage.save('twitch', 'bot', otherBot);
+  const reloaded = new TokenStorage();
+  assertEqual(reloaded.load('twitch', 'bot'), otherBot);
+  assertEqual(reloaded.load('twitch', 'broadcaster'), broadcasterTokens);
+  assertEqual(reloaded.list().map(connection => connection.login), ['streamer', 'otherbot']);
+});
+
+test('removing an account keeps the other one', () => {
+  useFreshUserData();
+  const storage = new TokenStorage();
+  storage.save('twitch', 'broadcaster', broadcasterTokens);
+  storage.save('twitch', 'bot', botTokens);
+  assertEqual(storage.remove('twitch', 'bot'), true);
+  assertEqual(storage.remove('twitch', 'bot'), false);
+  const reloaded = new TokenStorage();
+  assertEqual(reloaded.load('twitch', 'bot'), null);
+  assertEqual(reloaded.load('twitch', 'broadcaster'), broadcasterTokens);
+  assertEqual(reloaded.list().map(connection => connection.account), ['broadcaster']);
+});
+
+test('empty tokens are not saved', () => {
+  useFreshUserData();
+  const storage = new TokenStorage();
+  assertEqual(storage.save('twitch', 'bot', null), false);
+  assertEqual(storage.save('twitch', 'bot', { refreshToken: 'x' }), false);
+  assertEqual(storage.list(), []);
+  assert(!fs.existsSync(path.join(userData, 'connections.enc')), 'nothing is written');
+});
+
+test('the single token file of older versions becomes the broadcaster connection', () => {
+  const key = crypto.createHash('sha256').update(useFreshUserData() + process.platform).digest();
+  fs.writeFileSync(path.join(userData, 'twitch-token.enc'), encryptLegacy('oauth:plain-access', key));
+  const storage = new TokenStorage();
+  assertEqual(storage.load('twitch', 'broadcaster'), { accessToken: 'plain-access', refreshToken: null, scopes: [], expiresAt: null });
+  assert(!fs.existsSync(path.join(userData, 'twitch-token.enc')), 'the old file is deleted');
+  assertEqual(new TokenStorage().load('twitch', 'broadcaster').accessToken, 'plain-access', 'the migrated token is saved');
+
+  const tokenSetKey = crypto.createHash('sha256').update(useFreshUserData() + process.platform).digest();
+  fs.writeFileSync(path.join(userData, 'twitch-token.enc'), encryptLegacy(JSON.stringify(broadcasterTokens), tokenSetKey));
+  assertEqual(new TokenStorage().load('twitch', 'broadcaster'), broadcasterTokens, 'a stored token set is kept as it is');
+});
+
+test('the old token file does not replace a newer broadcaster connection', () => {
+  const key = crypto.createHash('sha256').update(useFreshUserData() + process.platform).digest();
+  new TokenStorage().save('twitch', 'broadcaster', broadcasterTokens);
+  fs.writeFileSync(path.join(userData, 'twitch-token.enc'), encryptLegacy('old-access', key));
+  assertEqual(new TokenStorage().load('twitch', 'broadcaster'), broadcasterTokens);
+  assert(!fs.existsSync(path.join(userData, 'twitch-token.enc')), 'the old file is deleted');
+});
+
+test('with a keychain, tokens are encrypted with safeStorage and no key file is written', () => {
+  useFreshUserData(true);
+  const storage = new TokenStorage();
+  assertEqual(storage.getEncryptionInfo(), { mode: 'safeStorage', secure: true });
+  storage.save('twitch', 'bot', botTokens);
+  const file = JSON.parse(fs.readFileSync(path.join(userData, 'connections.enc'), 'utf8'));
+  assertEqual(file.version, 2);
+  assertEqual(file.encryption, 'safeStorage');
+  assert(!fs.readFileSync(path.join(userData, 'connections.enc'), 'utf8').includes('bot-access'), 'the token is not stored in plain text');
+  assert(!fs.existsSync(path.join(userData, 'token.key')), 'no fallback key');
+  assertEqual(new TokenStorage().load('twitch', 'bot'), botTokens);
+});
+
+test('safeStorage with the basic_text backend counts as no keychain on Linux', () => {
+  useFreshUserData(true);
+  electron.safeStorage.backend = 'basic_text';
+  const mode = new TokenStorage().getEncryptionMode();
+  assertEqual(mode, process.platform === 'linux' ? 'fallback' : 'safeStorage');
+});
+
+test('without a keychain, tokens round trip through AES-GCM with a random key file', () => {
+  useFreshUserData();
+  const storage = new TokenStorage();
+  assertEqual(storage.getEncryptionInfo(), { mode: 'fallback', secure: false });
+  storage.save('twitch', 'broadcaster', broadcasterTokens);
+  const contents = fs.readFileSync(path.join(userData, 'connections.enc'), 'utf8');
+  assertEqual(JSON.parse(contents).encryption, 'fallback');
+  assert(!contents.includes('broadcaster-access'), 'the token is not stored in plain text');
+  const key = fs.readFileSync(path.join(userData, 'token.key'), 'utf8');
+  assertEqual(Buffer.from(key, 'hex').length, 32);
+  if (process.platform !== 'win32') {
+    assertEqual(fs.statSync(path.join(userData, 'token.key')).mode & 0o777, 0o600);
+    assertEqual(fs.statSync(path.join(userData, 'connections.enc')).mode & 0o777, 0o600);
+  }
+  assertEqual(new TokenStorage().load('twitch', 'broadcaster'), broadcasterTokens);
+  assert(storage.encryptToken('same') !== storage.encryptToken('same'), 'every write uses a new IV');
+});
+
+test('a tampered fallback file is rejected and kept aside instead of being overwritten', () => {
+  useFreshUserData();
+  new TokenStorage().save('twitch', 'broadcaster', broadcasterTokens);
+  const tokenFile = path.join(userData, 'connections.enc');
+  const file = JSON.parse(fs.readFileSync(tokenFile, 'utf8'));
+  const data = Buffer.from(file.data, 'base64');
+  data[data.length - 1] ^= 1;
+  fs.writeFileSync(tokenFile, JSON.stringify({ ...file, data: data.toString('base64') }));
+  const error = console.error;
+  console.error = () => {};
+  try {
+    const storage = new TokenStorage();
+    assertEqual(storage.load('twitch', 'broadcaster'), null);
+    assert(fs.existsSync(`${tokenFile}.unreadable`), 'the file is moved aside');
+    let rejected = false;
+    try {
+      storage.decryptToken(fs.readFileSync(`${tokenFile}.unreadable`, 'utf8'));
+    } catch (decryptError) {
+      rejected = true;
+    }
+    assert(rejected, 'the authentication tag check fails');
+  } finally {
+    console.error = error;
+  }
+});
+
+test('a safeStorage file is not read while the keychain is unavailable', () => {
+  useFreshUserData(true);
+  new TokenStorage().save('twitch', 'bot', botTokens);
+  electron.safeStorage.available = false;
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assertEqual(new TokenStorage().load('twitch', 'bot'), null);
+  } finally {
+    console.error = error;
+  }
+  assert(fs.existsSync(path.join(userData, 'connections.enc.unreadable')), 'the file is kept for when the keychain is back');
+});
+
+test('a fallback file is moved to the keychain once it is available and the key file is deleted', () => {
+  useFreshUserData();
+  new TokenStorage().save('twitch', 'bot', botTokens);
+  assert(fs.existsSync(path.join(userData, 'token.key')));
+  electron.safeStorage.available = true;
+  assertEqual(new TokenStorage().load('twitch', 'bot'), botTokens);
+  assertEqual(JSON.parse(fs.readFileSync(path.join(userData, 'connections.enc'), 'utf8')).encryption, 'safeStorage');
+  assert(!fs.existsSync(path.join(userData, 'token.key')), 'the fallback key is deleted');
+});
+
+test('the AES-CBC format of older versions is decrypted, written again and its key file deleted', () => {
+  useFreshUserData(true);
+  const legacyKey = crypto.randomBytes(32);
+  fs.writeFileSync(path.join(userData, '.token-key'), legacyKey.toString('hex'));
+  const connections = { 'twitch:bot': { provider: 'twitch', account: 'bot', tokens: botTokens, updatedAt: '2026-01-01T00:00:00.000Z' } };
+  fs.writeFileSync(path.join(userData, 'connections.enc'), encryptLegacy(JSON.stringify(connections), legacyKey));
+  assertEqual(new TokenStorage().load('twitch', 'bot'), botTokens);
+  assertEqual(JSON.parse(fs.readFileSync(path.join(userData, 'connections.enc'), 'utf8')).encryption, 'safeStorage');
+  assert(!fs.existsSync(path.join(userData, '.token-key')), 'the old key file is deleted');
+});
+
+test('the old token key file is deleted only after twitch-token.enc is migrated', () => {
+  useFreshUserData();
+  const legacyKey = crypto.randomBytes(32);
+  fs.writeFileSync(path.join(userData, '.token-key'), legacyKey.toString('hex'));
+  fs.writeFileSync(path.join(userData, 'twitch-token.enc'), encryptLegacy(JSON.stringify(broadcasterTokens), legacyKey));
+  const storage = new TokenStorage();
+  assertEqual(storage.load('twitch', 'broadcaster'), broadcasterTokens);
+  assert(!fs.existsSync(path.join(userData, 'twitch-token.enc')), 'the old token file is deleted');
+  assert(!fs.existsSync(path.join(userData, '.token-key')), 'the old key file is deleted');
+  assertEqual(JSON.parse(fs.readFileSync(path.join(userData, 'connections.enc'), 'utf8')).encryption, 'fallback');
+  assertEqual(new TokenStorage().load('twitch', 'broadcaster'), broadcasterTokens);
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+fs.rmSync(root, { recursive: true, force: true });
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,250 @@
+/**
+ * Unit tests for the Twitch OAuth flow (authorization code + PKCE, refresh, validation)
+ * against a fake fetch.
+ * Run: node test/twitch-auth.test.js
+ * No Electron required.
+ */
+
+const crypto = require('crypto');
+const { TwitchAuth, DEFAULT_SCOPES, parseScopes } = require('../src/twitch-auth.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+// Keep auth logging out of the test output
+console.log = ((log) => (...args) => { if (!String(args[0]).startsWith('[TwitchAuth]')) log(...args); })(console.log);
+console.warn = () => {};
+
+/**
+ * Fake id.twitch.tv: issues tokens for codes and refresh tokens, and validates the current access token
+ */
+function createFakeTwitch() {
+  const fake = {
+    requests: [],
+    accessToken: null,
+    refreshToken: null,
+    revoked: [],
+    failRefresh: false,
+    scopes: ['chat:read', 'chat:edit'],
+    expiresIn: 14000,
+    issued: 0
+  };
+  const issue = () => {
+    fake.issued++;
+    fake.accessToken = `access-${fake.issued}`;
+    fake.refreshToken = `refresh-${fake.issued}`;
+    return { access_token: fake.accessToken, refresh_token: fake.refreshToken, expires_in: 14400, scope: fake.scopes, token_type: 'bearer' };
+  };
+  const reply = (status, body) => ({ ok: status < 300, status, text: async () => JSON.stringify(body) });
+
+  fake.fetch = async (url, options = {}) => {
+    const form = new URLSearchParams(options.body || '');
+    fake.requests.push({ url, form });
+    if (url.endsWith('/token') && form.get('grant_type') === 'authorization_code') {
+      return form.get('code') === 'good-code' ? reply(200, issue()) : reply(400, { message: 'Invalid authorization code' });
+    }
+    if (url.endsWith('/token') && form.get('grant_type') === 'refresh_token') {
+      if (fake.failRefresh || form.get('refresh_token') !== fake.refreshToken) {
+        return reply(400, { message: 'Invalid refresh token' });
+      }
+      return reply(200, issue());
+    }
+    if (url.endsWith('/validate')) {
+      return options.headers.Authorization === `OAuth ${fake.accessToken}`
+        ? reply(200, { login: 'streamer', user_id: '42', scopes: fake.scopes, expires_in: fake.expiresIn })
+        : reply(401, { message: 'invalid access token' });
+    }
+    if (url.endsWith('/revoke')) {
+      fake.revoked.push(form.get('token'));
+      return reply(200, {});
+    }
+    return reply(404, {});
+  };
+  return fake;
+}
+
+function createAuth(fake, options = {}) {
+  return new TwitchAuth({
+    clientId: 'client',
+    clientSecret: 'secret',
+    redirectUri: 'http://localhost:3000/',
+    authBase: 'https://auth.test/oauth2',
+    fetch: fake.fetch,
+    ...options
+  });
+}
+
+async function login(auth) {
+  const { url } = auth.createAuthorizationUrl();
+  const state = new URL(url).searchParams.get('state');
+  return auth.exchangeCode({ code: 'good-code', state });
+}
+
+async function run() {
+  console.log('\nTwitch auth tests\n');
+
+  await test('scopes default to chat, channel points and bits, or come from config', () => {
+    assertEqual(parseScopes(undefined), DEFAULT_SCOPES);
+    assertEqual(parseScopes('chat:read, chat:edit chat:read'), ['chat:read', 'chat:edit']);
+    assertEqual(parseScopes(['bits:read']), ['bits:read']);
+  });
+
+  await test('the authorization URL uses the code flow with an S256 PKCE challenge', () => {
+    const auth = createAuth(createFakeTwitch(), { scopes: 'chat:read chat:edit' });
+    const url = new URL(auth.createAuthorizationUrl().url);
+    assertEqual(url.origin + url.pathname, 'https://auth.test/oauth2/authorize');
+    assertEqual(url.searchParams.get('response_type'), 'code');
+    assertEqual(url.searchParams.get('scope'), 'chat:read chat:edit');
+    assertEqual(url.searchParams.get('code_challenge_method'), 'S256');
+    const { verifier } = auth.pendingLogins.get(url.searchParams.get('state'));
+    assertEqual(url.searchParams.get('code_challenge'), crypto.createHash('sha256').update(verifier).digest('base64url'));
+  });
+
+  await test('exchanging the code sends the verifier and returns a validated token set', async () => {
+    const fake = createFakeTwitch();
+    const auth = createAuth(fake);
+    const saved = [];
+    auth.on('tokens', tokens => saved.push(tokens));
+    const { url } = auth.createAuthorizationUrl();
+    const state = new URL(url).searchParams.get('state');
+    const { verifier } = auth.pendingLogins.get(state);
+
+    const tokens = await auth.exchangeCode({ code: 'good-code', state });
+    const tokenRequest = fake.requests[0].form;
+    assertEqual(tokenRequest.get('code_verifier'), verifier);
+    assertEqual(tokenRequest.get('client_secret'), 'secret');
+    assertEqual([tokens.accessToken, tokens.refreshToken, tokens.login, tokens.userId], ['access-1', 'refresh-1', 'streamer', '42']);
+    assert(tokens.expiresAt > Date.now(), 'expiry is set');
+    assertEqual(saved.length, 1);
+    auth.stop();
+  });
+
+  await test('unknown or reused state is rejected', async () => {
+    const auth = createAuth(createFakeTwitch());
+    const { url } = auth.createAuthorizationUrl();
+    const state = new URL(url).searchParams.get('state');
+    await auth.exchangeCode({ code: 'good-code', state });
+    auth.stop();
+
+    let error = null;
+    await auth.exchangeCode({ code: 'good-code', state }).catch(err => { error = err; });
+    assert(error && /expired login/.test(error.message), 'reused state fails');
+  });
+
+  await test('a cancelled login cannot be completed', async () => {
+    const fake = createFakeTwitch();
+    const auth = createAuth(fake);
+    const other = new URL(auth.createAuthorizationUrl().url).searchParams.get('state');
+    const state = new URL(auth.createAuthorizationUrl().url).searchParams.get('state');
+    assertEqual(auth.cancelLogin(state), true);
+    assertEqual([auth.hasPendingLogin(state), auth.hasPendingLogin(other), auth.hasPendingLogins()], [false, true, true]);
+    assertEqual(auth.cancelLogin(state), false, 'a second cancel finds nothing');
+
+    let error = null;
+    await auth.exchangeCode({ code: 'good-code', state }).catch(err => { error = err; });
+    assert(error && /expired login/.test(error.message), 'cancelled state fails');
+    assertEqual(fake.requests.length, 0, 'no token request is sent');
+  });
+
+  await test('a rejected token is refreshed and the rotated refresh token replaces the old one', async () => {
+    const fake = createFakeTwitch();
+    const auth = createAuth(fake);
+    await login(auth);
+    fake.accessToken = 'revoked-elsewhere';
+    const saved = [];
+    auth.on('tokens', tokens => saved.push(tokens));
+
+    const tokens = await auth.validate();
+    assertEqual([tokens.accessToken, tokens.refreshToken], ['access-2', 'refresh-2']);
+    assertEqual(saved.map(set => set.refreshToken), ['refresh-2']);
+    auth.stop();
+  });
+
+  await test('concurrent refreshes share one request', async () => {
+    const fake = createFakeTwitch();
+    const auth = createAuth(fake);
+    await login(auth);
+    const before = fake.requests.length;
+    const [first, second] = await Promise.all([auth.refresh(), auth.refresh()]);
+    assertEqual(first, second);
+    assertEqual(fake.requests.length - before, 1);
+    auth.stop();
+  });
+
+  await test('re-auth is required when the refresh fails or there is no refresh token', async () => {
+    const fake = createFakeTwitch();
+    const auth = createAuth(fake);
+    await login(auth);
+    fake.accessToken = 'revoked-elsewhere';
+    fake.failRefresh = true;
+    const reasons = [];
+    auth.on('reauth-required', ({ reason }) => reasons.push(reason));
+    assertEqual(await auth.validate(), null);
+
+    const legacy = createAuth(fake);
+    legacy.on('reauth-required', ({ reason }) => reasons.push(reason));
+    legacy.setTokens('old-implicit-token');
+    assertEqual(await legacy.validate(), null);
+    assertEqual(reasons, ['invalid', 'invalid']);
+    auth.stop();
+  });
+
+  await test('an expiring token without refresh token prompts for re-auth', async () => {
+    const fake = createFakeTwitch();
+    fake.accessToken = 'implicit-token';
+    fake.expiresIn = 60; // within the refresh margin
+    const auth = createAuth(fake);
+    auth.setTokens('implicit-token');
+    const prompted = new Promise(resolve => auth.once('reauth-required', resolve));
+    await auth.validate();
+    assertEqual(await prompted, { reason: 'expiring' });
+    auth.stop();
+  });
+
+  await test('missing scopes are reported', async () => {
+    const auth = createAuth(createFakeTwitch());
+    await login(auth);
+    assertEqual(auth.getMissingScopes(), ['channel:read:redemptions', 'channel:manage:redemptions', 'bits:read']);
+    auth.stop();
+  });
+
+  await test('logout revokes the access token and forgets the tokens', async () => {
+    const fake = createFakeTwitch();
+    const auth = createAuth(fake);
+    await login(auth);
+    await auth.logout();
+    assertEqual(fake.revoked, ['access-1']);
+    assertEqual(auth.getAccessToken(), null);
+  });
+}
+
+run().then(() => {
+  console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+  process.exit(failed > 0 ? 1 : 0);
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for the Twitch chat connection state machine.
+ * Run: node test/twitch-connection-state.test.js
+ * No Electron or tmi.js required.
+ */
+
+const TwitchConnectionState = require('../src/twitch-connection-state.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+/**
+ * State machine that records the states it emits
+ */
+function createRecorded() {
+  const state = new TwitchConnectionState();
+  const changes = [];
+  state.on('changed', status => changes.push(status.state + (status.attempt ? `#${status.attempt}` : '')));
+  return { state, changes };
+}
+
+console.log('\nTwitch connection state tests\n');
+
+test('starts disconnected', () => {
+  const status = new TwitchConnectionState().getStatus();
+  assertEqual([status.state, status.isConnected, status.attempt], ['disconnected', false, 0]);
+});
+
+test('a new client goes connecting -> connected', () => {
+  const { state, changes } = createRecorded();
+  state.start({ channel: 'streamer', username: 'bot' });
+  state.connecting(); // tmi.js socket open, no change
+  state.connected();
+  assertEqual(changes, ['connecting', 'connected']);
+  const status = state.getStatus();
+  assertEqual([status.isConnected, status.channel, status.username], [true, 'streamer', 'bot']);
+});
+
+test('a dropped connection counts reconnect attempts until connected again', () => {
+  const { state, changes } = createRecorded();
+  state.start({ channel: 'streamer', username: 'bot' });
+  state.connected();
+  state.disconnected('Connection closed.');
+  state.reconnecting();
+  state.connecting();
+  state.disconnected('Connection closed.');
+  state.reconnecting();
+  assertEqual(state.getStatus().attempt, 2);
+  state.connected();
+  assertEqual(changes, ['connecting', 'connected', 'disconnected', 'reconnecting#1', 'reconnecting#2', 'connected']);
+  assertEqual(state.getStatus().attempt, 0);
+});
+
+test('rejected logins become auth-failed and stay there', () => {
+  const { state, changes } = createRecorded();
+  state.start({ channel: 'streamer', username: 'bot' });
+  state.disconnected('Login authentication failed');
+  state.disconnected('Connection closed.');
+  assertEqual(changes, ['connecting', 'auth-failed']);
+  assertEqual(state.getStatus().reason, 'Login authentication failed');
+  assertEqual(TwitchConnectionState.isAuthFailure(new Error('Improperly formatted auth')), true);
+});
+
+test('new credentials after a failure start over', () => {
+  const { state, changes } = createRecorded();
+  state.start({ channel: 'streamer', username: 'bot' });
+  state.disconnected('Login authentication failed');
+  state.start({ channel: 'streamer', username: 'newbot' });
+  state.connected();
+  assertEqual(changes, ['connecting', 'auth-failed', 'connecting', 'connected']);
+  assertEqual(state.getStatus().username, 'newbot');
+});
+
+test('stopping ends reconnecting', () => {
+  const { state, changes } = createRecorded();
+  state.start({ channel: 'streamer', username: 'bot' });
+  state.connected();
+  state.disconnected('Connection closed.');
+  state.reconnecting();
+  state.stopped('Gave up reconnecting');
+  assertEqual(changes, ['connecting', 'connected', 'disconnected', 'reconnecting#1', 'disconnected']);
+  assertEqual(state.getStatus().reason, 'Gave up reconnecting');
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);
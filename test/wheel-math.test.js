@@ -0,0 +1,173 @@
+/**
+ * Unit tests for weighted wheel slices and winner selection.
+ * Run: node test/wheel-math.test.js
+ * No Electron or browser required.
+ */
+
+const {
+  getOptionWeight,
+  computeSlices,
+  getSliceIndexAtAngle,
+  createSeededRandom,
+  pickWeightedIndex,
+  pickWeightedIndices,
+  computeTargetRotation,
+} = require('../src/views/wheel/wheel-math.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+console.log('\nWheel math tests\n');
+
+// --- getOptionWeight ---
+test('getOptionWeight: missing or invalid weight defaults to 1', () => {
+  assertEqual(getOptionWeight({ name: 'a' }), 1);
+  assertEqual(getOptionWeight({ name: 'a', weight: 0 }), 1);
+  assertEqual(getOptionWeight({ name: 'a', weight: -3 }), 1);
+  assertEqual(getOptionWeight({ name: 'a', weight: 'lots' }), 1);
+  assertEqual(getOptionWeight('plain name'), 1);
+});
+
+test('getOptionWeight: numeric weights are kept', () => {
+  assertEqual(getOptionWeight({ weight: 0.1 }), 0.1);
+  assertEqual(getOptionWeight({ weight: '4' }), 4);
+});
+
+// --- computeSlices ---
+test('computeSlices: equal weights give equal slices', () => {
+  const slices = computeSlices(['a', 'b', 'c', 'd']);
+  assertEqual(slices.map(s => s.sweep), [90, 90, 90, 90]);
+  assertEqual(slices[3].endAngle, 360);
+});
+
+test('computeSlices: arc size is proportional to weight', () => {
+  const slices = computeSlices([{ weight: 3 }, { weight: 1 }]);
+  assertEqual(slices[0].sweep, 270);
+  assertEqual(slices[1].startAngle, 270);
+  assertEqual(slices[1].sweep, 90);
+});
+
+test('computeSlices: empty options give no slices', () => {
+  assertEqual(computeSlices([]), []);
+});
+
+// --- getSliceIndexAtAngle ---
+test('getSliceIndexAtAngle: normalizes negative and large angles', () => {
+  const slices = computeSlices([{ weight: 1 }, { weight: 1 }]);
+  assertEqual(getSliceIndexAtAngle(slices, 10), 0);
+  assertEqual(getSliceIndexAtAngle(slices, 190), 1);
+  assertEqual(getSliceIndexAtAngle(slices, -10), 1);
+  assertEqual(getSliceIndexAtAngle(slices, 370), 0);
+  assertEqual(getSliceIndexAtAngle([], 10), -1);
+});
+
+// --- createSeededRandom ---
+test('createSeededRandom: same seed gives the same sequence', () => {
+  const a = createSeededRandom(1234);
+  const b = createSeededRandom(1234);
+  for (let i = 0; i < 10; i++) {
+    assertEqual(a(), b());
+  }
+});
+
+test('createSeededRandom: values are in [0, 1)', () => {
+  const random = createSeededRandom(42);
+  for (let i = 0; i < 1000; i++) {
+    const v = random();
+    assert(v >= 0 && v < 1, `value out of range: ${v}`);
+  }
+});
+
+// --- pickWeightedIndex ---
+test('pickWeightedIndex: is deterministic for a seed', () => {
+  const options = [{ weight: 1 }, { weight: 5 }, { weight: 0.5 }];
+  assertEqual(
+    pickWeightedIndex(options, createSeededRandom(99)),
+    pickWeightedIndex(options, createSeededRandom(99))
+  );
+});
+
+test('pickWeightedIndex: frequencies follow weights', () => {
+  const options = [{ weight: 9 }, { weight: 1 }];
+  const random = createSeededRandom(7);
+  const counts = [0, 0];
+  const draws = 20000;
+  for (let i = 0; i < draws; i++) {
+    counts[pickWeightedIndex(options, random)]++;
+  }
+  const ratio = counts[1] / draws;
+  assert(ratio > 0.08 && ratio < 0.12, `rare option drawn ${ratio * 100}% of the time, expected ~10%`);
+});
+
+test('pickWeightedIndex: empty options return -1', () => {
+  assertEqual(pickWeightedIndex([], Math.random), -1);
+});
+
+// --- pickWeightedIndices ---
+test('pickWeightedIndices: picks distinct indices', () => {
+  const options = ['a', 'b', 'c', 'd', 'e'];
+  const picked = pickWeightedIndices(options, 3, createSeededRandom(5));
+  assertEqual(picked.length, 3);
+  assertEqual(new Set(picked).size, 3);
+  picked.forEach(index => assert(index >= 0 && index < options.length, `index ${index} out of range`));
+});
+
+test('pickWeightedIndices: count is capped at the number of options', () => {
+  const picked = pickWeightedIndices(['a', 'b'], 5, createSeededRandom(1));
+  assertEqual(picked.slice().sort(), [0, 1]);
+  assertEqual(pickWeightedIndices([], 3, Math.random), []);
+});
+
+test('pickWeightedIndices: heavy options are drawn first more often', () => {
+  const options = [{ weight: 1 }, { weight: 1 }, { weight: 18 }];
+  const random = createSeededRandom(11);
+  let heavyFirst = 0;
+  for (let i = 0; i < 2000; i++) {
+    if (pickWeightedIndices(options, 2, random)[0] === 2) heavyFirst++;
+  }
+  assert(heavyFirst / 2000 > 0.85, `heavy option first ${heavyFirst / 20}% of the time, expected ~90%`);
+});
+
+// --- computeTargetRotation ---
+test('computeTargetRotation: pointer lands inside the winning slice', () => {
+  const options = [{ weight: 1 }, { weight: 10 }, { weight: 0.2 }, { weight: 2 }];
+  const slices = computeSlices(options);
+  const random = createSeededRandom(2024);
+  let rotation = 37;
+  for (let trial = 0; trial < 200; trial++) {
+    const winner = pickWeightedIndex(options, random);
+    const target = computeTargetRotation({ currentRotation: rotation, slice: slices[winner], random });
+    assert(target < rotation - 5 * 360 + 1e-9, 'target should be at least minTurns away');
+    assertEqual(getSliceIndexAtAngle(slices, 270 - target), winner, `trial ${trial}: landed on wrong slice`);
+    rotation = target;
+  }
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for applying the wheel option editor's rows to stored options.
+ * Run: node test/wheel-option-edits.test.js
+ * No Electron required.
+ */
+
+const { applyOptionEdits, commandFromName } = require('../src/wheel-option-edits.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+function assertThrows(fn, pattern) {
+  try {
+    fn();
+  } catch (err) {
+    assert(pattern.test(err.message), `Unexpected error: ${err.message}`);
+    return;
+  }
+  throw new Error('Expected an error');
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+const stored = [
+  { name: 'Save File', command: 'save_file', enabled: true, application: 'Notepad', controller: 'pythonkeys', color: '#111111', config: { value: '^s' } },
+  { name: 'New File', command: 'new_file', enabled: false, application: 'Notepad', controller: 'pythonkeys', weight: 3 }
+];
+
+console.log('\nWheel option edit tests\n');
+
+test('renaming, recoloring and toggling keep the other fields', () => {
+  const options = applyOptionEdits(stored, [
+    { index: 0, name: ' Save As ', color: 'rgba(1, 2, 3, 0.5)', enabled: false },
+    { index: 1, name: 'New File', color: '', enabled: true }
+  ]);
+  assertEqual(options[0], { name: 'Save As', command: 'save_file', enabled: false, application: 'Notepad', controller: 'pythonkeys', color: 'rgba(1, 2, 3, 0.5)', config: { value: '^s' } });
+  assertEqual(options[1], { name: 'New File', command: 'new_file', enabled: true, application: 'Notepad', controller: 'pythonkeys', weight: 3 });
+});
+
+test('rows give the new order and leave out removed options', () => {
+  const options = applyOptionEdits(stored, [{ index: 1, name: 'New File' }]);
+  assertEqual(options.map(option => option.command), ['new_file']);
+  assertEqual(applyOptionEdits(stored, [{ index: 1, name: 'New File' }, { index: 0, name: 'Save File' }]).map(option => option.command), ['new_file', 'save_file']);
+});
+
+test('new options get a command and the first option\'s application and controller', () => {
+  const options = applyOptionEdits(stored, [{ index: 0, name: 'Save File' }, { index: null, name: 'Fus Ro Dah!', color: '#ff0000' }]);
+  assertEqual(options[1], { name: 'Fus Ro Dah!', command: 'fus_ro_dah', application: 'Notepad', controller: 'pythonkeys', enabled: true, color: '#ff0000' });
+  assertEqual(commandFromName('Save File', new Set(['save_file', 'save_file_2'])), 'save_file_3');
+});
+
+test('missing or duplicate names are rejected', () => {
+  assertThrows(() => applyOptionEdits(stored, [{ index: 0, name: '  ' }]), /needs a name/);
+  assertThrows(() => applyOptionEdits(stored, [{ index: 0, name: 'Save' }, { index: null, name: 'save' }]), /Two options are named/);
+});
+
+test('rows that do not match a stored option are rejected', () => {
+  assertThrows(() => applyOptionEdits(stored, [{ index: 5, name: 'Gone' }]), /does not match/);
+  assertThrows(() => applyOptionEdits(stored, [{ index: 0, name: 'A' }, { index: 0, name: 'B' }]), /does not match/);
+  assertThrows(() => applyOptionEdits(stored, 'nope'), /list of options/);
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,184 @@
+/**
+ * Unit tests for viewer-submitted wheel entries and their moderation state.
+ * Run: node test/wheel-submissions.test.js
+ * No Electron required (its `app` is replaced by a temporary userData directory).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'wheel-submissions-test-'));
+const electron = { app: { getPath: () => userData } };
+const load = Module._load;
+Module._load = function (request, ...args) {
+  return request === 'electron' ? electron : load.call(this, request, ...args);
+};
+const WheelSubmissions = require('../src/wheel-submissions.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+console.log = ((log) => (...args) => { if (!String(args[0]).startsWith('[WheelSubmissions]')) log(...args); })(console.log);
+
+/**
+ * Submissions with nothing stored yet
+ */
+function createSubmissions() {
+  fs.rmSync(path.join(userData, 'wheel-submissions.json'), { force: true });
+  return new WheelSubmissions();
+}
+
+const template = {
+  key: 'type-entry',
+  application: 'Notepad',
+  controller: 'pythonkeys',
+  config: { value: '{entry} (from {user})', keys: ['{entry}', '{missing}'] },
+  color: '#123456',
+  weight: 2
+};
+
+console.log('\nWheel submissions tests\n');
+
+test('key syntax and other characters outside the allowed set are rejected', () => {
+  const submissions = createSubmissions();
+  ['Fus {Enter}', '^s', 'a+b', 'rm -rf /', 'tab\tthen {Tab}'].forEach((entry) => {
+    const result = submissions.submit({ entry, user: 'viewer' });
+    assertEqual(result.accepted, false, `"${entry}" was accepted`);
+  });
+  assertEqual(submissions.list(), [], 'nothing is stored');
+});
+
+test('entries are trimmed and checked against the length limit', () => {
+  const submissions = createSubmissions();
+  assertEqual(submissions.submit({ entry: '   ', user: 'viewer' }).accepted, false);
+  assertEqual(submissions.submit({ entry: 'x'.repeat(41), user: 'viewer' }).accepted, false);
+  const result = submissions.submit({ entry: '  Fus   Ro Dah?  ', user: 'viewer' });
+  assertEqual(result.accepted, true);
+  assertEqual(result.submission.entry, 'Fus Ro Dah?');
+  assertEqual(result.submission.status, 'pending');
+  submissions.configure({ maxLength: 3, maxPendingPerUser: 5 });
+  assertEqual(submissions.submit({ entry: 'Four', user: 'other' }).accepted, false);
+  assertEqual(submissions.submit({ entry: 'Six', user: 'other' }).accepted, true);
+});
+
+test('duplicates of wheel options and other submissions are rejected, ignoring case', () => {
+  const submissions = createSubmissions();
+  assertEqual(submissions.submit({ entry: 'save file', user: 'a' }, ['Save File']).accepted, false);
+  assertEqual(submissions.submit({ entry: 'Unrelenting Force', user: 'a' }).accepted, true);
+  const result = submissions.submit({ entry: 'UNRELENTING FORCE', user: 'b' });
+  assertEqual(result.accepted, false);
+  assertEqual(result.message, '"UNRELENTING FORCE" is already on the wheel or waiting for approval');
+});
+
+test('per-user and global pending limits', () => {
+  const submissions = createSubmissions();
+  assertEqual(submissions.submit({ entry: 'One', user: 'Viewer' }).accepted, true);
+  assertEqual(submissions.submit({ entry: 'Two', user: 'viewer' }).message, 'Your last entry is still waiting for a moderator');
+  submissions.configure({ maxPending: 2 });
+  assertEqual(submissions.submit({ entry: 'Three', user: 'second' }).accepted, true);
+  assertEqual(submissions.submit({ entry: 'Four', user: 'third' }).message, 'Too many entries are waiting for a moderator, try again later');
+  submissions.configure({ maxPending: 0, maxPendingPerUser: 'many' });
+  assertEqual(submissions.limits, { maxLength: 40, maxPendingPerUser: 1, maxPending: 50 }, 'invalid limits fall back to the defaults');
+});
+
+test('approving turns an entry into a wheel option from the template', () => {
+  const submissions = createSubmissions();
+  const { submission } = submissions.submit({ entry: 'Fus Ro Dah', user: 'viewer' });
+  const approved = submissions.approve(submission.id, template);
+  assertEqual(approved.status, 'approved');
+  assertEqual(approved.template, 'type-entry');
+  assertEqual(approved.option, {
+    name: 'Fus Ro Dah',
+    command: `submission_${submission.id.slice(0, 8)}`,
+    description: 'Submitted by viewer',
+    enabled: true,
+    application: 'Notepad',
+    controller: 'pythonkeys',
+    config: { value: 'Fus Ro Dah (from viewer)', keys: ['Fus Ro Dah', '{missing}'] },
+    submittedBy: 'viewer',
+    color: '#123456',
+    weight: 2
+  });
+  assertEqual(template.config.value, '{entry} (from {user})', 'the template is not changed');
+  assertEqual(submissions.getApprovedOptions(), [approved.option]);
+  assertEqual(submissions.list('pending'), []);
+});
+
+test('approving needs a pending entry and a template with an application and controller', () => {
+  const submissions = createSubmissions();
+  const { submission } = submissions.submit({ entry: 'Fus Ro Dah', user: 'viewer' });
+  const throws = (fn) => { try { fn(); return false; } catch (error) { return true; } };
+  assert(throws(() => submissions.approve('missing', template)), 'unknown id');
+  assert(throws(() => submissions.approve(submission.id, { key: 'x', application: 'Notepad' })), 'template without controller');
+  assertEqual(submissions.list('pending').length, 1, 'a failed approval keeps the entry pending');
+  submissions.approve(submission.id, template);
+  assert(throws(() => submissions.approve(submission.id, template)), 'already approved');
+});
+
+test('removing rejects a pending entry or takes an approved one off the wheel', () => {
+  const submissions = createSubmissions();
+  const changes = [];
+  submissions.on('changed', entries => changes.push(entries.length));
+  const first = submissions.submit({ entry: 'One', user: 'a' }).submission;
+  const second = submissions.submit({ entry: 'Two', user: 'b' }).submission;
+  submissions.approve(second.id, template);
+  assertEqual(submissions.remove(first.id).status, 'pending');
+  assertEqual(submissions.remove(second.id).status, 'approved');
+  assertEqual(submissions.remove('missing'), null);
+  assertEqual(submissions.getApprovedOptions(), []);
+  assertEqual(changes, [1, 2, 2, 1, 0]);
+  assertEqual(submissions.submit({ entry: 'One', user: 'a' }).accepted, true, 'a removed entry can be submitted again');
+});
+
+test('submissions are reloaded from disk', () => {
+  const submissions = createSubmissions();
+  const pending = submissions.submit({ entry: 'One', user: 'a' }).submission;
+  const approved = submissions.approve(submissions.submit({ entry: 'Two', user: 'b' }).submission.id, template);
+  const reloaded = new WheelSubmissions();
+  assertEqual(reloaded.list('pending').map(entry => entry.id), [pending.id]);
+  assertEqual(reloaded.getApprovedOptions(), [approved.option]);
+  assertEqual(reloaded.submit({ entry: 'Three', user: 'a' }).accepted, false, 'pending limits count reloaded entries');
+});
+
+test('a broken submissions file starts empty', () => {
+  fs.writeFileSync(path.join(userData, 'wheel-submissions.json'), '{ not json');
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assertEqual(new WheelSubmissions().list(), []);
+  } finally {
+    console.error = error;
+  }
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+fs.rmSync(userData, { recursive: true, force: true });
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for checking windows-config.json and working out what an edit to it changes.
+ * Run: node test/windows-config.test.js
+ * No Electron required.
+ */
+
+const { getEnabledWindows, validateWindowsConfig, diffWindowConfigs } = require('../src/windows-config.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+const wheel = (id, options = {}) => ({ id, type: 'wheel', html: 'src/views/wheel/index.html', enabled: true, options: { wheel: [{ name: 'A' }], ...options } });
+const sticky = { id: 'sticky', html: 'src/views/sticky/index.html', enabled: true, windowConfig: { width: 300 }, options: { buttons: [] } };
+
+/**
+ * Ids in each list of a diff
+ */
+function ids(diff) {
+  return {
+    opened: diff.opened.map(windowConfig => windowConfig.id),
+    closed: diff.closed,
+    reopened: diff.reopened.map(windowConfig => windowConfig.id),
+    updated: diff.updated.map(windowConfig => windowConfig.id)
+  };
+}
+
+console.log('\nWindows config tests\n');
+
+test('a valid config has no errors', () => {
+  assertEqual(validateWindowsConfig({ defaults: { frame: false }, windows: [wheel('wheel'), sticky, { id: 'off', html: 'x.html' }] }), []);
+});
+
+test('errors name the entry and field', () => {
+  assertEqual(validateWindowsConfig([]), ['(top level): must be an object']);
+  assertEqual(validateWindowsConfig({ windows: {} }), ['windows: must be a list']);
+  assertEqual(validateWindowsConfig({ windows: [{ id: 'a', html: '', enabled: 'yes' }, 'b', { id: 'c', html: 'c.html', options: { wheel: {} } }] }), [
+    'windows[0].html: must not be empty',
+    'windows[0].enabled: must be true or false',
+    'windows[1]: must be an object',
+    'windows[2].options.wheel: must be a list'
+  ]);
+});
+
+test('only the first enabled entry of an id counts', () => {
+  const enabled = getEnabledWindows({ windows: [{ ...sticky, enabled: false, name: 'off' }, sticky, { ...sticky, name: 'copy' }] });
+  assertEqual(Array.from(enabled.keys()), ['sticky']);
+  assertEqual(enabled.get('sticky').name, undefined);
+});
+
+test('enabling, disabling and removing entries opens and closes windows', () => {
+  const previous = { windows: [wheel('wheel'), sticky] };
+  const next = { windows: [wheel('wheel'), { ...sticky, enabled: false }, wheel('second')] };
+  assertEqual(ids(diffWindowConfigs(previous, next)), { opened: ['second'], closed: ['sticky'], reopened: [], updated: [] });
+  assertEqual(ids(diffWindowConfigs(previous, previous)), { opened: [], closed: [], reopened: [], updated: [] });
+});
+
+test('wheel options and rate limits are updated in place', () => {
+  const previous = { windows: [wheel('wheel')] };
+  const next = { windows: [wheel('wheel', { wheel: [{ name: 'B' }], rateLimits: { userCooldown: '30s' } })] };
+  assertEqual(ids(diffWindowConfigs(previous, next)), { opened: [], closed: [], reopened: [], updated: ['wheel'] });
+});
+
+test('other changes reopen the window', () => {
+  const previous = { windows: [wheel('wheel'), sticky] };
+  const next = { windows: [wheel('wheel', { style: { textColor: '#fff' } }), { ...sticky, windowConfig: { width: 400 } }] };
+  assertEqual(ids(diffWindowConfigs(previous, next)), { opened: [], closed: [], reopened: ['wheel', 'sticky'], updated: [] });
+  assertEqual(ids(diffWindowConfigs({ ...previous, defaults: {} }, { ...previous, defaults: { frame: true } })).reopened, ['wheel', 'sticky']);
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for queue worker supervision (restart backoff and health tracking).
+ * Run: node test/worker-supervisor.test.js
+ * No Electron required.
+ */
+
+const WorkerSupervisor = require('../src/views/shared/worker-supervisor.js');
+
+function assertEqual(actual, expected, message) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(message || `Expected ${e}, got ${a}`);
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('  ✓', name);
+  } catch (err) {
+    failed++;
+    console.error('  ✗', name);
+    console.error('   ', err.message);
+  }
+}
+
+console.log('\nWorker supervisor tests\n');
+
+// --- getRestartDelay ---
+test('getRestartDelay: doubles per consecutive crash and is capped', () => {
+  const supervisor = new WorkerSupervisor({ baseDelayMs: 1000, maxDelayMs: 5000 });
+  assertEqual([1, 2, 3, 4].map(n => supervisor.getRestartDelay(n)), [1000, 2000, 4000, 5000]);
+});
+
+// --- workerExited ---
+test('workerExited: crash loop backs off and is reported', () => {
+  const supervisor = new WorkerSupervisor();
+  const delays = [];
+  for (let i = 0; i < 3; i++) {
+    supervisor.workerStarted('q', 100 + i);
+    delays.push(supervisor.workerExited('q', { code: 1, signal: null }));
+  }
+  const health = supervisor.getHealth('q');
+  assertEqual(delays, [1000, 2000, 4000]);
+  assertEqual(health.state, 'restarting');
+  assertEqual(health.consecutiveCrashes, 3);
+  assertEqual(health.crashLoop, true);
+  assertEqual(health.lastExit.code, 1);
+  supervisor.stopAll();
+});
+
+test('workerExited: clean exit with nothing pending is not restarted', () => {
+  const supervisor = new WorkerSupervisor();
+  supervisor.workerStarted('q', 1);
+  assertEqual(supervisor.workerExited('q', { code: 0, signal: null }), null);
+  assertEqual(supervisor.getHealth('q').state, 'idle');
+});
+
+test('workerExited: clean exit with pending items restarts without counting a crash', () => {
+  const supervisor = new WorkerSupervisor();
+  supervisor.workerStarted('q', 1);
+  assertEqual(supervisor.workerExited('q', { code: 0, signal: null, hasPending: true }), 1000);
+  assertEqual(supervisor.getHealth('q').crashes, 0);
+  supervisor.stopAll();
+});
+
+test('workerExited: expected exits are never restarted', () => {
+  const supervisor = new WorkerSupervisor();
+  supervisor.workerStarted('q', 1);
+  assertEqual(supervisor.workerExited('q', { code: null, signal: 'SIGTERM', expected: true, hasPending: true }), null);
+  assertEqual(supervisor.getHealth('q').state, 'stopped');
+});
+
+test('workerExited: a worker that stayed up resets the backoff', () => {
+  const supervisor = new WorkerSupervisor({ stableAfterMs: 0 });
+  supervisor.workerStarted('q', 1);
+  supervisor.workerExited('q', { code: 1, signal: null });
+  supervisor.workerStarted('q', 2);
+  assertEqual(supervisor.workerExited('q', { code: 1, signal: null }), 1000);
+  supervisor.stopAll();
+});
+
+test('health-changed is emitted with the current state', () => {
+  const supervisor = new WorkerSupervisor();
+  const states = [];
+  supervisor.on('health-changed', (queueName, health) => states.push(`${queueName}:${health.state}`));
+  supervisor.workerStarted('q', 1);
+  supervisor.workerReady('q');
+  assertEqual(states, ['q:starting', 'q:running']);
+  assertEqual(supervisor.getHealth('q').pid, 1);
+});
+
+console.log('\n' + (failed === 0 ? 'All ' + passed + ' tests passed.' : passed + ' passed, ' + failed + ' failed.'));
+process.exit(failed > 0 ? 1 : 0);